@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { verifyAdminKey } from '@/app/utils/serverAuthUtils';
+import { parseRatesFile, importDailyRates } from '@/app/services/exchangeRateService';
+
+const FORMATS = ['csv', 'json'];
+const MAX_FILE_LENGTH = 10 * 1024 * 1024; // ~10MB of text
+
+/**
+ * Back-fill daily exchange rates from a file sent as the raw request body.
+ * ?format=csv|json, see parseRatesFile() for the file layouts.
+ * curl -X POST -H "x-admin-key: $ADMIN_API_KEY" --data-binary @rates.csv "http://localhost:3000/api/admin/exchange-rates?format=csv"
+ */
+export async function POST(req) {
+    try {
+        verifyAdminKey(req);
+
+        const format = new URL(req.url).searchParams.get('format') || 'csv';
+        if (!FORMATS.includes(format)) {
+            return NextResponse.json({ success: false, message: `Format must be one of ${FORMATS.join(', ')}` }, { status: 400 });
+        }
+
+        const content = await req.text();
+        if (!content.trim()) {
+            return NextResponse.json({ success: false, message: 'Rates file is empty' }, { status: 400 });
+        }
+        if (content.length > MAX_FILE_LENGTH) {
+            return NextResponse.json({ success: false, message: 'Rates file is too large' }, { status: 400 });
+        }
+
+        let records;
+        try {
+            records = parseRatesFile(content, format);
+        } catch (parseError) {
+            return NextResponse.json({ success: false, message: parseError.message }, { status: 400 });
+        }
+
+        const stored = await importDailyRates(records, 'file');
+        return NextResponse.json({ success: true, message: `Stored exchange rates for ${stored} days`, data: { days: stored } });
+    } catch (error) {
+        console.error('Error importing exchange rates:', error);
+        const status = error.message === 'Unauthorized' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while importing exchange rates' }, { status });
+    }
+}
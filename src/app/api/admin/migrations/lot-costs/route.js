@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import Portfolio from '@/app/models/Portfolio';
+import { verifyAdminKey } from '@/app/utils/serverAuthUtils';
+import { recomputeCostsAtTradeDate } from '@/app/services/PortfolioService';
+
+/**
+ * Migration: recompute costInEUR of every lot (and the EUR amounts of every sale) with the
+ * exchange rate of the trade date instead of the rate of the day it was entered.
+ * Back-fill rates first (/api/admin/exchange-rates) for days the historical rates API does not cover.
+ * ?dryRun=true reports what would change without saving.
+ */
+export async function POST(req) {
+    try {
+        verifyAdminKey(req);
+        await connectToDatabase();
+
+        const dryRun = new URL(req.url).searchParams.get('dryRun') === 'true';
+        const totals = { portfolios: 0, lots: 0, transactions: 0, skipped: 0 };
+
+        for await (const portfolio of Portfolio.find().cursor()) {
+            const stats = await recomputeCostsAtTradeDate(portfolio);
+            if (!dryRun) {
+                await portfolio.save();
+            }
+            totals.portfolios++;
+            totals.lots += stats.lots;
+            totals.transactions += stats.transactions;
+            totals.skipped += stats.skipped;
+        }
+
+        console.log(`[Migration] Recomputed lot costs${dryRun ? ' (dry run)' : ''}:`, totals);
+        return NextResponse.json({ success: true, dryRun, data: totals });
+    } catch (error) {
+        console.error('Error recomputing lot costs:', error);
+        const status = error.message === 'Unauthorized' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while recomputing lot costs' }, { status });
+    }
+}
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import Portfolio from '@/app/models/Portfolio';
+import { verifyAdminKey } from '@/app/utils/serverAuthUtils';
+import { getExchangeRates } from '@/app/utils/portfolioUtils';
+import { takeSnapshot, backfillSnapshots } from '@/app/services/portfolioSnapshotService';
+
+// The close history used for backfills covers about a year
+const MAX_BACKFILL_DAYS = 365;
+
+/**
+ * Daily job: store today's value of every active portfolio. Run it once a day after the markets close.
+ * ?backfill=true&days=N also fills in missing past days from daily closes.
+ */
+export async function POST(req) {
+    try {
+        verifyAdminKey(req);
+        await connectToDatabase();
+
+        const searchParams = new URL(req.url).searchParams;
+        const backfill = searchParams.get('backfill') === 'true';
+        const days = Math.min(parseInt(searchParams.get('days'), 10) || MAX_BACKFILL_DAYS, MAX_BACKFILL_DAYS);
+
+        const exchangeRates = await getExchangeRates();
+        const totals = { portfolios: 0, backfilled: 0, skipped: 0, failed: 0 };
+
+        for await (const portfolio of Portfolio.find({ archived: { $ne: true } }).cursor()) {
+            try {
+                if (backfill) {
+                    const { created } = await backfillSnapshots(portfolio, { days });
+                    totals.backfilled += created;
+                }
+                // Skipped when a holding has no price at all
+                if (await takeSnapshot(portfolio, { exchangeRates })) {
+                    totals.portfolios++;
+                } else {
+                    totals.skipped++;
+                }
+            } catch (error) {
+                console.error(`[Snapshots] Failed to snapshot portfolio ${portfolio._id}:`, error);
+                totals.failed++;
+            }
+        }
+
+        console.log('[Snapshots] Daily snapshot job finished:', totals);
+        return NextResponse.json({ success: true, data: totals });
+    } catch (error) {
+        console.error('Error taking portfolio snapshots:', error);
+        const status = error.message === 'Unauthorized' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while taking snapshots' }, { status });
+    }
+}
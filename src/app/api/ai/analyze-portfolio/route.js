@@ -6,13 +6,20 @@ import { NextResponse } from 'next/server';
 import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
 import { streamAI } from '@/app/services/aiService';
 import connectDB from '@/app/utils/db';
-import Portfolio from '@/app/models/Portfolio';
+import { loadPortfolioForRead } from '@/app/services/PortfolioService';
 import { fetchSnapshotWithFallback } from '@/app/services/stockDataService';
 import { fetchNewsWithFallback } from '@/app/services/newsService';
 import { fetchHistoricalDataWithFallback } from '@/app/services/historicalDataService';
 import { fetchAllFinancialMetrics } from '@/app/services/fundamentalsService';
 import { getFearGreedIndex, interpretFearGreed } from '@/app/utils/fearGreedService';
-import { aggregatePortfolioHoldings, calculatePortfolioSummary, processHoldingsWithMarketData } from '../../portfolio/route';
+import { aggregatePortfolioHoldings, calculatePortfolioSummary, processHoldingsWithMarketData, createPortfolioCurrencyConverter } from '../../portfolio/route';
+import { resolveReportingCurrency, getUserPreferences } from '@/app/services/userPreferencesService';
+import { getQuoteCurrencies } from '@/app/services/performanceService';
+import { calculateRiskMetrics } from '@/app/services/riskService';
+import { parseBenchmark } from '@/app/utils/benchmarks';
+import { getAssetClassifications } from '@/app/services/assetService';
+import { calculateAllocationDrift, calculateAllocationBreakdown } from '@/app/services/rebalanceService';
+import { getTargetAllocation } from '../../portfolio/allocation/route';
 import { fetchStockPrices, getExchangeRates } from '@/app/utils/portfolioUtils';
 import { analyzePricePatternWithAI, getFallbackPattern } from '@/app/services/PriceMovementAIHelper';
 
@@ -22,15 +29,15 @@ export const dynamic = 'force-dynamic';
 /**
  * Get detailed stock data including historical trends and technical indicators
  */
-async function getDetailedStockData(symbol, currentPriceEUR) {
+async function getDetailedStockData(symbol, currentPrice) {
   try {
     // Fetch historical data
     const historicalResult = await fetchHistoricalDataWithFallback(symbol);
     const historicalData = historicalResult?.data || [];
 
     // Calculate technical indicators
-    const technicalIndicators = calculateTechnicalIndicators(historicalData, currentPriceEUR);
-    const historicalTrends = extractHistoricalTrends(historicalData, currentPriceEUR);
+    const technicalIndicators = calculateTechnicalIndicators(historicalData, currentPrice);
+    const historicalTrends = extractHistoricalTrends(historicalData, currentPrice);
 
     // Fetch news
     const news = await fetchNewsWithFallback(symbol);
@@ -39,7 +46,7 @@ async function getDetailedStockData(symbol, currentPriceEUR) {
     // Fetch financial metrics
     let financialMetrics = null;
     try {
-      financialMetrics = await fetchAllFinancialMetrics(symbol, currentPriceEUR);
+      financialMetrics = await fetchAllFinancialMetrics(symbol, currentPrice);
     } catch (error) {
       console.warn(`[FinancialMetrics] Error fetching metrics for ${symbol}:`, error.message);
     }
@@ -251,13 +258,16 @@ export async function GET(request) {
     // Connect to database
     await connectDB();
 
-    const portfolio = await Portfolio.findOne({ userId });
+    const searchParams = new URL(request.url).searchParams;
+    const portfolio = await loadPortfolioForRead(userId, searchParams.get('portfolioId'));
     if (!portfolio) {
       return NextResponse.json({ error: 'Portfolio not found' }, { status: 404 });
     }
+    const currency = await resolveReportingCurrency(userId, searchParams.get('currency'));
+    const fromEUR = await createPortfolioCurrencyConverter(portfolio, currency);
 
     // Fetch user's portfolio
-    const holdingsBySymbol = aggregatePortfolioHoldings(portfolio);
+    const holdingsBySymbol = aggregatePortfolioHoldings(portfolio, undefined, fromEUR);
     if (!holdingsBySymbol || Object.keys(holdingsBySymbol).length === 0) {
       return NextResponse.json(
         { error: 'No portfolio found or portfolio is empty' },
@@ -279,8 +289,34 @@ export async function GET(request) {
       getExchangeRates()
     ]);
 
-    const aggregatedHoldings = processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates);
-    const summary = calculatePortfolioSummary(aggregatedHoldings);
+    const aggregatedHoldings = processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates, currency);
+    const summary = calculatePortfolioSummary(aggregatedHoldings, portfolio.transactions, { currency, fromEUR });
+
+    // Compute risk from historical closes so the model reports it instead of estimating it
+    let risk = null;
+    try {
+      const quoteCurrencies = getQuoteCurrencies(portfolio);
+      const positions = aggregatedHoldings.map(h => ({
+        symbol: h.symbol,
+        currency: prices[h.symbol]?.currency || quoteCurrencies[h.symbol] || 'USD',
+        value: h.currentTotalValue,
+      }));
+      const preferences = await getUserPreferences(userId);
+      const benchmark = parseBenchmark(preferences?.benchmarks?.[0] || 'SPY');
+      risk = await calculateRiskMetrics(positions, { currency, benchmark });
+    } catch (error) {
+      console.error('[AI Portfolio Analysis] Error calculating risk metrics:', error);
+    }
+
+    // Sector, country and asset class weights, and the drift from the user's target weights so rebalancing advice has something to aim for
+    const classifications = await getAssetClassifications(symbols);
+    const classifiedPositions = aggregatedHoldings.map(h => ({ symbol: h.symbol, value: h.currentTotalValue, ...classifications[h.symbol] }));
+    const { breakdown: allocationBreakdown } = calculateAllocationBreakdown(classifiedPositions);
+    let allocationDrift = null;
+    const allocation = getTargetAllocation(portfolio);
+    if (allocation.targets.length > 0) {
+      allocationDrift = calculateAllocationDrift(classifiedPositions, allocation);
+    }
 
     // Fetch market sentiment
     let marketSentiment = null;
@@ -305,7 +341,7 @@ export async function GET(request) {
     for (const holding of aggregatedHoldings) {
       try {
         console.log(`[AI Portfolio Analysis] Fetching detailed data for ${holding.symbol}`);
-        const detailedData = await getDetailedStockData(holding.symbol, holding.currentPriceInEUR);
+        const detailedData = await getDetailedStockData(holding.symbol, holding.currentPrice);
         detailedHoldings.push({
           ...holding,
           ...detailedData
@@ -339,16 +375,17 @@ Provide a high-level summary of the portfolio (2-3 sentences).
 - **Sector Allocation:** Assess the balance and concentration in different sectors.
 - **Concentration Risk:** Evaluate the risk from over-concentration in the top holdings.
 - **Individual Stock Risks:** Highlight key risks for specific stocks based on their detailed analysis (e.g., poor technicals, weak fundamentals, negative sentiment).
+- **Risk Metrics & Correlation:** Interpret the computed volatility, Sharpe/Sortino, drawdown, VaR/CVaR, beta and correlations. Use these figures as given; do not estimate risk numbers that were not provided.
 ## 📈 Performance & Recommendations
 - **Overall Performance:** Summarize the portfolio's total performance.
-- **Rebalancing:** Provide specific, actionable recommendations. Justify why a stock should be bought, sold, or held by referencing the detailed data provided.
+- **Rebalancing:** Provide specific, actionable recommendations. When target weights are provided, measure the portfolio against them rather than inventing targets. Justify why a stock should be bought, sold, or held by referencing the detailed data provided.
 - **Priority Actions:** List the most important actions the user should consider.
 ## 🌍 Market Context
 - **Current Environment:** Use the Fear & Greed Index to describe the market mood.
 - **Positioning:** How is the portfolio positioned for the current market conditions?
 Be specific, data-driven, and provide actionable recommendations. Use clear formatting with headers, bullet points, and emphasis.`;
 
-    const userPrompt = buildUserPrompt(summary, detailedHoldings, marketSentiment, failedSymbols);
+    const userPrompt = buildUserPrompt(summary, detailedHoldings, marketSentiment, failedSymbols, risk, allocationDrift, allocationBreakdown);
 
     console.log("[AI Portfolio Analysis] Prompts prepared, initiating AI streaming response");
 
@@ -388,10 +425,57 @@ Be specific, data-driven, and provide actionable recommendations. Use clear form
   }
 }
 
+/**
+ * Describe computed risk metrics for the prompt
+ */
+function buildRiskSection(risk) {
+  if (!risk?.portfolio) {
+    return '**Risk Metrics:** Not available (no price history could be loaded).';
+  }
+
+  const pct = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(2)}%`);
+  const num = (value) => (value === null || value === undefined ? 'n/a' : value.toFixed(2));
+  const { portfolio } = risk;
+  const benchmark = risk.benchmark || 'benchmark';
+
+  const holdingLines = risk.holdings
+    .map(h => `- ${h.symbol} (weight ${pct(h.weight)}): volatility ${pct(h.volatility)}, Sharpe ${num(h.sharpe)}, max drawdown ${pct(h.maxDrawdown)}, 1-day VaR ${pct(h.var)}, beta vs ${benchmark} ${num(h.beta)}`)
+    .join('\n');
+
+  // Only the most correlated pairs, to keep the prompt short
+  const { symbols, matrix } = risk.correlation;
+  const pairs = [];
+  symbols.forEach((a, i) => symbols.slice(i + 1).forEach((b, k) => {
+    const value = matrix[i][i + 1 + k];
+    if (value !== null) pairs.push({ a, b, value });
+  }));
+  const correlationLines = pairs
+    .sort((x, y) => Math.abs(y.value) - Math.abs(x.value))
+    .slice(0, 10)
+    .map(({ a, b, value }) => `${a}/${b}: ${value.toFixed(2)}`)
+    .join(', ');
+
+  return `**Risk Metrics (computed from ${risk.observations} daily returns, ${risk.startDate} to ${risk.endDate}, current weights, in ${risk.currency}):**
+- Annualized Volatility: ${pct(portfolio.volatility)}
+- Sharpe Ratio: ${num(portfolio.sharpe)} | Sortino Ratio: ${num(portfolio.sortino)} (risk-free rate ${pct(risk.riskFreeRate)})
+- Max Drawdown: ${pct(portfolio.maxDrawdown)}
+- 1-day ${Math.round(risk.confidenceLevel * 100)}% VaR: ${pct(portfolio.var)} (${num(portfolio.varAmount)} ${risk.currency}) | CVaR: ${pct(portfolio.cvar)} (${num(portfolio.cvarAmount)} ${risk.currency})
+- Beta vs ${benchmark}: ${num(portfolio.beta)}
+${holdingLines}
+- Most correlated pairs: ${correlationLines || 'n/a'}`;
+}
+
+/**
+ * Describe allocation weights for the prompt, e.g. "Financials 40.0%, Energy 25.0%"
+ */
+function formatBreakdown(rows = []) {
+  return rows.map(r => `${r.key} ${r.weight.toFixed(1)}%`).join(', ') || 'n/a';
+}
+
 /**
  * Build user prompt with comprehensive portfolio data
  */
-function buildUserPrompt(summary, detailedHoldings, marketSentiment, failedSymbols) {
+function buildUserPrompt(summary, detailedHoldings, marketSentiment, failedSymbols, risk, allocationDrift, allocationBreakdown) {
   console.debug('[AI Portfolio Analysis] Building user prompt with summary and detailed holdings');
   console.debug('Portfolio Summary:', JSON.stringify(summary, null, 2));
   console.debug('NO FINANCIAL METRICS TODO Detailed Holdings:', JSON.stringify(detailedHoldings, null, 2));
@@ -399,19 +483,29 @@ function buildUserPrompt(summary, detailedHoldings, marketSentiment, failedSymbo
   console.debug('Failed Symbols:', JSON.stringify(failedSymbols, null, 2));
 
   const holdingsSummary = detailedHoldings
-    .sort((a, b) => b.currentValueEUR - a.currentValueEUR)
-    .map(h => `${h.symbol}: ${(h.percentageReturn * 100).toFixed(1)}% | €${h.totalProfitLossInEUR.toFixed(1)} | Current value: €${h.currentTotalValueInEUR.toFixed(2)} | Total invested: €${h.totalInvestmentInEUR.toFixed(2)}`)
+    .sort((a, b) => b.currentTotalValue - a.currentTotalValue)
+    .map(h => `${h.symbol}: ${(h.percentageReturn * 100).toFixed(1)}% | ${h.totalProfitLoss.toFixed(1)} ${summary.currency} | Current value: ${h.currentTotalValue.toFixed(2)} ${summary.currency} | Total invested: ${h.totalInvestment.toFixed(2)} ${summary.currency}`)
     .join(', ');
 
 
   const userPrompt = `Analyze this investment portfolio comprehensively:
 **Portfolio Summary:**
 - Total Holdings: ${detailedHoldings.length}
-- Total Value: €${summary.currentTotalValueInEUR.toFixed(2)}
-- Total Gain/Loss: €${(summary.totalProfitLossInEUR).toFixed(2)} (${summary.percentageReturn.toFixed(2)}%)
-- Total Investment: ${summary.totalInvestmentInEUR.toFixed(2)} EUR
+- Total Value: ${summary.currentTotalValue.toFixed(2)} ${summary.currency}
+- Total Gain/Loss: ${(summary.totalProfitLoss).toFixed(2)} ${summary.currency} (${summary.percentageReturn.toFixed(2)}%)
+- Total Investment: ${summary.totalInvestment.toFixed(2)} ${summary.currency}
 - Top Holdings: ${holdingsSummary}
 
+${buildRiskSection(risk)}
+
+**Allocation (by value):**
+- Sectors: ${formatBreakdown(allocationBreakdown.SECTOR)}
+- Countries: ${formatBreakdown(allocationBreakdown.COUNTRY)}
+- Asset classes: ${formatBreakdown(allocationBreakdown.ASSET_CLASS)}
+${allocationDrift ? `
+**Target Allocation (by ${allocationDrift.groupBy.toLowerCase().replace('_', ' ')}):**
+${allocationDrift.rows.map(r => `- ${r.key}: current ${r.currentWeight.toFixed(1)}% vs target ${r.targetWeight.toFixed(1)}% (drift ${r.drift >= 0 ? '+' : ''}${r.drift.toFixed(1)} pts, ${r.driftValue.toFixed(2)} ${summary.currency})`).join('\n')}
+` : ''}
 **Market Context:**
 - Fear & Greed Index: ${marketSentiment.fearGreedIndex.value} (${marketSentiment.fearGreedIndex.valueText})
 - Market Interpretation: ${marketSentiment.interpretation}
@@ -0,0 +1,20 @@
+import { NextResponse } from "next/server";
+import { requestPasswordReset } from "@/app/services/accountService";
+
+// Emails a password reset link: { email }. Answers the same whether or not the account exists.
+export async function POST(request) {
+  try {
+    const { email } = await request.json();
+    await requestPasswordReset(email);
+
+    return NextResponse.json({
+      message: "If an account exists for that email, a reset link is on its way.",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
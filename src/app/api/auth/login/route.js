@@ -1,31 +1,82 @@
 import { NextResponse } from "next/server";
 import connectToDatabase from "@/app/utils/db";
 import User from "@/app/models/UserModel";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import { createSession, ACCESS_TOKEN_TTL_SECONDS } from "@/app/services/sessionService";
+import { setRefreshTokenCookie } from "@/app/utils/serverAuthUtils";
+import {
+  checkLoginThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getClientIp,
+} from "@/app/services/loginThrottleService";
+import { verifySecondFactor } from "@/app/services/twoFactorService";
+import { normalizeEmail } from "@/app/services/accountService";
+
+// Same answer for an unknown email and a wrong password, so the response does not reveal which accounts exist
+const INVALID_CREDENTIALS = "Invalid email or password";
+
+// Compared against when the email is unknown, so both cases take as long as a real bcrypt check
+let dummyHashPromise = null;
+const getDummyHash = () => {
+  dummyHashPromise ??= bcrypt.hash("not-a-real-password", 10);
+  return dummyHashPromise;
+};
 
 export async function POST(request) {
   try {
     await connectToDatabase();
     const body = await request.json(); // Store body
-    const { email, password } = body; // Destructure from stored body
+    const { email, password, code } = body; // Destructure from stored body; code is the 2FA or recovery code
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    if (typeof email !== "string" || typeof password !== "string") {
+      return NextResponse.json({ error: INVALID_CREDENTIALS }, { status: 401 });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
+    const attempt = { ip: getClientIp(request), email };
+    const throttle = await checkLoginThrottle(attempt);
+    if (!throttle.allowed) {
       return NextResponse.json(
-        { error: "Invalid credentials" },
-        { status: 400 }
+        { error: `Too many login attempts. Try again in ${throttle.retryAfterSeconds} seconds.` },
+        { status: 429, headers: { "Retry-After": String(throttle.retryAfterSeconds) } }
       );
     }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    const user = await User.findOne({ email: normalizeEmail(email) });
+    const isMatch = await bcrypt.compare(password, user ? user.password : await getDummyHash());
+    if (!user || !isMatch) {
+      await recordLoginFailure(attempt);
+      return NextResponse.json({ error: INVALID_CREDENTIALS }, { status: 401 });
+    }
+
+    // With 2FA on, the password alone only gets the client asked for a code
+    if (user.twoFactor?.enabled) {
+      if (!code) {
+        return NextResponse.json(
+          { error: "Enter the code from your authenticator app", twoFactorRequired: true },
+          { status: 401 }
+        );
+      }
+      if (!(await verifySecondFactor(user, code))) {
+        await recordLoginFailure(attempt);
+        return NextResponse.json(
+          { error: "Invalid two-factor code", twoFactorRequired: true },
+          { status: 401 }
+        );
+      }
+    }
+
+    await recordLoginSuccess(attempt);
+
+    const session = await createSession(user._id, {
+      userAgent: request.headers.get("user-agent"),
+    });
 
-    return NextResponse.json({ token });
+    const response = NextResponse.json({
+      token: session.accessToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    });
+    return setRefreshTokenCookie(response, session.refreshToken, session.expiresAt);
   } catch (error) {
     console.error("Login error:", error);
     return NextResponse.json(
@@ -0,0 +1,31 @@
+import { NextResponse } from "next/server";
+import {
+  revokeSession,
+  revokeSessionByRefreshToken,
+  REFRESH_COOKIE_NAME,
+} from "@/app/services/sessionService";
+import { verifyAccessToken, clearRefreshTokenCookie } from "@/app/utils/serverAuthUtils";
+
+// Revokes the current session, found from the refresh token cookie or the access token
+export async function POST(request) {
+  try {
+    await revokeSessionByRefreshToken(request.cookies.get(REFRESH_COOKIE_NAME)?.value);
+    if (request.headers.get("authorization")) {
+      try {
+        const { sid } = await verifyAccessToken(request);
+        await revokeSession(sid);
+      } catch {
+        // Already expired or revoked
+      }
+    }
+
+    const response = NextResponse.json({ message: "Logged out" });
+    return clearRefreshTokenCookie(response);
+  } catch (error) {
+    console.error("Logout error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -1,25 +1,14 @@
 import { NextResponse } from 'next/server';
-import jwt from 'jsonwebtoken';
 import connectToDatabase from '@/app/utils/db'; 
 import User from '@/app/models/UserModel'; 
+import { verifyAccessToken } from '@/app/utils/serverAuthUtils';
 
 export async function GET(req) {
   try {
-    const authHeader = req.headers.get('authorization');
-    if (!authHeader?.startsWith('Bearer ')) {
-      return NextResponse.json({ message: 'Authentication token is missing or malformed' }, { status: 401 });
-    }
-
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-      return NextResponse.json({ message: 'Authentication token is missing' }, { status: 401 });
-    }
-
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = await verifyAccessToken(req);
     } catch (err) {
-      console.error('Token verification failed:', err.message);
       return NextResponse.json({ message: 'Invalid or expired token' }, { status: 401 });
     }
 
@@ -33,7 +22,12 @@ export async function GET(req) {
     return NextResponse.json({ 
         id: user._id, 
         username: user.username, 
-        email: user.email 
+        email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        baseCurrency: user.baseCurrency,
+        locale: user.locale,
+        timezone: user.timezone
     });
 
   } catch (error) {
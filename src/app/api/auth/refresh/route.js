@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import {
+  rotateRefreshToken,
+  SessionError,
+  REFRESH_COOKIE_NAME,
+  ACCESS_TOKEN_TTL_SECONDS,
+} from "@/app/services/sessionService";
+import { setRefreshTokenCookie, clearRefreshTokenCookie } from "@/app/utils/serverAuthUtils";
+
+// Exchanges the refresh token cookie for a new access token, and rotates the cookie
+export async function POST(request) {
+  try {
+    const refreshToken = request.cookies.get(REFRESH_COOKIE_NAME)?.value;
+    const session = await rotateRefreshToken(refreshToken);
+
+    const response = NextResponse.json({
+      token: session.accessToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    });
+    return setRefreshTokenCookie(response, session.refreshToken, session.expiresAt);
+  } catch (error) {
+    if (error instanceof SessionError) {
+      const response = NextResponse.json({ error: error.message }, { status: 401 });
+      return clearRefreshTokenCookie(response);
+    }
+    console.error("Token refresh error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
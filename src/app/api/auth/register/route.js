@@ -1,13 +1,16 @@
 import { NextResponse } from "next/server";
 import connectToDatabase from "@/app/utils/db";
 import User from "@/app/models/UserModel";
-import jwt from "jsonwebtoken";
-import crypto from "crypto";
+import { createSession, ACCESS_TOKEN_TTL_SECONDS } from "@/app/services/sessionService";
+import { setRefreshTokenCookie } from "@/app/utils/serverAuthUtils";
+import { sendVerificationEmail, normalizeEmail } from "@/app/services/accountService";
 
 export async function POST(request) {
 	try {
 		await connectToDatabase();
-		const { email, password } = await request.json();
+		const body = await request.json();
+		const email = normalizeEmail(body.email);
+		const { password } = body;
 
 		const existingUser = await User.findOne({ email });
 		if (existingUser) {
@@ -20,14 +23,26 @@ export async function POST(request) {
 		const user = new User({ email, password });
 		await user.save();
 
-		const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
-		return NextResponse.json(
+		// The account is usable right away; a failed email can be sent again from the verification banner
+		try {
+			await sendVerificationEmail(user);
+		} catch (mailError) {
+			console.error("Verification email error:", mailError);
+		}
+
+		const session = await createSession(user._id, {
+			userAgent: request.headers.get("user-agent"),
+		});
+
+		const response = NextResponse.json(
 			{
 				message: "User registered successfully",
-				token,
+				token: session.accessToken,
+				expiresIn: ACCESS_TOKEN_TTL_SECONDS,
 			},
 			{ status: 201 }
 		);
+		return setRefreshTokenCookie(response, session.refreshToken, session.expiresAt);
 	} catch (error) {
 		console.error("Registration error:", error);
 		return NextResponse.json(
@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { resetPassword, AccountValidationError } from "@/app/services/accountService";
+
+// Sets a new password with the token from the reset link: { token, password }.
+// Every existing session is signed out.
+export async function POST(request) {
+  try {
+    const { token, password } = await request.json();
+    await resetPassword(token, password);
+
+    return NextResponse.json({ message: "Your password has been reset. Please log in." });
+  } catch (error) {
+    if (error instanceof AccountValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    console.error("Reset password error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import connectToDatabase from "@/app/utils/db";
+import User from "@/app/models/UserModel";
+import { getUserIdFromToken } from "@/app/utils/serverAuthUtils";
+import { sendVerificationEmail } from "@/app/services/accountService";
+
+// Sends the signed-in user a new verification link; the previous one stops working
+export async function POST(request) {
+  try {
+    const userId = await getUserIdFromToken(request);
+    await connectToDatabase();
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    }
+    if (user.emailVerified) {
+      return NextResponse.json({ message: "Your email is already verified." });
+    }
+
+    await sendVerificationEmail(user);
+    return NextResponse.json({ message: `Verification email sent to ${user.email}.` });
+  } catch (error) {
+    if (error.message === "Invalid token") {
+      return NextResponse.json({ error: error.message }, { status: 401 });
+    }
+    console.error("Resend verification error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
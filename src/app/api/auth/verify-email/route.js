@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server";
+import { verifyEmail, AccountTokenError } from "@/app/services/accountService";
+
+// Confirms an email address with the token from the verification link: { token }
+export async function POST(request) {
+  try {
+    const { token } = await request.json();
+    const user = await verifyEmail(token);
+
+    return NextResponse.json({ message: `${user.email} is verified.` });
+  } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    console.error("Email verification error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { loadPortfolioForRead } from '@/app/services/PortfolioService';
+import { resolveReportingCurrency } from '@/app/services/userPreferencesService';
+import { calculateAllocationBreakdown } from '@/app/services/rebalanceService';
+import { loadAllocationPositions } from '../route';
+
+// Current weights by symbol, sector, industry, country and asset class. ?portfolioId=<id>|all&currency=<code>
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const searchParams = new URL(req.url).searchParams;
+        const portfolioId = searchParams.get('portfolioId');
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+        const currency = await resolveReportingCurrency(userId, searchParams.get('currency'));
+        const { positions } = portfolio
+            ? await loadAllocationPositions(portfolio, currency)
+            : { positions: [] };
+
+        return NextResponse.json({
+            success: true,
+            data: {
+                currency,
+                positions,
+                ...calculateAllocationBreakdown(positions)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching allocation breakdown:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { findUserPortfolio, PortfolioValidationError, ALL_PORTFOLIOS_ID } from '@/app/services/PortfolioService';
+import { resolveReportingCurrency } from '@/app/services/userPreferencesService';
+import { planRebalance } from '@/app/services/rebalanceService';
+import { getTargetAllocation, loadAllocationPositions } from '../route';
+
+// Plans the orders that bring the holdings back to target; nothing is traded.
+// { portfolioId, currency, cash (defaults to the portfolio's cash balance), minTradeSize, wholeShares, allowSells }
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { portfolioId, currency: requestedCurrency, cash, minTradeSize = 0, wholeShares = true, allowSells = true } = await req.json();
+        if (portfolioId === ALL_PORTFOLIOS_ID) {
+            return NextResponse.json({ success: false, message: 'Choose a specific portfolio to rebalance' }, { status: 400 });
+        }
+
+        const portfolio = await findUserPortfolio(userId, portfolioId);
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const currency = await resolveReportingCurrency(userId, requestedCurrency);
+        const allocation = getTargetAllocation(portfolio);
+        const { positions, cash: cashBalance } = await loadAllocationPositions(portfolio, currency, allocation);
+
+        const plan = planRebalance(positions, allocation, {
+            cash: cash === undefined || cash === null ? Math.max(0, cashBalance) : cash,
+            minTradeSize,
+            wholeShares: Boolean(wholeShares),
+            allowSells: Boolean(allowSells)
+        });
+
+        return NextResponse.json({ success: true, data: { currency, allocation, ...plan } });
+    } catch (error) {
+        console.error('Error planning rebalance:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while planning rebalance' }, { status });
+    }
+}
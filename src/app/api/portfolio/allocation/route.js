@@ -0,0 +1,135 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { fetchStockPrices, getExchangeRates, convertCurrency } from '@/app/utils/portfolioUtils';
+import {
+    findUserPortfolio,
+    loadPortfolioForRead,
+    PortfolioValidationError,
+    ALL_PORTFOLIOS_ID
+} from '@/app/services/PortfolioService';
+import { resolveReportingCurrency } from '@/app/services/userPreferencesService';
+import { getAssetClassifications } from '@/app/services/assetService';
+import { normalizeTargetAllocation, calculateAllocationDrift } from '@/app/services/rebalanceService';
+import { aggregatePortfolioHoldings, processHoldingsWithMarketData, createPortfolioCurrencyConverter } from '../route';
+
+const EMPTY_ALLOCATION = { groupBy: 'SYMBOL', targets: [] };
+
+// Helper function to read a portfolio's target allocation as a plain object
+export function getTargetAllocation(portfolio) {
+    const allocation = portfolio?.targetAllocation;
+    if (!allocation?.targets?.length) {
+        return { ...EMPTY_ALLOCATION, groupBy: allocation?.groupBy || 'SYMBOL' };
+    }
+    return {
+        groupBy: allocation.groupBy,
+        targets: allocation.targets.map(({ key, weight }) => ({ key, weight })),
+        updatedAt: allocation.updatedAt
+    };
+}
+
+// Helper function to value the holdings for allocation and rebalancing, in the reporting currency.
+// Symbol targets that are not held yet are included with no shares so they can be bought.
+export async function loadAllocationPositions(portfolio, currency, allocation = EMPTY_ALLOCATION) {
+    const fromEUR = await createPortfolioCurrencyConverter(portfolio, currency);
+    const holdingsBySymbol = aggregatePortfolioHoldings(portfolio, undefined, fromEUR);
+    const heldSymbols = Object.keys(holdingsBySymbol);
+    const targetSymbols = allocation.groupBy === 'SYMBOL'
+        ? allocation.targets.map(t => t.key).filter(symbol => !holdingsBySymbol[symbol])
+        : [];
+    const symbols = [...heldSymbols, ...targetSymbols];
+
+    const [prices, exchangeRates, classifications] = await Promise.all([
+        symbols.length > 0 ? fetchStockPrices(symbols) : {},
+        getExchangeRates(),
+        getAssetClassifications(symbols)
+    ]);
+
+    const held = processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates, currency).map(holding => ({
+        symbol: holding.symbol,
+        shares: holding.totalShares,
+        price: holding.currentPrice,
+        value: holding.currentTotalValue
+    }));
+    const notHeld = targetSymbols.map(symbol => {
+        const priceData = prices[symbol];
+        const price = priceData?.price > 0 ? convertCurrency(priceData.price, priceData.currency, currency, exchangeRates) : null;
+        return { symbol, shares: 0, price: price ?? 0, value: 0 };
+    });
+
+    const positions = [...held, ...notHeld].map(position => ({ ...position, ...classifications[position.symbol] }));
+    const cash = (portfolio.cashBalances || [])
+        .reduce((sum, { currency: cashCurrency, amount }) => sum + (convertCurrency(amount, cashCurrency, currency, exchangeRates) ?? 0), 0);
+
+    return { positions, cash };
+}
+
+// Target allocation and the current drift from it. ?portfolioId=<id>|all&currency=<code>
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const searchParams = new URL(req.url).searchParams;
+        const portfolioId = searchParams.get('portfolioId');
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+        const currency = await resolveReportingCurrency(userId, searchParams.get('currency'));
+        const allocation = getTargetAllocation(portfolio);
+        const { positions, cash } = portfolio
+            ? await loadAllocationPositions(portfolio, currency, allocation)
+            : { positions: [], cash: 0 };
+
+        return NextResponse.json({
+            success: true,
+            data: {
+                currency,
+                allocation,
+                cash,
+                positions,
+                drift: calculateAllocationDrift(positions, allocation)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching target allocation:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Replaces the target allocation: { portfolioId, groupBy: SYMBOL|SECTOR|ASSET_CLASS, targets: [{ key, weight }] }.
+// Weights are percentages adding up to 100; an empty list clears the targets.
+export async function PUT(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { portfolioId, groupBy, targets } = await req.json();
+        if (portfolioId === ALL_PORTFOLIOS_ID) {
+            return NextResponse.json({ success: false, message: 'Choose a specific portfolio to set target weights' }, { status: 400 });
+        }
+
+        const portfolio = await findUserPortfolio(userId, portfolioId);
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        portfolio.targetAllocation = { ...normalizeTargetAllocation({ groupBy, targets }), updatedAt: new Date() };
+        await portfolio.save();
+
+        return NextResponse.json({
+            success: true,
+            message: portfolio.targetAllocation.targets.length > 0 ? 'Target allocation saved.' : 'Target allocation cleared.',
+            data: getTargetAllocation(portfolio)
+        });
+    } catch (error) {
+        console.error('Error saving target allocation:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while saving target allocation' }, { status });
+    }
+}
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { loadPortfolioForRead } from '@/app/services/PortfolioService';
+import {
+    resolveReportingCurrency,
+    getUserPreferences,
+    parseBenchmarkList,
+    UserPreferencesValidationError
+} from '@/app/services/userPreferencesService';
+import { PERFORMANCE_PERIODS } from '@/app/services/performanceService';
+import { compareWithBenchmarks } from '@/app/services/benchmarkService';
+import { createPortfolioCurrencyConverter } from '../route';
+
+// Holdings performance against benchmarks, with alpha, beta and tracking error.
+// ?portfolioId=<id>|all&currency=<code>&period=YTD|1Y|3Y|ALL (default 1Y)
+// &benchmark=SPY&benchmark=VT:60,AGG:40 (the user's saved benchmarks when omitted)
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const searchParams = new URL(req.url).searchParams;
+        const portfolioId = searchParams.get('portfolioId');
+        const period = searchParams.get('period') || '1Y';
+        if (!PERFORMANCE_PERIODS.includes(period)) {
+            return NextResponse.json({ success: false, message: `Period must be one of ${PERFORMANCE_PERIODS.join(', ')}` }, { status: 400 });
+        }
+
+        let specs = searchParams.getAll('benchmark');
+        if (specs.length === 0) {
+            specs = (await getUserPreferences(userId))?.benchmarks || [];
+        }
+        const benchmarks = parseBenchmarkList(specs);
+
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+        const currency = await resolveReportingCurrency(userId, searchParams.get('currency'));
+        if (!portfolio) {
+            return NextResponse.json({
+                success: true,
+                data: { currency, period, startDate: null, endDate: null, portfolioReturn: null, series: [], benchmarks: [] },
+                benchmarks: benchmarks.map(b => b.spec)
+            });
+        }
+
+        const fromEUR = await createPortfolioCurrencyConverter(portfolio, currency);
+        const comparison = await compareWithBenchmarks(portfolio, { currency, fromEUR, benchmarks, period });
+
+        return NextResponse.json({ success: true, data: comparison, benchmarks: benchmarks.map(b => b.spec) });
+    } catch (error) {
+        console.error('Error comparing portfolio with benchmarks:', error);
+        if (error instanceof UserPreferencesValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while comparing with benchmarks' }, { status });
+    }
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import {
+    findUserPortfolio,
+    loadPortfolioForRead,
+    recordCashTransaction,
+    PortfolioValidationError,
+    ALL_PORTFOLIOS_ID,
+    CASH_TRANSACTION_TYPES
+} from '@/app/services/PortfolioService';
+import { getExchangeRatesForDate } from '@/app/services/exchangeRateService';
+
+// Cash balances per currency and deposit/withdrawal history, newest first. ?portfolioId=<id>|all
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const portfolioId = new URL(req.url).searchParams.get('portfolioId');
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const transactions = (portfolio?.transactions || [])
+            .filter(t => CASH_TRANSACTION_TYPES.includes(t.type))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        return NextResponse.json({
+            success: true,
+            data: {
+                trackCash: Boolean(portfolio?.trackCash),
+                balances: portfolio?.cashBalances || [],
+                transactions
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching cash balances:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Records a deposit or withdrawal: { type, amount, currency, date, notes, portfolioId }
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { type, amount, currency, date, notes, portfolioId } = await req.json();
+        if (portfolioId === ALL_PORTFOLIOS_ID) {
+            return NextResponse.json({ success: false, message: 'Choose a specific portfolio for cash transactions' }, { status: 400 });
+        }
+
+        const portfolio = await findUserPortfolio(userId, portfolioId, { create: true });
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const exchangeRates = await getExchangeRatesForDate(date);
+        const transaction = recordCashTransaction(portfolio, { type, amount, currency, date, notes }, exchangeRates);
+        await portfolio.save();
+
+        return NextResponse.json({
+            success: true,
+            message: `${type === 'DEPOSIT' ? 'Deposited' : 'Withdrew'} ${transaction.amount} ${transaction.currency}.`,
+            data: { transaction, balances: portfolio.cashBalances }
+        });
+    } catch (error) {
+        console.error('Error recording cash transaction:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while recording cash transaction' }, { status });
+    }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectToDatabase from '@/app/utils/db';
+import Portfolio from '@/app/models/Portfolio';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { PortfolioValidationError } from '@/app/services/PortfolioService';
+import { revertCorporateAction } from '@/app/services/corporateActionService';
+
+// Reverts a corporate action, restoring the lots it adjusted. The action stays in the audit trail marked as reverted.
+export async function DELETE(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { actionId } = await params;
+        if (!mongoose.isValidObjectId(actionId)) {
+            return NextResponse.json({ success: false, message: 'Corporate action not found' }, { status: 404 });
+        }
+
+        const portfolio = await Portfolio.findOne({ userId, 'corporateActions._id': actionId });
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Corporate action not found' }, { status: 404 });
+        }
+
+        const action = revertCorporateAction(portfolio, actionId);
+        await portfolio.save();
+
+        return NextResponse.json({ success: true, message: 'Corporate action reverted.', data: action });
+    } catch (error) {
+        console.error('Error reverting corporate action:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while reverting corporate action' }, { status });
+    }
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import {
+    findUserPortfolio,
+    loadPortfolioForRead,
+    PortfolioValidationError,
+    ALL_PORTFOLIOS_ID
+} from '@/app/services/PortfolioService';
+import { applyCorporateAction } from '@/app/services/corporateActionService';
+
+// Corporate actions applied to a portfolio (including reverted ones), newest first. ?portfolioId=<id>|all
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const portfolioId = new URL(req.url).searchParams.get('portfolioId');
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const actions = [...(portfolio?.corporateActions || [])]
+            .sort((a, b) => new Date(b.effectiveDate) - new Date(a.effectiveDate));
+
+        return NextResponse.json({ success: true, data: actions });
+    } catch (error) {
+        console.error('Error fetching corporate actions:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Applies a split, reverse split, rename or merger to a portfolio's lots:
+// { type, symbol, newSymbol, ratioFrom, ratioTo, effectiveDate, source, notes, portfolioId }
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { portfolioId, ...input } = await req.json();
+        if (portfolioId === ALL_PORTFOLIOS_ID) {
+            return NextResponse.json({ success: false, message: 'Choose a specific portfolio to apply a corporate action to' }, { status: 400 });
+        }
+
+        const portfolio = await findUserPortfolio(userId, portfolioId);
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const action = applyCorporateAction(portfolio, input);
+        await portfolio.save();
+
+        return NextResponse.json({
+            success: true,
+            message: `Applied ${action.type.toLowerCase().replace('_', ' ')} of ${action.symbol} to ${action.adjustments.filter(a => a.target !== 'SALE').length} lot(s).`,
+            data: action
+        });
+    } catch (error) {
+        console.error('Error applying corporate action:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while applying corporate action' }, { status });
+    }
+}
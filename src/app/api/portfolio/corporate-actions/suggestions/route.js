@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { loadPortfolioForRead } from '@/app/services/PortfolioService';
+import { suggestCorporateActions } from '@/app/services/corporateActionService';
+
+// Splits and ticker renames from Polygon reference data that are not applied yet. ?portfolioId=<id>|all
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const portfolioId = new URL(req.url).searchParams.get('portfolioId');
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const suggestions = portfolio ? await suggestCorporateActions(portfolio) : [];
+        return NextResponse.json({ success: true, data: suggestions });
+    } catch (error) {
+        console.error('Error suggesting corporate actions:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import {
+    findUserPortfolio,
+    loadPortfolioForRead,
+    recordDividend,
+    PortfolioValidationError,
+    ALL_PORTFOLIOS_ID,
+    DIVIDEND_TRANSACTION_TYPE
+} from '@/app/services/PortfolioService';
+import { getExchangeRatesForDate } from '@/app/services/exchangeRateService';
+
+// Recorded dividends, newest first. ?portfolioId=<id>|all
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const portfolioId = new URL(req.url).searchParams.get('portfolioId');
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const dividends = (portfolio?.transactions || [])
+            .filter(t => t.type === DIVIDEND_TRANSACTION_TYPE)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        return NextResponse.json({ success: true, data: dividends });
+    } catch (error) {
+        console.error('Error fetching dividends:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Records a dividend received:
+// { symbol, amount, withholdingTax, currency, date, exDividendDate, quantity, dividendPerShare, notes, portfolioId }
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { portfolioId, ...input } = await req.json();
+        if (portfolioId === ALL_PORTFOLIOS_ID) {
+            return NextResponse.json({ success: false, message: 'Choose a specific portfolio to record a dividend' }, { status: 400 });
+        }
+
+        const portfolio = await findUserPortfolio(userId, portfolioId);
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const exchangeRates = await getExchangeRatesForDate(input.date);
+        const transaction = recordDividend(portfolio, input, exchangeRates);
+        await portfolio.save();
+
+        return NextResponse.json({
+            success: true,
+            message: `Recorded ${transaction.amount} ${transaction.currency} dividend from ${transaction.symbol}.`,
+            data: transaction
+        });
+    } catch (error) {
+        console.error('Error recording dividend:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while recording dividend' }, { status });
+    }
+}
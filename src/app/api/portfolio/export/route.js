@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { loadPortfolioForRead } from '@/app/services/PortfolioService';
+import {
+    buildLotRows,
+    buildTransactionRows,
+    buildTaxLotReport,
+    toCsv,
+    HISTORY_CSV_COLUMNS,
+    TAX_LOT_CSV_COLUMNS
+} from '@/app/services/portfolioExportService';
+import { describePortfolio } from '../route';
+
+const FORMATS = ['csv', 'json'];
+const REPORTS = ['history', 'tax'];
+
+function downloadResponse(body, contentType, filename) {
+    return new NextResponse(body, {
+        headers: {
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+/**
+ * Export portfolio data.
+ * ?report=history (default) exports all lots and transactions; ?report=tax&year=YYYY exports the tax-lot report.
+ * ?format=csv|json, ?portfolioId=<id>|all
+ */
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const searchParams = new URL(req.url).searchParams;
+        const format = searchParams.get('format') || 'csv';
+        const report = searchParams.get('report') || 'history';
+        const portfolioId = searchParams.get('portfolioId');
+        const yearParam = searchParams.get('year');
+        const year = yearParam ? parseInt(yearParam, 10) : null;
+
+        if (!FORMATS.includes(format)) {
+            return NextResponse.json({ success: false, message: `Format must be one of ${FORMATS.join(', ')}` }, { status: 400 });
+        }
+        if (!REPORTS.includes(report)) {
+            return NextResponse.json({ success: false, message: `Report must be one of ${REPORTS.join(', ')}` }, { status: 400 });
+        }
+        if (yearParam && (isNaN(year) || year < 1900 || year > 9999)) {
+            return NextResponse.json({ success: false, message: 'Invalid year' }, { status: 400 });
+        }
+
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        const dateStamp = new Date().toISOString().slice(0, 10);
+
+        if (report === 'tax') {
+            const taxReport = buildTaxLotReport(portfolio, year);
+            const filename = `tax-lots-${year || 'all-years'}`;
+
+            if (format === 'csv') {
+                return downloadResponse(toCsv(taxReport.rows, TAX_LOT_CSV_COLUMNS), 'text/csv; charset=utf-8', `${filename}.csv`);
+            }
+            return downloadResponse(
+                JSON.stringify({ portfolio: describePortfolio(portfolio), year, ...taxReport, exportedAt: new Date().toISOString() }, null, 2),
+                'application/json',
+                `${filename}.json`
+            );
+        }
+
+        const lots = buildLotRows(portfolio);
+        const transactions = buildTransactionRows(portfolio);
+        const filename = `portfolio-${dateStamp}`;
+
+        if (format === 'csv') {
+            return downloadResponse(toCsv([...lots, ...transactions], HISTORY_CSV_COLUMNS), 'text/csv; charset=utf-8', `${filename}.csv`);
+        }
+        return downloadResponse(
+            JSON.stringify({ portfolio: describePortfolio(portfolio), lots, transactions, exportedAt: new Date().toISOString() }, null, 2),
+            'application/json',
+            `${filename}.json`
+        );
+    } catch (error) {
+        console.error('Error exporting portfolio:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while exporting' }, { status });
+    }
+}
@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import Portfolio from '@/app/models/Portfolio';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { findUserPortfolio, PortfolioValidationError, ALL_PORTFOLIOS_ID } from '@/app/services/PortfolioService';
+import { getExchangeRatesForDates } from '@/app/services/exchangeRateService';
+import { BROKER_PRESETS, parseCsv, normalizeRows, markDuplicates, applyImportRows } from '@/app/services/portfolioImportService';
+
+const MAX_CSV_LENGTH = 2 * 1024 * 1024; // ~2MB of text
+
+// Lists the supported broker presets and their column mappings
+export async function GET(req) {
+    try {
+        await getUserIdFromToken(req);
+
+        const presets = Object.entries(BROKER_PRESETS).map(([key, preset]) => ({
+            key,
+            label: preset.label,
+            columns: preset.columns
+        }));
+
+        return NextResponse.json({ success: true, data: presets });
+    } catch (error) {
+        console.error('Error listing import presets:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Previews (commit: false) or imports (commit: true) a broker CSV export
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const {
+            csv,
+            preset = 'generic',
+            columns,
+            dateFormat,
+            decimalSeparator,
+            portfolioId,
+            commit = false,
+            skipDuplicates = true
+        } = await req.json();
+
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return NextResponse.json({ success: false, message: 'CSV content is required' }, { status: 400 });
+        }
+        if (csv.length > MAX_CSV_LENGTH) {
+            return NextResponse.json({ success: false, message: 'CSV file is too large' }, { status: 400 });
+        }
+        if (portfolioId === ALL_PORTFOLIOS_ID) {
+            return NextResponse.json({ success: false, message: 'Choose a specific portfolio to import into' }, { status: 400 });
+        }
+
+        let portfolio = await findUserPortfolio(userId, portfolioId, { create: commit });
+        if (!portfolio && portfolioId) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+        // Previewing before the user has any portfolio: work on an unsaved one
+        portfolio = portfolio || new Portfolio({ userId });
+
+        const parsedRows = await parseCsv(csv);
+        const importRows = markDuplicates(normalizeRows(parsedRows, { preset, columns, dateFormat, decimalSeparator }), portfolio);
+        // Each trade converts at the exchange rate of its own date
+        const ratesByDay = await getExchangeRatesForDates(importRows.filter(r => r.date).map(r => r.date));
+
+        // Rows are applied to the loaded document either way; only a commit saves it
+        const rows = applyImportRows(portfolio, importRows, ratesByDay, { skipDuplicates });
+        const okCount = rows.filter(r => r.status === 'ok').length;
+
+        if (commit && okCount > 0) {
+            await portfolio.save();
+        }
+
+        return NextResponse.json({
+            success: true,
+            committed: commit && okCount > 0,
+            data: {
+                rows,
+                summary: {
+                    total: rows.length,
+                    buys: rows.filter(r => r.type === 'BUY').length,
+                    sells: rows.filter(r => r.type === 'SELL').length,
+                    ok: okCount,
+                    duplicates: rows.filter(r => r.status === 'duplicate').length,
+                    errors: rows.filter(r => r.status === 'error').length
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error importing portfolio CSV:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while importing' }, { status });
+    }
+}
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import connectToDatabase from '@/app/utils/db';
+import Portfolio from '@/app/models/Portfolio';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { getExchangeRatesForDate } from '@/app/services/exchangeRateService';
+import { updateLot, removeLot, PortfolioValidationError } from '@/app/services/PortfolioService';
+
+// Helper function to load the portfolio holding one of the user's lots
+async function findPortfolioWithLot(userId, lotId) {
+    if (!mongoose.isValidObjectId(lotId)) {
+        return null;
+    }
+    return Portfolio.findOne({ userId, 'holdings._id': lotId });
+}
+
+// Corrects a lot: { shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes }, all optional.
+// The cost is converted to EUR again at the rates of the (new) purchase date.
+export async function PATCH(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { lotId } = await params;
+        const portfolio = await findPortfolioWithLot(userId, lotId);
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Lot not found' }, { status: 404 });
+        }
+
+        const { shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes } = await req.json();
+        const exchangeRates = await getExchangeRatesForDate(purchaseDate ?? portfolio.holdings.id(lotId).purchaseDate);
+        const lot = updateLot(portfolio, lotId, { shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes }, exchangeRates);
+        await portfolio.save();
+
+        return NextResponse.json({ success: true, message: `${lot.symbol} lot updated.`, data: lot });
+    } catch (error) {
+        console.error('Error updating lot:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while updating lot' }, { status });
+    }
+}
+
+// Deletes a lot entered by mistake. To record shares leaving the portfolio, sell them instead.
+export async function DELETE(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { lotId } = await params;
+        const portfolio = await findPortfolioWithLot(userId, lotId);
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Lot not found' }, { status: 404 });
+        }
+
+        const lot = removeLot(portfolio, lotId);
+        await portfolio.save();
+
+        return NextResponse.json({ success: true, message: `${lot.symbol} lot deleted.`, data: lot });
+    } catch (error) {
+        console.error('Error deleting lot:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while deleting lot' }, { status });
+    }
+}
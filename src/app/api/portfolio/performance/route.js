@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { fetchStockPrices, getExchangeRates } from '@/app/utils/portfolioUtils';
+import { loadPortfolioForRead } from '@/app/services/PortfolioService';
+import { resolveReportingCurrency } from '@/app/services/userPreferencesService';
+import { calculatePerformance, PERFORMANCE_PERIODS } from '@/app/services/performanceService';
+import { aggregatePortfolioHoldings, processHoldingsWithMarketData, createPortfolioCurrencyConverter } from '../route';
+
+// Time-weighted and money-weighted returns of the holdings.
+// ?portfolioId=<id>|all&currency=<code>&period=YTD|1Y|3Y|ALL (all periods when omitted)
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const searchParams = new URL(req.url).searchParams;
+        const portfolioId = searchParams.get('portfolioId');
+        const period = searchParams.get('period');
+        if (period && !PERFORMANCE_PERIODS.includes(period)) {
+            return NextResponse.json({ success: false, message: `Period must be one of ${PERFORMANCE_PERIODS.join(', ')}` }, { status: 400 });
+        }
+
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+        const currency = await resolveReportingCurrency(userId, searchParams.get('currency'));
+        if (!portfolio) {
+            return NextResponse.json({ success: true, data: { currency, inceptionDate: null, periods: {} } });
+        }
+
+        const fromEUR = await createPortfolioCurrencyConverter(portfolio, currency);
+        const holdingsBySymbol = aggregatePortfolioHoldings(portfolio, undefined, fromEUR);
+        const symbols = Object.keys(holdingsBySymbol);
+        const [prices, exchangeRates] = await Promise.all([
+            symbols.length > 0 ? fetchStockPrices(symbols) : {},
+            getExchangeRates()
+        ]);
+        const currentValue = processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates, currency)
+            .reduce((sum, h) => sum + h.currentTotalValue, 0);
+
+        const performance = await calculatePerformance(portfolio, {
+            currency,
+            fromEUR,
+            currentValue,
+            periods: period ? [period] : PERFORMANCE_PERIODS
+        });
+
+        return NextResponse.json({ success: true, data: performance });
+    } catch (error) {
+        console.error('Error calculating portfolio performance:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while calculating performance' }, { status });
+    }
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { fetchStockPrices, getExchangeRates } from '@/app/utils/portfolioUtils';
+import { loadPortfolioForRead } from '@/app/services/PortfolioService';
+import {
+    resolveReportingCurrency,
+    getUserPreferences,
+    parseBenchmarkList,
+    UserPreferencesValidationError
+} from '@/app/services/userPreferencesService';
+import { getQuoteCurrencies } from '@/app/services/performanceService';
+import { calculateRiskMetrics, DEFAULT_RISK_LOOKBACK_DAYS, MAX_RISK_LOOKBACK_DAYS } from '@/app/services/riskService';
+import { aggregatePortfolioHoldings, processHoldingsWithMarketData, createPortfolioCurrencyConverter } from '../route';
+
+/**
+ * Current holdings as risk positions: quote currency and value in the reporting currency
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {string} currency - Reporting currency
+ * @returns {Promise<Array<{symbol: string, currency: string, value: number}>>}
+ */
+async function loadRiskPositions(portfolio, currency) {
+    const fromEUR = await createPortfolioCurrencyConverter(portfolio, currency);
+    const holdingsBySymbol = aggregatePortfolioHoldings(portfolio, undefined, fromEUR);
+    const symbols = Object.keys(holdingsBySymbol);
+    if (symbols.length === 0) {
+        return [];
+    }
+    const [prices, exchangeRates] = await Promise.all([fetchStockPrices(symbols), getExchangeRates()]);
+    const quoteCurrencies = getQuoteCurrencies(portfolio);
+
+    return processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates, currency).map(holding => ({
+        symbol: holding.symbol,
+        currency: prices[holding.symbol]?.currency || quoteCurrencies[holding.symbol] || 'USD',
+        value: holding.currentTotalValue,
+    }));
+}
+
+// Volatility, Sharpe, Sortino, max drawdown, VaR/CVaR, beta and correlations of the current holdings.
+// ?portfolioId=<id>|all&currency=<code>&days=<lookback, default 365>&riskFreeRate=<annual fraction, default 0>
+// &benchmark=<spec> (the user's first saved benchmark when omitted)
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const searchParams = new URL(req.url).searchParams;
+        const portfolioId = searchParams.get('portfolioId');
+
+        const days = searchParams.has('days') ? parseInt(searchParams.get('days'), 10) : DEFAULT_RISK_LOOKBACK_DAYS;
+        if (!Number.isInteger(days) || days < 30 || days > MAX_RISK_LOOKBACK_DAYS) {
+            return NextResponse.json({ success: false, message: `days must be between 30 and ${MAX_RISK_LOOKBACK_DAYS}` }, { status: 400 });
+        }
+        const riskFreeRate = searchParams.has('riskFreeRate') ? parseFloat(searchParams.get('riskFreeRate')) : 0;
+        if (!isFinite(riskFreeRate) || riskFreeRate < 0 || riskFreeRate > 0.2) {
+            return NextResponse.json({ success: false, message: 'riskFreeRate must be an annual rate between 0 and 0.2' }, { status: 400 });
+        }
+
+        const benchmarkSpec = searchParams.get('benchmark') || (await getUserPreferences(userId))?.benchmarks?.[0];
+        const [benchmark] = benchmarkSpec ? parseBenchmarkList([benchmarkSpec]) : [];
+
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+        const currency = await resolveReportingCurrency(userId, searchParams.get('currency'));
+        const positions = portfolio ? await loadRiskPositions(portfolio, currency) : [];
+
+        const risk = await calculateRiskMetrics(positions, { currency, benchmark, days, riskFreeRate });
+        return NextResponse.json({ success: true, data: risk });
+    } catch (error) {
+        console.error('Error calculating portfolio risk:', error);
+        if (error instanceof UserPreferencesValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while calculating risk' }, { status });
+    }
+}
@@ -1,32 +1,99 @@
 import { NextResponse } from 'next/server';
 import connectToDatabase from '@/app/utils/db';
-import Portfolio from '@/app/models/Portfolio';
 import { getUserIdFromToken } from '@/app/utils/serverAuthUtils'; // Refactored
-import { fetchStockPrices, getExchangeRates } from '@/app/utils/portfolioUtils'; // Refactored
+import { fetchStockPrices, getExchangeRates, convertCurrency } from '@/app/utils/portfolioUtils'; // Refactored
+import { calculateRealizedProfitLoss, sortLotsForMethod } from '@/app/utils/costBasis';
+import { DEFAULT_BASE_CURRENCY } from '@/app/utils/currency';
+import { findUserPortfolio, loadPortfolioForRead, buildLot, recordPurchase, PortfolioValidationError, ALL_PORTFOLIOS_ID } from '@/app/services/PortfolioService';
+import { getExchangeRatesForDate, createFromEURConverter } from '@/app/services/exchangeRateService';
+import { resolveReportingCurrency } from '@/app/services/userPreferencesService';
 
-// Helper function to calculate portfolio summary
-export function calculatePortfolioSummary(aggregatedHoldings) {
-    let globalTotalInvestmentInEUR = 0;
-    let globalCurrentTotalValueInEUR = 0;
+// No-op converter for values reported in EUR, the currency amounts are stored in
+const identity = (amountInEUR) => amountInEUR;
+
+// Helper function to build the EUR -> reporting currency converter for a portfolio.
+// Loads the exchange rates of every purchase and sale date up front.
+export async function createPortfolioCurrencyConverter(portfolio, currency) {
+    const dates = [
+        ...(portfolio?.holdings || []).map(lot => lot.purchaseDate),
+        ...(portfolio?.transactions || []).flatMap(t => [t.date, ...(t.lots || []).map(lot => lot.purchaseDate)])
+    ].filter(Boolean);
+    return createFromEURConverter(currency, dates);
+}
+
+// Helper function to calculate portfolio summary.
+// Cash balances are valued at current exchange rates; deposits, withdrawals and dividends at the rate of their date.
+// Total return adds realized gains and dividends (net of withholding tax) to the unrealized gain.
+export function calculatePortfolioSummary(aggregatedHoldings, transactions = [], { currency = DEFAULT_BASE_CURRENCY, fromEUR = identity, cashBalances = [], exchangeRates } = {}) {
+    let globalTotalInvestment = 0;
+    let globalCurrentTotalValue = 0;
 
     aggregatedHoldings.forEach(h => {
-        globalTotalInvestmentInEUR += h.totalInvestmentInEUR;
-        globalCurrentTotalValueInEUR += h.currentTotalValueInEUR;
+        globalTotalInvestment += h.totalInvestment;
+        globalCurrentTotalValue += h.currentTotalValue;
+    });
+
+    const globalTotalProfitLoss = globalCurrentTotalValue - globalTotalInvestment;
+    const globalPercentageReturn = globalTotalInvestment > 0 ? (globalTotalProfitLoss / globalTotalInvestment) * 100 : 0;
+    const realizedProfitLoss = calculateRealizedProfitLoss(transactions, fromEUR);
+
+    const cash = cashBalances.map(({ currency: cashCurrency, amount }) => {
+        const converted = convertCurrency(amount, cashCurrency, currency, exchangeRates);
+        if (converted === null) {
+            console.warn(`Could not convert ${cashCurrency} cash to ${currency}. Rates or currency missing.`);
+        }
+        return { currency: cashCurrency, amount, value: converted ?? 0 };
     });
+    const cashBalance = cash.reduce((sum, c) => sum + c.value, 0);
 
-    const globalTotalProfitLossInEUR = globalCurrentTotalValueInEUR - globalTotalInvestmentInEUR;
-    const globalPercentageReturn = globalTotalInvestmentInEUR > 0 ? (globalTotalProfitLossInEUR / globalTotalInvestmentInEUR) * 100 : 0;
+    const netContributions = transactions.reduce((sum, t) => {
+        if (t.type === 'DEPOSIT') return sum + fromEUR(t.amountInEUR, t.date);
+        if (t.type === 'WITHDRAWAL') return sum - fromEUR(t.amountInEUR, t.date);
+        return sum;
+    }, 0);
+
+    const dividends = transactions.filter(t => t.type === 'DIVIDEND');
+    const dividendWithholdingTax = dividends.reduce((sum, t) => sum + fromEUR(t.withholdingTaxInEUR || 0, t.date), 0);
+    const dividendIncome = dividends.reduce((sum, t) => sum + fromEUR(t.amountInEUR, t.date), 0) - dividendWithholdingTax;
+
+    const totalReturn = globalTotalProfitLoss + realizedProfitLoss + dividendIncome;
 
     return {
-        totalInvestmentInEUR: globalTotalInvestmentInEUR,
-        currentTotalValueInEUR: globalCurrentTotalValueInEUR,
-        totalProfitLossInEUR: globalTotalProfitLossInEUR,
-        percentageReturn: globalPercentageReturn
+        currency,
+        totalInvestment: globalTotalInvestment,
+        currentTotalValue: globalCurrentTotalValue,
+        totalProfitLoss: globalTotalProfitLoss,
+        percentageReturn: globalPercentageReturn,
+        realizedProfitLoss,
+        dividendIncome,
+        dividendWithholdingTax,
+        totalReturn,
+        totalReturnPercentage: globalTotalInvestment > 0 ? (totalReturn / globalTotalInvestment) * 100 : 0,
+        cash,
+        cashBalance,
+        totalAccountValue: globalCurrentTotalValue + cashBalance,
+        netContributions
     };
 }
 
-// Helper function to aggregate holdings from portfolio data
-export function aggregatePortfolioHoldings(portfolio) {
+// Helper function to describe which portfolio a response refers to
+export function describePortfolio(portfolio) {
+    if (!portfolio) {
+        return { _id: null, name: 'My Portfolio', costBasisMethod: 'FIFO', archived: false, trackCash: false };
+    }
+    return {
+        _id: portfolio._id,
+        name: portfolio.name,
+        costBasisMethod: portfolio.costBasisMethod,
+        archived: portfolio.archived,
+        trackCash: Boolean(portfolio.trackCash)
+    };
+}
+
+// Helper function to aggregate holdings from portfolio data.
+// Lots are listed in the order the cost-basis method would sell them.
+// Lot costs are converted with fromEUR at their purchase date (see createPortfolioCurrencyConverter).
+export function aggregatePortfolioHoldings(portfolio, costBasisMethod = portfolio.costBasisMethod || 'FIFO', fromEUR = identity) {
     const holdingsBySymbol = {};
     portfolio.holdings.forEach(holding => {
         const symbol = holding.symbol;
@@ -35,7 +102,8 @@ export function aggregatePortfolioHoldings(portfolio) {
                 symbol,
                 name: holding.name || symbol, 
                 totalShares: 0,
-                aggregatedTotalCostInEUR: 0, 
+                aggregatedTotalCost: 0, 
+                costBasisMethod,
                 transactions: [] 
             };
         }
@@ -43,48 +111,52 @@ export function aggregatePortfolioHoldings(portfolio) {
         // Ensure costInEUR is a number before multiplying
         const costInEUR = typeof holding.costInEUR === 'number' ? holding.costInEUR : 0;
         const shares = typeof holding.shares === 'number' ? holding.shares : 0;
-        holdingsBySymbol[symbol].aggregatedTotalCostInEUR += costInEUR * shares;
+        holdingsBySymbol[symbol].aggregatedTotalCost += fromEUR(costInEUR * shares, holding.purchaseDate);
         holdingsBySymbol[symbol].transactions.push(holding); 
     });
+    Object.values(holdingsBySymbol).forEach(h => {
+        h.transactions = sortLotsForMethod(h.transactions, costBasisMethod);
+    });
     return holdingsBySymbol;
 }
 
-// Helper function to process holdings with current prices and exchange rates
-export function processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates) {
+// Helper function to process holdings with current prices and exchange rates.
+// Values are reported in `currency`; aggregated costs must already be in that currency.
+export function processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates, currency = DEFAULT_BASE_CURRENCY) {
     const symbols = Object.keys(holdingsBySymbol);
     return symbols.map(symbolKey => {
         const holdingAgg = holdingsBySymbol[symbolKey];
         const priceData = prices[symbolKey]; 
 
-        let currentPriceInEUR = 0;
+        let currentPrice = 0;
         if (priceData && typeof priceData.price === 'number' && priceData.price > 0 && exchangeRates) {
-            if (priceData.currency === 'EUR') {
-                currentPriceInEUR = priceData.price;
-            } else if (exchangeRates[priceData.currency] && exchangeRates['EUR']) {
-                const priceInBaseCurrency = priceData.price / exchangeRates[priceData.currency]; // Convert to USD first if rates are USD based
-                currentPriceInEUR = priceInBaseCurrency * exchangeRates['EUR'];
+            const convertedPrice = convertCurrency(priceData.price, priceData.currency, currency, exchangeRates);
+            if (convertedPrice !== null) {
+                currentPrice = convertedPrice;
             } else {
-                console.warn(`Could not convert price for ${symbolKey} from ${priceData.currency} to EUR. Rates or currency missing.`);
+                console.warn(`Could not convert price for ${symbolKey} from ${priceData.currency} to ${currency}. Rates or currency missing.`);
             }
         }
 
         const totalShares = holdingAgg.totalShares || 0;
-        const totalInvestmentForHoldingInEUR = holdingAgg.aggregatedTotalCostInEUR || 0;
-        const avgCostPerShareInEUR = totalShares > 0 ? totalInvestmentForHoldingInEUR / totalShares : 0;
-        const currentTotalValueInEUR = totalShares * currentPriceInEUR;
-        const totalProfitLossInEUR = currentTotalValueInEUR - totalInvestmentForHoldingInEUR;
-        const percentageReturn = totalInvestmentForHoldingInEUR > 0 ? (totalProfitLossInEUR / totalInvestmentForHoldingInEUR) * 100 : 0;
+        const totalInvestment = holdingAgg.aggregatedTotalCost || 0;
+        const avgCostPerShare = totalShares > 0 ? totalInvestment / totalShares : 0;
+        const currentTotalValue = totalShares * currentPrice;
+        const totalProfitLoss = currentTotalValue - totalInvestment;
+        const percentageReturn = totalInvestment > 0 ? (totalProfitLoss / totalInvestment) * 100 : 0;
 
         return {
             symbol: symbolKey,
             name: holdingAgg.name,
+            currency,
             totalShares,
-            avgCostPerShareInEUR: avgCostPerShareInEUR,
-            currentPriceInEUR: currentPriceInEUR,
-            currentTotalValueInEUR: currentTotalValueInEUR,
-            totalInvestmentInEUR: totalInvestmentForHoldingInEUR,
-            totalProfitLossInEUR: totalProfitLossInEUR,
+            avgCostPerShare,
+            currentPrice,
+            currentTotalValue,
+            totalInvestment,
+            totalProfitLoss,
             percentageReturn,
+            costBasisMethod: holdingAgg.costBasisMethod,
             transactions: holdingAgg.transactions 
         };
     });
@@ -92,30 +164,44 @@ export function processHoldingsWithMarketData(holdingsBySymbol, prices, exchange
 
 export async function GET(req) {
 	try {
-		const userId = getUserIdFromToken(req);
+		const userId = await getUserIdFromToken(req);
 		await connectToDatabase();
 
-		const portfolio = await Portfolio.findOne({ userId });
+		const searchParams = new URL(req.url).searchParams;
+		const portfolioId = searchParams.get('portfolioId');
+		const portfolio = await loadPortfolioForRead(userId, portfolioId);
+		// ?currency= switches the display currency without changing the user's base currency
+		const currency = await resolveReportingCurrency(userId, searchParams.get('currency'));
+
+		if (portfolioId && !portfolio) {
+			return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+		}
+
+		const fromEUR = await createPortfolioCurrencyConverter(portfolio, currency);
+		const cashBalances = portfolio?.cashBalances || [];
+		const hasHoldings = portfolio && portfolio.holdings.length > 0;
 
-		if (!portfolio || portfolio.holdings.length === 0) {
+		if (!hasHoldings && cashBalances.length === 0) {
 			return NextResponse.json({
 				success: true,
 				data: [],
-				summary: { totalInvestmentInEUR: 0, currentTotalValueInEUR: 0, totalProfitLossInEUR: 0, percentageReturn: 0 }
+				summary: calculatePortfolioSummary([], portfolio?.transactions, { currency, fromEUR }),
+				portfolio: describePortfolio(portfolio),
+				currency
 			});
 		}
 
-		const holdingsBySymbol = aggregatePortfolioHoldings(portfolio);
+		const holdingsBySymbol = hasHoldings ? aggregatePortfolioHoldings(portfolio, undefined, fromEUR) : {};
 		const symbols = Object.keys(holdingsBySymbol);
 		
         // Parallel fetch of prices and exchange rates
         const [prices, exchangeRates] = await Promise.all([
-            fetchStockPrices(symbols),
+            symbols.length > 0 ? fetchStockPrices(symbols) : {},
             getExchangeRates()
         ]);
 
-		const aggregatedHoldings = processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates);
-		const summary = calculatePortfolioSummary(aggregatedHoldings);
+		const aggregatedHoldings = processHoldingsWithMarketData(holdingsBySymbol, prices, exchangeRates, currency);
+		const summary = calculatePortfolioSummary(aggregatedHoldings, portfolio.transactions, { currency, fromEUR, cashBalances, exchangeRates });
 
 		console.log('API returning aggregatedHoldings:', JSON.stringify(aggregatedHoldings, null, 2)); 
 		console.log('API returning summary:', JSON.stringify(summary, null, 2));
@@ -123,7 +209,9 @@ export async function GET(req) {
 		return NextResponse.json({
 			success: true,
 			data: aggregatedHoldings,
-			summary
+			summary,
+			portfolio: describePortfolio(portfolio),
+			currency
 		});
 	} catch (error) {
 		console.error('Error fetching portfolio:', error);
@@ -134,63 +222,36 @@ export async function GET(req) {
 
 export async function POST(req) {
     try {
-        const userId = getUserIdFromToken(req);
+        const userId = await getUserIdFromToken(req);
         await connectToDatabase();
 
-        const { symbol, shares, costPerShare, purchaseDate, currency, notes, name } = await req.json(); // Added name
+        const { symbol, shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes, name, portfolioId } = await req.json(); // Added name
 
-        // Validate input
-        if (!symbol || !shares || !costPerShare || !purchaseDate || !currency) {
-            return NextResponse.json({ success: false, message: 'Missing required fields' }, { status: 400 });
-        }
-        if (typeof shares !== 'number' || shares <= 0) {
-            return NextResponse.json({ success: false, message: 'Shares must be a positive number' }, { status: 400 });
-        }
-        if (typeof costPerShare !== 'number' || costPerShare <= 0) {
-            return NextResponse.json({ success: false, message: 'Cost per share must be a positive number' }, { status: 400 });
+        if (portfolioId === ALL_PORTFOLIOS_ID) {
+            return NextResponse.json({ success: false, message: 'Choose a specific portfolio to add stock to' }, { status: 400 });
         }
 
-        const exchangeRates = await getExchangeRates();
-        let costInEUR;
-
-        if (currency.toUpperCase() === 'EUR') {
-            costInEUR = costPerShare;
-        } else if (exchangeRates && exchangeRates[currency.toUpperCase()] && exchangeRates['EUR']) {
-            // Assuming exchangeRates are relative to USD. Convert original currency to USD, then USD to EUR.
-            const costInUSD = costPerShare / exchangeRates[currency.toUpperCase()];
-            costInEUR = costInUSD * exchangeRates['EUR'];
-        } else {
-            console.error(`Could not convert ${costPerShare} ${currency} to EUR. Exchange rate not found for ${currency}. Available rates:`, exchangeRates);
-            return NextResponse.json({ success: false, message: `Failed to convert ${currency} to EUR. Exchange rate not found.` }, { status: 400 });
-        }
+        const exchangeRates = await getExchangeRatesForDate(purchaseDate);
+        const input = { symbol, shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes, name };
+        // Validate before creating a default portfolio for a first-time user
+        buildLot(input, exchangeRates);
 
-        if (isNaN(costInEUR) || costInEUR <=0) {
-            console.error(`Calculated costInEUR is invalid: ${costInEUR}`);
-            return NextResponse.json({ success: false, message: 'Calculated cost in EUR is invalid.' }, { status: 400 });
+        const portfolio = await findUserPortfolio(userId, portfolioId, { create: true });
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
         }
 
-        const newHolding = {
-            symbol: symbol.toUpperCase(),
-            name: name || symbol.toUpperCase(), // Use provided name or default to symbol
-            shares,
-            costPerShare, 
-            costInEUR,    
-            tradingCurrency: currency.toUpperCase(),
-            purchaseDate: new Date(purchaseDate),
-            notes: notes || ''
-        };
-
-        const portfolio = await Portfolio.findOneAndUpdate(
-            { userId },
-            { $push: { holdings: newHolding } },
-            { new: true, upsert: true, setDefaultsOnInsert: true }
-        );
+        recordPurchase(portfolio, input, exchangeRates);
+        await portfolio.save();
 
         return NextResponse.json({ success: true, data: portfolio });
 
     } catch (error) {
         console.error('Error adding stock to portfolio:', error);
+        if (error instanceof PortfolioValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
         const status = error.message === 'Invalid token' || error.message === 'No token provided' || error.message === 'No token provided or token is malformed' ? 401 : 500;
         return NextResponse.json({ success: false, message: error.message || 'Server error while adding stock' }, { status });
     }
-}
\ No newline at end of file
+}
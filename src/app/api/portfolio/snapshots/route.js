@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { findUserPortfolio, listUserPortfolios, loadPortfolioForRead, ALL_PORTFOLIOS_ID } from '@/app/services/PortfolioService';
+import { resolveReportingCurrency } from '@/app/services/userPreferencesService';
+import { getSnapshotSeries, takeSnapshot, backfillSnapshots } from '@/app/services/portfolioSnapshotService';
+import { createPortfolioCurrencyConverter } from '../route';
+
+// Equity curve: daily value and cost basis. ?portfolioId=<id>|all&currency=<code>&days=N (all history when omitted)
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const searchParams = new URL(req.url).searchParams;
+        const portfolioId = searchParams.get('portfolioId');
+        const portfolio = await loadPortfolioForRead(userId, portfolioId);
+        if (portfolioId && !portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+        const currency = await resolveReportingCurrency(userId, searchParams.get('currency'));
+        if (!portfolio) {
+            return NextResponse.json({ success: true, data: [], currency });
+        }
+
+        const days = parseInt(searchParams.get('days'), 10);
+        const from = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : undefined;
+        const fromEUR = await createPortfolioCurrencyConverter(portfolio, currency);
+        const series = await getSnapshotSeries(portfolio, { currency, fromEUR, from });
+
+        return NextResponse.json({ success: true, data: series, currency });
+    } catch (error) {
+        console.error('Error fetching portfolio snapshots:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Backfills missing days from daily closes and stores today's snapshot: { portfolioId } (or 'all')
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { portfolioId } = await req.json();
+        const portfolios = portfolioId === ALL_PORTFOLIOS_ID
+            ? await listUserPortfolios(userId)
+            : [await findUserPortfolio(userId, portfolioId)].filter(Boolean);
+        if (portfolios.length === 0) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        let created = 0;
+        for (const portfolio of portfolios) {
+            const result = await backfillSnapshots(portfolio);
+            created += result.created;
+            await takeSnapshot(portfolio);
+        }
+
+        return NextResponse.json({ success: true, message: `Added ${created} past day(s) to the value history.`, data: { created } });
+    } catch (error) {
+        console.error('Error backfilling portfolio snapshots:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while backfilling snapshots' }, { status });
+    }
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { findUserPortfolio } from '@/app/services/PortfolioService';
+import { COST_BASIS_METHODS } from '@/app/utils/costBasis';
+import { toPortfolioListItem } from '../route';
+
+// Rename, archive/unarchive, change the default cost-basis method or toggle cash tracking of a portfolio
+export async function PATCH(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { portfolioId } = await params;
+        const { name, archived, costBasisMethod, trackCash } = await req.json();
+
+        const portfolio = await findUserPortfolio(userId, portfolioId);
+        if (!portfolio) {
+            return NextResponse.json({ success: false, message: 'Portfolio not found' }, { status: 404 });
+        }
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) {
+                return NextResponse.json({ success: false, message: 'Portfolio name cannot be empty' }, { status: 400 });
+            }
+            portfolio.name = name.trim();
+        }
+        if (archived !== undefined) {
+            if (typeof archived !== 'boolean') {
+                return NextResponse.json({ success: false, message: 'Archived must be true or false' }, { status: 400 });
+            }
+            portfolio.archived = archived;
+        }
+        if (costBasisMethod !== undefined) {
+            if (!COST_BASIS_METHODS.includes(costBasisMethod)) {
+                return NextResponse.json({ success: false, message: `Cost basis method must be one of ${COST_BASIS_METHODS.join(', ')}` }, { status: 400 });
+            }
+            portfolio.costBasisMethod = costBasisMethod;
+        }
+        if (trackCash !== undefined) {
+            if (typeof trackCash !== 'boolean') {
+                return NextResponse.json({ success: false, message: 'trackCash must be true or false' }, { status: 400 });
+            }
+            portfolio.trackCash = trackCash;
+        }
+
+        await portfolio.save();
+
+        return NextResponse.json({ success: true, data: toPortfolioListItem(portfolio) });
+    } catch (error) {
+        console.error('Error updating portfolio:', error);
+        if (error.name === 'ValidationError') {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while updating portfolio' }, { status });
+    }
+}
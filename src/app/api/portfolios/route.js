@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import Portfolio from '@/app/models/Portfolio';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { listUserPortfolios } from '@/app/services/PortfolioService';
+import { COST_BASIS_METHODS } from '@/app/utils/costBasis';
+
+// Helper function to shape a portfolio document for the portfolio list
+export function toPortfolioListItem(portfolio) {
+    return {
+        _id: portfolio._id,
+        name: portfolio.name,
+        archived: portfolio.archived,
+        costBasisMethod: portfolio.costBasisMethod,
+        trackCash: portfolio.trackCash,
+        lotCount: portfolio.holdings.length,
+        symbolCount: new Set(portfolio.holdings.map(h => h.symbol)).size,
+        createdAt: portfolio.createdAt,
+        updatedAt: portfolio.updatedAt
+    };
+}
+
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const includeArchived = new URL(req.url).searchParams.get('includeArchived') === 'true';
+        const portfolios = await listUserPortfolios(userId, { includeArchived });
+
+        return NextResponse.json({ success: true, data: portfolios.map(toPortfolioListItem) });
+    } catch (error) {
+        console.error('Error listing portfolios:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { name, costBasisMethod } = await req.json();
+
+        if (typeof name !== 'string' || !name.trim()) {
+            return NextResponse.json({ success: false, message: 'Portfolio name is required' }, { status: 400 });
+        }
+        if (costBasisMethod && !COST_BASIS_METHODS.includes(costBasisMethod)) {
+            return NextResponse.json({ success: false, message: `Cost basis method must be one of ${COST_BASIS_METHODS.join(', ')}` }, { status: 400 });
+        }
+
+        const portfolio = await Portfolio.create({
+            userId,
+            name: name.trim(),
+            ...(costBasisMethod && { costBasisMethod })
+        });
+
+        return NextResponse.json({ success: true, data: toPortfolioListItem(portfolio) }, { status: 201 });
+    } catch (error) {
+        console.error('Error creating portfolio:', error);
+        if (error.name === 'ValidationError') {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while creating portfolio' }, { status });
+    }
+}
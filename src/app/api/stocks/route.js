@@ -12,12 +12,15 @@ import {
     getAlphaVantageDigitalCurrencyDaily,
 } from "@/app/utils/alphaVantage";
 import { getYahooFinanceHistoricalData } from "@/app/utils/yahooFinance";
+import { fetchStockPrices } from "@/app/utils/portfolioUtils";
 
 // Initialize Redis with Vercel KV credentials
 const redis = Redis.fromEnv();
 
 
 const CACHE_DURATION_SECONDS = 30 * 60;
+// Quotes of arbitrary symbols (watchlists) go stale sooner than the main list
+const QUOTE_CACHE_DURATION_SECONDS = 5 * 60;
 const MAIN_STOCKS_CACHE_KEY = "mainStocksData";
 const SEARCHABLE_LIST_CACHE_KEY = "searchableListData";
 
@@ -251,6 +254,66 @@ async function fetchSearchableList() {
     }
 }
 
+// Helper function to quote any symbols (e.g. a watchlist) the way the main list is quoted: Alpaca snapshot plus mini chart.
+// Symbols Alpaca does not cover (e.g. non-US listings) get their price from fetchStockPrices. Cached per symbol.
+export async function fetchAssetQuotes(symbols) {
+    const quotes = {};
+    const cached = await Promise.all(symbols.map(symbol =>
+        safeRedisOperation(() => redis.get(`assetQuote:${symbol}`))
+    ));
+    symbols.forEach((symbol, index) => {
+        if (cached[index]) quotes[symbol] = cached[index];
+    });
+
+    const missing = symbols.filter(symbol => !quotes[symbol]);
+    if (missing.length === 0) {
+        return quotes;
+    }
+
+    const isCrypto = (symbol) => symbol.includes("/");
+    const stockSymbols = missing.filter(symbol => !isCrypto(symbol));
+    const cryptoSymbols = missing.filter(isCrypto);
+    const [stockSnapshots, cryptoSnapshots, searchableList] = await Promise.all([
+        stockSymbols.length > 0 ? getAlpacaSnapshots(stockSymbols, false).catch(() => ({})) : {},
+        cryptoSymbols.length > 0 ? getAlpacaSnapshots(cryptoSymbols, true).catch(() => ({})) : {},
+        fetchSearchableList().catch(() => []),
+    ]);
+
+    const snapshotQuotes = await Promise.all(missing.map(symbol =>
+        processAssetData(symbol, (isCrypto(symbol) ? cryptoSnapshots : stockSnapshots)?.[symbol], isCrypto(symbol))
+    ));
+
+    const unquoted = missing.filter((symbol, index) => !snapshotQuotes[index]);
+    const fallbackPrices = unquoted.length > 0 ? await fetchStockPrices(unquoted) : {};
+
+    await Promise.all(missing.map(async (symbol, index) => {
+        let quote = snapshotQuotes[index];
+        if (!quote) {
+            const miniChartData = await fetchChartDataParallel(symbol, isCrypto(symbol));
+            quote = {
+                symbol,
+                name: symbol,
+                price: fallbackPrices[symbol]?.price ?? null,
+                currency: fallbackPrices[symbol]?.currency || "USD",
+                changePercent: calculateChangePercent(miniChartData),
+                exchangeShortName: "N/A",
+                type: isCrypto(symbol) ? "Crypto" : "Stock/ETF",
+                source: null,
+                isDelayed: true,
+                miniChartData,
+            };
+        }
+
+        quote.name = searchableList.find(asset => asset.symbol === symbol)?.name || quote.name;
+        quotes[symbol] = quote;
+        await safeRedisOperation(() =>
+            redis.set(`assetQuote:${symbol}`, quote, { ex: QUOTE_CACHE_DURATION_SECONDS })
+        );
+    }));
+
+    return quotes;
+}
+
 // Main API handler
 export async function GET(request) {
     try {
@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import User from '@/app/models/UserModel';
+import { getUserIdFromToken, clearRefreshTokenCookie } from '@/app/utils/serverAuthUtils';
+import {
+    toAccountProfile,
+    updateAccountProfile,
+    deleteAccount,
+    AccountValidationError,
+    AccountCredentialError
+} from '@/app/services/accountService';
+import { runThrottledCheck, getClientIp, LoginThrottledError } from '@/app/services/loginThrottleService';
+
+// Helper function to turn service errors into responses
+function errorResponse(error, fallbackMessage) {
+    if (error instanceof LoginThrottledError) {
+        return NextResponse.json(
+            { success: false, message: error.message },
+            { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+        );
+    }
+    if (error instanceof AccountValidationError) {
+        return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+    }
+    const status = error.message === 'Invalid token' ? 401 : 500;
+    return NextResponse.json({ success: false, message: error.message || fallbackMessage }, { status });
+}
+
+// { email, username, emailVerified, pendingEmail, twoFactorEnabled, createdAt }
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const user = await User.findById(userId).select('-password');
+        if (!user) {
+            return NextResponse.json({ success: false, message: 'User not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, data: toAccountProfile(user) });
+    } catch (error) {
+        console.error('Error fetching account:', error);
+        return errorResponse(error, 'Server error');
+    }
+}
+
+// Updates the profile: { username }
+export async function PATCH(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const { username } = await req.json();
+
+        const profile = await updateAccountProfile(userId, { username });
+
+        return NextResponse.json({ success: true, data: profile });
+    } catch (error) {
+        console.error('Error updating account:', error);
+        return errorResponse(error, 'Server error while updating account');
+    }
+}
+
+// Deletes the account with all its portfolios and watchlists: { password, code }, code being required with 2FA
+export async function DELETE(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const { password, code } = await req.json();
+
+        await runThrottledCheck(
+            { ip: getClientIp(req), userId },
+            () => deleteAccount(userId, { password, code }),
+            error => error instanceof AccountCredentialError
+        );
+
+        const response = NextResponse.json({ success: true, message: 'Your account has been deleted.' });
+        return clearRefreshTokenCookie(response);
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        return errorResponse(error, 'Server error while deleting account');
+    }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { requestEmailChange, AccountValidationError, AccountCredentialError } from '@/app/services/accountService';
+import { runThrottledCheck, getClientIp, LoginThrottledError } from '@/app/services/loginThrottleService';
+
+// Starts an email change: { email, password }. The address changes once the link sent to it is opened.
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const { email, password } = await req.json();
+
+        const profile = await runThrottledCheck(
+            { ip: getClientIp(req), userId },
+            () => requestEmailChange(userId, { email, password }),
+            error => error instanceof AccountCredentialError
+        );
+
+        return NextResponse.json({
+            success: true,
+            message: `We sent a confirmation link to ${profile.pendingEmail}.`,
+            data: profile
+        });
+    } catch (error) {
+        console.error('Error changing email:', error);
+        if (error instanceof LoginThrottledError) {
+            return NextResponse.json(
+                { success: false, message: error.message },
+                { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+            );
+        }
+        if (error instanceof AccountValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while changing email' }, { status });
+    }
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { verifyAccessToken } from '@/app/utils/serverAuthUtils';
+import { changePassword, AccountValidationError, AccountCredentialError } from '@/app/services/accountService';
+import { runThrottledCheck, getClientIp, LoginThrottledError } from '@/app/services/loginThrottleService';
+
+// Changes the password: { currentPassword, newPassword }. Every other session is signed out.
+export async function POST(req) {
+    try {
+        const { id: userId, sid } = await verifyAccessToken(req);
+        const { currentPassword, newPassword } = await req.json();
+
+        await runThrottledCheck(
+            { ip: getClientIp(req), userId },
+            () => changePassword(userId, { currentPassword, newPassword }, { currentSessionId: sid }),
+            error => error instanceof AccountCredentialError
+        );
+
+        return NextResponse.json({ success: true, message: 'Password changed. Other devices have been signed out.' });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        if (error instanceof LoginThrottledError) {
+            return NextResponse.json(
+                { success: false, message: error.message },
+                { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+            );
+        }
+        if (error instanceof AccountValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while changing password' }, { status });
+    }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { SUPPORTED_CURRENCIES } from '@/app/utils/currency';
+import {
+    getUserPreferences,
+    updateUserPreferences,
+    UserPreferencesValidationError
+} from '@/app/services/userPreferencesService';
+
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const preferences = await getUserPreferences(userId);
+        if (!preferences) {
+            return NextResponse.json({ success: false, message: 'User not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, data: preferences, supportedCurrencies: SUPPORTED_CURRENCIES });
+    } catch (error) {
+        console.error('Error fetching user preferences:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Updates { baseCurrency, benchmarks, locale, timezone }
+export async function PATCH(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const { baseCurrency, benchmarks, locale, timezone } = await req.json();
+
+        const preferences = await updateUserPreferences(userId, { baseCurrency, benchmarks, locale, timezone });
+        if (!preferences) {
+            return NextResponse.json({ success: false, message: 'User not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, data: preferences });
+    } catch (error) {
+        console.error('Error updating user preferences:', error);
+        if (error instanceof UserPreferencesValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while updating preferences' }, { status });
+    }
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { regenerateRecoveryCodes, TwoFactorError, TwoFactorCredentialError } from '@/app/services/twoFactorService';
+import { runThrottledCheck, getClientIp, LoginThrottledError } from '@/app/services/loginThrottleService';
+
+// Replaces the recovery codes, confirmed with a current code: { code }. The new codes are shown once.
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const { code } = await req.json();
+
+        const recoveryCodes = await runThrottledCheck(
+            { ip: getClientIp(req), userId },
+            () => regenerateRecoveryCodes(userId, code),
+            error => error instanceof TwoFactorCredentialError
+        );
+
+        return NextResponse.json({ success: true, data: { recoveryCodes } });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        if (error instanceof LoginThrottledError) {
+            return NextResponse.json(
+                { success: false, message: error.message },
+                { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+            );
+        }
+        if (error instanceof TwoFactorError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import User from '@/app/models/UserModel';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import {
+    getTwoFactorStatus,
+    confirmTwoFactorEnrollment,
+    disableTwoFactor,
+    TwoFactorError,
+    TwoFactorCredentialError
+} from '@/app/services/twoFactorService';
+import { runThrottledCheck, getClientIp, LoginThrottledError } from '@/app/services/loginThrottleService';
+
+// Helper function to turn service errors into responses
+function errorResponse(error, fallbackMessage) {
+    if (error instanceof LoginThrottledError) {
+        return NextResponse.json(
+            { success: false, message: error.message },
+            { status: 429, headers: { 'Retry-After': String(error.retryAfterSeconds) } }
+        );
+    }
+    if (error instanceof TwoFactorError) {
+        return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+    }
+    const status = error.message === 'Invalid token' ? 401 : 500;
+    return NextResponse.json({ success: false, message: error.message || fallbackMessage }, { status });
+}
+
+// { enabled, recoveryCodesRemaining, enabledAt }
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const user = await User.findById(userId).select('twoFactor');
+        if (!user) {
+            return NextResponse.json({ success: false, message: 'User not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, data: getTwoFactorStatus(user) });
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        return errorResponse(error, 'Server error');
+    }
+}
+
+// Enables 2FA with a code from the app set up via /setup: { code }. Responds with the recovery codes, shown once.
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const { code } = await req.json();
+
+        const recoveryCodes = await confirmTwoFactorEnrollment(userId, code);
+
+        return NextResponse.json({
+            success: true,
+            message: 'Two-factor authentication enabled.',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+        return errorResponse(error, 'Server error while enabling two-factor authentication');
+    }
+}
+
+// Disables 2FA after re-authentication: { password, code }, where code may be a recovery code
+export async function DELETE(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const { password, code } = await req.json();
+
+        await runThrottledCheck(
+            { ip: getClientIp(req), userId },
+            () => disableTwoFactor(userId, { password, code }),
+            error => error instanceof TwoFactorCredentialError
+        );
+
+        return NextResponse.json({ success: true, message: 'Two-factor authentication disabled.' });
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        return errorResponse(error, 'Server error while disabling two-factor authentication');
+    }
+}
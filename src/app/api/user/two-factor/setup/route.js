@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { startTwoFactorEnrollment, TwoFactorError } from '@/app/services/twoFactorService';
+
+// Starts enrollment: { secret, otpauthUri, qrCodeDataUrl } for the authenticator app.
+// 2FA is only enabled once a code from the app is posted to /api/user/two-factor.
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        const enrollment = await startTwoFactorEnrollment(userId);
+
+        return NextResponse.json({ success: true, data: enrollment });
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        if (error instanceof TwoFactorError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
@@ -0,0 +1,86 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { findUserWatchlist, normalizeWatchlistName, WatchlistValidationError } from '@/app/services/watchlistService';
+import { fetchAssetQuotes } from '@/app/api/stocks/route';
+import { toWatchlistItem } from '../route';
+
+// A watchlist with a quote (price, daily change and mini chart) for each symbol. ?quotes=false skips the quotes.
+export async function GET(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { watchlistId } = await params;
+        const watchlist = await findUserWatchlist(userId, watchlistId);
+        if (!watchlist) {
+            return NextResponse.json({ success: false, message: 'Watchlist not found' }, { status: 404 });
+        }
+
+        const item = toWatchlistItem(watchlist);
+        if (new URL(req.url).searchParams.get('quotes') === 'false' || item.symbols.length === 0) {
+            return NextResponse.json({ success: true, data: item });
+        }
+
+        const quotes = await fetchAssetQuotes(item.symbols.map(entry => entry.symbol));
+        return NextResponse.json({
+            success: true,
+            data: {
+                ...item,
+                symbols: item.symbols.map(entry => ({ ...entry, quote: quotes[entry.symbol] || null }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching watchlist:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Renames a watchlist: { name }
+export async function PATCH(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { watchlistId } = await params;
+        const watchlist = await findUserWatchlist(userId, watchlistId);
+        if (!watchlist) {
+            return NextResponse.json({ success: false, message: 'Watchlist not found' }, { status: 404 });
+        }
+
+        const { name } = await req.json();
+        watchlist.name = normalizeWatchlistName(name);
+        await watchlist.save();
+
+        return NextResponse.json({ success: true, data: toWatchlistItem(watchlist) });
+    } catch (error) {
+        console.error('Error updating watchlist:', error);
+        if (error instanceof WatchlistValidationError || error.name === 'ValidationError') {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while updating watchlist' }, { status });
+    }
+}
+
+export async function DELETE(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { watchlistId } = await params;
+        const watchlist = await findUserWatchlist(userId, watchlistId);
+        if (!watchlist) {
+            return NextResponse.json({ success: false, message: 'Watchlist not found' }, { status: 404 });
+        }
+
+        await watchlist.deleteOne();
+
+        return NextResponse.json({ success: true, message: `Watchlist "${watchlist.name}" deleted.` });
+    } catch (error) {
+        console.error('Error deleting watchlist:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while deleting watchlist' }, { status });
+    }
+}
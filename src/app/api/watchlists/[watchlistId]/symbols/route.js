@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import {
+    findUserWatchlist,
+    addWatchlistSymbol,
+    removeWatchlistSymbol,
+    WatchlistValidationError
+} from '@/app/services/watchlistService';
+import { toWatchlistItem } from '../../route';
+
+// Adds a symbol to a watchlist: { symbol, notes }
+export async function POST(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { watchlistId } = await params;
+        const watchlist = await findUserWatchlist(userId, watchlistId);
+        if (!watchlist) {
+            return NextResponse.json({ success: false, message: 'Watchlist not found' }, { status: 404 });
+        }
+
+        const { symbol, notes } = await req.json();
+        const entry = addWatchlistSymbol(watchlist, symbol, notes);
+        await watchlist.save();
+
+        return NextResponse.json({
+            success: true,
+            message: `${entry.symbol} added to ${watchlist.name}.`,
+            data: toWatchlistItem(watchlist)
+        });
+    } catch (error) {
+        console.error('Error adding symbol to watchlist:', error);
+        if (error instanceof WatchlistValidationError) {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while updating watchlist' }, { status });
+    }
+}
+
+// Removes a symbol from a watchlist. ?symbol=<ticker> (a query parameter, as crypto pairs contain a slash)
+export async function DELETE(req, { params }) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { watchlistId } = await params;
+        const watchlist = await findUserWatchlist(userId, watchlistId);
+        if (!watchlist) {
+            return NextResponse.json({ success: false, message: 'Watchlist not found' }, { status: 404 });
+        }
+
+        const symbol = new URL(req.url).searchParams.get('symbol');
+        if (!removeWatchlistSymbol(watchlist, symbol)) {
+            return NextResponse.json({ success: false, message: `${symbol} is not on this watchlist` }, { status: 404 });
+        }
+        await watchlist.save();
+
+        return NextResponse.json({ success: true, data: toWatchlistItem(watchlist) });
+    } catch (error) {
+        console.error('Error removing symbol from watchlist:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while updating watchlist' }, { status });
+    }
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import connectToDatabase from '@/app/utils/db';
+import { getUserIdFromToken } from '@/app/utils/serverAuthUtils';
+import { listUserWatchlists, createWatchlist, WatchlistValidationError } from '@/app/services/watchlistService';
+
+// Helper function to shape a watchlist document for the API
+export function toWatchlistItem(watchlist) {
+    return {
+        _id: watchlist._id,
+        name: watchlist.name,
+        symbols: watchlist.symbols.map(({ symbol, addedAt, notes }) => ({ symbol, addedAt, notes })),
+        createdAt: watchlist.createdAt,
+        updatedAt: watchlist.updatedAt
+    };
+}
+
+export async function GET(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const watchlists = await listUserWatchlists(userId);
+
+        return NextResponse.json({ success: true, data: watchlists.map(toWatchlistItem) });
+    } catch (error) {
+        console.error('Error listing watchlists:', error);
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error' }, { status });
+    }
+}
+
+// Creates a watchlist: { name, symbols }
+export async function POST(req) {
+    try {
+        const userId = await getUserIdFromToken(req);
+        await connectToDatabase();
+
+        const { name, symbols } = await req.json();
+        const watchlist = await createWatchlist(userId, { name, symbols });
+
+        return NextResponse.json({ success: true, data: toWatchlistItem(watchlist) }, { status: 201 });
+    } catch (error) {
+        console.error('Error creating watchlist:', error);
+        if (error instanceof WatchlistValidationError || error.name === 'ValidationError') {
+            return NextResponse.json({ success: false, message: error.message }, { status: 400 });
+        }
+        const status = error.message === 'Invalid token' ? 401 : 500;
+        return NextResponse.json({ success: false, message: error.message || 'Server error while creating watchlist' }, { status });
+    }
+}
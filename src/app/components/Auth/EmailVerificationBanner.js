@@ -0,0 +1,47 @@
+"use client";
+import { useState } from "react";
+import { useAuth } from "@/app/contexts/AuthContext";
+
+// Reminds signed-in users with an unverified address to verify it, and lets them resend the link
+export default function EmailVerificationBanner() {
+  const { user } = useAuth();
+  const [message, setMessage] = useState("");
+  const [isSending, setIsSending] = useState(false);
+
+  // /api/auth/me is the only source that reports emailVerified; until it has answered the flag is undefined
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const token = localStorage.getItem("token");
+      const res = await fetch("/api/auth/verify-email/resend", {
+        method: "POST",
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      const data = await res.json();
+      setMessage(res.ok ? data.message : data.error || "Could not send the email.");
+    } catch (error) {
+      console.error("Resend verification error:", error);
+      setMessage("Something went wrong. Please try again.");
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-900/40 border-b border-yellow-700 text-yellow-200 text-sm">
+      <div className="container mx-auto px-4 py-2 flex flex-wrap items-center justify-between gap-2">
+        <span>{message || `Please verify your email address (${user.email}) using the link we sent you.`}</span>
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={isSending}
+          className="px-3 py-1 rounded-md bg-yellow-700 hover:bg-yellow-600 text-white font-medium disabled:opacity-50"
+        >
+          {isSending ? "Sending..." : "Resend email"}
+        </button>
+      </div>
+    </div>
+  );
+}
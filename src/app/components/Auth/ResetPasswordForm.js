@@ -0,0 +1,116 @@
+"use client";
+import { useState } from "react";
+import { useSearchParams } from "next/navigation";
+import Link from "next/link";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+export default function ResetPasswordForm() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get("token");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [message, setMessage] = useState("");
+  const [isDone, setIsDone] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setMessage("Passwords do not match");
+      return;
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setMessage(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const res = await fetch("/api/auth/reset-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token, password }),
+      });
+      const data = await res.json();
+      setIsDone(res.ok);
+      setMessage(res.ok ? data.message : data.error || "Could not reset your password.");
+    } catch (error) {
+      console.error("Reset password error:", error);
+      setMessage("Something went wrong. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName =
+    "w-full p-3 bg-gray-700 border border-gray-600 rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="min-h-screen bg-gray-900 flex flex-col items-center justify-center p-4">
+      <div className="w-full max-w-md bg-gray-800 shadow-2xl rounded-lg p-8 space-y-6">
+        <h1 className="text-3xl font-bold text-center text-white mb-6">
+          Choose a new password
+        </h1>
+        {!token ? (
+          <p className="text-center text-red-400">
+            This reset link is incomplete.{" "}
+            <Link href="/forgot-password" className="text-blue-400 hover:underline">
+              Request a new one
+            </Link>
+            .
+          </p>
+        ) : isDone ? (
+          <p className="text-center text-green-400">
+            {message}{" "}
+            <Link href="/login" className="text-blue-400 hover:underline font-medium">
+              Go to login
+            </Link>
+          </p>
+        ) : (
+          <>
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="password" className="text-sm font-medium text-gray-300 block mb-2">
+                  New Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  placeholder="••••••••"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  minLength={MIN_PASSWORD_LENGTH}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label htmlFor="confirmPassword" className="text-sm font-medium text-gray-300 block mb-2">
+                  Confirm New Password
+                </label>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  placeholder="••••••••"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  required
+                  className={inputClassName}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-semibold text-lg shadow-md disabled:opacity-50"
+              >
+                {isSubmitting ? "Saving..." : "Reset password"}
+              </button>
+            </form>
+            {message && <p className="text-center text-red-400 mt-4">{message}</p>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
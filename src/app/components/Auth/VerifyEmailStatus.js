@@ -0,0 +1,68 @@
+"use client";
+import { useEffect, useRef, useState } from "react";
+import { useSearchParams } from "next/navigation";
+import Link from "next/link";
+import { useAuth } from "@/app/contexts/AuthContext";
+
+export default function VerifyEmailStatus() {
+  const searchParams = useSearchParams();
+  const token = searchParams.get("token");
+  const { user, setUser } = useAuth();
+  const [status, setStatus] = useState(token ? "verifying" : "missing");
+  const [message, setMessage] = useState("");
+  // Tokens are single-use, so the request must not be repeated when the effect runs twice
+  const hasSubmitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || hasSubmitted.current) return;
+    hasSubmitted.current = true;
+
+    const verify = async () => {
+      try {
+        const res = await fetch("/api/auth/verify-email", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ token }),
+        });
+        const data = await res.json();
+        setStatus(res.ok ? "verified" : "failed");
+        setMessage(res.ok ? data.message : data.error || "Could not verify your email.");
+      } catch (error) {
+        console.error("Email verification error:", error);
+        setStatus("failed");
+        setMessage("Something went wrong. Please try again.");
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  useEffect(() => {
+    if (status === "verified" && user && !user.emailVerified) {
+      setUser({ ...user, emailVerified: true });
+    }
+  }, [status, user, setUser]);
+
+  return (
+    <div className="min-h-screen bg-gray-900 flex flex-col items-center justify-center p-4">
+      <div className="w-full max-w-md bg-gray-800 shadow-2xl rounded-lg p-8 space-y-6 text-center">
+        <h1 className="text-3xl font-bold text-white mb-6">Email verification</h1>
+        {status === "verifying" && <p className="text-gray-300">Verifying your email...</p>}
+        {status === "missing" && (
+          <p className="text-red-400">This verification link is incomplete.</p>
+        )}
+        {status === "verified" && <p className="text-green-400">{message}</p>}
+        {status === "failed" && (
+          <p className="text-red-400">
+            {message} You can request a new link from the banner at the top of the page once logged in.
+          </p>
+        )}
+        {status !== "verifying" && (
+          <Link href={user ? "/portfolio" : "/login"} className="inline-block text-blue-400 hover:underline font-medium">
+            {user ? "Go to your portfolio" : "Go to login"}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -51,6 +51,18 @@ export default function Navbar() {
               >
                 Stocks
               </Link>
+              <Link
+                href="/watchlist"
+                className="text-gray-300 hover:text-blue-400 transition-colors px-3 py-2 rounded-md text-sm font-medium"
+              >
+                Watchlist
+              </Link>
+              <Link
+                href="/settings"
+                className="text-gray-300 hover:text-blue-400 transition-colors px-3 py-2 rounded-md text-sm font-medium"
+              >
+                Settings
+              </Link>
               {user.username && (
                 <span className="text-gray-400 text-sm">Hi, {user.username}!</span>
               )}
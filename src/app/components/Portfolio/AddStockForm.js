@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { PlusCircleIcon } from '@heroicons/react/24/solid';
+import CurrencyOptions from './CurrencyOptions';
 
 export default function AddStockForm({ onAddStock, isAdding }) {
   const [symbol, setSymbol] = useState('');
@@ -7,6 +8,8 @@ export default function AddStockForm({ onAddStock, isAdding }) {
   const [costPerShare, setCostPerShare] = useState('');
   const [purchaseDate, setPurchaseDate] = useState(new Date().toISOString().split('T')[0]); // Default to today
   const [currency, setCurrency] = useState('USD'); 
+  const [fees, setFees] = useState('');
+  const [feesCurrency, setFeesCurrency] = useState(''); // '' = same as the trade currency
   const [notes, setNotes] = useState('');
   const [error, setError] = useState('');
 
@@ -26,6 +29,11 @@ export default function AddStockForm({ onAddStock, isAdding }) {
       setError('Cost Per Share must be a positive number.');
       return;
     }
+    const parsedFees = fees.trim() ? parseFloat(fees) : 0;
+    if (isNaN(parsedFees) || parsedFees < 0) {
+      setError('Fees must be zero or a positive number.');
+      return;
+    }
 
     await onAddStock({
       symbol: symbol.toUpperCase(),
@@ -33,6 +41,8 @@ export default function AddStockForm({ onAddStock, isAdding }) {
       costPerShare: parseFloat(costPerShare),
       purchaseDate,
       currency,
+      fees: parsedFees,
+      feesCurrency: feesCurrency || currency,
       notes,
     });
     setSymbol('');
@@ -40,6 +50,8 @@ export default function AddStockForm({ onAddStock, isAdding }) {
     setCostPerShare('');
     setPurchaseDate(new Date().toISOString().split('T')[0]);
     setCurrency('USD');
+    setFees('');
+    setFeesCurrency('');
     setNotes('');
   };
 
@@ -123,13 +135,36 @@ export default function AddStockForm({ onAddStock, isAdding }) {
             className="w-full px-4 py-3 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-shadow appearance-none"
             required
           >
-            <option value="USD">USD</option>
-            <option value="EUR">EUR</option>
-            <option value="PLN">PLN</option>
-            <option value="GBP">GBP</option>
-            {/* Add other currencies as needed based on Portfolio model */}
+            <CurrencyOptions />
           </select>
         </div>
+        {/* Fees Input */}
+        <div className="flex flex-col">
+          <label htmlFor="purchaseFees" className="block text-sm font-medium text-gray-300 mb-1">
+            Fees &amp; Taxes (Optional)
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="purchaseFees"
+              type="number"
+              value={fees}
+              onChange={(e) => setFees(e.target.value)}
+              placeholder="Commission, FX fee, stamp duty"
+              min="0"
+              step="any"
+              className="w-full px-4 py-3 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-shadow"
+            />
+            <select
+              aria-label="Fees currency"
+              value={feesCurrency}
+              onChange={(e) => setFeesCurrency(e.target.value)}
+              className="px-2 py-3 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-shadow"
+            >
+              <option value="">{currency}</option>
+              <CurrencyOptions />
+            </select>
+          </div>
+        </div>
         {/* Notes Textarea */}
         <div className="flex flex-col md:col-span-2 lg:col-span-1"> {/* Adjusted span for notes */}
           <label htmlFor="notes" className="block text-sm font-medium text-gray-300 mb-1">
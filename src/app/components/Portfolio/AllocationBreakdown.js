@@ -0,0 +1,157 @@
+"use client";
+import dynamic from 'next/dynamic';
+import { useCallback, useEffect, useState } from 'react';
+import { ChartPieIcon, Squares2X2Icon } from '@heroicons/react/24/outline';
+import { formatCurrency, formatPercentage } from '@/app/utils/currency';
+import { apiRequest } from '@/app/utils/apiClient';
+
+const Chart = dynamic(() => import('react-apexcharts'), { ssr: false });
+
+const DIMENSIONS = {
+  SECTOR: 'Sector',
+  INDUSTRY: 'Industry',
+  COUNTRY: 'Country',
+  ASSET_CLASS: 'Asset class',
+  SYMBOL: 'Holding',
+};
+
+const COLORS = ['#60a5fa', '#4ade80', '#facc15', '#f472b6', '#a78bfa', '#fb923c', '#2dd4bf', '#f87171', '#94a3b8', '#c084fc'];
+
+// Slices past this many are merged into "Other" in the donut
+const MAX_SLICES = 9;
+
+export default function AllocationBreakdown({ portfolioId, currency }) {
+  const [data, setData] = useState(null);
+  const [dimension, setDimension] = useState('SECTOR');
+  const [chartType, setChartType] = useState('donut');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchBreakdown = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (portfolioId) params.set('portfolioId', portfolioId);
+      if (currency) params.set('currency', currency);
+      const result = await apiRequest(`/api/portfolio/allocation/breakdown?${params.toString()}`, { errorMessage: 'Failed to load allocation' });
+      setData(result.data);
+      setError('');
+    } catch (err) {
+      console.error('[AllocationBreakdown] Fetch breakdown error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [portfolioId, currency]);
+
+  useEffect(() => {
+    fetchBreakdown();
+  }, [fetchBreakdown]);
+
+  const rows = data?.breakdown?.[dimension] || [];
+  const formatValue = (value) => formatCurrency(value, data?.currency || currency || 'EUR');
+
+  const slices = rows.length > MAX_SLICES + 1
+    ? [
+      ...rows.slice(0, MAX_SLICES),
+      rows.slice(MAX_SLICES).reduce((other, row) => ({ ...other, value: other.value + row.value, weight: other.weight + row.weight }), { key: 'Other', value: 0, weight: 0 }),
+    ]
+    : rows;
+
+  const donutOptions = {
+    chart: { type: 'donut', foreColor: '#ccc' },
+    labels: slices.map(row => row.key),
+    colors: COLORS,
+    stroke: { colors: ['#1f2937'] },
+    dataLabels: { formatter: (percent) => formatPercentage(percent, { fractionDigits: 1 }) },
+    legend: { position: 'bottom', labels: { colors: '#ccc' } },
+    tooltip: { y: { formatter: formatValue }, theme: 'dark' },
+  };
+
+  const treemapOptions = {
+    chart: { type: 'treemap', toolbar: { show: false }, foreColor: '#ccc' },
+    colors: COLORS,
+    plotOptions: { treemap: { distributed: true, enableShades: false } },
+    dataLabels: {
+      style: { fontSize: '13px' },
+      formatter: (text, { dataPointIndex }) => `${text} ${formatPercentage(rows[dataPointIndex]?.weight, { fractionDigits: 1 })}`,
+    },
+    legend: { show: false },
+    tooltip: { y: { formatter: formatValue }, theme: 'dark' },
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-xl mb-8 md:mb-10">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-white">Allocation</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          {Object.entries(DIMENSIONS).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setDimension(value)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                dimension === value ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => setChartType(chartType === 'donut' ? 'treemap' : 'donut')}
+            title={chartType === 'donut' ? 'Show as treemap' : 'Show as donut'}
+            className="p-1.5 text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors"
+          >
+            {chartType === 'donut' ? <Squares2X2Icon className="h-5 w-5" /> : <ChartPieIcon className="h-5 w-5" />}
+          </button>
+        </div>
+      </div>
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+      {isLoading ? (
+        <p className="text-gray-400">Loading allocation...</p>
+      ) : rows.length > 0 ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {chartType === 'donut' ? (
+            <Chart key={dimension} options={donutOptions} series={slices.map(row => row.value)} type="donut" height={350} />
+          ) : (
+            <Chart
+              key={dimension}
+              options={treemapOptions}
+              series={[{ data: rows.map(row => ({ x: row.key, y: row.value })) }]}
+              type="treemap"
+              height={350}
+            />
+          )}
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left">
+                  <th className="py-2 pr-4">{DIMENSIONS[dimension]}</th>
+                  <th className="py-2 pr-4 text-right">Value</th>
+                  <th className="py-2 text-right">Weight</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.key} className="border-t border-gray-700 text-gray-200">
+                    <td className="py-2 pr-4">
+                      <div>{row.key}</div>
+                      {dimension !== 'SYMBOL' && (
+                        <div className="text-xs text-gray-500">{row.symbols.join(', ')}</div>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 text-right">{formatValue(row.value)}</td>
+                    <td className="py-2 text-right">{formatPercentage(row.weight, { fractionDigits: 1 })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : (
+        <p className="text-gray-400">No holdings to break down yet.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,280 @@
+"use client";
+import dynamic from 'next/dynamic';
+import { useCallback, useEffect, useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { BENCHMARK_PRESETS, MAX_BENCHMARKS, parseBenchmark, describeBenchmark } from '@/app/utils/benchmarks';
+import { apiRequest } from '@/app/utils/apiClient';
+import { formatPercentage } from '@/app/utils/currency';
+import { formatNumber, formatCalendarDate } from '@/app/utils/formatting';
+
+const Chart = dynamic(() => import('react-apexcharts'), { ssr: false });
+
+const PERIODS = ['YTD', '1Y', '3Y', 'ALL'];
+
+const SERIES_COLORS = ['#4ade80', '#60a5fa', '#f59e0b', '#f472b6', '#a78bfa', '#2dd4bf'];
+
+function formatRate(rate) {
+  if (rate === null || rate === undefined || !isFinite(rate)) return '—';
+  return formatPercentage(rate * 100, { signed: true });
+}
+
+const formatRatio = (value) => (value === null || value === undefined || !isFinite(value) ? '—' : formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+const rateClass = (rate) => (rate === null || rate === undefined ? 'text-white' : rate >= 0 ? 'text-green-400' : 'text-red-400');
+
+export default function BenchmarkComparison({ portfolioId, currency }) {
+  // Null until the user's saved benchmarks are loaded
+  const [selected, setSelected] = useState(null);
+  const [savedBenchmarks, setSavedBenchmarks] = useState([]);
+  const [period, setPeriod] = useState('1Y');
+  const [comparison, setComparison] = useState(null);
+  const [customSpec, setCustomSpec] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchSavedBenchmarks = async () => {
+      try {
+        const data = await apiRequest('/api/user/preferences', { errorMessage: 'Failed to load saved benchmarks' });
+        setSavedBenchmarks(data.data.benchmarks);
+        setSelected(data.data.benchmarks);
+      } catch (err) {
+        console.error('[BenchmarkComparison] Fetch saved benchmarks error:', err);
+        setError(err.message);
+        setSelected(BENCHMARK_PRESETS.slice(0, 1).map(preset => preset.spec));
+      }
+    };
+    fetchSavedBenchmarks();
+  }, []);
+
+  const fetchComparison = useCallback(async () => {
+    if (!selected || selected.length === 0) {
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams({ period });
+      if (portfolioId) params.set('portfolioId', portfolioId);
+      if (currency) params.set('currency', currency);
+      selected.forEach(spec => params.append('benchmark', spec));
+      const data = await apiRequest(`/api/portfolio/benchmarks?${params.toString()}`, { errorMessage: 'Failed to compare with benchmarks' });
+      setComparison(data.data);
+      setError('');
+    } catch (err) {
+      console.error('[BenchmarkComparison] Fetch comparison error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [portfolioId, currency, period, selected]);
+
+  useEffect(() => {
+    fetchComparison();
+  }, [fetchComparison]);
+
+  const toggleBenchmark = (spec) => {
+    setSelected(prev => (prev.includes(spec) ? prev.filter(s => s !== spec) : [...prev, spec]));
+  };
+
+  const handleAddCustom = (e) => {
+    e.preventDefault();
+    const benchmark = parseBenchmark(customSpec);
+    if (!benchmark) {
+      setError('Enter a ticker (SPY), a ticker with its currency (VWCE.DE@EUR) or a weighted blend (VT:60,AGG:40).');
+      return;
+    }
+    if (!selected.includes(benchmark.spec)) {
+      setSelected(prev => [...prev, benchmark.spec]);
+    }
+    setCustomSpec('');
+    setError('');
+  };
+
+  const handleSaveDefault = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const data = await apiRequest('/api/user/preferences', {
+        method: 'PATCH',
+        body: JSON.stringify({ benchmarks: selected }),
+        errorMessage: 'Failed to save benchmarks',
+      });
+      setSavedBenchmarks(data.data.benchmarks);
+    } catch (err) {
+      console.error('[BenchmarkComparison] Save benchmarks error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const benchmarkSpecs = comparison?.benchmarks.map(b => b.spec) || [];
+  const isSavedSelection = selected !== null
+    && selected.length === savedBenchmarks.length
+    && selected.every(spec => savedBenchmarks.includes(spec));
+  const customSelected = (selected || []).filter(spec => !BENCHMARK_PRESETS.some(preset => preset.spec === spec));
+
+  const chartOptions = {
+    chart: {
+      type: 'line',
+      height: 350,
+      toolbar: { show: false },
+      zoom: { enabled: false },
+      foreColor: '#ccc',
+    },
+    stroke: { curve: 'straight', width: 2 },
+    xaxis: {
+      type: 'datetime',
+      labels: { style: { colors: '#ccc' } },
+    },
+    yaxis: {
+      labels: {
+        style: { colors: '#ccc' },
+        formatter: formatRate,
+      },
+    },
+    tooltip: {
+      x: { format: 'dd MMM yyyy' },
+      y: { formatter: formatRate },
+      theme: 'dark',
+    },
+    legend: { labels: { colors: '#ccc' } },
+    colors: SERIES_COLORS,
+    grid: { borderColor: '#555' },
+  };
+
+  const chartSeries = comparison ? [
+    { name: 'Portfolio', data: comparison.series.map(point => ({ x: new Date(point.date).getTime(), y: point.portfolio })) },
+    ...benchmarkSpecs.map((spec, i) => ({
+      name: describeBenchmark(spec),
+      data: comparison.series.map(point => ({ x: new Date(point.date).getTime(), y: point.benchmarks[i] })),
+    })),
+  ] : [];
+
+  const inputClass = 'px-3 py-1 text-sm text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+  return (
+    <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-xl mb-8 md:mb-10">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-white">Performance vs Benchmarks</h2>
+        <div className="flex items-center gap-2">
+          {PERIODS.map(p => (
+            <button
+              key={p}
+              type="button"
+              onClick={() => setPeriod(p)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                period === p ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {p}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {selected !== null && (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          {BENCHMARK_PRESETS.map(({ spec, label }) => (
+            <button
+              key={spec}
+              type="button"
+              onClick={() => toggleBenchmark(spec)}
+              disabled={!selected.includes(spec) && selected.length >= MAX_BENCHMARKS}
+              className={`px-3 py-1 text-sm rounded-full transition-colors disabled:opacity-50 ${
+                selected.includes(spec) ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          {customSelected.map(spec => (
+            <span key={spec} className="flex items-center px-3 py-1 text-sm text-white bg-blue-600 rounded-full">
+              {describeBenchmark(spec)}
+              <button type="button" onClick={() => toggleBenchmark(spec)} aria-label={`Remove ${spec}`} className="ml-1 hover:text-gray-300">
+                <XMarkIcon className="h-4 w-4" />
+              </button>
+            </span>
+          ))}
+          <form onSubmit={handleAddCustom} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={customSpec}
+              onChange={(e) => setCustomSpec(e.target.value)}
+              placeholder="Ticker or blend, e.g. VT:60,AGG:40"
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={!customSpec.trim() || selected.length >= MAX_BENCHMARKS}
+              className="px-3 py-1 text-sm text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Add
+            </button>
+          </form>
+          {!isSavedSelection && selected.length > 0 && (
+            <button
+              type="button"
+              onClick={handleSaveDefault}
+              disabled={isSaving}
+              className="px-3 py-1 text-sm text-blue-400 hover:text-blue-300 transition-colors disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save as default'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+      {selected !== null && selected.length === 0 ? (
+        <p className="text-gray-400">Choose at least one benchmark to compare with.</p>
+      ) : isLoading ? (
+        <p className="text-gray-400">Comparing with benchmarks...</p>
+      ) : comparison && comparison.series.length > 0 ? (
+        <>
+          <Chart options={chartOptions} series={chartSeries} type="line" height={350} />
+          <div className="overflow-x-auto mt-4">
+            <table className="min-w-full text-sm text-left text-gray-200">
+              <thead className="text-xs text-gray-400 uppercase">
+                <tr>
+                  <th className="py-2 pr-4">Benchmark</th>
+                  <th className="py-2 pr-4">Return</th>
+                  <th className="py-2 pr-4">Portfolio − Benchmark</th>
+                  <th className="py-2 pr-4" title="Annualized Jensen's alpha, risk-free rate taken as zero">Alpha</th>
+                  <th className="py-2 pr-4">Beta</th>
+                  <th className="py-2 pr-4" title="Annualized standard deviation of the daily return difference">Tracking Error</th>
+                  <th className="py-2">Correlation</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                <tr>
+                  <td className="py-2 pr-4 font-semibold text-white">Portfolio</td>
+                  <td className={`py-2 pr-4 ${rateClass(comparison.portfolioReturn)}`}>{formatRate(comparison.portfolioReturn)}</td>
+                  <td colSpan={5}></td>
+                </tr>
+                {comparison.benchmarks.map(benchmark => (
+                  <tr key={benchmark.spec}>
+                    <td className="py-2 pr-4">{describeBenchmark(benchmark.spec)}</td>
+                    <td className={`py-2 pr-4 ${rateClass(benchmark.return)}`}>{formatRate(benchmark.return)}</td>
+                    <td className={`py-2 pr-4 ${rateClass(benchmark.excessReturn)}`}>{formatRate(benchmark.excessReturn)}</td>
+                    <td className={`py-2 pr-4 ${rateClass(benchmark.alpha)}`}>{formatRate(benchmark.alpha)}</td>
+                    <td className="py-2 pr-4">{formatRatio(benchmark.beta)}</td>
+                    <td className="py-2 pr-4">{formatRate(benchmark.trackingError).replace(/^\+/, '')}</td>
+                    <td className="py-2">{formatRatio(benchmark.correlation)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            Time-weighted returns in {comparison.currency} from {formatCalendarDate(comparison.startDate)} to {formatCalendarDate(comparison.endDate)}; benchmarks are converted at daily exchange rates and blends are rebalanced daily.
+          </p>
+        </>
+      ) : (
+        <p className="text-gray-400">No holdings history to compare yet.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { BanknotesIcon } from '@heroicons/react/24/outline';
+import { formatCurrency } from '@/app/utils/currency';
+import CurrencyOptions from './CurrencyOptions';
+
+export default function CashPanel({ portfolioId, balances = [], currency = 'EUR', onChanged, readOnly = false }) {
+  const [type, setType] = useState('DEPOSIT');
+  const [amount, setAmount] = useState('');
+  const [cashCurrency, setCashCurrency] = useState(currency);
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      setError('Amount must be a positive number.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      const response = await fetch('/api/portfolio/cash', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          type,
+          amount: parsedAmount,
+          currency: cashCurrency,
+          date,
+          notes,
+          portfolioId: portfolioId || undefined,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to record cash transaction');
+      }
+      setAmount('');
+      setNotes('');
+      await onChanged?.();
+    } catch (err) {
+      console.error('[CashPanel] Cash transaction error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg shadow-xl mb-8 md:mb-10">
+      <h2 className="text-2xl font-semibold text-white mb-4 text-center md:text-left">Cash</h2>
+
+      {balances.length === 0 ? (
+        <p className="text-gray-400 text-sm mb-4">No cash recorded. Record a deposit to start tracking cash.</p>
+      ) : (
+        <div className="flex flex-wrap gap-4 mb-4">
+          {balances.map((balance) => (
+            <div key={balance.currency} className="bg-gray-700 px-4 py-2 rounded-md">
+              <p className="text-xs text-gray-400 uppercase tracking-wider">{balance.currency}</p>
+              <p className={`text-lg font-semibold ${balance.amount < 0 ? 'text-red-400' : 'text-white'}`}>
+                {formatCurrency(balance.amount, balance.currency)}
+              </p>
+              {balance.currency !== currency && (
+                <p className="text-xs text-gray-400">≈ {formatCurrency(balance.value, currency)}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!readOnly && (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+          <div>
+            <label htmlFor="cashType" className="block text-sm font-medium text-gray-300 mb-1">Type</label>
+            <select id="cashType" value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+              <option value="DEPOSIT">Deposit</option>
+              <option value="WITHDRAWAL">Withdrawal</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="cashAmount" className="block text-sm font-medium text-gray-300 mb-1">Amount</label>
+            <input
+              id="cashAmount"
+              type="number"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="e.g., 1000"
+              min="0.01"
+              step="any"
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="cashCurrency" className="block text-sm font-medium text-gray-300 mb-1">Currency</label>
+            <select id="cashCurrency" value={cashCurrency} onChange={(e) => setCashCurrency(e.target.value)} className={inputClass}>
+              <CurrencyOptions />
+            </select>
+          </div>
+          <div>
+            <label htmlFor="cashDate" className="block text-sm font-medium text-gray-300 mb-1">Date</label>
+            <input id="cashDate" type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} required />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="flex items-center justify-center px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <BanknotesIcon className="h-4 w-4 mr-2" />
+            {isSaving ? 'Saving...' : type === 'DEPOSIT' ? 'Deposit' : 'Withdraw'}
+          </button>
+          <div className="md:col-span-5">
+            <label htmlFor="cashNotes" className="sr-only">Notes</label>
+            <input
+              id="cashNotes"
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Notes (optional)"
+              className={inputClass}
+            />
+          </div>
+        </form>
+      )}
+      {error && <p className="text-red-500 text-sm mt-3">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ArrowPathIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+import { apiRequest } from '@/app/utils/apiClient';
+import { inputClassName } from '@/app/components/formStyles';
+import { formatCalendarDate } from '@/app/utils/formatting';
+
+const ACTION_LABELS = {
+  SPLIT: 'Split',
+  REVERSE_SPLIT: 'Reverse split',
+  RENAME: 'Ticker rename',
+  MERGER: 'Merger',
+};
+
+const emptyForm = () => ({
+  type: 'SPLIT',
+  symbol: '',
+  newSymbol: '',
+  ratioFrom: '1',
+  ratioTo: '2',
+  effectiveDate: new Date().toISOString().split('T')[0],
+  notes: '',
+});
+
+function describeAction(action) {
+  const parts = [action.symbol];
+  if (action.newSymbol) {
+    parts.push(`→ ${action.newSymbol}`);
+  }
+  if (action.type !== 'RENAME') {
+    parts.push(`(${action.ratioFrom}:${action.ratioTo})`);
+  }
+  return parts.join(' ');
+}
+
+export default function CorporateActionsPanel({ portfolioId, onChanged, readOnly = false }) {
+  const [actions, setActions] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isLoadingSuggestions, setIsLoadingSuggestions] = useState(false);
+  const [error, setError] = useState('');
+
+  const query = portfolioId ? `?portfolioId=${encodeURIComponent(portfolioId)}` : '';
+  const needsRatio = form.type !== 'RENAME';
+  const needsNewSymbol = form.type === 'RENAME' || form.type === 'MERGER';
+
+  const fetchActions = useCallback(async () => {
+    try {
+      const data = await apiRequest(`/api/portfolio/corporate-actions${query}`, { errorMessage: 'Failed to load corporate actions' });
+      setActions(data.data);
+    } catch (err) {
+      console.error('[CorporateActionsPanel] Fetch actions error:', err);
+      setError(err.message);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchActions();
+  }, [fetchActions]);
+
+  const fetchSuggestions = async () => {
+    setIsLoadingSuggestions(true);
+    setError('');
+    try {
+      const data = await apiRequest(`/api/portfolio/corporate-actions/suggestions${query}`, { errorMessage: 'Failed to load corporate action suggestions' });
+      setSuggestions(data.data);
+    } catch (err) {
+      console.error('[CorporateActionsPanel] Fetch suggestions error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoadingSuggestions(false);
+    }
+  };
+
+  const submitAction = async (request) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await apiRequest(request.url, {
+        method: request.method,
+        body: request.body ? JSON.stringify(request.body) : undefined,
+        errorMessage: 'Corporate action failed',
+      });
+      await fetchActions();
+      await onChanged?.();
+      return true;
+    } catch (err) {
+      console.error('[CorporateActionsPanel] Corporate action error:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const applyAction = (action) => submitAction({
+    url: '/api/portfolio/corporate-actions',
+    method: 'POST',
+    body: { ...action, portfolioId: portfolioId || undefined },
+  });
+
+  const handleAcceptSuggestion = async (suggestion) => {
+    if (await applyAction(suggestion)) {
+      setSuggestions(prev => prev.filter(s => s !== suggestion));
+    }
+  };
+
+  const handleRevert = async (action) => {
+    if (!window.confirm(`Revert the ${ACTION_LABELS[action.type].toLowerCase()} of ${action.symbol}?`)) {
+      return;
+    }
+    await submitAction({ url: `/api/portfolio/corporate-actions/${action._id}`, method: 'DELETE' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const applied = await applyAction({
+      type: form.type,
+      symbol: form.symbol.trim().toUpperCase(),
+      newSymbol: needsNewSymbol ? form.newSymbol.trim().toUpperCase() : undefined,
+      ratioFrom: needsRatio ? parseFloat(form.ratioFrom) : undefined,
+      ratioTo: needsRatio ? parseFloat(form.ratioTo) : undefined,
+      effectiveDate: form.effectiveDate,
+      notes: form.notes,
+    });
+    if (applied) {
+      setForm(emptyForm());
+    }
+  };
+
+  const handleChange = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg shadow-xl mb-8 md:mb-10">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-white">Corporate Actions</h2>
+        {!readOnly && (
+          <button
+            type="button"
+            onClick={fetchSuggestions}
+            disabled={isLoadingSuggestions}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ArrowPathIcon className={`h-4 w-4 mr-2 ${isLoadingSuggestions ? 'animate-spin' : ''}`} />
+            Check for splits and renames
+          </button>
+        )}
+      </div>
+
+      {suggestions.length > 0 && (
+        <div className="mb-6">
+          <h3 className="text-sm text-gray-400 uppercase tracking-wider mb-2">Found in market reference data</h3>
+          <ul className="divide-y divide-gray-700">
+            {suggestions.map((suggestion) => (
+              <li key={`${suggestion.type}-${suggestion.symbol}-${suggestion.effectiveDate}`} className="flex items-center justify-between py-2 text-sm text-gray-200">
+                <span>
+                  <span className="font-semibold text-white">{ACTION_LABELS[suggestion.type]}</span>
+                  {' '}{describeAction(suggestion)} on {formatCalendarDate(suggestion.effectiveDate)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleAcceptSuggestion(suggestion)}
+                  disabled={isSaving}
+                  className="px-2 py-1 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                >
+                  Apply
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!readOnly && (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end mb-6">
+          <div>
+            <label htmlFor="actionType" className="block text-sm font-medium text-gray-300 mb-1">Action</label>
+            <select id="actionType" value={form.type} onChange={handleChange('type')} className={inputClassName}>
+              {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="actionSymbol" className="block text-sm font-medium text-gray-300 mb-1">Symbol</label>
+            <input id="actionSymbol" type="text" value={form.symbol} onChange={handleChange('symbol')} placeholder="e.g., NVDA" className={inputClassName} required />
+          </div>
+          {needsNewSymbol && (
+            <div>
+              <label htmlFor="actionNewSymbol" className="block text-sm font-medium text-gray-300 mb-1">New Symbol</label>
+              <input id="actionNewSymbol" type="text" value={form.newSymbol} onChange={handleChange('newSymbol')} className={inputClassName} required />
+            </div>
+          )}
+          {needsRatio && (
+            <div>
+              <label htmlFor="actionRatioFrom" className="block text-sm font-medium text-gray-300 mb-1">Old : New Shares</label>
+              <div className="flex items-center gap-1">
+                <input id="actionRatioFrom" type="number" value={form.ratioFrom} onChange={handleChange('ratioFrom')} min="0" step="any" className={inputClassName} required />
+                <span className="text-gray-400">:</span>
+                <input aria-label="New shares" type="number" value={form.ratioTo} onChange={handleChange('ratioTo')} min="0" step="any" className={inputClassName} required />
+              </div>
+            </div>
+          )}
+          <div>
+            <label htmlFor="actionDate" className="block text-sm font-medium text-gray-300 mb-1">Effective Date</label>
+            <input id="actionDate" type="date" value={form.effectiveDate} onChange={handleChange('effectiveDate')} className={inputClassName} required />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Applying...' : 'Apply'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+      {actions.length === 0 ? (
+        <p className="text-gray-400 text-sm">No corporate actions applied.</p>
+      ) : (
+        <table className="min-w-full text-sm text-left text-gray-200">
+          <thead className="text-xs text-gray-400 uppercase">
+            <tr>
+              <th className="py-2 pr-4">Effective</th>
+              <th className="py-2 pr-4">Action</th>
+              <th className="py-2 pr-4">Details</th>
+              <th className="py-2 pr-4">Lots Adjusted</th>
+              <th className="py-2 pr-4">Applied</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {actions.map((action) => (
+              <tr key={action._id} className={action.revertedAt ? 'text-gray-500 line-through' : ''}>
+                <td className="py-2 pr-4">{formatCalendarDate(action.effectiveDate)}</td>
+                <td className="py-2 pr-4">{ACTION_LABELS[action.type]}</td>
+                <td className="py-2 pr-4">{describeAction(action)}</td>
+                <td className="py-2 pr-4">{action.adjustments.filter(a => a.target !== 'SALE').length}</td>
+                <td className="py-2 pr-4">{formatCalendarDate(action.appliedAt)} ({action.source === 'POLYGON' ? 'auto' : 'manual'})</td>
+                <td className="py-2 text-right">
+                  {!readOnly && !action.revertedAt && (
+                    <button
+                      type="button"
+                      onClick={() => handleRevert(action)}
+                      disabled={isSaving}
+                      className="flex items-center text-xs text-blue-400 hover:text-blue-300 transition-colors disabled:opacity-50"
+                    >
+                      <ArrowUturnLeftIcon className="h-3 w-3 mr-1" />
+                      Revert
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
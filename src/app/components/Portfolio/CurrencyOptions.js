@@ -0,0 +1,21 @@
+import { ISO_4217_CURRENCY_CODES, SUPPORTED_CURRENCIES } from '@/app/utils/currency';
+
+const OTHER_CURRENCIES = ISO_4217_CURRENCY_CODES.filter(code => !SUPPORTED_CURRENCIES.includes(code));
+
+// <option>s for a trading-currency <select>: common currencies first, then every other ISO 4217 code
+export default function CurrencyOptions() {
+  return (
+    <>
+      <optgroup label="Common">
+        {SUPPORTED_CURRENCIES.map((code) => (
+          <option key={code} value={code}>{code}</option>
+        ))}
+      </optgroup>
+      <optgroup label="All currencies">
+        {OTHER_CURRENCIES.map((code) => (
+          <option key={code} value={code}>{code}</option>
+        ))}
+      </optgroup>
+    </>
+  );
+}
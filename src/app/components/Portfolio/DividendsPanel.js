@@ -0,0 +1,218 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ArrowPathIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { formatCurrency } from '@/app/utils/currency';
+import CurrencyOptions from './CurrencyOptions';
+import { apiRequest } from '@/app/utils/apiClient';
+import { inputClassName } from '@/app/components/formStyles';
+import { formatCalendarDate } from '@/app/utils/formatting';
+
+const emptyForm = () => ({
+  symbol: '',
+  amount: '',
+  withholdingTax: '',
+  currency: 'USD',
+  date: new Date().toISOString().split('T')[0],
+  notes: '',
+});
+
+export default function DividendsPanel({ portfolioId, onChanged, readOnly = false }) {
+  const [dividends, setDividends] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isLoadingSuggestions, setIsLoadingSuggestions] = useState(false);
+  const [error, setError] = useState('');
+
+  const query = portfolioId ? `?portfolioId=${encodeURIComponent(portfolioId)}` : '';
+
+  const fetchDividends = useCallback(async () => {
+    try {
+      const data = await apiRequest(`/api/portfolio/dividends${query}`, { errorMessage: 'Failed to load dividends' });
+      setDividends(data.data);
+    } catch (err) {
+      console.error('[DividendsPanel] Fetch dividends error:', err);
+      setError(err.message);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchDividends();
+  }, [fetchDividends]);
+
+  const fetchSuggestions = async () => {
+    setIsLoadingSuggestions(true);
+    setError('');
+    try {
+      const data = await apiRequest(`/api/portfolio/dividends/suggestions${query}`, { errorMessage: 'Failed to load dividend suggestions' });
+      setSuggestions(data.data);
+    } catch (err) {
+      console.error('[DividendsPanel] Fetch suggestions error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoadingSuggestions(false);
+    }
+  };
+
+  const recordDividend = async (dividend) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await apiRequest('/api/portfolio/dividends', {
+        method: 'POST',
+        body: JSON.stringify({ ...dividend, portfolioId: portfolioId || undefined }),
+        errorMessage: 'Failed to record dividend',
+      });
+      await fetchDividends();
+      await onChanged?.();
+      return true;
+    } catch (err) {
+      console.error('[DividendsPanel] Record dividend error:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAcceptSuggestion = async (suggestion) => {
+    if (await recordDividend(suggestion)) {
+      setSuggestions(prev => prev.filter(s => s !== suggestion));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(form.amount);
+    const withholdingTax = form.withholdingTax ? parseFloat(form.withholdingTax) : 0;
+    if (!form.symbol.trim() || isNaN(amount) || amount <= 0) {
+      setError('Symbol and a positive amount are required.');
+      return;
+    }
+    if (isNaN(withholdingTax) || withholdingTax < 0) {
+      setError('Withholding tax must be a non-negative number.');
+      return;
+    }
+    const saved = await recordDividend({
+      symbol: form.symbol.trim().toUpperCase(),
+      amount,
+      withholdingTax,
+      currency: form.currency,
+      date: form.date,
+      notes: form.notes,
+    });
+    if (saved) {
+      setForm(emptyForm());
+    }
+  };
+
+  const handleChange = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg shadow-xl mb-8 md:mb-10">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-semibold text-white">Dividends</h2>
+        {!readOnly && (
+          <button
+            type="button"
+            onClick={fetchSuggestions}
+            disabled={isLoadingSuggestions}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ArrowPathIcon className={`h-4 w-4 mr-2 ${isLoadingSuggestions ? 'animate-spin' : ''}`} />
+            Find missing dividends
+          </button>
+        )}
+      </div>
+
+      {suggestions.length > 0 && (
+        <div className="mb-6">
+          <h3 className="text-sm text-gray-400 uppercase tracking-wider mb-2">Suggested from ex-dividend dates</h3>
+          <ul className="divide-y divide-gray-700">
+            {suggestions.map((suggestion) => (
+              <li key={`${suggestion.symbol}-${suggestion.exDividendDate}`} className="flex items-center justify-between py-2 text-sm text-gray-200">
+                <span>
+                  <span className="font-semibold text-white">{suggestion.symbol}</span>
+                  {' '}ex {formatCalendarDate(suggestion.exDividendDate)}, paid {formatCalendarDate(suggestion.date)}:
+                  {' '}{suggestion.quantity} × {formatCurrency(suggestion.dividendPerShare, suggestion.currency)}
+                  {' '}= {formatCurrency(suggestion.amount, suggestion.currency)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleAcceptSuggestion(suggestion)}
+                  disabled={isSaving}
+                  className="flex items-center px-2 py-1 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                >
+                  <PlusIcon className="h-3 w-3 mr-1" />
+                  Add
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!readOnly && (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end mb-6">
+          <div>
+            <label htmlFor="dividendSymbol" className="block text-sm font-medium text-gray-300 mb-1">Symbol</label>
+            <input id="dividendSymbol" type="text" value={form.symbol} onChange={handleChange('symbol')} placeholder="e.g., AAPL" className={inputClassName} required />
+          </div>
+          <div>
+            <label htmlFor="dividendAmount" className="block text-sm font-medium text-gray-300 mb-1">Gross Amount</label>
+            <input id="dividendAmount" type="number" value={form.amount} onChange={handleChange('amount')} min="0.01" step="any" className={inputClassName} required />
+          </div>
+          <div>
+            <label htmlFor="dividendWithholding" className="block text-sm font-medium text-gray-300 mb-1">Withholding Tax</label>
+            <input id="dividendWithholding" type="number" value={form.withholdingTax} onChange={handleChange('withholdingTax')} placeholder="0" min="0" step="any" className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="dividendCurrency" className="block text-sm font-medium text-gray-300 mb-1">Currency</label>
+            <select id="dividendCurrency" value={form.currency} onChange={handleChange('currency')} className={inputClassName}>
+              <CurrencyOptions />
+            </select>
+          </div>
+          <div>
+            <label htmlFor="dividendDate" className="block text-sm font-medium text-gray-300 mb-1">Pay Date</label>
+            <input id="dividendDate" type="date" value={form.date} onChange={handleChange('date')} className={inputClassName} required />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : 'Record Dividend'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+      {dividends.length === 0 ? (
+        <p className="text-gray-400 text-sm">No dividends recorded yet.</p>
+      ) : (
+        <table className="min-w-full text-sm text-left text-gray-200">
+          <thead className="text-xs text-gray-400 uppercase">
+            <tr>
+              <th className="py-2 pr-4">Pay Date</th>
+              <th className="py-2 pr-4">Symbol</th>
+              <th className="py-2 pr-4 text-right">Gross</th>
+              <th className="py-2 pr-4 text-right">Withheld</th>
+              <th className="py-2 text-right">Net</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {dividends.map((dividend) => (
+              <tr key={dividend._id}>
+                <td className="py-2 pr-4">{formatCalendarDate(dividend.date)}</td>
+                <td className="py-2 pr-4 font-semibold">{dividend.symbol}</td>
+                <td className="py-2 pr-4 text-right">{formatCurrency(dividend.amount, dividend.currency)}</td>
+                <td className="py-2 pr-4 text-right">{formatCurrency(dividend.withholdingTax || 0, dividend.currency)}</td>
+                <td className="py-2 text-right">{formatCurrency(dividend.amount - (dividend.withholdingTax || 0), dividend.currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
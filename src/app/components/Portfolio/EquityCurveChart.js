@@ -0,0 +1,153 @@
+"use client";
+import dynamic from 'next/dynamic';
+import { useCallback, useEffect, useState } from 'react';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { formatCurrency } from '@/app/utils/currency';
+import { apiRequest } from '@/app/utils/apiClient';
+
+const Chart = dynamic(() => import('react-apexcharts'), { ssr: false });
+
+const RANGES = [
+  { label: '3M', days: 90 },
+  { label: '1Y', days: 365 },
+  { label: 'All', days: null },
+];
+
+export default function EquityCurveChart({ portfolioId, currency }) {
+  const [series, setSeries] = useState([]);
+  const [seriesCurrency, setSeriesCurrency] = useState(currency || 'EUR');
+  const [range, setRange] = useState(365);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isBackfilling, setIsBackfilling] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchSeries = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (portfolioId) params.set('portfolioId', portfolioId);
+      if (currency) params.set('currency', currency);
+      if (range) params.set('days', String(range));
+      const data = await apiRequest(`/api/portfolio/snapshots?${params.toString()}`, { errorMessage: 'Failed to load value history' });
+      setSeries(data.data);
+      setSeriesCurrency(data.currency);
+      setError('');
+    } catch (err) {
+      console.error('[EquityCurveChart] Fetch series error:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [portfolioId, currency, range]);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [fetchSeries]);
+
+  const handleBackfill = async () => {
+    setIsBackfilling(true);
+    setError('');
+    try {
+      await apiRequest('/api/portfolio/snapshots', {
+        method: 'POST',
+        body: JSON.stringify({ portfolioId: portfolioId || undefined }),
+        errorMessage: 'Failed to build value history',
+      });
+      await fetchSeries();
+    } catch (err) {
+      console.error('[EquityCurveChart] Backfill error:', err);
+      setError(err.message);
+    } finally {
+      setIsBackfilling(false);
+    }
+  };
+
+  const formatValue = (value) => formatCurrency(value, seriesCurrency);
+
+  const chartOptions = {
+    chart: {
+      type: 'line',
+      height: 350,
+      toolbar: { show: false },
+      zoom: { enabled: false },
+      foreColor: '#ccc',
+    },
+    stroke: {
+      curve: 'straight',
+      width: [2, 2],
+      dashArray: [0, 6],
+    },
+    fill: {
+      type: ['gradient', 'solid'],
+      gradient: {
+        shadeIntensity: 1,
+        opacityFrom: 0.5,
+        opacityTo: 0.1,
+        stops: [0, 90, 100],
+      },
+    },
+    xaxis: {
+      type: 'datetime',
+      labels: { style: { colors: '#ccc' } },
+    },
+    yaxis: {
+      labels: {
+        style: { colors: '#ccc' },
+        formatter: formatValue,
+      },
+    },
+    tooltip: {
+      x: { format: 'dd MMM yyyy' },
+      y: { formatter: formatValue },
+      theme: 'dark',
+    },
+    legend: { labels: { colors: '#ccc' } },
+    colors: ['#4ade80', '#60a5fa'],
+    grid: { borderColor: '#555' },
+  };
+
+  const chartSeries = [
+    { name: 'Value', type: 'area', data: series.map(point => ({ x: new Date(point.date).getTime(), y: point.value })) },
+    { name: 'Cost Basis', type: 'line', data: series.map(point => ({ x: new Date(point.date).getTime(), y: point.costBasis })) },
+  ];
+
+  return (
+    <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-xl mb-8 md:mb-10">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-white">Value History</h2>
+        <div className="flex items-center gap-2">
+          {RANGES.map(({ label, days }) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => setRange(days)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                range === days ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={handleBackfill}
+            disabled={isBackfilling}
+            title="Fill in missing days from daily closing prices"
+            className="flex items-center px-3 py-1 text-sm text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <ArrowPathIcon className={`h-4 w-4 mr-1 ${isBackfilling ? 'animate-spin' : ''}`} />
+            {isBackfilling ? 'Building...' : 'Build history'}
+          </button>
+        </div>
+      </div>
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+      {isLoading ? (
+        <p className="text-gray-400">Loading value history...</p>
+      ) : series.length > 0 ? (
+        <Chart options={chartOptions} series={chartSeries} type="line" height={350} />
+      ) : (
+        <p className="text-gray-400">No value history yet. Use &quot;Build history&quot; to fill it in from past prices.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+
+export default function ExportPortfolioPanel({ portfolioId }) {
+  const [report, setReport] = useState('history');
+  const [format, setFormat] = useState('csv');
+  const [year, setYear] = useState(String(new Date().getFullYear()));
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    setError('');
+    try {
+      const token = localStorage.getItem('token');
+      const headers = {};
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+
+      const params = new URLSearchParams({ report, format });
+      if (portfolioId) params.set('portfolioId', portfolioId);
+      if (report === 'tax' && year) params.set('year', year);
+
+      const response = await fetch(`/api/portfolio/export?${params.toString()}`, { headers });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to export portfolio');
+      }
+
+      // The API sends the file name in Content-Disposition; fall back to a generic one
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `portfolio-export.${format}`;
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('[ExportPortfolioPanel] Export error:', err);
+      setError(err.message);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg shadow-xl mb-8 flex flex-col gap-2">
+      <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+        <div className="flex flex-col">
+          <label htmlFor="exportReport" className="text-xs text-gray-400 uppercase tracking-wider mb-1">Export</label>
+          <select id="exportReport" value={report} onChange={(e) => setReport(e.target.value)} className={inputClass}>
+            <option value="history">Lots &amp; transactions</option>
+            <option value="tax">Tax-lot report</option>
+          </select>
+        </div>
+        {report === 'tax' && (
+          <div className="flex flex-col">
+            <label htmlFor="exportYear" className="text-xs text-gray-400 uppercase tracking-wider mb-1">Tax Year</label>
+            <input
+              id="exportYear"
+              type="number"
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              min="1900"
+              max="9999"
+              className={`${inputClass} w-28`}
+            />
+          </div>
+        )}
+        <div className="flex flex-col">
+          <label htmlFor="exportFormat" className="text-xs text-gray-400 uppercase tracking-wider mb-1">Format</label>
+          <select id="exportFormat" value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+        </div>
+        <button
+          type="button"
+          onClick={handleDownload}
+          disabled={isDownloading}
+          className="flex items-center justify-center px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+          {isDownloading ? 'Preparing...' : 'Download'}
+        </button>
+      </div>
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import { useEffect, useState } from 'react';
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { formatCalendarDate } from '@/app/utils/formatting';
+
+const GENERIC_FIELDS = [
+  { key: 'type', label: 'Type (Buy/Sell)' },
+  { key: 'symbol', label: 'Symbol' },
+  { key: 'date', label: 'Date' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'price', label: 'Price' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'fees', label: 'Fees' },
+  { key: 'notes', label: 'Notes' },
+];
+
+const STATUS_STYLES = {
+  ok: 'text-green-400',
+  duplicate: 'text-yellow-400',
+  error: 'text-red-400',
+};
+
+export default function ImportCsvForm({ portfolioId, onImported }) {
+  const [presets, setPresets] = useState([]);
+  const [preset, setPreset] = useState('generic');
+  const [columns, setColumns] = useState({});
+  const [dateFormat, setDateFormat] = useState('YYYY-MM-DD');
+  const [decimalSeparator, setDecimalSeparator] = useState('auto');
+  const [csvText, setCsvText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPresets = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const headers = {};
+        if (token) {
+          headers['Authorization'] = `Bearer ${token}`;
+        }
+        const response = await fetch('/api/portfolio/import', { headers });
+        const data = await response.json();
+        if (response.ok && data.success) {
+          setPresets(data.data);
+          setColumns(data.data.find(p => p.key === 'generic')?.columns || {});
+        }
+      } catch (err) {
+        console.error('[ImportCsvForm] Error fetching presets:', err);
+      }
+    };
+    fetchPresets();
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    setPreview(null);
+    setMessage('');
+    if (!file) return;
+    setFileName(file.name);
+    setCsvText(await file.text());
+  };
+
+  const submitImport = async (commit) => {
+    if (!csvText) {
+      setError('Choose a CSV file first.');
+      return;
+    }
+    setIsWorking(true);
+    setError('');
+    setMessage('');
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      const response = await fetch('/api/portfolio/import', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          csv: csvText,
+          preset,
+          ...(preset === 'generic' && { columns, dateFormat, decimalSeparator }),
+          portfolioId: portfolioId || undefined,
+          commit,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to import CSV');
+      }
+      setPreview(data.data);
+      if (commit) {
+        setMessage(`Imported ${data.data.summary.ok} of ${data.data.summary.total} rows.`);
+        await onImported?.();
+      }
+    } catch (err) {
+      console.error('[ImportCsvForm] Import error:', err);
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg shadow-xl mb-8 md:mb-10">
+      <h2 className="text-2xl font-semibold text-white mb-6 text-center md:text-left">Import from CSV</h2>
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+      {message && <p className="text-green-400 text-sm mb-4">{message}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor="importPreset" className="block text-sm font-medium text-gray-300 mb-1">Format</label>
+          <select
+            id="importPreset"
+            value={preset}
+            onChange={(e) => { setPreset(e.target.value); setPreview(null); }}
+            className={inputClass}
+          >
+            {presets.length === 0 && <option value="generic">Generic (map columns)</option>}
+            {presets.map((p) => (
+              <option key={p.key} value={p.key}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="importFile" className="block text-sm font-medium text-gray-300 mb-1">CSV File</label>
+          <input
+            id="importFile"
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-gray-300 file:mr-3 file:px-3 file:py-2 file:rounded-md file:border-0 file:bg-gray-600 file:text-white"
+          />
+          {fileName && <p className="text-xs text-gray-400 mt-1">{fileName}</p>}
+        </div>
+      </div>
+
+      {preset === 'generic' && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+          {GENERIC_FIELDS.map(({ key, label }) => (
+            <div key={key}>
+              <label htmlFor={`column-${key}`} className="block text-xs font-medium text-gray-400 mb-1">{label} column</label>
+              <input
+                id={`column-${key}`}
+                type="text"
+                value={columns[key] || ''}
+                onChange={(e) => setColumns({ ...columns, [key]: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          ))}
+          <div>
+            <label htmlFor="dateFormat" className="block text-xs font-medium text-gray-400 mb-1">Date format</label>
+            <select id="dateFormat" value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} className={inputClass}>
+              <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+              <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+              <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="decimalSeparator" className="block text-xs font-medium text-gray-400 mb-1">Decimal separator</label>
+            <select id="decimalSeparator" value={decimalSeparator} onChange={(e) => setDecimalSeparator(e.target.value)} className={inputClass}>
+              <option value="auto">Detect (rejects 1,234)</option>
+              <option value=".">Point (1,234.50)</option>
+              <option value=",">Comma (1.234,50)</option>
+            </select>
+          </div>
+        </div>
+      )}
+
+      <div className="flex gap-3 mb-4">
+        <button
+          type="button"
+          onClick={() => submitImport(false)}
+          disabled={isWorking || !csvText}
+          className="px-4 py-2 text-sm font-medium text-white bg-gray-600 hover:bg-gray-500 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isWorking ? 'Working...' : 'Preview'}
+        </button>
+        <button
+          type="button"
+          onClick={() => submitImport(true)}
+          disabled={isWorking || !preview || preview.summary.ok === 0}
+          className="flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+          Import {preview ? preview.summary.ok : ''} Rows
+        </button>
+      </div>
+
+      {preview && (
+        <div>
+          <p className="text-sm text-gray-300 mb-2">
+            {preview.summary.buys} buys, {preview.summary.sells} sells · {preview.summary.ok} ready,{' '}
+            {preview.summary.duplicates} duplicates, {preview.summary.errors} with errors
+          </p>
+          <div className="overflow-x-auto max-h-80 overflow-y-auto">
+            <table className="min-w-full text-xs text-left text-gray-300">
+              <thead className="text-gray-400 uppercase">
+                <tr>
+                  <th className="px-2 py-2">Row</th>
+                  <th className="px-2 py-2">Type</th>
+                  <th className="px-2 py-2">Symbol</th>
+                  <th className="px-2 py-2">Date</th>
+                  <th className="px-2 py-2 text-right">Quantity</th>
+                  <th className="px-2 py-2 text-right">Price</th>
+                  <th className="px-2 py-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row) => (
+                  <tr key={row.rowNumber} className="border-t border-gray-700">
+                    <td className="px-2 py-1">{row.rowNumber}</td>
+                    <td className="px-2 py-1">{row.type}</td>
+                    <td className="px-2 py-1">{row.symbol}</td>
+                    <td className="px-2 py-1">{row.date ? formatCalendarDate(row.date) : '-'}</td>
+                    <td className="px-2 py-1 text-right">{row.quantity ?? '-'}</td>
+                    <td className="px-2 py-1 text-right">{row.price ?? '-'} {row.currency}</td>
+                    <td className={`px-2 py-1 ${STATUS_STYLES[row.status]}`}>
+                      {row.status}{row.errors.length > 0 ? `: ${row.errors.join('; ')}` : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
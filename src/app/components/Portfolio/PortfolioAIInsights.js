@@ -7,7 +7,7 @@ import { SparklesIcon, BriefcaseIcon, XMarkIcon } from '@heroicons/react/24/outl
  * PortfolioAIInsights Component
  * Displays AI-powered portfolio analysis with streaming support
  */
-export default function PortfolioAIInsights() {
+export default function PortfolioAIInsights({ portfolioId }) {
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysis, setAnalysis] = useState('');
   const [error, setError] = useState(null);
@@ -40,7 +40,8 @@ export default function PortfolioAIInsights() {
         headers['Authorization'] = `Bearer ${token}`;
       }
 
-      const response = await fetch('/api/ai/analyze-portfolio', { headers });
+      const query = portfolioId ? `?portfolioId=${encodeURIComponent(portfolioId)}` : '';
+      const response = await fetch(`/api/ai/analyze-portfolio${query}`, { headers });
 
       if (!response.ok) {
         if (response.status === 401) {
@@ -1,38 +1,199 @@
-import { formatCurrency } from '@/app/utils/currency';
+import { formatCurrency, formatPercentage, SUPPORTED_CURRENCIES } from '@/app/utils/currency';
+import { COST_BASIS_METHODS, COST_BASIS_METHOD_LABELS } from '@/app/utils/costBasis';
+import { formatCalendarDate } from '@/app/utils/formatting';
+
+const PERFORMANCE_PERIOD_LABELS = { YTD: 'YTD', '1Y': '1Y', '3Y': '3Y', ALL: 'All' };
+
+function formatRate(rate) {
+  if (rate === null || rate === undefined || !isFinite(rate)) return '—';
+  return formatPercentage(rate * 100, { signed: true });
+}
+
+const rateClass = (rate) => (rate === null || rate === undefined ? 'text-white' : rate >= 0 ? 'text-green-400' : 'text-red-400');
 
 export default function PortfolioHeader({
+  title = 'My Portfolio',
   totalValue = 0,
   totalInvestment = 0,
   totalProfitLoss = 0,
-  overallPercentageReturn = 0 // Defaulting here and for other numeric props
+  overallPercentageReturn = 0, // Defaulting here and for other numeric props
+  realizedProfitLoss = 0,
+  dividendIncome = 0,
+  totalReturn = 0,
+  totalReturnPercentage = 0,
+  performance = null,
+  performancePeriod = 'ALL',
+  onPerformancePeriodChange,
+  isPerformanceLoading = false,
+  costBasisMethod = 'FIFO',
+  onCostBasisMethodChange,
+  currency = 'EUR',
+  baseCurrency,
+  onCurrencyChange,
+  onSetBaseCurrency,
+  showCash = false,
+  cashBalance = 0,
+  totalAccountValue = 0,
+  netContributions = 0
 }) {
   const isGain = totalProfitLoss >= 0;
+  const isRealizedGain = realizedProfitLoss >= 0;
+  const isTotalReturnGain = totalReturn >= 0;
 
   return (
     <div className="bg-gray-800 p-6 rounded-lg shadow-xl mb-8 md:mb-10">
-      <h1 className="text-3xl font-bold text-white mb-6 text-center md:text-left">My Portfolio</h1>
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 text-center md:text-left">
+      <h1 className="text-3xl font-bold text-white mb-6 text-center md:text-left">{title}</h1>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 text-center md:text-left">
         <div>
           <p className="text-sm text-gray-400 uppercase tracking-wider">Total Value</p>
-          <p className="text-2xl font-semibold text-white">{formatCurrency(totalValue, 'EUR')}</p>
+          <p className="text-2xl font-semibold text-white">{formatCurrency(totalValue, currency)}</p>
         </div>
         <div>
           <p className="text-sm text-gray-400 uppercase tracking-wider">Total Investment</p>
-          <p className="text-2xl font-semibold text-white">{formatCurrency(totalInvestment, 'EUR')}</p>
+          <p className="text-2xl font-semibold text-white">{formatCurrency(totalInvestment, currency)}</p>
         </div>
         <div>
           <p className="text-sm text-gray-400 uppercase tracking-wider">Overall Gain/Loss</p>
           <p className={`text-2xl font-semibold ${isGain ? 'text-green-400' : 'text-red-400'}`}>
-            {formatCurrency(totalProfitLoss, 'EUR')}
+            {formatCurrency(totalProfitLoss, currency)}
           </p>
         </div>
         <div>
           <p className="text-sm text-gray-400 uppercase tracking-wider">Overall Return</p>
           <p className={`text-2xl font-semibold ${isGain ? 'text-green-400' : 'text-red-400'}`}>
-            {isGain ? '+' : ''}{overallPercentageReturn.toFixed(2)}%
+            {formatPercentage(overallPercentageReturn, { signed: true })}
+          </p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 uppercase tracking-wider">Realized Gain/Loss</p>
+          <p className={`text-2xl font-semibold ${isRealizedGain ? 'text-green-400' : 'text-red-400'}`}>
+            {formatCurrency(realizedProfitLoss, currency)}
           </p>
         </div>
       </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 text-center md:text-left mt-6 pt-6 border-t border-gray-700">
+        <div>
+          <p className="text-sm text-gray-400 uppercase tracking-wider">Dividend Income</p>
+          <p className="text-2xl font-semibold text-white">{formatCurrency(dividendIncome, currency)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-400 uppercase tracking-wider">Total Return</p>
+          <p className={`text-2xl font-semibold ${isTotalReturnGain ? 'text-green-400' : 'text-red-400'}`}>
+            {formatCurrency(totalReturn, currency)}
+            <span className="text-base ml-2">({formatPercentage(totalReturnPercentage, { signed: true })})</span>
+          </p>
+        </div>
+        {showCash && (
+          <>
+            <div>
+              <p className="text-sm text-gray-400 uppercase tracking-wider">Cash</p>
+              <p className={`text-2xl font-semibold ${cashBalance < 0 ? 'text-red-400' : 'text-white'}`}>{formatCurrency(cashBalance, currency)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-400 uppercase tracking-wider">Account Value</p>
+              <p className="text-2xl font-semibold text-white">{formatCurrency(totalAccountValue, currency)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-400 uppercase tracking-wider">Net Contributions</p>
+              <p className="text-2xl font-semibold text-white">{formatCurrency(netContributions, currency)}</p>
+            </div>
+          </>
+        )}
+      </div>
+      {onPerformancePeriodChange && (
+        <div className="mt-6 pt-6 border-t border-gray-700">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+            <p className="text-sm text-gray-400 uppercase tracking-wider">Performance</p>
+            <div className="flex gap-1">
+              {Object.entries(PERFORMANCE_PERIOD_LABELS).map(([period, label]) => (
+                <button
+                  key={period}
+                  type="button"
+                  onClick={() => onPerformancePeriodChange(period)}
+                  className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                    performancePeriod === period ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className={`grid grid-cols-1 md:grid-cols-4 gap-6 text-center md:text-left ${isPerformanceLoading ? 'opacity-50' : ''}`}>
+            <div>
+              <p className="text-sm text-gray-400 uppercase tracking-wider">Time-Weighted Return</p>
+              <p className={`text-2xl font-semibold ${rateClass(performance?.twr)}`}>{formatRate(performance?.twr)}</p>
+              {performance?.twrAnnualized !== null && performance?.twrAnnualized !== undefined && (
+                <p className="text-xs text-gray-400">{formatRate(performance.twrAnnualized)} annualized</p>
+              )}
+            </div>
+            <div>
+              <p className="text-sm text-gray-400 uppercase tracking-wider">Money-Weighted Return (XIRR)</p>
+              <p className={`text-2xl font-semibold ${rateClass(performance?.mwr)}`}>{formatRate(performance?.mwr)}</p>
+              <p className="text-xs text-gray-400">annualized</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-400 uppercase tracking-wider">Net Invested in Period</p>
+              <p className="text-2xl font-semibold text-white">{formatCurrency(performance?.netFlows || 0, currency)}</p>
+              {performance?.startDate && (
+                <p className="text-xs text-gray-400">since {formatCalendarDate(performance.startDate)}</p>
+              )}
+            </div>
+            <div>
+              <p className="text-sm text-gray-400 uppercase tracking-wider">Fees Paid in Period</p>
+              <p className="text-2xl font-semibold text-white">{formatCurrency(performance?.fees || 0, currency)}</p>
+              <p className="text-xs text-gray-400">commissions, FX fees and taxes on trades</p>
+            </div>
+          </div>
+        </div>
+      )}
+      {(onCostBasisMethodChange || onCurrencyChange) && (
+        <div className="mt-6 flex flex-col sm:flex-row sm:items-center gap-4">
+          {onCostBasisMethodChange && (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <label htmlFor="costBasisMethod" className="text-sm text-gray-400 uppercase tracking-wider">
+                Cost Basis Method
+              </label>
+              <select
+                id="costBasisMethod"
+                value={costBasisMethod}
+                onChange={(e) => onCostBasisMethodChange(e.target.value)}
+                className="px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+              >
+                {COST_BASIS_METHODS.map((method) => (
+                  <option key={method} value={method}>{COST_BASIS_METHOD_LABELS[method]}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {onCurrencyChange && (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <label htmlFor="displayCurrency" className="text-sm text-gray-400 uppercase tracking-wider">
+                Display Currency
+              </label>
+              <select
+                id="displayCurrency"
+                value={currency}
+                onChange={(e) => onCurrencyChange(e.target.value)}
+                className="px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+              >
+                {SUPPORTED_CURRENCIES.map((code) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+              {onSetBaseCurrency && baseCurrency && currency !== baseCurrency && (
+                <button
+                  type="button"
+                  onClick={() => onSetBaseCurrency(currency)}
+                  className="text-sm text-blue-400 hover:text-blue-300 transition-colors"
+                >
+                  Make {currency} my base currency
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
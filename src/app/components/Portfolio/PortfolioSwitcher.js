@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { ArchiveBoxIcon, PencilSquareIcon, PlusIcon } from '@heroicons/react/24/outline';
+
+export const ALL_PORTFOLIOS_ID = 'all';
+
+export default function PortfolioSwitcher({
+  portfolios = [],
+  selectedPortfolioId,
+  activePortfolio,
+  onSelect,
+  onCreate,
+  onRename,
+  onArchive,
+}) {
+  const [mode, setMode] = useState(null); // 'create' | 'rename' | null
+  const [nameInput, setNameInput] = useState('');
+  const [error, setError] = useState('');
+
+  const isCombinedView = selectedPortfolioId === ALL_PORTFOLIOS_ID;
+  const selectValue = selectedPortfolioId || activePortfolio?._id || '';
+
+  const startEditing = (nextMode) => {
+    setMode(nextMode);
+    setNameInput(nextMode === 'rename' ? activePortfolio?.name || '' : '');
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!nameInput.trim()) {
+      setError('Portfolio name is required.');
+      return;
+    }
+    if (mode === 'create') {
+      await onCreate(nameInput.trim());
+    } else {
+      await onRename(nameInput.trim());
+    }
+    setMode(null);
+    setNameInput('');
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg shadow-xl mb-6 flex flex-col gap-3">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <label htmlFor="portfolioSelect" className="text-sm text-gray-400 uppercase tracking-wider">
+          Portfolio
+        </label>
+        <select
+          id="portfolioSelect"
+          value={selectValue}
+          onChange={(e) => onSelect(e.target.value)}
+          className="flex-1 px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        >
+          {portfolios.length === 0 && <option value="">My Portfolio</option>}
+          {portfolios.map((p) => (
+            <option key={p._id} value={p._id}>
+              {p.name}{p.archived ? ' (archived)' : ''}
+            </option>
+          ))}
+          {portfolios.length > 1 && <option value={ALL_PORTFOLIOS_ID}>All accounts</option>}
+        </select>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => startEditing('create')}
+            className="flex items-center px-3 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" /> New
+          </button>
+          {!isCombinedView && activePortfolio?._id && (
+            <>
+              <button
+                type="button"
+                onClick={() => startEditing('rename')}
+                className="flex items-center px-3 py-2 text-sm text-gray-200 bg-gray-600 hover:bg-gray-500 rounded-md transition-colors"
+              >
+                <PencilSquareIcon className="h-4 w-4 mr-1" /> Rename
+              </button>
+              <button
+                type="button"
+                onClick={() => onArchive(!activePortfolio.archived)}
+                className="flex items-center px-3 py-2 text-sm text-gray-200 bg-gray-600 hover:bg-gray-500 rounded-md transition-colors"
+              >
+                <ArchiveBoxIcon className="h-4 w-4 mr-1" /> {activePortfolio.archived ? 'Unarchive' : 'Archive'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {mode && (
+        <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            value={nameInput}
+            onChange={(e) => setNameInput(e.target.value)}
+            placeholder={mode === 'create' ? 'e.g., Retirement account' : 'New portfolio name'}
+            maxLength={100}
+            className="flex-1 px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+          >
+            {mode === 'create' ? 'Create' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode(null)}
+            className="px-4 py-2 text-sm font-medium text-gray-300 bg-gray-600 hover:bg-gray-500 rounded-md transition-colors"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+    </div>
+  );
+}
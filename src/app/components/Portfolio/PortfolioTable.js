@@ -1,6 +1,6 @@
 import PortfolioTableRow from './PortfolioTableRow';
 
-export default function PortfolioTable({ portfolio, onSell, isSelling }) {
+export default function PortfolioTable({ portfolio, onSell, isSelling, onUpdateLot, onDeleteLot, currency = 'EUR' }) {
   if (!portfolio || portfolio.length === 0) {
     return (
       <div className="text-center py-10">
@@ -17,11 +17,11 @@ export default function PortfolioTable({ portfolio, onSell, isSelling }) {
           <tr>
             <th scope="col" className="px-3 py-3 md:px-5 md:py-4 whitespace-nowrap">Name (Symbol)</th>
             <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Quantity</th>
-            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Avg. Cost/Share (EUR)</th>
-            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Current Price (EUR)</th>
-            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Total Value (EUR)</th>
-            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Total Investment (EUR)</th>
-            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Gain/Loss (EUR) (%)</th>
+            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Avg. Cost/Share ({currency})</th>
+            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Current Price ({currency})</th>
+            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Total Value ({currency})</th>
+            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Total Investment ({currency})</th>
+            <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-right whitespace-nowrap">Gain/Loss ({currency}) (%)</th>
             <th scope="col" className="px-3 py-3 md:px-5 md:py-4 text-center whitespace-nowrap">Actions</th>
           </tr>
         </thead>
@@ -32,6 +32,8 @@ export default function PortfolioTable({ portfolio, onSell, isSelling }) {
               stock={stock} 
               onSell={onSell} 
               isSelling={isSelling} 
+              onUpdateLot={onUpdateLot}
+              onDeleteLot={onDeleteLot}
             />
           ))}
         </tbody>
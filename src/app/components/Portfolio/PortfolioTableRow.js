@@ -1,11 +1,36 @@
 import { useState } from 'react';
-import { TrashIcon, MinusCircleIcon } from '@heroicons/react/24/outline';
-import { formatCurrency } from '@/app/utils/currency'; // Assuming you have this utility
+import {
+  TrashIcon,
+  MinusCircleIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  PencilSquareIcon,
+  CheckIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+import { formatCurrency, formatPercentage } from '@/app/utils/currency'; // Assuming you have this utility
+import { formatNumber, formatCalendarDate } from '@/app/utils/formatting';
+import { COST_BASIS_METHODS, COST_BASIS_METHOD_LABELS } from '@/app/utils/costBasis';
+import CurrencyOptions from './CurrencyOptions';
 
-export default function PortfolioTableRow({ stock, onSell, isSelling }) {
+const toDateInput = (date) => new Date(date).toISOString().split('T')[0];
+
+export default function PortfolioTableRow({ stock, onSell, isSelling, onUpdateLot, onDeleteLot }) {
   const [showSellModal, setShowSellModal] = useState(false);
   const [sellQuantity, setSellQuantity] = useState('');
+  const [sellPrice, setSellPrice] = useState('');
+  const [sellCurrency, setSellCurrency] = useState('USD');
+  const [sellFees, setSellFees] = useState('');
+  const [sellFeesCurrency, setSellFeesCurrency] = useState(''); // '' = same as the sale currency
+  const [sellDate, setSellDate] = useState(new Date().toISOString().split('T')[0]);
+  const [sellMethod, setSellMethod] = useState('FIFO');
+  const [lotSelections, setLotSelections] = useState({}); // lotId -> shares, for SPECIFIC
   const [sellError, setSellError] = useState('');
+  const [showLots, setShowLots] = useState(false);
+  const [editingLotId, setEditingLotId] = useState(null);
+  const [lotDraft, setLotDraft] = useState({});
+  const [lotError, setLotError] = useState('');
+  const [savingLotId, setSavingLotId] = useState(null);
 
   if (!stock) return null;
 
@@ -13,26 +38,35 @@ export default function PortfolioTableRow({ stock, onSell, isSelling }) {
     symbol,
     name,
     totalShares,
-    avgCostPerShareInEUR, // From API
-    currentPriceInEUR,    // From API
-    currentTotalValueInEUR, // From API
-    totalInvestmentInEUR, // From API
-    totalProfitLossInEUR,   // From API
+    currency = 'EUR',     // From API, the currency values are reported in
+    avgCostPerShare,      // From API
+    currentPrice: currentPriceValue, // From API
+    currentTotalValue,    // From API
+    totalInvestment: totalInvestmentValue, // From API
+    totalProfitLoss,      // From API
     percentageReturn,       // From API
+    costBasisMethod,        // From API, portfolio default
     transactions, // Array of individual transactions, if needed for detailed view
   } = stock;
 
   const numQuantity = typeof totalShares === 'number' && !isNaN(totalShares) ? totalShares : 0;
-  const avgCost = typeof avgCostPerShareInEUR === 'number' ? avgCostPerShareInEUR : 0;
-  const currentPrice = typeof currentPriceInEUR === 'number' ? currentPriceInEUR : 0;
-  const totalValue = typeof currentTotalValueInEUR === 'number' ? currentTotalValueInEUR : 0;
-  const totalInvestment = typeof totalInvestmentInEUR === 'number' ? totalInvestmentInEUR : 0;
-  const gainLoss = typeof totalProfitLossInEUR === 'number' ? totalProfitLossInEUR : 0;
+  const avgCost = typeof avgCostPerShare === 'number' ? avgCostPerShare : 0;
+  const currentPrice = typeof currentPriceValue === 'number' ? currentPriceValue : 0;
+  const totalValue = typeof currentTotalValue === 'number' ? currentTotalValue : 0;
+  const totalInvestment = typeof totalInvestmentValue === 'number' ? totalInvestmentValue : 0;
+  const gainLoss = typeof totalProfitLoss === 'number' ? totalProfitLoss : 0;
   const gainLossPercent = typeof percentageReturn === 'number' ? percentageReturn : 0;
   const isGain = gainLoss >= 0;
 
   const handleOpenSellModal = () => {
     setSellQuantity(numQuantity.toString()); // Pre-fill with total quantity
+    setSellPrice('');
+    setSellCurrency(transactions?.[0]?.tradingCurrency || 'USD');
+    setSellFees('');
+    setSellFeesCurrency('');
+    setSellDate(new Date().toISOString().split('T')[0]);
+    setSellMethod(costBasisMethod || 'FIFO');
+    setLotSelections({});
     setSellError('');
     setShowSellModal(true);
   };
@@ -43,54 +77,314 @@ export default function PortfolioTableRow({ stock, onSell, isSelling }) {
     setSellError('');
   };
 
+  const selectedLots = Object.entries(lotSelections)
+    .map(([lotId, shares]) => ({ lotId, shares: parseFloat(shares) }))
+    .filter(lot => !isNaN(lot.shares) && lot.shares > 0);
+  const specificLotShares = selectedLots.reduce((sum, lot) => sum + lot.shares, 0);
+
   const handleConfirmSell = async () => {
-    const qtyToSell = parseFloat(sellQuantity);
+    const qtyToSell = sellMethod === 'SPECIFIC' ? specificLotShares : parseFloat(sellQuantity);
     if (isNaN(qtyToSell) || qtyToSell <= 0 || qtyToSell > numQuantity) {
       setSellError(`Please enter a valid quantity (up to ${numQuantity}).`);
       return;
     }
+    const price = parseFloat(sellPrice);
+    if (isNaN(price) || price <= 0) {
+      setSellError('Please enter a valid sale price per share.');
+      return;
+    }
+    const fees = sellFees.trim() ? parseFloat(sellFees) : 0;
+    if (isNaN(fees) || fees < 0) {
+      setSellError('Fees must be zero or a positive number.');
+      return;
+    }
     setSellError('');
-    await onSell(symbol, qtyToSell);
+    await onSell(symbol, {
+      quantity: qtyToSell,
+      price,
+      currency: sellCurrency,
+      fees,
+      feesCurrency: sellFeesCurrency || sellCurrency,
+      date: sellDate,
+      method: sellMethod,
+      ...(sellMethod === 'SPECIFIC' && { lots: selectedLots }),
+    });
     handleCloseSellModal();
   };
 
+  const handleEditLot = (lot) => {
+    setEditingLotId(lot._id);
+    setLotDraft({
+      shares: String(lot.shares),
+      costPerShare: String(lot.costPerShare),
+      currency: lot.tradingCurrency,
+      fees: String(lot.fees || 0),
+      feesCurrency: lot.feesCurrency || lot.tradingCurrency,
+      purchaseDate: toDateInput(lot.purchaseDate),
+      notes: lot.notes || '',
+    });
+    setLotError('');
+  };
+
+  const handleCancelEditLot = () => {
+    setEditingLotId(null);
+    setLotError('');
+  };
+
+  const handleLotDraftChange = (field) => (e) => {
+    setLotDraft({ ...lotDraft, [field]: e.target.value });
+  };
+
+  const handleSaveLot = async () => {
+    const shares = parseFloat(lotDraft.shares);
+    const costPerShare = parseFloat(lotDraft.costPerShare);
+    if (isNaN(shares) || shares <= 0) {
+      setLotError('Shares must be a positive number.');
+      return;
+    }
+    if (isNaN(costPerShare) || costPerShare <= 0) {
+      setLotError('Cost per share must be a positive number.');
+      return;
+    }
+    const fees = lotDraft.fees.trim() ? parseFloat(lotDraft.fees) : 0;
+    if (isNaN(fees) || fees < 0) {
+      setLotError('Fees must be zero or a positive number.');
+      return;
+    }
+    if (!lotDraft.purchaseDate) {
+      setLotError('Please enter the purchase date.');
+      return;
+    }
+    setSavingLotId(editingLotId);
+    setLotError('');
+    try {
+      await onUpdateLot(editingLotId, {
+        shares,
+        costPerShare,
+        currency: lotDraft.currency,
+        fees,
+        feesCurrency: lotDraft.feesCurrency,
+        purchaseDate: lotDraft.purchaseDate,
+        notes: lotDraft.notes,
+      });
+      setEditingLotId(null);
+    } catch (err) {
+      setLotError(err.message);
+    } finally {
+      setSavingLotId(null);
+    }
+  };
+
+  const handleDeleteLot = async (lot) => {
+    if (!window.confirm(`Delete the lot of ${lot.shares} ${symbol} bought ${formatCalendarDate(lot.purchaseDate)}? Use Sell to record shares you sold.`)) {
+      return;
+    }
+    setSavingLotId(lot._id);
+    setLotError('');
+    try {
+      await onDeleteLot(lot._id);
+    } catch (err) {
+      setLotError(err.message);
+    } finally {
+      setSavingLotId(null);
+    }
+  };
+
+  const canEditLots = Boolean(onUpdateLot && onDeleteLot);
+  const lotInputClass = 'w-full px-2 py-1 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none';
+
   return (
     <>
       <tr className="border-b border-gray-700 hover:bg-gray-750 transition-colors duration-150 ease-in-out">
         <td className="py-4 px-3 md:px-5 text-sm md:text-base text-blue-400 font-medium whitespace-nowrap">
-          {name || symbol} ({symbol})
-          {/* Optionally, display more details from transactions if needed */}
+          <button
+            type="button"
+            onClick={() => setShowLots(!showLots)}
+            className="inline-flex items-center text-left hover:text-blue-300"
+            aria-expanded={showLots}
+            aria-label={`${showLots ? 'Hide' : 'Show'} lots of ${symbol}`}
+          >
+            {showLots ? <ChevronDownIcon className="h-4 w-4 mr-1" /> : <ChevronRightIcon className="h-4 w-4 mr-1" />}
+            {name || symbol} ({symbol})
+          </button>
         </td>
-        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{numQuantity.toLocaleString()}</td>
-        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatCurrency(avgCost, 'EUR')}</td>
-        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatCurrency(currentPrice, 'EUR')}</td>
-        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatCurrency(totalValue, 'EUR')}</td>
-        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatCurrency(totalInvestment, 'EUR')}</td>
+        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatNumber(numQuantity)}</td>
+        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatCurrency(avgCost, currency)}</td>
+        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatCurrency(currentPrice, currency)}</td>
+        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatCurrency(totalValue, currency)}</td>
+        <td className="py-4 px-3 md:px-5 text-sm md:text-base text-white text-right whitespace-nowrap">{formatCurrency(totalInvestment, currency)}</td>
         <td className={`py-4 px-3 md:px-5 text-sm md:text-base text-right whitespace-nowrap ${isGain ? 'text-green-400' : 'text-red-400'}`}>
-          {formatCurrency(gainLoss, 'EUR')} ({isGain ? '+' : ''}{gainLossPercent.toFixed(2)}%)
+          {formatCurrency(gainLoss, currency)} ({formatPercentage(gainLossPercent, { signed: true })})
         </td>
         <td className="py-4 px-3 md:px-5 text-center whitespace-nowrap">
-          <button
-            onClick={handleOpenSellModal}
-            disabled={isSelling === symbol} // Disable if this specific stock is being sold
-            className="text-red-500 hover:text-red-400 disabled:opacity-50 disabled:cursor-not-allowed p-2 rounded-md transition-colors"
-            aria-label={`Sell ${symbol}`}
-          >
-            {isSelling === symbol ? (
-              <MinusCircleIcon className="h-5 w-5 md:h-6 md:w-6 animate-spin" />
-            ) : (
-              <TrashIcon className="h-5 w-5 md:h-6 md:w-6" />
-            )}
-          </button>
+          {onSell && (
+            <button
+              onClick={handleOpenSellModal}
+              disabled={isSelling === symbol} // Disable if this specific stock is being sold
+              className="text-red-500 hover:text-red-400 disabled:opacity-50 disabled:cursor-not-allowed p-2 rounded-md transition-colors"
+              aria-label={`Sell ${symbol}`}
+            >
+              {isSelling === symbol ? (
+                <MinusCircleIcon className="h-5 w-5 md:h-6 md:w-6 animate-spin" />
+              ) : (
+                <TrashIcon className="h-5 w-5 md:h-6 md:w-6" />
+              )}
+            </button>
+          )}
         </td>
       </tr>
 
+      {/* Lots of this holding, editable in place */}
+      {showLots && (
+        <tr className="border-b border-gray-700 bg-gray-900">
+          <td colSpan={8} className="px-3 md:px-5 py-3">
+            {lotError && <p className="text-red-500 text-sm mb-2">{lotError}</p>}
+            <table className="min-w-full text-sm text-gray-300">
+              <thead className="text-xs text-gray-400 uppercase">
+                <tr>
+                  <th className="py-2 pr-3 text-left">Purchase Date</th>
+                  <th className="py-2 pr-3 text-right">Shares</th>
+                  <th className="py-2 pr-3 text-right">Cost/Share</th>
+                  <th className="py-2 pr-3 text-left">Currency</th>
+                  <th className="py-2 pr-3 text-right">Fees</th>
+                  <th className="py-2 pr-3 text-left">Notes</th>
+                  {canEditLots && <th className="py-2 text-center">Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {(transactions || []).map((lot) => (editingLotId === lot._id ? (
+                  <tr key={lot._id} className="border-t border-gray-700">
+                    <td className="py-2 pr-3">
+                      <input type="date" aria-label="Purchase date" value={lotDraft.purchaseDate} onChange={handleLotDraftChange('purchaseDate')} className={lotInputClass} />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input type="number" aria-label="Shares" value={lotDraft.shares} onChange={handleLotDraftChange('shares')} min="0.000001" step="any" className={`${lotInputClass} text-right`} />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input type="number" aria-label="Cost per share" value={lotDraft.costPerShare} onChange={handleLotDraftChange('costPerShare')} min="0.000001" step="any" className={`${lotInputClass} text-right`} />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <select aria-label="Currency" value={lotDraft.currency} onChange={handleLotDraftChange('currency')} className={lotInputClass}>
+                        <CurrencyOptions />
+                      </select>
+                    </td>
+                    <td className="py-2 pr-3">
+                      <div className="flex gap-1">
+                        <input type="number" aria-label="Fees" value={lotDraft.fees} onChange={handleLotDraftChange('fees')} min="0" step="any" className={`${lotInputClass} text-right`} />
+                        <select aria-label="Fees currency" value={lotDraft.feesCurrency} onChange={handleLotDraftChange('feesCurrency')} className={lotInputClass}>
+                          <CurrencyOptions />
+                        </select>
+                      </div>
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input type="text" aria-label="Notes" value={lotDraft.notes} onChange={handleLotDraftChange('notes')} className={lotInputClass} />
+                    </td>
+                    <td className="py-2 text-center whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={handleSaveLot}
+                        disabled={savingLotId === lot._id}
+                        className="text-green-500 hover:text-green-400 disabled:opacity-50 p-1"
+                        aria-label="Save lot"
+                      >
+                        <CheckIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleCancelEditLot}
+                        className="text-gray-400 hover:text-gray-300 p-1"
+                        aria-label="Cancel editing lot"
+                      >
+                        <XMarkIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ) : (
+                  <tr key={lot._id} className="border-t border-gray-700">
+                    <td className="py-2 pr-3">{formatCalendarDate(lot.purchaseDate)}</td>
+                    <td className="py-2 pr-3 text-right">{formatNumber(lot.shares)}</td>
+                    <td className="py-2 pr-3 text-right">{formatCurrency(lot.costPerShare, lot.tradingCurrency)}</td>
+                    <td className="py-2 pr-3">
+                      {lot.tradingCurrency}
+                      {lot.fxRateEstimated && (
+                        <span className="ml-1 text-yellow-400" title="No exchange rate was available for the purchase date, so the cost was converted at the rate of the day it was entered">*</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-3 text-right">{lot.fees > 0 ? formatCurrency(lot.fees, lot.feesCurrency || lot.tradingCurrency) : '—'}</td>
+                    <td className="py-2 pr-3 text-gray-400">{lot.notes}</td>
+                    {canEditLots && (
+                      <td className="py-2 text-center whitespace-nowrap">
+                        <button
+                          type="button"
+                          onClick={() => handleEditLot(lot)}
+                          disabled={Boolean(savingLotId)}
+                          className="text-blue-400 hover:text-blue-300 disabled:opacity-50 p-1"
+                          aria-label={`Edit lot bought ${formatCalendarDate(lot.purchaseDate)}`}
+                        >
+                          <PencilSquareIcon className="h-5 w-5" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteLot(lot)}
+                          disabled={Boolean(savingLotId)}
+                          className="text-red-500 hover:text-red-400 disabled:opacity-50 p-1"
+                          aria-label={`Delete lot bought ${formatCalendarDate(lot.purchaseDate)}`}
+                        >
+                          <TrashIcon className="h-5 w-5" />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+          </td>
+        </tr>
+      )}
+
       {/* Sell Stock Modal */}
       {showSellModal && (
         <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
           <div className="bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-md">
             <h3 className="text-xl font-semibold text-white mb-4">Sell {name || symbol}</h3>
             {sellError && <p className="text-red-500 text-sm mb-3">{sellError}</p>}
+            <div className="mb-4">
+              <label htmlFor="sellMethod" className="block text-sm font-medium text-gray-300 mb-1">
+                Cost Basis Method
+              </label>
+              <select
+                id="sellMethod"
+                value={sellMethod}
+                onChange={(e) => setSellMethod(e.target.value)}
+                className="w-full px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+              >
+                {COST_BASIS_METHODS.map((method) => (
+                  <option key={method} value={method}>{COST_BASIS_METHOD_LABELS[method]}</option>
+                ))}
+              </select>
+            </div>
+            {sellMethod === 'SPECIFIC' ? (
+              <div className="mb-4 max-h-48 overflow-y-auto space-y-2">
+                {(transactions || []).map((lot) => (
+                  <div key={lot._id} className="flex items-center justify-between gap-3 text-sm text-gray-300">
+                    <span>
+                      {formatCalendarDate(lot.purchaseDate)} · {lot.shares} @ {formatCurrency(lot.costPerShare, lot.tradingCurrency)}
+                    </span>
+                    <input
+                      type="number"
+                      aria-label={`Shares to sell from lot bought ${formatCalendarDate(lot.purchaseDate)}`}
+                      value={lotSelections[lot._id] || ''}
+                      onChange={(e) => setLotSelections({ ...lotSelections, [lot._id]: e.target.value })}
+                      placeholder="0"
+                      min="0"
+                      max={lot.shares.toString()}
+                      step="any"
+                      className="w-24 px-2 py-1 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : (
             <div className="mb-4">
               <label htmlFor="sellQuantity" className="block text-sm font-medium text-gray-300 mb-1">
                 Quantity to Sell (Max: {numQuantity})
@@ -107,6 +401,75 @@ export default function PortfolioTableRow({ stock, onSell, isSelling }) {
                 className="w-full px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
               />
             </div>
+            )}
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              <div>
+                <label htmlFor="sellPrice" className="block text-sm font-medium text-gray-300 mb-1">
+                  Price per Share
+                </label>
+                <input
+                  id="sellPrice"
+                  type="number"
+                  value={sellPrice}
+                  onChange={(e) => setSellPrice(e.target.value)}
+                  placeholder="e.g., 180.25"
+                  min="0.000001"
+                  step="any"
+                  className="w-full px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                />
+              </div>
+              <div>
+                <label htmlFor="sellCurrency" className="block text-sm font-medium text-gray-300 mb-1">
+                  Currency
+                </label>
+                <select
+                  id="sellCurrency"
+                  value={sellCurrency}
+                  onChange={(e) => setSellCurrency(e.target.value)}
+                  className="w-full px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                >
+                  <CurrencyOptions />
+                </select>
+              </div>
+              <div>
+                <label htmlFor="sellFees" className="block text-sm font-medium text-gray-300 mb-1">
+                  Fees (Optional)
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    id="sellFees"
+                    type="number"
+                    value={sellFees}
+                    onChange={(e) => setSellFees(e.target.value)}
+                    placeholder="0.00"
+                    min="0"
+                    step="any"
+                    className="w-full px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  />
+                  <select
+                    aria-label="Fees currency"
+                    value={sellFeesCurrency}
+                    onChange={(e) => setSellFeesCurrency(e.target.value)}
+                    className="px-2 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                  >
+                    <option value="">{sellCurrency}</option>
+                    <CurrencyOptions />
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label htmlFor="sellDate" className="block text-sm font-medium text-gray-300 mb-1">
+                  Sale Date
+                </label>
+                <input
+                  id="sellDate"
+                  type="date"
+                  value={sellDate}
+                  onChange={(e) => setSellDate(e.target.value)}
+                  className="w-full px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                />
+              </div>
+            </div>
             <div className="flex justify-end space-x-3">
               <button
                 onClick={handleCloseSellModal}
@@ -119,7 +482,9 @@ export default function PortfolioTableRow({ stock, onSell, isSelling }) {
                 disabled={isSelling === symbol}
                 className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                {isSelling === symbol ? 'Selling...' : `Sell ${sellQuantity} Shares`}
+                {isSelling === symbol
+                  ? 'Selling...'
+                  : `Sell ${sellMethod === 'SPECIFIC' ? specificLotShares : sellQuantity} Shares`}
               </button>
             </div>
           </div>
@@ -0,0 +1,324 @@
+import { useCallback, useEffect, useState } from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { formatCurrency, formatPercentage } from '@/app/utils/currency';
+import { apiRequest } from '@/app/utils/apiClient';
+import { inputClassName } from '@/app/components/formStyles';
+import { formatNumber } from '@/app/utils/formatting';
+
+const GROUPINGS = {
+  SYMBOL: 'Symbol',
+  SECTOR: 'Sector',
+  ASSET_CLASS: 'Asset class',
+};
+
+const formatWeight = (weight) => (weight === null || weight === undefined ? '—' : formatPercentage(weight, { fractionDigits: 1 }));
+
+const formatDrift = (drift) => (drift === null || drift === undefined ? '—' : `${formatNumber(drift, { minimumFractionDigits: 1, maximumFractionDigits: 1, signDisplay: 'exceptZero' })} pts`);
+
+export default function RebalancePanel({ portfolioId, currency }) {
+  const [data, setData] = useState(null);
+  const [groupBy, setGroupBy] = useState('SYMBOL');
+  const [targets, setTargets] = useState([]);
+  const [options, setOptions] = useState({ cash: '', minTradeSize: '0', wholeShares: true, allowSells: true });
+  const [plan, setPlan] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const fetchAllocation = useCallback(async () => {
+    try {
+      const params = new URLSearchParams();
+      if (portfolioId) params.set('portfolioId', portfolioId);
+      if (currency) params.set('currency', currency);
+      const result = await apiRequest(`/api/portfolio/allocation?${params.toString()}`, { errorMessage: 'Failed to load target allocation' });
+      setData(result.data);
+      setGroupBy(result.data.allocation.groupBy);
+      setTargets(result.data.allocation.targets.map(t => ({ key: t.key, weight: String(t.weight) })));
+      setOptions(prev => ({ ...prev, cash: prev.cash === '' ? String(Math.max(0, Math.round(result.data.cash * 100) / 100)) : prev.cash }));
+    } catch (err) {
+      console.error('[RebalancePanel] Fetch allocation error:', err);
+      setError(err.message);
+    }
+  }, [portfolioId, currency]);
+
+  useEffect(() => {
+    fetchAllocation();
+  }, [fetchAllocation]);
+
+  // Keys to offer for the chosen grouping, from the current holdings
+  const suggestedKeys = [...new Set((data?.positions || []).map(p => (
+    groupBy === 'SECTOR' ? p.sector : groupBy === 'ASSET_CLASS' ? p.assetClass : p.symbol
+  )).filter(Boolean))];
+
+  const totalWeight = targets.reduce((sum, t) => sum + (parseFloat(t.weight) || 0), 0);
+
+  const handleGroupByChange = (e) => {
+    setGroupBy(e.target.value);
+    setTargets([]);
+    setPlan(null);
+  };
+
+  const handleTargetChange = (index, field) => (e) => {
+    const value = e.target.value;
+    setTargets(prev => prev.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+  };
+
+  const handleUseCurrentWeights = () => {
+    const totalValue = data?.drift.totalValue || 0;
+    const byKey = {};
+    (data?.positions || []).forEach(p => {
+      const key = groupBy === 'SECTOR' ? p.sector : groupBy === 'ASSET_CLASS' ? p.assetClass : p.symbol;
+      byKey[key] = (byKey[key] || 0) + p.value;
+    });
+    setTargets(Object.entries(byKey)
+      .filter(([, value]) => value > 0)
+      .map(([key, value]) => ({ key, weight: totalValue > 0 ? String(Math.round((value / totalValue) * 1000) / 10) : '0' })));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await apiRequest('/api/portfolio/allocation', {
+        method: 'PUT',
+        body: JSON.stringify({
+          portfolioId: portfolioId || undefined,
+          groupBy,
+          targets: targets
+            .filter(t => t.key.trim())
+            .map(t => ({ key: t.key.trim(), weight: parseFloat(t.weight) || 0 })),
+        }),
+        errorMessage: 'Failed to save target allocation',
+      });
+      setMessage(result.message);
+      setPlan(null);
+      await fetchAllocation();
+    } catch (err) {
+      console.error('[RebalancePanel] Save allocation error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePlan = async (e) => {
+    e.preventDefault();
+    setIsPlanning(true);
+    setError('');
+    try {
+      const result = await apiRequest('/api/portfolio/allocation/rebalance', {
+        method: 'POST',
+        body: JSON.stringify({
+          portfolioId: portfolioId || undefined,
+          currency,
+          cash: parseFloat(options.cash) || 0,
+          minTradeSize: parseFloat(options.minTradeSize) || 0,
+          wholeShares: options.wholeShares,
+          allowSells: options.allowSells,
+        }),
+        errorMessage: 'Failed to plan rebalance',
+      });
+      setPlan(result.data);
+    } catch (err) {
+      console.error('[RebalancePanel] Plan rebalance error:', err);
+      setError(err.message);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const money = (value) => formatCurrency(value, data?.currency || currency);
+  const hasSavedTargets = (data?.allocation.targets.length || 0) > 0;
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg shadow-xl mb-8 md:mb-10">
+      <h2 className="text-2xl font-semibold text-white mb-4">Target Allocation & Rebalancing</h2>
+
+      <form onSubmit={handleSave} className="mb-6">
+        <div className="flex flex-wrap items-end gap-3 mb-3">
+          <div>
+            <label htmlFor="allocationGroupBy" className="block text-sm font-medium text-gray-300 mb-1">Targets per</label>
+            <select id="allocationGroupBy" value={groupBy} onChange={handleGroupByChange} className={inputClassName}>
+              {Object.entries(GROUPINGS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="button"
+            onClick={handleUseCurrentWeights}
+            className="px-3 py-2 text-sm text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors"
+          >
+            Start from current weights
+          </button>
+        </div>
+
+        <datalist id="allocationKeys">
+          {suggestedKeys.map(key => <option key={key} value={key} />)}
+        </datalist>
+        <div className="space-y-2 mb-3">
+          {targets.map((target, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                list="allocationKeys"
+                value={target.key}
+                onChange={handleTargetChange(index, 'key')}
+                placeholder={GROUPINGS[groupBy]}
+                aria-label={GROUPINGS[groupBy]}
+                className={inputClassName}
+              />
+              <input
+                type="number"
+                value={target.weight}
+                onChange={handleTargetChange(index, 'weight')}
+                min="0"
+                max="100"
+                step="any"
+                aria-label="Target weight (%)"
+                className={`${inputClassName} max-w-[8rem]`}
+              />
+              <span className="text-gray-400">%</span>
+              <button
+                type="button"
+                onClick={() => setTargets(prev => prev.filter((_, i) => i !== index))}
+                aria-label="Remove target"
+                className="p-2 text-gray-400 hover:text-red-400 transition-colors"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            type="button"
+            onClick={() => setTargets(prev => [...prev, { key: '', weight: '' }])}
+            className="flex items-center px-3 py-2 text-sm text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add target
+          </button>
+          <span className={`text-sm ${targets.length === 0 || Math.abs(totalWeight - 100) < 0.01 ? 'text-gray-400' : 'text-yellow-400'}`}>
+            Total: {formatPercentage(totalWeight, { fractionDigits: 1 })}
+          </span>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? 'Saving...' : 'Save targets'}
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+      {message && <p className="text-green-400 text-sm mb-4">{message}</p>}
+
+      {hasSavedTargets && data && (
+        <div className="overflow-x-auto mb-6">
+          <h3 className="text-sm text-gray-400 uppercase tracking-wider mb-2">Drift</h3>
+          <table className="min-w-full text-sm text-left text-gray-200">
+            <thead className="text-xs text-gray-400 uppercase">
+              <tr>
+                <th className="py-2 pr-4">{GROUPINGS[data.drift.groupBy]}</th>
+                <th className="py-2 pr-4">Value</th>
+                <th className="py-2 pr-4">Current</th>
+                <th className="py-2 pr-4">Target</th>
+                <th className="py-2 pr-4">Drift</th>
+                <th className="py-2">Over / Under</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {data.drift.rows.map(row => (
+                <tr key={row.key}>
+                  <td className="py-2 pr-4 font-semibold text-white">{row.key}</td>
+                  <td className="py-2 pr-4">{money(row.currentValue)}</td>
+                  <td className="py-2 pr-4">{formatWeight(row.currentWeight)}</td>
+                  <td className="py-2 pr-4">{formatWeight(row.targetWeight)}</td>
+                  <td className={`py-2 pr-4 ${Math.abs(row.drift) >= 5 ? 'text-yellow-400' : ''}`}>{formatDrift(row.drift)}</td>
+                  <td className="py-2">{money(row.driftValue)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {hasSavedTargets && (
+        <form onSubmit={handlePlan} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end mb-4">
+          <div>
+            <label htmlFor="rebalanceCash" className="block text-sm font-medium text-gray-300 mb-1">Cash to invest</label>
+            <input id="rebalanceCash" type="number" value={options.cash} onChange={(e) => setOptions(prev => ({ ...prev, cash: e.target.value }))} min="0" step="any" className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="rebalanceMinTrade" className="block text-sm font-medium text-gray-300 mb-1">Minimum trade</label>
+            <input id="rebalanceMinTrade" type="number" value={options.minTradeSize} onChange={(e) => setOptions(prev => ({ ...prev, minTradeSize: e.target.value }))} min="0" step="any" className={inputClassName} />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-300 py-2">
+            <input type="checkbox" checked={options.wholeShares} onChange={(e) => setOptions(prev => ({ ...prev, wholeShares: e.target.checked }))} />
+            Whole shares only
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-300 py-2">
+            <input type="checkbox" checked={options.allowSells} onChange={(e) => setOptions(prev => ({ ...prev, allowSells: e.target.checked }))} />
+            Allow sales
+          </label>
+          <button
+            type="submit"
+            disabled={isPlanning}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isPlanning ? 'Planning...' : 'Plan orders'}
+          </button>
+        </form>
+      )}
+
+      {plan && (
+        <div className="overflow-x-auto">
+          {plan.orders.length === 0 ? (
+            <p className="text-gray-400 text-sm">No orders needed within these constraints.</p>
+          ) : (
+            <table className="min-w-full text-sm text-left text-gray-200">
+              <thead className="text-xs text-gray-400 uppercase">
+                <tr>
+                  <th className="py-2 pr-4">Order</th>
+                  <th className="py-2 pr-4">Symbol</th>
+                  <th className="py-2 pr-4">Shares</th>
+                  <th className="py-2 pr-4">Price</th>
+                  <th className="py-2">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {plan.orders.map(order => (
+                  <tr key={`${order.side}-${order.symbol}`}>
+                    <td className={`py-2 pr-4 font-semibold ${order.side === 'BUY' ? 'text-green-400' : 'text-red-400'}`}>{order.side}</td>
+                    <td className="py-2 pr-4">{order.symbol}</td>
+                    <td className="py-2 pr-4">{formatNumber(order.shares, { maximumFractionDigits: 4 })}</td>
+                    <td className="py-2 pr-4">{money(order.price)}</td>
+                    <td className="py-2">{money(order.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="text-xs text-gray-400 mt-2">
+            Cash left after the orders: {money(plan.cashAfter)}. Orders are a plan only; record trades once they are executed.
+          </p>
+          {plan.unplaced.length > 0 && (
+            <p className="text-xs text-yellow-400 mt-1">
+              No holdings to buy for: {plan.unplaced.join(', ')}. Add a position in these groups first.
+            </p>
+          )}
+          {plan.skipped.length > 0 && (
+            <p className="text-xs text-yellow-400 mt-1">
+              Skipped: {plan.skipped.map(s => `${s.symbol} (${s.reason.toLowerCase()})`).join(', ')}.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+"use client";
+import { useState } from "react";
+import { ExclamationTriangleIcon } from "@heroicons/react/24/outline";
+import { useAuth } from "@/app/contexts/AuthContext";
+import { apiRequest } from "@/app/utils/apiClient";
+import { dangerInputClassName } from "@/app/components/formStyles";
+
+const CONFIRMATION_TEXT = "DELETE";
+
+export default function DeleteAccountSection() {
+  const { user, logout } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError("");
+    try {
+      await apiRequest("/api/user/account", {
+        method: "DELETE",
+        body: JSON.stringify({ password, code }),
+        errorMessage: "Could not delete your account",
+      });
+      await logout();
+    } catch (err) {
+      setError(err.message);
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <section className="bg-gray-800 rounded-lg shadow-xl p-6 border border-red-900">
+      <div className="flex items-center gap-3 mb-2">
+        <ExclamationTriangleIcon className="h-6 w-6 text-red-400" />
+        <h2 className="text-xl font-semibold text-white">Delete account</h2>
+      </div>
+      <p className="text-sm text-gray-400 mb-4">
+        Permanently deletes your account together with all your portfolios, transactions, snapshots and watchlists.
+        This cannot be undone.
+      </p>
+
+      {!isOpen ? (
+        <button
+          type="button"
+          onClick={() => setIsOpen(true)}
+          className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md"
+        >
+          Delete my account
+        </button>
+      ) : (
+        <form onSubmit={handleDelete} className="space-y-3 max-w-md">
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password"
+            autoComplete="current-password"
+            required
+            className={dangerInputClassName}
+          />
+          {user?.twoFactorEnabled && (
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Authenticator or recovery code"
+              autoComplete="one-time-code"
+              required
+              className={dangerInputClassName}
+            />
+          )}
+          <input
+            type="text"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder={`Type ${CONFIRMATION_TEXT} to confirm`}
+            required
+            className={dangerInputClassName}
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isBusy || confirmation !== CONFIRMATION_TEXT}
+              className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md disabled:opacity-50"
+            >
+              {isBusy ? "Deleting..." : "Permanently delete"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsOpen(false)}
+              className="px-4 py-2 text-sm font-medium text-gray-300 bg-gray-700 hover:bg-gray-600 rounded-md"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+}
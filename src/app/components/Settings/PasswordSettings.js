@@ -0,0 +1,90 @@
+"use client";
+import { useState } from "react";
+import { apiRequest } from "@/app/utils/apiClient";
+import { inputClassName } from "@/app/components/formStyles";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+export default function PasswordSettings() {
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState({ text: "", isError: false });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setMessage({ text: "New passwords do not match", isError: true });
+      return;
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      setMessage({ text: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, isError: true });
+      return;
+    }
+
+    setIsBusy(true);
+    setMessage({ text: "", isError: false });
+    try {
+      const result = await apiRequest("/api/user/password", {
+        method: "POST",
+        body: JSON.stringify({ currentPassword, newPassword }),
+        errorMessage: "Could not change your password",
+      });
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+      setMessage({ text: result.message, isError: false });
+    } catch (err) {
+      setMessage({ text: err.message, isError: true });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <section className="bg-gray-800 rounded-lg shadow-xl p-6">
+      <h2 className="text-xl font-semibold text-white mb-4">Password</h2>
+      {message.text && (
+        <p className={`text-sm mb-4 ${message.isError ? "text-red-400" : "text-green-400"}`}>{message.text}</p>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-3 max-w-md">
+        <input
+          type="password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          placeholder="Current password"
+          autoComplete="current-password"
+          required
+          className={inputClassName}
+        />
+        <input
+          type="password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          placeholder="New password"
+          autoComplete="new-password"
+          minLength={MIN_PASSWORD_LENGTH}
+          required
+          className={inputClassName}
+        />
+        <input
+          type="password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          placeholder="Confirm new password"
+          autoComplete="new-password"
+          required
+          className={inputClassName}
+        />
+        <button
+          type="submit"
+          disabled={isBusy}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+        >
+          Change password
+        </button>
+      </form>
+    </section>
+  );
+}
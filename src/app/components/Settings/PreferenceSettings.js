@@ -0,0 +1,128 @@
+"use client";
+import { useEffect, useMemo, useState } from "react";
+import { useAuth } from "@/app/contexts/AuthContext";
+import { apiRequest } from "@/app/utils/apiClient";
+import { setFormatPreferences } from "@/app/utils/formatting";
+import { inputClassName } from "@/app/components/formStyles";
+
+const SUGGESTED_LOCALES = ["en-US", "en-GB", "pt-PT", "pt-BR", "es-ES", "fr-FR", "de-DE", "it-IT", "nl-NL", "pl-PL", "ja-JP"];
+
+// Base currency, locale and time zone
+export default function PreferenceSettings() {
+  const { user, setUser } = useAuth();
+  const [preferences, setPreferences] = useState(null);
+  const [supportedCurrencies, setSupportedCurrencies] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState({ text: "", isError: false });
+
+  const timezones = useMemo(() => {
+    const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+    return zones.includes("UTC") ? zones : ["UTC", ...zones];
+  }, []);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const result = await apiRequest("/api/user/preferences", { errorMessage: "Could not load your preferences" });
+        setPreferences(result.data);
+        setSupportedCurrencies(result.supportedCurrencies || []);
+      } catch (err) {
+        console.error("[PreferenceSettings] Fetch preferences error:", err);
+        setMessage({ text: err.message, isError: true });
+      }
+    };
+    fetchPreferences();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setMessage({ text: "", isError: false });
+    try {
+      const { baseCurrency, locale, timezone } = preferences;
+      const result = await apiRequest("/api/user/preferences", {
+        method: "PATCH",
+        body: JSON.stringify({ baseCurrency, locale, timezone }),
+        errorMessage: "Could not save your preferences",
+      });
+      setPreferences(result.data);
+      // Numbers and dates across the app follow the new locale and time zone from the next render
+      setFormatPreferences(result.data);
+      setUser({ ...user, baseCurrency: result.data.baseCurrency, locale: result.data.locale, timezone: result.data.timezone });
+      setMessage({ text: "Preferences saved.", isError: false });
+    } catch (err) {
+      setMessage({ text: err.message, isError: true });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!preferences) {
+    return (
+      <section className="bg-gray-800 rounded-lg shadow-xl p-6 text-gray-400">
+        {message.text || "Loading preferences..."}
+      </section>
+    );
+  }
+
+  const update = (field) => (e) => setPreferences({ ...preferences, [field]: e.target.value });
+
+  return (
+    <section className="bg-gray-800 rounded-lg shadow-xl p-6">
+      <h2 className="text-xl font-semibold text-white mb-4">Preferences</h2>
+      {message.text && (
+        <p className={`text-sm mb-4 ${message.isError ? "text-red-400" : "text-green-400"}`}>{message.text}</p>
+      )}
+      <form onSubmit={handleSubmit} className="grid gap-4 md:grid-cols-3">
+        <div>
+          <label htmlFor="baseCurrency" className="text-sm font-medium text-gray-300 block mb-1">
+            Base currency
+          </label>
+          <select id="baseCurrency" value={preferences.baseCurrency} onChange={update("baseCurrency")} className={inputClassName}>
+            {supportedCurrencies.map(currency => (
+              <option key={currency} value={currency}>{currency}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="locale" className="text-sm font-medium text-gray-300 block mb-1">
+            Locale
+          </label>
+          <input
+            id="locale"
+            type="text"
+            list="locale-suggestions"
+            value={preferences.locale}
+            onChange={update("locale")}
+            className={inputClassName}
+          />
+          <datalist id="locale-suggestions">
+            {SUGGESTED_LOCALES.map(locale => <option key={locale} value={locale} />)}
+          </datalist>
+        </div>
+        <div>
+          <label htmlFor="timezone" className="text-sm font-medium text-gray-300 block mb-1">
+            Time zone
+          </label>
+          <select id="timezone" value={preferences.timezone} onChange={update("timezone")} className={inputClassName}>
+            {!timezones.includes(preferences.timezone) && (
+              <option value={preferences.timezone}>{preferences.timezone}</option>
+            )}
+            {timezones.map(zone => (
+              <option key={zone} value={zone}>{zone}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-3">
+          <button
+            type="submit"
+            disabled={isBusy}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+          >
+            Save preferences
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+}
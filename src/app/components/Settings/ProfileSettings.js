@@ -0,0 +1,147 @@
+"use client";
+import { useEffect, useState } from "react";
+import { useAuth } from "@/app/contexts/AuthContext";
+import { apiRequest } from "@/app/utils/apiClient";
+import { inputClassName } from "@/app/components/formStyles";
+
+// Display name and email address
+export default function ProfileSettings() {
+  const { user, setUser } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [username, setUsername] = useState("");
+  const [newEmail, setNewEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState({ text: "", isError: false });
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const result = await apiRequest("/api/user/account", { errorMessage: "Could not load your profile" });
+        setProfile(result.data);
+        setUsername(result.data.username);
+      } catch (err) {
+        console.error("[ProfileSettings] Fetch profile error:", err);
+        setMessage({ text: err.message, isError: true });
+      }
+    };
+    fetchProfile();
+  }, []);
+
+  const submit = async (url, method, body) => {
+    setIsBusy(true);
+    setMessage({ text: "", isError: false });
+    try {
+      const result = await apiRequest(url, {
+        method,
+        body: JSON.stringify(body),
+        errorMessage: "Could not save your changes",
+      });
+      setProfile(result.data);
+      return result;
+    } catch (err) {
+      setMessage({ text: err.message, isError: true });
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSaveName = async (e) => {
+    e.preventDefault();
+    const result = await submit("/api/user/account", "PATCH", { username });
+    if (result) {
+      setUser({ ...user, username: result.data.username });
+      setMessage({ text: "Display name saved.", isError: false });
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    const result = await submit("/api/user/email", "POST", { email: newEmail, password });
+    if (result) {
+      setNewEmail("");
+      setPassword("");
+      setMessage({ text: result.message, isError: false });
+    }
+  };
+
+  if (!profile) {
+    return (
+      <section className="bg-gray-800 rounded-lg shadow-xl p-6 text-gray-400">
+        {message.text || "Loading profile..."}
+      </section>
+    );
+  }
+
+  return (
+    <section className="bg-gray-800 rounded-lg shadow-xl p-6 space-y-6">
+      <h2 className="text-xl font-semibold text-white">Profile</h2>
+      {message.text && (
+        <p className={`text-sm ${message.isError ? "text-red-400" : "text-green-400"}`}>{message.text}</p>
+      )}
+
+      <form onSubmit={handleSaveName} className="space-y-2">
+        <label htmlFor="username" className="text-sm font-medium text-gray-300 block">
+          Display name
+        </label>
+        <div className="flex gap-2 max-w-md">
+          <input
+            id="username"
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            maxLength={50}
+            placeholder="How we greet you"
+            className={inputClassName}
+          />
+          <button
+            type="submit"
+            disabled={isBusy}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+
+      <form onSubmit={handleChangeEmail} className="space-y-2">
+        <p className="text-sm font-medium text-gray-300">Email address</p>
+        <p className="text-sm text-gray-400">
+          {profile.email} {profile.emailVerified ? "(verified)" : "(not verified)"}
+        </p>
+        {profile.pendingEmail && (
+          <p className="text-sm text-yellow-300">
+            Waiting for confirmation of {profile.pendingEmail}. Open the link we sent there to finish the change.
+          </p>
+        )}
+        <div className="grid gap-2 md:grid-cols-3 md:max-w-2xl">
+          <input
+            type="email"
+            value={newEmail}
+            onChange={(e) => setNewEmail(e.target.value)}
+            placeholder="New email address"
+            required
+            className={inputClassName}
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password"
+            autoComplete="current-password"
+            required
+            className={inputClassName}
+          />
+          <button
+            type="submit"
+            disabled={isBusy}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+          >
+            Change email
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+}
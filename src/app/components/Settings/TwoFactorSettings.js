@@ -0,0 +1,268 @@
+"use client";
+import { useEffect, useState, useCallback } from "react";
+import { ShieldCheckIcon, ShieldExclamationIcon } from "@heroicons/react/24/outline";
+import { useAuth } from "@/app/contexts/AuthContext";
+import { apiRequest } from "@/app/utils/apiClient";
+import { inputClassName } from "@/app/components/formStyles";
+
+// Recovery codes are only ever shown right after they are generated
+function RecoveryCodesList({ codes, onDone }) {
+  const handleDownload = () => {
+    const blob = new Blob([`Stock Investor recovery codes\n\n${codes.join("\n")}\n`], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "stock-investor-recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-yellow-300">
+        Save these recovery codes somewhere safe. Each one can be used once to log in if you lose your device.
+        They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-900 p-4 rounded-md">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="px-4 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md"
+        >
+          Download
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md"
+        >
+          I have saved them
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function TwoFactorSettings() {
+  const { user, setUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [action, setAction] = useState(null); // null | "regenerate" | "disable"
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const request = async (url, options = {}) => {
+    const result = await apiRequest(url, options);
+    return result.data;
+  };
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const result = await apiRequest("/api/user/two-factor", { errorMessage: "Could not load two-factor status" });
+      setStatus(result.data);
+    } catch (err) {
+      console.error("[TwoFactorSettings] Fetch status error:", err);
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const run = async (task) => {
+    setIsBusy(true);
+    setError("");
+    try {
+      await task();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const resetForms = () => {
+    setCode("");
+    setPassword("");
+    setAction(null);
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setEnrollment(await request("/api/user/two-factor/setup", { method: "POST" }));
+    setCode("");
+  });
+
+  const handleConfirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await request("/api/user/two-factor", { method: "POST", body: JSON.stringify({ code }) });
+      setEnrollment(null);
+      setRecoveryCodes(data.recoveryCodes);
+      setUser({ ...user, twoFactorEnabled: true });
+      resetForms();
+      await fetchStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await request("/api/user/two-factor/recovery-codes", { method: "POST", body: JSON.stringify({ code }) });
+      setRecoveryCodes(data.recoveryCodes);
+      resetForms();
+      await fetchStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await request("/api/user/two-factor", { method: "DELETE", body: JSON.stringify({ password, code }) });
+      setUser({ ...user, twoFactorEnabled: false });
+      resetForms();
+      await fetchStatus();
+    });
+  };
+
+  return (
+    <section className="bg-gray-800 rounded-lg shadow-xl p-6">
+      <div className="flex items-center gap-3 mb-4">
+        {status?.enabled ? (
+          <ShieldCheckIcon className="h-7 w-7 text-green-400" />
+        ) : (
+          <ShieldExclamationIcon className="h-7 w-7 text-yellow-400" />
+        )}
+        <div>
+          <h2 className="text-xl font-semibold text-white">Two-factor authentication</h2>
+          <p className="text-sm text-gray-400">
+            {status?.enabled
+              ? `Enabled. ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? "" : "s"} left.`
+              : "Require a code from an authenticator app in addition to your password."}
+          </p>
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+      {recoveryCodes ? (
+        <RecoveryCodesList codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : !status ? null : !status.enabled ? (
+        enrollment ? (
+          <form onSubmit={handleConfirmSetup} className="space-y-4">
+            <p className="text-sm text-gray-300">
+              Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy...), then enter the
+              6-digit code it shows.
+            </p>
+            {/* eslint-disable-next-line @next/next/no-img-element */}
+            <img src={enrollment.qrCodeDataUrl} alt="Two-factor QR code" className="w-48 h-48 bg-white p-2 rounded-md" />
+            <p className="text-xs text-gray-400">
+              Can&apos;t scan it? Enter this key manually: <span className="font-mono text-gray-200 break-all">{enrollment.secret}</span>
+            </p>
+            <div className="max-w-xs">
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={isBusy}
+                className="px-4 py-2 text-sm font-medium text-white bg-green-600 hover:bg-green-700 rounded-md disabled:opacity-50"
+              >
+                Verify and enable
+              </button>
+              <button
+                type="button"
+                onClick={() => setEnrollment(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-300 bg-gray-700 hover:bg-gray-600 rounded-md"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            type="button"
+            onClick={handleStartSetup}
+            disabled={isBusy}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+          >
+            Set up two-factor authentication
+          </button>
+        )
+      ) : action ? (
+        <form onSubmit={action === "disable" ? handleDisable : handleRegenerate} className="space-y-3 max-w-sm">
+          {action === "disable" && (
+            <input
+              type="password"
+              placeholder="Current password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              className={inputClassName}
+            />
+          )}
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            placeholder={action === "disable" ? "Authenticator or recovery code" : "Authenticator code"}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            className={inputClassName}
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={isBusy}
+              className={`px-4 py-2 text-sm font-medium text-white rounded-md disabled:opacity-50 ${
+                action === "disable" ? "bg-red-600 hover:bg-red-700" : "bg-blue-600 hover:bg-blue-700"
+              }`}
+            >
+              {action === "disable" ? "Disable two-factor authentication" : "Generate new recovery codes"}
+            </button>
+            <button
+              type="button"
+              onClick={resetForms}
+              className="px-4 py-2 text-sm font-medium text-gray-300 bg-gray-700 hover:bg-gray-600 rounded-md"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => setAction("regenerate")}
+            className="px-4 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md"
+          >
+            New recovery codes
+          </button>
+          <button
+            type="button"
+            onClick={() => setAction("disable")}
+            className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md"
+          >
+            Disable
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
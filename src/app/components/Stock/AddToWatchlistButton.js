@@ -0,0 +1,134 @@
+"use client";
+import { useState } from "react";
+import { StarIcon, CheckIcon, PlusIcon } from "@heroicons/react/24/outline";
+import { useAuth } from "@/app/contexts/AuthContext";
+import { apiRequest } from "@/app/utils/apiClient";
+
+// Star button with a menu of the user's watchlists; ticking one adds the symbol to it, unticking removes it
+export default function AddToWatchlistButton({ symbol, compact = false }) {
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [watchlists, setWatchlists] = useState([]);
+  const [newListName, setNewListName] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  if (!user || !symbol) return null;
+
+  const isOnList = (watchlist) => watchlist.symbols.some(entry => entry.symbol === symbol.toUpperCase());
+  const isWatched = watchlists.some(isOnList);
+
+  const request = async (url, options = {}) => {
+    const result = await apiRequest(url, { errorMessage: "Watchlist request failed", ...options });
+    return result.data;
+  };
+
+  const handleToggleMenu = async () => {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+    setIsOpen(true);
+    setError("");
+    try {
+      setWatchlists(await request("/api/watchlists"));
+    } catch (err) {
+      console.error("[AddToWatchlistButton] Fetch watchlists error:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleToggleList = async (watchlist) => {
+    setIsBusy(true);
+    setError("");
+    try {
+      const updated = isOnList(watchlist)
+        ? await request(`/api/watchlists/${watchlist._id}/symbols?symbol=${encodeURIComponent(symbol)}`, { method: "DELETE" })
+        : await request(`/api/watchlists/${watchlist._id}/symbols`, { method: "POST", body: JSON.stringify({ symbol }) });
+      setWatchlists(watchlists.map(w => (w._id === updated._id ? updated : w)));
+    } catch (err) {
+      console.error("[AddToWatchlistButton] Update watchlist error:", err);
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCreateList = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError("");
+    try {
+      const created = await request("/api/watchlists", {
+        method: "POST",
+        body: JSON.stringify({ name: newListName.trim() || "My Watchlist", symbols: [symbol] }),
+      });
+      setWatchlists([...watchlists, created]);
+      setNewListName("");
+    } catch (err) {
+      console.error("[AddToWatchlistButton] Create watchlist error:", err);
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        type="button"
+        onClick={handleToggleMenu}
+        className={`flex items-center text-sm font-medium rounded-md transition-colors ${
+          compact ? "p-1.5 text-gray-300 hover:text-yellow-400" : "px-3 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200"
+        }`}
+        aria-label={`Add ${symbol} to a watchlist`}
+        aria-expanded={isOpen}
+      >
+        <StarIcon className={`h-5 w-5 ${isWatched ? "text-yellow-400 fill-yellow-400" : ""} ${compact ? "" : "mr-1"}`} />
+        {!compact && "Watchlist"}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-2 w-64 bg-gray-900 border border-gray-700 rounded-md shadow-xl p-3">
+          {error && <p className="text-red-500 text-xs mb-2">{error}</p>}
+          {watchlists.length > 0 ? (
+            <ul className="mb-3 max-h-48 overflow-y-auto">
+              {watchlists.map(watchlist => (
+                <li key={watchlist._id}>
+                  <button
+                    type="button"
+                    onClick={() => handleToggleList(watchlist)}
+                    disabled={isBusy}
+                    className="w-full flex items-center justify-between px-2 py-1.5 text-sm text-gray-200 hover:bg-gray-800 rounded disabled:opacity-50"
+                  >
+                    <span className="truncate">{watchlist.name}</span>
+                    {isOnList(watchlist) && <CheckIcon className="h-4 w-4 text-green-400" />}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-xs text-gray-400 mb-3">No watchlists yet.</p>
+          )}
+          <form onSubmit={handleCreateList} className="flex gap-2">
+            <input
+              type="text"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              placeholder="New watchlist"
+              maxLength={100}
+              className="w-full px-2 py-1 text-sm text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+            />
+            <button
+              type="submit"
+              disabled={isBusy}
+              className="p-1.5 text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50"
+              aria-label="Create watchlist with this symbol"
+            >
+              <PlusIcon className="h-4 w-4" />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 "use client";
+import { formatCurrency, formatPercentage } from "@/app/utils/currency";
+import { formatNumber } from "@/app/utils/formatting";
 
 // Helper function to calculate financial ratios
 const calculateFinancialRatios = (incomeStatement, balanceSheet, currentPrice) => {
@@ -42,93 +44,93 @@ const KeyMetrics = ({ metrics }) => {
     const calculatedRatios = calculateFinancialRatios(incomeStatement, balanceSheet, metrics.price);
 
     const displayMetrics = [
-        { label: "Price", value: metrics.price, format: (v) => v !== null && v !== undefined ? `$${Number(v).toFixed(2)}` : "N/A" },
-        { label: "High (Today)", value: metrics.high, format: (v) => v !== null && v !== undefined ? `$${Number(v).toFixed(2)}` : "N/A" },
-        { label: "Low (Today)", value: metrics.low, format: (v) => v !== null && v !== undefined ? `$${Number(v).toFixed(2)}` : "N/A" },
-        { label: "Open (Today)", value: metrics.open, format: (v) => v !== null && v !== undefined ? `$${Number(v).toFixed(2)}` : "N/A" },
-        { label: "Prev. Close", value: metrics.previousClose, format: (v) => v !== null && v !== undefined ? `$${Number(v).toFixed(2)}` : "N/A" },
-        { label: "Volume", value: metrics.volume, format: (v) => v !== null && v !== undefined ? Number(v).toLocaleString() : "N/A" },
-        { label: "VWAP", value: metrics.vwap, format: (v) => v !== null && v !== undefined ? `$${Number(v).toFixed(2)}` : "N/A" },
+        { label: "Price", value: metrics.price, format: (v) => v !== null && v !== undefined ? formatCurrency(Number(v)) : "N/A" },
+        { label: "High (Today)", value: metrics.high, format: (v) => v !== null && v !== undefined ? formatCurrency(Number(v)) : "N/A" },
+        { label: "Low (Today)", value: metrics.low, format: (v) => v !== null && v !== undefined ? formatCurrency(Number(v)) : "N/A" },
+        { label: "Open (Today)", value: metrics.open, format: (v) => v !== null && v !== undefined ? formatCurrency(Number(v)) : "N/A" },
+        { label: "Prev. Close", value: metrics.previousClose, format: (v) => v !== null && v !== undefined ? formatCurrency(Number(v)) : "N/A" },
+        { label: "Volume", value: metrics.volume, format: (v) => v !== null && v !== undefined ? formatNumber(v) : "N/A" },
+        { label: "VWAP", value: metrics.vwap, format: (v) => v !== null && v !== undefined ? formatCurrency(Number(v)) : "N/A" },
         
         { 
             label: "Market Cap", 
             value: companyInfo?.market_capitalization || calculatedRatios.marketCap,
-            format: (v) => v ? `$${Number(v).toLocaleString()}` : "N/A"
+            format: (v) => v ? formatNumber(v, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }) : "N/A"
         },
         { 
             label: "P/E Ratio", 
             value: calculatedRatios.priceToEarnings,
-            format: (v) => v ? Number(v).toFixed(2) : "N/A"
+            format: (v) => v ? formatNumber(v, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : "N/A"
         },
         { 
             label: "EPS (Diluted)", 
             value: calculatedRatios.EPS,
-            format: (v) => v ? `$${Number(v).toFixed(2)}` : "N/A"
+            format: (v) => v ? formatCurrency(Number(v)) : "N/A"
         },
         { 
             label: "Dividend Yield", 
             value: metrics.dividendInfo?.yield, 
-            format: (v) => v ? `${Number(v).toFixed(2)}%` : "N/A" 
+            format: (v) => v ? formatPercentage(Number(v)) : "N/A" 
         },
         { 
             label: "Annual Dividend", 
             value: metrics.dividendInfo?.annualAmount, 
-            format: (v) => v ? `$${Number(v).toFixed(2)}` : "N/A" 
+            format: (v) => v ? formatCurrency(Number(v)) : "N/A" 
         },
         { 
             label: "Revenue (Latest Filing)", 
             value: incomeStatement?.revenues?.value, 
-            format: (v) => v ? `$${Number(v).toLocaleString()}`: "N/A"
+            format: (v) => v ? formatNumber(v, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }): "N/A"
         },
         { 
             label: "Net Income (Latest Filing)", 
             value: incomeStatement?.net_income_loss?.value, 
-            format: (v) => v ? `$${Number(v).toLocaleString()}` : "N/A"
+            format: (v) => v ? formatNumber(v, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }) : "N/A"
         },
         { 
             label: "Profit Margin", 
             value: calculatedRatios.profitMargin,
-            format: (v) => v ? `${Number(v).toFixed(2)}%` : "N/A"
+            format: (v) => v ? formatPercentage(Number(v)) : "N/A"
         },
         { 
             label: "Operating Margin", 
             value: calculatedRatios.operatingMargin,
-            format: (v) => v ? `${Number(v).toFixed(2)}%` : "N/A"
+            format: (v) => v ? formatPercentage(Number(v)) : "N/A"
         },
         { 
             label: "ROA (Return on Assets)", 
             value: calculatedRatios.ROA,
-            format: (v) => v ? `${Number(v).toFixed(2)}%` : "N/A"
+            format: (v) => v ? formatPercentage(Number(v)) : "N/A"
         },
         { 
             label: "ROE (Return on Equity)", 
             value: calculatedRatios.ROE,
-            format: (v) => v ? `${Number(v).toFixed(2)}%` : "N/A"
+            format: (v) => v ? formatPercentage(Number(v)) : "N/A"
         },
         { 
             label: "Debt/Equity", 
             value: calculatedRatios.debtToEquity,
-            format: (v) => v ? Number(v).toFixed(2) : "N/A"
+            format: (v) => v ? formatNumber(v, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : "N/A"
         },
         { 
             label: "Book Value/Share", 
             value: calculatedRatios.bookValuePerShare,
-            format: (v) => v ? `$${Number(v).toFixed(2)}` : "N/A"
+            format: (v) => v ? formatCurrency(Number(v)) : "N/A"
         },
         { 
             label: "Price/Book (P/B)", 
             value: calculatedRatios.priceToBook,
-            format: (v) => v ? Number(v).toFixed(2) : "N/A"
+            format: (v) => v ? formatNumber(v, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : "N/A"
         },
         { 
             label: "Price/Sales (P/S)", 
             value: calculatedRatios.priceToSales,
-            format: (v) => v ? Number(v).toFixed(2) : "N/A"
+            format: (v) => v ? formatNumber(v, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : "N/A"
         },
         { 
             label: "Enterprise Value", 
             value: companyInfo?.enterprise_value || calculatedRatios.enterpriseValue,
-            format: (v) => v ? `$${Number(v).toLocaleString()}` : "N/A"
+            format: (v) => v ? formatNumber(v, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }) : "N/A"
         },
     ];
     
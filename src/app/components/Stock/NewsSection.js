@@ -1,5 +1,6 @@
 "use client";
 import Image from "next/image";
+import { formatDate } from "@/app/utils/formatting";
 
 const NewsArticleCard = ({ article, index }) => {
     const {
@@ -24,7 +25,7 @@ const NewsArticleCard = ({ article, index }) => {
     const displayUrl = url || article_url;
     const displayImageUrl = image_url || banner_image;
     const displaySourceName = typeof source === 'object' ? source.name : source_name || source || 'N/A';
-    const displayPublishedDate = new Date(published_at || published_utc).toLocaleDateString();
+    const displayPublishedDate = formatDate(published_at || published_utc);
 
     // Basic image validation or placeholder
     const finalImageUrl = displayImageUrl && displayImageUrl.startsWith('http') ? displayImageUrl : '/placeholder-news.png';
@@ -1,5 +1,5 @@
-
 "use client";
+import { formatDate, formatCalendarDate } from "@/app/utils/formatting";
 
 const SECFilingsSection = ({ filings, onFilingClick }) => {
     if (!filings || filings.length === 0) {
@@ -18,9 +18,9 @@ const SECFilingsSection = ({ filings, onFilingClick }) => {
                                 <span className="text-sm text-gray-400 ml-2">({filing.accessionNo})</span>
                             </p>
                             <p className="text-sm text-gray-400">
-                                Filed: {new Date(filing.filingDate).toLocaleDateString()} - Accepted: {new Date(filing.acceptedDate).toLocaleDateString()}
+                                Filed: {formatCalendarDate(filing.filingDate)} - Accepted: {formatDate(filing.acceptedDate)}
                             </p>
-                            {filing.reportDate && <p className="text-xs text-gray-500">Report Date: {new Date(filing.reportDate).toLocaleDateString()}</p>}
+                            {filing.reportDate && <p className="text-xs text-gray-500">Report Date: {formatCalendarDate(filing.reportDate)}</p>}
                         </div>
                         <button
                             onClick={() => onFilingClick(filing.linkToHtml || filing.finalLink)}
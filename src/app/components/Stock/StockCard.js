@@ -1,6 +1,7 @@
 import Link from "next/link";
-import { formatCurrency } from "@/app/utils/currency";
+import { formatCurrency, formatPercentage } from "@/app/utils/currency";
 import MiniPriceChart from "./MiniPriceChart";
+import AddToWatchlistButton from "./AddToWatchlistButton";
 
 export default function StockCard({ stock }) {
   if (!stock || !stock.symbol) return null;
@@ -31,11 +32,14 @@ export default function StockCard({ stock }) {
           >
             {name || symbol}
           </h3>
-          {exchangeShortName && exchangeShortName !== "N/A" && (
-            <span className="text-xs bg-gray-700 text-gray-300 px-2 py-1 rounded-full uppercase tracking-wider">
-              {exchangeShortName}
-            </span>
-          )}
+          <div className="flex items-center gap-1 shrink-0">
+            {exchangeShortName && exchangeShortName !== "N/A" && (
+              <span className="text-xs bg-gray-700 text-gray-300 px-2 py-1 rounded-full uppercase tracking-wider">
+                {exchangeShortName}
+              </span>
+            )}
+            <AddToWatchlistButton symbol={symbol} compact />
+          </div>
         </div>
         <p className="text-sm text-gray-400 mb-1 truncate" title={symbol}>
           Symbol: {symbol}
@@ -64,9 +68,7 @@ export default function StockCard({ stock }) {
                     : "bg-red-600 text-red-100"
                 }`}
               >
-                {`${isPositiveChange ? "↑" : "↓"} ${Math.abs(
-                  changePercent
-                ).toFixed(2)}%`}
+                {`${isPositiveChange ? "↑" : "↓"} ${formatPercentage(Math.abs(changePercent))}`}
               </span>
             )}
           </div>
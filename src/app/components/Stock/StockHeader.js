@@ -1,4 +1,6 @@
 "use client";
+import { formatCurrency, formatPercentage } from "@/app/utils/currency";
+import AddToWatchlistButton from "./AddToWatchlistButton";
 
 const StockHeader = ({
   symbol,
@@ -15,9 +17,12 @@ const StockHeader = ({
   return (
     <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 p-4 md:p-6 bg-gray-800 rounded-lg shadow-xl">
       <div>
-        <h1 className="text-3xl md:text-4xl font-bold text-white">
-          {name || symbol}
-        </h1>
+        <div className="flex items-center gap-3">
+          <h1 className="text-3xl md:text-4xl font-bold text-white">
+            {name || symbol}
+          </h1>
+          <AddToWatchlistButton symbol={symbol} />
+        </div>
         <p className="text-md text-gray-400">
           {symbol} ({exchange || "N/A"}) -{" "}
           <span className="font-semibold">{type || "Stock"}</span>
@@ -34,7 +39,7 @@ const StockHeader = ({
             isPositiveChange ? "text-green-400" : "text-red-400"
           }`}
         >
-          ${Number(price).toFixed(2)}
+          {formatCurrency(Number(price))}
         </p>
         <p
           className={`text-lg ${
@@ -42,7 +47,7 @@ const StockHeader = ({
           }`}
         >
           {isPositiveChange ? "↑" : "↓"}{" "}
-          {Math.abs(Number(changePercent)).toFixed(2)}%
+          {formatPercentage(Math.abs(Number(changePercent)))}
         </p>
       </div>
     </div>
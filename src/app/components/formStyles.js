@@ -0,0 +1,7 @@
+// Text inputs and selects on the gray-800 cards
+const inputBase = 'px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:border-transparent outline-none';
+
+export const inputClassName = `w-full ${inputBase} focus:ring-blue-500`;
+
+// For confirming destructive actions
+export const dangerInputClassName = `w-full ${inputBase} focus:ring-red-500`;
@@ -1,55 +1,171 @@
 'use client';
 
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { setFormatPreferences } from '@/app/utils/formatting';
 
 const AuthContext = createContext(null);
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Shared by every caller so concurrent refreshes send the refresh token cookie only once
+let refreshPromise = null;
+
+const tokenExpiresAt = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+const isTokenFresh = (token) => {
+  const expiresAt = token && tokenExpiresAt(token);
+  return Boolean(expiresAt) && expiresAt - Date.now() > REFRESH_MARGIN_MS;
+};
+
+const clearStoredSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  setFormatPreferences();
+};
+
+const fetchCurrentUser = async (token) => {
+  const res = await fetch('/api/auth/me', {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+  return res.ok ? res.json() : null;
+};
+
+// Exchanges the httpOnly refresh token cookie for a new access token; resolves to null when the session is over
+const requestNewAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = fetch('/api/auth/refresh', { method: 'POST', credentials: 'same-origin' })
+      .then(async (res) => {
+        if (!res.ok) return null;
+        const data = await res.json();
+        localStorage.setItem('token', data.token);
+        return data.token;
+      })
+      .catch((error) => {
+        console.error('Failed to refresh access token:', error);
+        return null;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const refreshTimer = useRef(null);
+
+  // Keeps the access token in localStorage valid, so every fetch reading it gets a live token
+  const scheduleRefresh = useCallback((token) => {
+    clearTimeout(refreshTimer.current);
+    const expiresAt = tokenExpiresAt(token);
+    if (!expiresAt) return;
+    refreshTimer.current = setTimeout(async () => {
+      const newToken = await requestNewAccessToken();
+      if (newToken) {
+        scheduleRefresh(newToken);
+      } else {
+        clearStoredSession();
+        setUser(null);
+      }
+    }, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+  }, []);
 
   useEffect(() => {
     const verifyUser = async () => {
-      const token = localStorage.getItem('token');
+      let token = localStorage.getItem('token');
+      // A stored user without a usable token means the session may still be alive behind the refresh cookie
+      if ((token || localStorage.getItem('user')) && !isTokenFresh(token)) {
+        token = await requestNewAccessToken();
+      }
       if (token) {
         try {
-          const res = await fetch('/api/auth/me', {
-            headers: {
-              'Authorization': `Bearer ${token}`,
-            },
-          });
-          if (res.ok) {
-            const userData = await res.json();
+          const userData = await fetchCurrentUser(token);
+          if (userData) {
+            // Applied before rendering with the user, so the first render already uses their locale
+            setFormatPreferences(userData);
             setUser(userData);
+            scheduleRefresh(token);
           } else {
-            // Token is invalid or expired
-            localStorage.removeItem('token');
-            localStorage.removeItem('user'); 
+            // Token is invalid or the session was revoked
+            clearStoredSession();
             setUser(null);
           }
         } catch (error) {
           console.error('Failed to verify user token:', error);
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
+          clearStoredSession();
           setUser(null);
         }
+      } else {
+        clearStoredSession();
       }
       setLoading(false);
     };
 
     verifyUser();
-  }, []);
+    return () => clearTimeout(refreshTimer.current);
+  }, [scheduleRefresh]);
+
+  // Timers do not fire while the machine sleeps; catch up when the tab becomes visible again
+  useEffect(() => {
+    const handleVisibilityChange = async () => {
+      if (document.visibilityState !== 'visible' || !user) return;
+      if (isTokenFresh(localStorage.getItem('token'))) return;
+      const newToken = await requestNewAccessToken();
+      if (newToken) {
+        scheduleRefresh(newToken);
+      } else {
+        clearStoredSession();
+        setUser(null);
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [user, scheduleRefresh]);
 
   const login = (userData, token) => {
     localStorage.setItem('token', token);
     // store basic user info, but /api/auth/me will be the source of truth
     localStorage.setItem('user', JSON.stringify({ username: userData.username })); 
     setUser(userData);
+    scheduleRefresh(token);
+    // The login response carries no profile; load it for the locale and time zone preferences
+    fetchCurrentUser(token)
+      .then((profile) => {
+        if (profile) {
+          setFormatPreferences(profile);
+          setUser(profile);
+        }
+      })
+      .catch((error) => console.error('Failed to load user profile:', error));
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const logout = async () => {
+    clearTimeout(refreshTimer.current);
+    const token = localStorage.getItem('token');
+    try {
+      // Revokes the session server-side and clears the refresh token cookie
+      await fetch('/api/auth/logout', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+      });
+    } catch (error) {
+      console.error('Failed to revoke session on logout:', error);
+    }
+    clearStoredSession();
     setUser(null);
     window.location.href = '/login';
   };
@@ -0,0 +1,81 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState("");
+  const [isError, setIsError] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const res = await fetch("/api/auth/forgot-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+      });
+      const data = await res.json();
+      setIsError(!res.ok);
+      setMessage(res.ok ? data.message : data.error || "Could not send the reset email.");
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      setIsError(true);
+      setMessage("Something went wrong. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 flex flex-col items-center justify-center p-4">
+      <div className="w-full max-w-md bg-gray-800 shadow-2xl rounded-lg p-8 space-y-6">
+        <h1 className="text-3xl font-bold text-center text-white mb-6">
+          Forgot your password?
+        </h1>
+        <p className="text-sm text-gray-400 text-center">
+          Enter the email address of your account and we will send you a link to choose a new password.
+        </p>
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label
+              htmlFor="email"
+              className="text-sm font-medium text-gray-300 block mb-2"
+            >
+              Email Address
+            </label>
+            <input
+              id="email"
+              type="email"
+              placeholder="you@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              className="w-full p-3 bg-gray-700 border border-gray-600 rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-semibold text-lg shadow-md disabled:opacity-50"
+          >
+            {isSubmitting ? "Sending..." : "Send reset link"}
+          </button>
+        </form>
+        {message && (
+          <p className={`text-center ${isError ? "text-red-400" : "text-green-400"} mt-4`}>
+            {message}
+          </p>
+        )}
+        <p className="text-center text-sm text-gray-400 mt-6">
+          Remembered it?{" "}
+          <Link href="/login" className="text-blue-400 hover:underline font-medium">
+            Back to login
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
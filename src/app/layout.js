@@ -3,6 +3,7 @@ import { Inter } from "next/font/google";
 import "./globals.css";
 import Navbar from "@/app/components/Navbar";
 import Footer from "@/app/components/Footer";
+import EmailVerificationBanner from "@/app/components/Auth/EmailVerificationBanner";
 import { AuthProvider } from "./contexts/AuthContext"; // Assuming this path is correct
 
 const geistSans = localFont({
@@ -33,6 +34,7 @@ export default function RootLayout({ children }) {
       >
         <AuthProvider>
           <Navbar />
+          <EmailVerificationBanner />
           <main className="flex-grow container mx-auto px-4 py-8">
             {children}
           </main>
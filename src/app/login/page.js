@@ -9,6 +9,8 @@ export default function Login() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [message, setMessage] = useState("");
+  const [code, setCode] = useState("");
+  const [needsCode, setNeedsCode] = useState(false);
 
   const { user, loading, login } = useAuth(); 
 
@@ -25,13 +27,17 @@ export default function Login() {
       const res = await fetch("../api/auth/login", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email, password }),
+        body: JSON.stringify(needsCode ? { email, password, code } : { email, password }),
       });
       const data = await res.json();
       if (res.ok) {
         setMessage("Login successful!");
         login(data, data.token);
         router.push("/stocks"); 
+      } else if (data.twoFactorRequired && !needsCode) {
+        // Password accepted; ask for the second factor
+        setNeedsCode(true);
+        setMessage("");
       } else {
         setMessage(data.error || "Login failed. Please check your credentials.");
       }
@@ -82,7 +88,38 @@ export default function Login() {
                 required
                 className="w-full p-3 bg-gray-700 border border-gray-600 rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
+              <Link
+                href="/forgot-password"
+                className="inline-block mt-2 text-sm text-blue-400 hover:underline"
+              >
+                Forgot your password?
+              </Link>
             </div>
+            {needsCode && (
+              <div>
+                <label
+                  htmlFor="code"
+                  className="text-sm font-medium text-gray-300 block mb-2"
+                >
+                  Authentication Code
+                </label>
+                <input
+                  id="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  required
+                  autoFocus
+                  className="w-full p-3 bg-gray-700 border border-gray-600 rounded-md text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <p className="mt-2 text-xs text-gray-400">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </p>
+              </div>
+            )}
             <button
               type="submit"
               className="w-full py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors font-semibold text-lg shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-800"
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Single-use token emailed to a user, e.g. to verify their address, confirm a new one or reset their password
+const accountTokenSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['verify-email', 'change-email', 'reset-password']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    usedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+// MongoDB removes tokens once they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.AccountToken || mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Daily exchange rates against USD, matching the shape returned by getExchangeRates()
+const exchangeRateSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    base: {
+        type: String,
+        required: true,
+        default: 'USD',
+        uppercase: true
+    },
+    rates: {
+        type: Map,
+        of: Number,
+        required: true
+    },
+    source: {
+        type: String,
+        default: 'unknown'
+    }
+}, { timestamps: true });
+
+exchangeRateSchema.index({ base: 1, date: -1 }, { unique: true });
+
+export default mongoose.models.ExchangeRate || mongoose.model('ExchangeRate', exchangeRateSchema);
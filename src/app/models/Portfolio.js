@@ -1,10 +1,65 @@
 import mongoose from 'mongoose';
+import { ISO_4217_CURRENCY_CODES } from '@/app/utils/currency';
+
+function isSale() {
+    return this.type === 'SELL';
+}
+
+function isCashTransfer() {
+    return this.type === 'DEPOSIT' || this.type === 'WITHDRAWAL';
+}
+
+function isDividend() {
+    return this.type === 'DIVIDEND';
+}
+
+function hasSymbol() {
+    return isSale.call(this) || isDividend.call(this);
+}
+
+function hasAmount() {
+    return isCashTransfer.call(this) || isDividend.call(this);
+}
 
 const portfolioSchema = new mongoose.Schema({
     userId: {
         type: String,
         required: true,
     },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+        default: 'My Portfolio'
+    },
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    costBasisMethod: {
+        type: String,
+        enum: ['FIFO', 'LIFO', 'AVERAGE', 'HIGHEST_COST', 'SPECIFIC'],
+        default: 'FIFO'
+    },
+    // When enabled, buys debit and sells credit the cash balance of the trade currency.
+    // Switched on by the first deposit or withdrawal.
+    trackCash: {
+        type: Boolean,
+        default: false
+    },
+    cashBalances: [{
+        _id: false,
+        currency: {
+            type: String,
+            required: true,
+            enum: ISO_4217_CURRENCY_CODES
+        },
+        amount: {
+            type: Number,
+            default: 0
+        }
+    }],
     holdings: [{
         symbol: {
             type: String,
@@ -29,20 +84,246 @@ const portfolioSchema = new mongoose.Schema({
         tradingCurrency: { 
             type: String,
             required: true,
-            enum: ['USD', 'EUR', 'PLN', 'GBP']
+            enum: ISO_4217_CURRENCY_CODES
+        },
+        // Brokerage, FX fees and stamp duty paid on the purchase, in `feesCurrency`, for the shares still held.
+        // Included in costInEUR, which is the cost per share with fees.
+        fees: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        feesCurrency: {
+            type: String,
+            enum: ISO_4217_CURRENCY_CODES
+        },
+        feesInEUR: {
+            type: Number,
+            default: 0
         },
         purchaseDate: {
             type: Date,
             required: true
         },
+        // Converted with the rate of the day it was entered because the purchase date had no rate for its currency.
+        // Cleared by the lot-costs migration once historical rates are back-filled.
+        fxRateEstimated: {
+            type: Boolean,
+            default: false
+        },
+        notes: {
+            type: String,
+            default: ''
+        }
+    }],
+    transactions: [{
+        type: {
+            type: String,
+            required: true,
+            enum: ['SELL', 'DEPOSIT', 'WITHDRAWAL', 'DIVIDEND']
+        },
+        symbol: {
+            type: String,
+            required: hasSymbol,
+            uppercase: true
+        },
+        quantity: {
+            type: Number,
+            required: isSale,
+            min: 0
+        },
+        price: {
+            type: Number,
+            required: isSale,
+            min: 0
+        },
+        // Cash moved by a deposit or withdrawal, or the gross amount of a dividend, in `currency`
+        amount: {
+            type: Number,
+            required: hasAmount,
+            min: 0
+        },
+        amountInEUR: {
+            type: Number,
+            required: hasAmount
+        },
+        // Tax withheld at source from a dividend, in `currency`
+        withholdingTax: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        withholdingTaxInEUR: {
+            type: Number,
+            default: 0
+        },
+        dividendPerShare: {
+            type: Number,
+            min: 0
+        },
+        exDividendDate: {
+            type: Date
+        },
+        currency: {
+            type: String,
+            required: true,
+            enum: ISO_4217_CURRENCY_CODES
+        },
+        // Fees on a sale, in `feesCurrency` (the sale currency when not set); deducted from the proceeds
+        fees: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        feesCurrency: {
+            type: String,
+            enum: ISO_4217_CURRENCY_CODES
+        },
+        // Not set on sales recorded before fees had their own currency; see collectFeesPaid()
+        feesInEUR: Number,
+        date: {
+            type: Date,
+            required: true
+        },
+        proceedsInEUR: {
+            type: Number,
+            required: isSale
+        },
+        costBasisInEUR: {
+            type: Number,
+            required: isSale
+        },
+        realizedProfitLossInEUR: {
+            type: Number,
+            required: isSale
+        },
+        costBasisMethod: {
+            type: String,
+            enum: ['FIFO', 'LIFO', 'AVERAGE', 'HIGHEST_COST', 'SPECIFIC']
+        },
+        // Snapshot of the lots this sale consumed, kept even after a lot is fully sold
+        lots: [{
+            lotId: mongoose.Schema.Types.ObjectId,
+            shares: Number,
+            costPerShare: Number,
+            tradingCurrency: String,
+            costInEUR: Number,
+            // The part of the lot's purchase fees that went with these shares
+            fees: Number,
+            feesCurrency: String,
+            feesInEUR: Number,
+            purchaseDate: Date
+        }],
+        // Converted with the rate of the day it was entered, see holdings.fxRateEstimated
+        fxRateEstimated: {
+            type: Boolean,
+            default: false
+        },
         notes: {
             type: String,
             default: ''
         }
-    }]
+    }],
+    // Audit trail of splits, ticker renames and mergers, with the lot values before and after each adjustment
+    corporateActions: [{
+        type: {
+            type: String,
+            required: true,
+            enum: ['SPLIT', 'REVERSE_SPLIT', 'RENAME', 'MERGER']
+        },
+        symbol: {
+            type: String,
+            required: true,
+            uppercase: true
+        },
+        // New ticker after a rename or merger
+        newSymbol: {
+            type: String,
+            uppercase: true
+        },
+        // `ratioFrom` old shares become `ratioTo` new shares
+        ratioFrom: {
+            type: Number,
+            default: 1,
+            min: 0
+        },
+        ratioTo: {
+            type: Number,
+            default: 1,
+            min: 0
+        },
+        effectiveDate: {
+            type: Date,
+            required: true
+        },
+        source: {
+            type: String,
+            enum: ['MANUAL', 'POLYGON'],
+            default: 'MANUAL'
+        },
+        notes: {
+            type: String,
+            default: ''
+        },
+        appliedAt: {
+            type: Date,
+            default: Date.now
+        },
+        revertedAt: Date,
+        adjustments: [{
+            _id: false,
+            // An open lot, the snapshot of a lot inside a later sale, or that sale's quantity (`shares`) and price
+            target: {
+                type: String,
+                enum: ['LOT', 'SALE_LOT', 'SALE']
+            },
+            lotId: mongoose.Schema.Types.ObjectId,
+            transactionId: mongoose.Schema.Types.ObjectId,
+            before: {
+                symbol: String,
+                shares: Number,
+                costPerShare: Number,
+                costInEUR: Number,
+                price: Number
+            },
+            after: {
+                symbol: String,
+                shares: Number,
+                costPerShare: Number,
+                costInEUR: Number,
+                price: Number
+            }
+        }]
+    }],
+    // Weights the rebalancing planner steers towards, per symbol or per sector/asset class
+    targetAllocation: {
+        groupBy: {
+            type: String,
+            enum: ['SYMBOL', 'SECTOR', 'ASSET_CLASS'],
+            default: 'SYMBOL'
+        },
+        targets: [{
+            _id: false,
+            // Symbol, sector or asset class name
+            key: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            // Percentage of the holdings' value; targets add up to 100
+            weight: {
+                type: Number,
+                required: true,
+                min: 0,
+                max: 100
+            }
+        }],
+        updatedAt: Date
+    }
 }, { timestamps: true });
 
 portfolioSchema.index({ userId: 1 }); 
+portfolioSchema.index({ userId: 1, archived: 1, createdAt: 1 });
 
 
 portfolioSchema.pre('save', function(next) {
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// What a portfolio's holdings were worth at the close of one day, in EUR
+const portfolioSnapshotSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    portfolioId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // UTC midnight of the day
+    date: {
+        type: Date,
+        required: true
+    },
+    valueInEUR: {
+        type: Number,
+        required: true
+    },
+    costBasisInEUR: {
+        type: Number,
+        required: true
+    },
+    // Only known for live snapshots; cash history is not reconstructed by backfills
+    cashInEUR: {
+        type: Number
+    },
+    holdings: [{
+        _id: false,
+        symbol: String,
+        shares: Number,
+        price: Number,
+        currency: String,
+        valueInEUR: Number
+    }],
+    source: {
+        type: String,
+        enum: ['LIVE', 'BACKFILL'],
+        default: 'LIVE'
+    }
+}, { timestamps: true });
+
+portfolioSnapshotSchema.index({ portfolioId: 1, date: 1 }, { unique: true });
+portfolioSnapshotSchema.index({ userId: 1, date: 1 });
+
+export default mongoose.models.PortfolioSnapshot || mongoose.model('PortfolioSnapshot', portfolioSnapshotSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// A login session: holds the hash of the current refresh token, which is replaced on every refresh
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Hashes of refresh tokens already rotated out, to detect their reuse
+    previousTokenHashes: {
+        type: [String],
+        default: [],
+        index: true
+    },
+    rotatedAt: Date,
+    revokedAt: Date,
+    userAgent: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Session || mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ISO_4217_CURRENCY_CODES } from "@/app/utils/currency";
 
 
 const stockSchema = new mongoose.Schema({
@@ -26,7 +27,7 @@ const stockSchema = new mongoose.Schema({
         type: String,
         required: true,
         default: 'USD',
-        enum: ['USD', 'EUR', 'PLN', 'GBP'] 
+        enum: ISO_4217_CURRENCY_CODES
     },
     country: {  
         type: String,
@@ -35,6 +36,23 @@ const stockSchema = new mongoose.Schema({
     marketIdentifier: { 
         type: String,
         required: false
+    },
+    // Classification used for allocation breakdowns, filled in from provider reference data
+    sector: {
+        type: String,
+        required: false
+    },
+    industry: {
+        type: String,
+        required: false
+    },
+    assetClass: {
+        type: String,
+        required: false
+    },
+    classifiedAt: {
+        type: Date,
+        required: false
     }
 });
 
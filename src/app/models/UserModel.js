@@ -1,9 +1,35 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import { SUPPORTED_CURRENCIES, DEFAULT_BASE_CURRENCY } from "@/app/utils/currency";
 
 const UserSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
+  // Stored lowercased and trimmed, so lookups must go through normalizeEmail() (see accountService)
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  // Display name shown in the navbar; optional
+  username: { type: String, trim: true, maxlength: 50 },
+  // New address waiting for confirmation through the emailed link
+  pendingEmail: { type: String, lowercase: true, trim: true },
   password: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  // TOTP second factor; secrets are stored encrypted (see twoFactorService)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,
+    // Secret shown during enrollment, until the first code confirms it
+    pendingSecret: String,
+    recoveryCodeHashes: { type: [String], default: undefined },
+    // Last time step a code was accepted for, so a code cannot be used twice
+    lastUsedStep: Number,
+    enabledAt: Date,
+  },
+  // Currency portfolio values are reported in
+  baseCurrency: { type: String, enum: SUPPORTED_CURRENCIES, default: DEFAULT_BASE_CURRENCY },
+  // Benchmark specs (see parseBenchmark()) portfolio performance is compared against
+  benchmarks: { type: [String], default: undefined },
+  // BCP 47 locale and IANA time zone used to format numbers and dates
+  locale: String,
+  timezone: String,
   createdAt: { type: Date, default: Date.now },
 });
 
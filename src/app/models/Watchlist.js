@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A named list of tickers a user follows without holding them
+const watchlistSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+        default: 'My Watchlist'
+    },
+    symbols: [{
+        _id: false,
+        symbol: {
+            type: String,
+            required: true,
+            uppercase: true,
+            trim: true
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        },
+        notes: {
+            type: String,
+            default: ''
+        }
+    }]
+}, { timestamps: true });
+
+watchlistSchema.index({ userId: 1, createdAt: 1 });
+
+export default mongoose.models.Watchlist || mongoose.model('Watchlist', watchlistSchema);
@@ -5,59 +5,109 @@ import { useRouter } from "next/navigation";
 import PortfolioSkeleton from "@/app/components/Portfolio/PortfolioSkeleton";
 import PortfolioHeader from "@/app/components/Portfolio/PortfolioHeader";
 import AddStockForm from "@/app/components/Portfolio/AddStockForm";
+import ImportCsvForm from "@/app/components/Portfolio/ImportCsvForm";
+import ExportPortfolioPanel from "@/app/components/Portfolio/ExportPortfolioPanel";
+import CashPanel from "@/app/components/Portfolio/CashPanel";
+import DividendsPanel from "@/app/components/Portfolio/DividendsPanel";
+import CorporateActionsPanel from "@/app/components/Portfolio/CorporateActionsPanel";
+import RebalancePanel from "@/app/components/Portfolio/RebalancePanel";
+import EquityCurveChart from "@/app/components/Portfolio/EquityCurveChart";
+import BenchmarkComparison from "@/app/components/Portfolio/BenchmarkComparison";
+import AllocationBreakdown from "@/app/components/Portfolio/AllocationBreakdown";
 import PortfolioTable from "@/app/components/Portfolio/PortfolioTable";
 import PortfolioAIInsights from "@/app/components/Portfolio/PortfolioAIInsights";
+import PortfolioSwitcher, { ALL_PORTFOLIOS_ID } from "@/app/components/Portfolio/PortfolioSwitcher";
 import { useAuth } from "@/app/contexts/AuthContext";
+import { apiRequest, ApiError } from "@/app/utils/apiClient";
 
 export default function PortfolioPage() {
-  console.log("[PortfolioPage] Component rendering or re-rendering.");
-
   const [portfolio, setPortfolio] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isAdding, setIsAdding] = useState(false);
   const [isSelling, setIsSelling] = useState(null);
+  const [portfolios, setPortfolios] = useState([]);
+  const [selectedPortfolioId, setSelectedPortfolioId] = useState(null); // null = default portfolio
+  const [showImport, setShowImport] = useState(false);
+  const [showCash, setShowCash] = useState(false);
+  const [showDividends, setShowDividends] = useState(false);
+  const [showCorporateActions, setShowCorporateActions] = useState(false);
+  const [showRebalance, setShowRebalance] = useState(false);
+  const [displayCurrency, setDisplayCurrency] = useState(null); // null = user's base currency
+  const [baseCurrency, setBaseCurrency] = useState(null);
+  const [performancePeriod, setPerformancePeriod] = useState("ALL");
+  const [performance, setPerformance] = useState(null);
+  const [isPerformanceLoading, setIsPerformanceLoading] = useState(false);
   const router = useRouter();
   const { user, loading } = useAuth();
 
   const fetchPortfolio = useCallback(async () => {
-    console.log("[PortfolioPage] fetchPortfolio called.");
-
     setError(null);
     try {
-      const token = localStorage.getItem("token");
-      const headers = { "Content-Type": "application/json" };
-      if (token) {
-        headers["Authorization"] = `Bearer ${token}`;
-      }
-      const response = await fetch("/api/portfolio", { headers });
-      if (!response.ok) {
-        if (response.status === 401) {
-          router.push("/login");
-          return;
-        }
-        const errorData = await response.json();
-        throw new Error(errorData.message || "Failed to fetch portfolio");
-      }
-      const data = await response.json();
-      console.log("[PortfolioPage] API response data in fetchPortfolio:", data);
-      if (data.success) {
-        setPortfolio(data);
-      } else {
-        throw new Error(
-          data.message || "Could not retrieve portfolio data from API"
-        );
-      }
+      const params = new URLSearchParams();
+      if (selectedPortfolioId) params.set("portfolioId", selectedPortfolioId);
+      if (displayCurrency) params.set("currency", displayCurrency);
+      const query = params.toString() ? `?${params.toString()}` : "";
+      const data = await apiRequest(`/api/portfolio${query}`, { errorMessage: "Failed to fetch portfolio" });
+      setPortfolio(data);
     } catch (err) {
+      if (err instanceof ApiError && err.status === 401) {
+        router.push("/login");
+        return;
+      }
       console.error("[PortfolioPage] Error fetching portfolio:", err);
       setError(err.message);
     } finally {
       setIsLoading(false);
-      console.log(
-        "[PortfolioPage] fetchPortfolio finished, isLoading set to false."
-      );
     }
-  }, [router]);
+  }, [router, selectedPortfolioId, displayCurrency]);
+
+  const fetchPortfolios = useCallback(async () => {
+    try {
+      const data = await apiRequest("/api/portfolios?includeArchived=true");
+      setPortfolios(data.data);
+    } catch (err) {
+      console.error("[PortfolioPage] Error fetching portfolio list:", err);
+    }
+  }, []);
+
+  const fetchPreferences = useCallback(async () => {
+    try {
+      const data = await apiRequest("/api/user/preferences");
+      setBaseCurrency(data.data.baseCurrency);
+    } catch (err) {
+      console.error("[PortfolioPage] Error fetching preferences:", err);
+    }
+  }, []);
+
+  const fetchPerformance = useCallback(async () => {
+    setIsPerformanceLoading(true);
+    try {
+      const params = new URLSearchParams({ period: performancePeriod });
+      if (selectedPortfolioId) params.set("portfolioId", selectedPortfolioId);
+      if (displayCurrency) params.set("currency", displayCurrency);
+      const data = await apiRequest(`/api/portfolio/performance?${params.toString()}`);
+      setPerformance(data.data.periods[performancePeriod] || null);
+    } catch (err) {
+      console.error("[PortfolioPage] Error fetching performance:", err);
+      setPerformance(null);
+    } finally {
+      setIsPerformanceLoading(false);
+    }
+  }, [selectedPortfolioId, displayCurrency, performancePeriod]);
+
+  useEffect(() => {
+    if (user) {
+      fetchPreferences();
+    }
+  }, [user, fetchPreferences]);
+
+  // Recalculate returns whenever the portfolio is reloaded (after buys, sells, dividends...)
+  useEffect(() => {
+    if (user && portfolio) {
+      fetchPerformance();
+    }
+  }, [user, portfolio, fetchPerformance]);
 
   useEffect(() => {
     if (!user && !loading) {
@@ -67,39 +117,80 @@ export default function PortfolioPage() {
       router.push("/login");
       return;
     }
-    console.log(
-      "[PortfolioPage] useEffect for initial fetchPortfolio triggered."
-    );
     setIsLoading(true);
     fetchPortfolio();
-  }, [fetchPortfolio, router, user, loading]);
+    fetchPortfolios();
+  }, [fetchPortfolio, fetchPortfolios, router, user, loading]);
 
-  const handleAddStock = async (stockData) => {
-    setIsAdding(true);
+  const activePortfolio = portfolio?.portfolio;
+  const isCombinedView = selectedPortfolioId === ALL_PORTFOLIOS_ID;
+
+  const updatePortfolio = async (portfolioId, changes) => {
+    const data = await apiRequest(`/api/portfolios/${encodeURIComponent(portfolioId)}`, {
+      method: "PATCH",
+      body: JSON.stringify(changes),
+      errorMessage: "Failed to update portfolio",
+    });
+    return data.data;
+  };
+
+  const handleCreatePortfolio = async (name) => {
     setError(null);
     try {
-      const token = localStorage.getItem("token");
-      const headers = {
-        "Content-Type": "application/json",
-      };
-      if (token) {
-        headers["Authorization"] = `Bearer ${token}`;
-      }
-
-      const response = await fetch("/api/portfolio", {
+      const data = await apiRequest("/api/portfolios", {
         method: "POST",
-        headers: headers,
-        body: JSON.stringify(stockData),
+        body: JSON.stringify({ name }),
+        errorMessage: "Failed to create portfolio",
       });
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.message || "Failed to add stock");
-      }
-      if (data.success) {
-        await fetchPortfolio();
+      await fetchPortfolios();
+      setSelectedPortfolioId(data.data._id);
+    } catch (err) {
+      console.error("Error creating portfolio:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleRenamePortfolio = async (name) => {
+    setError(null);
+    try {
+      await updatePortfolio(activePortfolio._id, { name });
+      await Promise.all([fetchPortfolios(), fetchPortfolio()]);
+    } catch (err) {
+      console.error("Error renaming portfolio:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleArchivePortfolio = async (archived) => {
+    setError(null);
+    try {
+      await updatePortfolio(activePortfolio._id, { archived });
+      await fetchPortfolios();
+      if (archived) {
+        // Fall back to the default active portfolio
+        setSelectedPortfolioId(null);
       } else {
-        throw new Error(data.message || "Could not add stock to portfolio");
+        await fetchPortfolio();
       }
+    } catch (err) {
+      console.error("Error archiving portfolio:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleAddStock = async (stockData) => {
+    setIsAdding(true);
+    setError(null);
+    try {
+      await apiRequest("/api/portfolio", {
+        method: "POST",
+        body: JSON.stringify({
+          ...stockData,
+          portfolioId: activePortfolio?._id || undefined,
+        }),
+        errorMessage: "Failed to add stock",
+      });
+      await fetchPortfolio();
     } catch (err) {
       console.error("Error adding stock:", err);
       setError(err.message);
@@ -108,37 +199,18 @@ export default function PortfolioPage() {
     }
   };
 
-  const handleSellStock = async (symbol, quantity) => {
+  const handleSellStock = async (symbol, saleDetails) => {
     setIsSelling(symbol);
     setError(null);
     try {
-      const token = localStorage.getItem("token");
-
-      const headers = {
-        "Content-Type": "application/json",
-      };
-      if (token) {
-        headers["Authorization"] = `Bearer ${token}`;
-      }
-
-      const response = await fetch(
-        `/api/portfolio/${encodeURIComponent(symbol)}`,
-        {
-          method: "DELETE",
-          headers: headers, // Pass headers
-          body: JSON.stringify({ quantity }),
-        }
-      );
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.message || "Failed to sell stock");
-      }
-      if (data.success) {
-        // refetch portfolio to reflect changes
-        await fetchPortfolio();
-      } else {
-        throw new Error(data.message || "Could not sell stock");
-      }
+      const query = activePortfolio?._id ? `?portfolioId=${encodeURIComponent(activePortfolio._id)}` : "";
+      await apiRequest(`/api/portfolio/${encodeURIComponent(symbol)}${query}`, {
+        method: "DELETE",
+        body: JSON.stringify(saleDetails),
+        errorMessage: "Failed to sell stock",
+      });
+      // refetch portfolio to reflect changes
+      await fetchPortfolio();
     } catch (err) {
       console.error("Error selling stock:", err);
       setError(err.message);
@@ -147,54 +219,86 @@ export default function PortfolioPage() {
     }
   };
 
+  // Errors are thrown back to the row so they show next to the lot being edited
+  const sendLotRequest = async (lotId, method, body) => {
+    await apiRequest(`/api/portfolio/lots/${encodeURIComponent(lotId)}`, {
+      method,
+      ...(body && { body: JSON.stringify(body) }),
+      errorMessage: "Failed to update lot",
+    });
+    await fetchPortfolio();
+  };
+
+  const handleUpdateLot = (lotId, changes) => sendLotRequest(lotId, "PATCH", changes);
+
+  const handleDeleteLot = (lotId) => sendLotRequest(lotId, "DELETE");
+
+  const handleCostBasisMethodChange = async (costBasisMethod) => {
+    setError(null);
+    try {
+      await updatePortfolio(activePortfolio._id, { costBasisMethod });
+      await fetchPortfolio();
+    } catch (err) {
+      console.error("Error updating cost basis method:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleSetBaseCurrency = async (currency) => {
+    setError(null);
+    try {
+      const data = await apiRequest("/api/user/preferences", {
+        method: "PATCH",
+        body: JSON.stringify({ baseCurrency: currency }),
+        errorMessage: "Failed to update base currency",
+      });
+      setBaseCurrency(data.data.baseCurrency);
+    } catch (err) {
+      console.error("Error updating base currency:", err);
+      setError(err.message);
+    }
+  };
+
   const portfolioSummary = useMemo(() => {
     if (!portfolio?.summary) {
-      console.log(
-        "[PortfolioPage] portfolioSummary: portfolio or portfolio.summary is undefined, returning defaults."
-      ); // Page Log 6
       return {
-        totalInvestmentInEUR: 0,
-        currentTotalValueInEUR: 0,
-        totalProfitLossInEUR: 0,
+        currency: portfolio?.currency || baseCurrency || "EUR",
+        totalInvestment: 0,
+        currentTotalValue: 0,
+        totalProfitLoss: 0,
         overallPercentageReturn: 0,
+        realizedProfitLoss: 0,
+        dividendIncome: 0,
+        totalReturn: 0,
+        totalReturnPercentage: 0,
+        cash: [],
+        cashBalance: 0,
+        totalAccountValue: 0,
+        netContributions: 0,
       };
     }
-    console.log(
-      "[PortfolioPage] portfolioSummary: calculating with portfolio.summary:",
-      portfolio.summary
-    ); // Page Log 7
     return {
-      totalInvestmentInEUR: portfolio.summary.totalInvestmentInEUR || 0,
-      currentTotalValueInEUR: portfolio.summary.currentTotalValueInEUR || 0,
-      totalProfitLossInEUR: portfolio.summary.totalProfitLossInEUR || 0,
+      currency: portfolio.summary.currency || "EUR",
+      totalInvestment: portfolio.summary.totalInvestment || 0,
+      currentTotalValue: portfolio.summary.currentTotalValue || 0,
+      totalProfitLoss: portfolio.summary.totalProfitLoss || 0,
       overallPercentageReturn: portfolio.summary.percentageReturn || 0,
+      realizedProfitLoss: portfolio.summary.realizedProfitLoss || 0,
+      dividendIncome: portfolio.summary.dividendIncome || 0,
+      totalReturn: portfolio.summary.totalReturn || 0,
+      totalReturnPercentage: portfolio.summary.totalReturnPercentage || 0,
+      cash: portfolio.summary.cash || [],
+      cashBalance: portfolio.summary.cashBalance || 0,
+      totalAccountValue: portfolio.summary.totalAccountValue || 0,
+      netContributions: portfolio.summary.netContributions || 0,
     };
-  }, [portfolio]);
-
-  console.log(
-    "[PortfolioPage] Current portfolio state before render:",
-    portfolio
-  );
-  console.log(
-    "[PortfolioPage] Data passed to PortfolioTable (portfolio?.data):",
-    portfolio?.data
-  ); // Page Log 9
-  console.log(
-    "[PortfolioPage] Summary passed to PortfolioHeader (portfolioSummary):",
-    portfolioSummary
-  ); // Page Log 10
+  }, [portfolio, baseCurrency]);
 
   if (isLoading && !portfolio?.data) {
-    console.log(
-      "[PortfolioPage] Rendering PortfolioSkeleton (isLoading true and no portfolio data)."
-    ); // Page Log 11
     return <PortfolioSkeleton />;
   }
 
   if (error && !portfolio?.data) {
-    console.log(
-      "[PortfolioPage] Rendering error display (error present and no portfolio data)."
-    ); // Page Log 12
     return (
       <div className="container mx-auto p-6 bg-gray-900 text-white min-h-screen flex flex-col items-center justify-center">
         <p className="text-2xl text-red-500 mb-4">Error: {error}</p>
@@ -216,15 +320,47 @@ export default function PortfolioPage() {
       </div>
     );
   }
-  console.log("[PortfolioPage] Proceeding to render main portfolio view.");
 
   return (
     <div className="container mx-auto p-4 md:p-6 bg-gray-900 text-white min-h-screen">
+      <PortfolioSwitcher
+        portfolios={portfolios}
+        selectedPortfolioId={selectedPortfolioId}
+        activePortfolio={activePortfolio}
+        onSelect={(id) => setSelectedPortfolioId(id || null)}
+        onCreate={handleCreatePortfolio}
+        onRename={handleRenamePortfolio}
+        onArchive={handleArchivePortfolio}
+      />
+
       <PortfolioHeader
-        totalValue={portfolioSummary.currentTotalValueInEUR}
-        totalInvestment={portfolioSummary.totalInvestmentInEUR}
-        totalProfitLoss={portfolioSummary.totalProfitLossInEUR}
+        totalValue={portfolioSummary.currentTotalValue}
+        totalInvestment={portfolioSummary.totalInvestment}
+        totalProfitLoss={portfolioSummary.totalProfitLoss}
         overallPercentageReturn={portfolioSummary.overallPercentageReturn}
+        realizedProfitLoss={portfolioSummary.realizedProfitLoss}
+        dividendIncome={portfolioSummary.dividendIncome}
+        totalReturn={portfolioSummary.totalReturn}
+        totalReturnPercentage={portfolioSummary.totalReturnPercentage}
+        performance={performance}
+        performancePeriod={performancePeriod}
+        onPerformancePeriodChange={setPerformancePeriod}
+        isPerformanceLoading={isPerformanceLoading}
+        currency={portfolioSummary.currency}
+        baseCurrency={baseCurrency}
+        onCurrencyChange={setDisplayCurrency}
+        onSetBaseCurrency={handleSetBaseCurrency}
+        showCash={Boolean(activePortfolio?.trackCash)}
+        cashBalance={portfolioSummary.cashBalance}
+        totalAccountValue={portfolioSummary.totalAccountValue}
+        netContributions={portfolioSummary.netContributions}
+        costBasisMethod={activePortfolio?.costBasisMethod}
+        onCostBasisMethodChange={
+          isCombinedView || !activePortfolio?._id
+            ? undefined
+            : handleCostBasisMethodChange
+        }
+        title={activePortfolio?.name}
       />
 
       {/* Display general errors (e.g., from add/sell) above the form */}
@@ -238,9 +374,96 @@ export default function PortfolioPage() {
         </div>
       )}
 
-      <AddStockForm onAddStock={handleAddStock} isAdding={isAdding} />
+      {!isCombinedView && (
+        <>
+          <AddStockForm onAddStock={handleAddStock} isAdding={isAdding} />
+          <div className="flex justify-end gap-3 -mt-4 mb-6">
+            <button
+              onClick={() => setShowRebalance(!showRebalance)}
+              className="px-4 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors"
+            >
+              {showRebalance ? "Hide Rebalancing" : "Rebalance"}
+            </button>
+            <button
+              onClick={() => setShowCorporateActions(!showCorporateActions)}
+              className="px-4 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors"
+            >
+              {showCorporateActions ? "Hide Corporate Actions" : "Splits & Renames"}
+            </button>
+            <button
+              onClick={() => setShowDividends(!showDividends)}
+              className="px-4 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors"
+            >
+              {showDividends ? "Hide Dividends" : "Dividends"}
+            </button>
+            <button
+              onClick={() => setShowCash(!showCash)}
+              className="px-4 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors"
+            >
+              {showCash ? "Hide Cash" : "Deposit / Withdraw"}
+            </button>
+            <button
+              onClick={() => setShowImport(!showImport)}
+              className="px-4 py-2 text-sm font-medium text-gray-200 bg-gray-700 hover:bg-gray-600 rounded-md transition-colors"
+            >
+              {showImport ? "Hide CSV Import" : "Import from CSV"}
+            </button>
+          </div>
+          {showCash && (
+            <CashPanel
+              portfolioId={activePortfolio?._id}
+              balances={portfolioSummary.cash}
+              currency={portfolioSummary.currency}
+              onChanged={async () => {
+                await Promise.all([fetchPortfolio(), fetchPortfolios()]);
+              }}
+            />
+          )}
+          {showDividends && (
+            <DividendsPanel
+              portfolioId={activePortfolio?._id}
+              onChanged={fetchPortfolio}
+            />
+          )}
+          {showRebalance && (
+            <RebalancePanel
+              portfolioId={activePortfolio?._id}
+              currency={displayCurrency}
+            />
+          )}
+          {showCorporateActions && (
+            <CorporateActionsPanel
+              portfolioId={activePortfolio?._id}
+              onChanged={fetchPortfolio}
+            />
+          )}
+          {showImport && (
+            <ImportCsvForm
+              portfolioId={activePortfolio?._id}
+              onImported={async () => {
+                await Promise.all([fetchPortfolio(), fetchPortfolios()]);
+              }}
+            />
+          )}
+        </>
+      )}
 
-      <PortfolioAIInsights />
+      <AllocationBreakdown
+        portfolioId={selectedPortfolioId}
+        currency={displayCurrency}
+      />
+
+      <EquityCurveChart
+        portfolioId={selectedPortfolioId}
+        currency={displayCurrency}
+      />
+
+      <BenchmarkComparison
+        portfolioId={selectedPortfolioId}
+        currency={displayCurrency}
+      />
+
+      <PortfolioAIInsights portfolioId={selectedPortfolioId} />
 
       {isLoading && portfolio?.data && (
         <div className="text-center py-4">
@@ -248,10 +471,17 @@ export default function PortfolioPage() {
         </div>
       )}
 
+      <ExportPortfolioPanel
+        portfolioId={selectedPortfolioId || activePortfolio?._id}
+      />
+
       <PortfolioTable
         portfolio={portfolio?.data || []}
-        onSell={handleSellStock}
+        onSell={isCombinedView ? undefined : handleSellStock}
         isSelling={isSelling}
+        onUpdateLot={isCombinedView ? undefined : handleUpdateLot}
+        onDeleteLot={isCombinedView ? undefined : handleDeleteLot}
+        currency={portfolioSummary.currency}
       />
     </div>
   );
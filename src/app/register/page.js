@@ -4,6 +4,7 @@ import { useRouter } from "next/navigation";
 import Link from "next/link";
 import Navbar from "../components/Navbar";
 import Footer from "../components/Footer";
+import { useAuth } from "@/app/contexts/AuthContext";
 
 export default function Register() {
 	const router = useRouter();
@@ -11,6 +12,7 @@ export default function Register() {
 	const [password, setPassword] = useState("");
 	const [confirmPassword, setConfirmPassword] = useState("");
 	const [message, setMessage] = useState("");
+	const { login } = useAuth();
 
 	useEffect(() => {
 
@@ -39,7 +41,7 @@ export default function Register() {
 
 			if (res.ok) {
 				setMessage("Registration successful!");
-				localStorage.setItem("token", data.token); 
+				login({ email, emailVerified: false }, data.token);
 				router.push("/stocks");
 			} else {
 				setMessage(data.error);
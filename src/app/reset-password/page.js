@@ -0,0 +1,10 @@
+import { Suspense } from 'react';
+import ResetPasswordForm from '@/app/components/Auth/ResetPasswordForm';
+
+export default function ResetPasswordPage() {
+  return (
+    <Suspense fallback={null}>
+      <ResetPasswordForm />
+    </Suspense>
+  );
+}
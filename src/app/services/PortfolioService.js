@@ -1,21 +1,187 @@
+import mongoose from 'mongoose';
 import connectDB from '@/app/utils/db';
 import Portfolio from '@/app/models/Portfolio';
 import { fetchSnapshotWithFallback } from './stockDataService';
+import { getAssetClassifications } from './assetService';
+import { convertToEUR } from '@/app/utils/portfolioUtils';
+import { matchLots, SHARE_EPSILON } from '@/app/utils/costBasis';
+import { getExchangeRatesForDates, getEstimatedCurrencies, toRateDayKey } from './exchangeRateService';
+
+// Pseudo portfolio id for the read-only view that combines every active portfolio
+export const ALL_PORTFOLIOS_ID = 'all';
+
+// Transaction types that move cash in or out of a portfolio
+export const CASH_TRANSACTION_TYPES = ['DEPOSIT', 'WITHDRAWAL'];
+
+// Dividend received on a holding; credited to cash (net of withholding tax) when cash is tracked
+export const DIVIDEND_TRANSACTION_TYPE = 'DIVIDEND';
+
+// Currencies a lot or sale may be recorded in, as allowed by the Portfolio model (ISO 4217)
+const SUPPORTED_TRADING_CURRENCIES = Portfolio.schema.path('holdings').schema.path('tradingCurrency').enumValues;
+
+/**
+ * Raised for invalid buy/sell input; routes turn it into a 400 response
+ */
+export class PortfolioValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PortfolioValidationError';
+  }
+}
+
+/**
+ * Check that a trading currency is a known ISO 4217 code with an exchange rate we can convert from
+ * @param {string} currency - ISO currency code
+ * @param {object} exchangeRates - Rates against USD
+ * @throws {PortfolioValidationError} - If the currency is unknown or has no rate
+ */
+export function assertTradableCurrency(currency, exchangeRates) {
+  const code = currency?.toUpperCase();
+  if (!SUPPORTED_TRADING_CURRENCIES.includes(code)) {
+    throw new PortfolioValidationError(`Unsupported currency: ${currency}`);
+  }
+  if (!exchangeRates?.[code]) {
+    throw new PortfolioValidationError(`No exchange rate available for ${code}`);
+  }
+}
+
+/**
+ * Whether any of the currencies is converted with today's rate because its rate on the trade date is unknown
+ * @param {object} exchangeRates - Rates against USD on the trade date, see getExchangeRatesForDate()
+ * @param {...string} currencies - ISO currency codes the trade was converted from
+ * @returns {boolean}
+ */
+function usesEstimatedRate(exchangeRates, ...currencies) {
+  const estimated = getEstimatedCurrencies(exchangeRates);
+  return currencies.some(code => code && estimated.includes(code.toUpperCase()));
+}
+
+/**
+ * Find one of the user's portfolios.
+ * Without a portfolioId the user's oldest active portfolio is used.
+ * @param {string} userId - User ID
+ * @param {string} [portfolioId] - Portfolio ID
+ * @param {object} [options]
+ * @param {boolean} [options.create=false] - Create a default portfolio if the user has none
+ * @returns {Promise<object|null>} - Portfolio document
+ */
+export async function findUserPortfolio(userId, portfolioId, { create = false } = {}) {
+  await connectDB();
+
+  if (portfolioId) {
+    if (!mongoose.isValidObjectId(portfolioId)) {
+      return null;
+    }
+    return Portfolio.findOne({ _id: portfolioId, userId });
+  }
+
+  const portfolio = await Portfolio.findOne({ userId, archived: { $ne: true } }).sort({ createdAt: 1 });
+  if (portfolio || !create) {
+    return portfolio;
+  }
+  return Portfolio.create({ userId });
+}
+
+/**
+ * List the user's portfolios, oldest first
+ * @param {string} userId - User ID
+ * @param {object} [options]
+ * @param {boolean} [options.includeArchived=false] - Include archived portfolios
+ * @returns {Promise<Array>} - Portfolio documents
+ */
+export async function listUserPortfolios(userId, { includeArchived = false } = {}) {
+  await connectDB();
+
+  const query = includeArchived ? { userId } : { userId, archived: { $ne: true } };
+  return Portfolio.find(query).sort({ createdAt: 1 });
+}
+
+/**
+ * Build a read-only view that merges the lots and transactions of all active portfolios
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - Portfolio-shaped object
+ */
+export async function getCombinedPortfolio(userId) {
+  const portfolios = await listUserPortfolios(userId);
+
+  return {
+    _id: ALL_PORTFOLIOS_ID,
+    userId,
+    name: 'All accounts',
+    costBasisMethod: 'FIFO',
+    archived: false,
+    trackCash: portfolios.some(p => p.trackCash),
+    cashBalances: mergeCashBalances(portfolios.flatMap(p => p.cashBalances || [])),
+    holdings: portfolios.flatMap(p => p.holdings),
+    transactions: portfolios.flatMap(p => p.transactions),
+    corporateActions: portfolios.flatMap(p => p.corporateActions || []),
+    portfolioIds: portfolios.map(p => p._id),
+  };
+}
+
+function mergeCashBalances(balances) {
+  const byCurrency = {};
+  balances.forEach(({ currency, amount }) => {
+    byCurrency[currency] = (byCurrency[currency] || 0) + amount;
+  });
+  return Object.entries(byCurrency).map(([currency, amount]) => ({ currency, amount }));
+}
+
+/**
+ * Add to (or, with a negative delta, take from) the portfolio's cash balance in one currency
+ * @param {object} portfolio - Portfolio document
+ * @param {string} currency - ISO currency code
+ * @param {number} delta - Amount to add
+ * @returns {number} - The new balance
+ */
+export function adjustCashBalance(portfolio, currency, delta) {
+  let balance = portfolio.cashBalances.find(b => b.currency === currency);
+  if (!balance) {
+    portfolio.cashBalances.push({ currency, amount: 0 });
+    balance = portfolio.cashBalances[portfolio.cashBalances.length - 1];
+  }
+  balance.amount += delta;
+  return balance.amount;
+}
+
+/**
+ * Current cash balance of the portfolio in one currency
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {string} currency - ISO currency code
+ * @returns {number}
+ */
+export function getCashBalance(portfolio, currency) {
+  return (portfolio.cashBalances || []).find(b => b.currency === currency)?.amount || 0;
+}
+
+/**
+ * Load a portfolio for reading, resolving the combined "all accounts" view
+ * @param {string} userId - User ID
+ * @param {string} [portfolioId] - Portfolio ID or ALL_PORTFOLIOS_ID
+ * @returns {Promise<object|null>} - Portfolio document or combined view
+ */
+export async function loadPortfolioForRead(userId, portfolioId) {
+  if (portfolioId === ALL_PORTFOLIOS_ID) {
+    return getCombinedPortfolio(userId);
+  }
+  return findUserPortfolio(userId, portfolioId);
+}
 
 /**
  * Get user's portfolio with processed data
  * @param {string} userId - User ID
+ * @param {string} [portfolioId] - Portfolio ID or ALL_PORTFOLIOS_ID
  * @returns {Promise<object|null>} - Processed portfolio data
  */
-export async function getUserPortfolio(userId) {
+export async function getUserPortfolio(userId, portfolioId) {
   try {
-    await connectDB();
-    
-    const portfolio = await Portfolio.findOne({ userId });
+    const portfolio = await loadPortfolioForRead(userId, portfolioId);
     if (!portfolio || !portfolio.holdings) {
       return null;
     }
 
+    const classifications = await getAssetClassifications(portfolio.holdings.map(holding => holding.symbol));
+
     // Process holdings to clean structure
     const processedHoldings = portfolio.holdings.map(holding => ({
       symbol: holding.symbol,
@@ -28,11 +194,16 @@ export async function getUserPortfolio(userId) {
       percentageReturn: holding.percentageReturn,
       tradingCurrency: holding.tradingCurrency,
       purchaseDate: holding.transactions?.[0]?.purchaseDate,
-      sector: holding.sector || 'Unknown'
+      sector: classifications[holding.symbol]?.sector || 'Unknown',
+      industry: classifications[holding.symbol]?.industry || 'Unknown',
+      country: classifications[holding.symbol]?.country || 'Unknown',
+      assetClass: classifications[holding.symbol]?.assetClass || 'Unknown'
     }));
 
     return {
       userId: portfolio.userId,
+      portfolioId: portfolio._id,
+      name: portfolio.name,
       holdings: processedHoldings,
       createdAt: portfolio.createdAt,
       updatedAt: portfolio.updatedAt
@@ -43,3 +214,546 @@ export async function getUserPortfolio(userId) {
   }
 }
 
+/**
+ * Validate the fees, commissions or taxes paid on a trade and convert them to EUR
+ * @param {number} fees - Amount, in `feesCurrency`
+ * @param {string} feesCurrency - ISO currency code the fees were charged in
+ * @param {object} exchangeRates - Rates against USD on the trade date
+ * @returns {number} - Fees in EUR
+ * @throws {PortfolioValidationError} - If the fees are negative or their currency cannot be converted
+ */
+function convertFeesToEUR(fees, feesCurrency, exchangeRates) {
+  if (typeof fees !== 'number' || !(fees >= 0)) {
+    throw new PortfolioValidationError('Fees must be a non-negative number.');
+  }
+  if (fees === 0) {
+    return 0;
+  }
+  assertTradableCurrency(feesCurrency, exchangeRates);
+  const feesInEUR = convertToEUR(fees, feesCurrency, exchangeRates);
+  if (feesInEUR === null) {
+    throw new PortfolioValidationError(`Failed to convert ${feesCurrency} to EUR. Exchange rate not found.`);
+  }
+  return feesInEUR;
+}
+
+/**
+ * Cost per share of a lot in EUR, including its share of the purchase fees
+ * @param {object} lot - { shares, costPerShare, tradingCurrency, fees, feesCurrency }
+ * @param {object} exchangeRates - Rates against USD on the purchase date
+ * @returns {number|null} - Null when a currency cannot be converted
+ */
+export function lotCostInEUR({ shares, costPerShare, tradingCurrency, fees = 0, feesCurrency }, exchangeRates) {
+  const priceInEUR = convertToEUR(costPerShare, tradingCurrency, exchangeRates);
+  const feesInEUR = fees > 0 ? convertToEUR(fees, feesCurrency || tradingCurrency, exchangeRates) : 0;
+  if (priceInEUR === null || feesInEUR === null) {
+    return null;
+  }
+  return priceInEUR + (shares > 0 ? feesInEUR / shares : 0);
+}
+
+/**
+ * Validate a purchase and build the lot to store, converting its cost to EUR.
+ * Fees are part of the cost basis: `costInEUR` is the price plus the fees per share.
+ * @param {object} input - { symbol, shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes, name }; fees default to 0 in the trade currency
+ * @param {object} exchangeRates - Rates against USD on the purchase date, see getExchangeRatesForDate()
+ * @returns {object} - Lot ready to push onto portfolio.holdings
+ * @throws {PortfolioValidationError} - If the input is invalid or the currency cannot be converted
+ */
+export function buildLot({ symbol, shares, costPerShare, purchaseDate, currency, fees = 0, feesCurrency, notes, name }, exchangeRates) {
+  if (!symbol || !shares || !costPerShare || !purchaseDate || !currency) {
+    throw new PortfolioValidationError('Missing required fields');
+  }
+  if (typeof shares !== 'number' || shares <= 0) {
+    throw new PortfolioValidationError('Shares must be a positive number');
+  }
+  if (typeof costPerShare !== 'number' || costPerShare <= 0) {
+    throw new PortfolioValidationError('Cost per share must be a positive number');
+  }
+  const parsedDate = new Date(purchaseDate);
+  if (isNaN(parsedDate.getTime())) {
+    throw new PortfolioValidationError('Invalid purchase date');
+  }
+  assertTradableCurrency(currency, exchangeRates);
+  const feeCurrency = (feesCurrency || currency).toUpperCase();
+  const feesInEUR = convertFeesToEUR(fees, feeCurrency, exchangeRates);
+
+  const priceInEUR = convertToEUR(costPerShare, currency, exchangeRates);
+  if (priceInEUR === null) {
+    console.error(`[PortfolioService] Could not convert ${costPerShare} ${currency} to EUR. Exchange rate not found.`);
+    throw new PortfolioValidationError(`Failed to convert ${currency} to EUR. Exchange rate not found.`);
+  }
+  const costInEUR = priceInEUR + feesInEUR / shares;
+  if (isNaN(costInEUR) || costInEUR <= 0) {
+    throw new PortfolioValidationError('Calculated cost in EUR is invalid.');
+  }
+
+  return {
+    symbol: symbol.toUpperCase(),
+    name: name || symbol.toUpperCase(),
+    shares,
+    costPerShare,
+    costInEUR,
+    tradingCurrency: currency.toUpperCase(),
+    fees,
+    feesCurrency: feeCurrency,
+    feesInEUR,
+    purchaseDate: parsedDate,
+    fxRateEstimated: usesEstimatedRate(exchangeRates, currency, fees > 0 && feeCurrency),
+    notes: notes || ''
+  };
+}
+
+/**
+ * Debit (or, with a negative sign, refund) what a lot cost from the cash balances, fees in their own currency
+ * @param {object} portfolio - Portfolio document with cash tracking on
+ * @param {object} lot - { shares, costPerShare, tradingCurrency, fees, feesCurrency }
+ * @param {number} [sign=1] - 1 to pay for the lot, -1 to give the money back
+ */
+function payForLot(portfolio, lot, sign = 1) {
+  adjustCashBalance(portfolio, lot.tradingCurrency, -sign * lot.shares * lot.costPerShare);
+  if (lot.fees > 0) {
+    adjustCashBalance(portfolio, lot.feesCurrency || lot.tradingCurrency, -sign * lot.fees);
+  }
+}
+
+/**
+ * Buy shares into a portfolio: add the lot and, when cash is tracked, pay for it from the trade currency's cash.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @param {object} input - { symbol, shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes, name }
+ * @param {object} exchangeRates - Rates against USD on the purchase date, see getExchangeRatesForDate()
+ * @returns {object} - The added lot
+ * @throws {PortfolioValidationError} - If the purchase is invalid
+ */
+export function recordPurchase(portfolio, input, exchangeRates) {
+  const lot = buildLot(input, exchangeRates);
+  portfolio.holdings.push(lot);
+
+  if (portfolio.trackCash) {
+    payForLot(portfolio, lot);
+  }
+
+  return portfolio.holdings[portfolio.holdings.length - 1];
+}
+
+/**
+ * Correct a lot's shares, cost per share, purchase date, currency, fees or notes, converting its cost to EUR again.
+ * When cash is tracked, the trade currency's cash is adjusted by the difference in what the lot cost.
+ * Sales already matched against the lot keep the cost basis they were recorded with.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @param {string} lotId - Lot (holding subdocument) ID
+ * @param {object} changes - Any of { shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes }
+ * @param {object} exchangeRates - Rates against USD on the (new) purchase date, see getExchangeRatesForDate()
+ * @returns {object} - The updated lot
+ * @throws {PortfolioValidationError} - If the lot does not exist or the corrected lot is invalid
+ */
+export function updateLot(portfolio, lotId, { shares, costPerShare, purchaseDate, currency, fees, feesCurrency, notes }, exchangeRates) {
+  const lot = portfolio.holdings.id(lotId);
+  if (!lot) {
+    throw new PortfolioValidationError('Lot not found.');
+  }
+
+  const corrected = buildLot({
+    symbol: lot.symbol,
+    shares: shares ?? lot.shares,
+    costPerShare: costPerShare ?? lot.costPerShare,
+    purchaseDate: purchaseDate ?? lot.purchaseDate,
+    currency: currency ?? lot.tradingCurrency,
+    fees: fees ?? lot.fees ?? 0,
+    feesCurrency: feesCurrency ?? lot.feesCurrency ?? currency ?? lot.tradingCurrency,
+    notes: notes ?? lot.notes
+  }, exchangeRates);
+
+  if (portfolio.trackCash) {
+    payForLot(portfolio, lot, -1);
+    payForLot(portfolio, corrected);
+  }
+
+  lot.set({
+    shares: corrected.shares,
+    costPerShare: corrected.costPerShare,
+    costInEUR: corrected.costInEUR,
+    tradingCurrency: corrected.tradingCurrency,
+    fees: corrected.fees,
+    feesCurrency: corrected.feesCurrency,
+    feesInEUR: corrected.feesInEUR,
+    purchaseDate: corrected.purchaseDate,
+    fxRateEstimated: corrected.fxRateEstimated,
+    notes: corrected.notes
+  });
+  return lot;
+}
+
+/**
+ * Delete a lot entered by mistake. When cash is tracked, what it cost is returned to the trade currency's cash.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @param {string} lotId - Lot (holding subdocument) ID
+ * @returns {object} - The removed lot
+ * @throws {PortfolioValidationError} - If the lot does not exist
+ */
+export function removeLot(portfolio, lotId) {
+  const lot = portfolio.holdings.id(lotId);
+  if (!lot) {
+    throw new PortfolioValidationError('Lot not found.');
+  }
+
+  if (portfolio.trackCash) {
+    payForLot(portfolio, lot, -1);
+  }
+
+  const removed = lot.toObject();
+  portfolio.holdings.pull(lot._id);
+  return removed;
+}
+
+/**
+ * Sell shares out of a portfolio: consume lots with the cost-basis method and record the sale.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @param {object} input - { symbol, quantity, price, currency, fees, feesCurrency, date, notes, method, lots }; fees default to the sale currency
+ * @param {object} exchangeRates - Rates against USD on the sale date, see getExchangeRatesForDate()
+ * @returns {object} - The recorded sell transaction
+ * @throws {PortfolioValidationError} - If the sale is invalid or cannot be matched to lots
+ */
+export function recordSale(portfolio, { symbol, quantity, price, currency, fees = 0, feesCurrency, date, notes, method, lots: selectedLots }, exchangeRates) {
+  if (!symbol || typeof quantity !== 'number' || quantity <= 0) {
+    throw new PortfolioValidationError('Symbol and valid quantity to sell are required.');
+  }
+  if (typeof price !== 'number' || price <= 0) {
+    throw new PortfolioValidationError('Sale price must be a positive number.');
+  }
+  const saleDate = date ? new Date(date) : new Date();
+  if (isNaN(saleDate.getTime())) {
+    throw new PortfolioValidationError('Invalid sale date.');
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+  const holdingsForSymbol = portfolio.holdings.filter(h => h.symbol === upperSymbol);
+  const totalSharesForSymbol = holdingsForSymbol.reduce((sum, h) => sum + h.shares, 0);
+
+  if (totalSharesForSymbol + SHARE_EPSILON < quantity) {
+    throw new PortfolioValidationError(`Not enough shares to sell. You have ${totalSharesForSymbol} ${upperSymbol} shares.`);
+  }
+
+  const saleCurrency = (currency || holdingsForSymbol[0].tradingCurrency).toUpperCase();
+  assertTradableCurrency(saleCurrency, exchangeRates);
+  const priceInEUR = convertToEUR(price, saleCurrency, exchangeRates);
+  if (priceInEUR === null) {
+    throw new PortfolioValidationError(`Failed to convert ${saleCurrency} to EUR. Exchange rate not found.`);
+  }
+  const feeCurrency = (feesCurrency || saleCurrency).toUpperCase();
+  const feesInEUR = convertFeesToEUR(fees, feeCurrency, exchangeRates);
+
+  // A per-sale method overrides the portfolio's default
+  const costBasisMethod = method || portfolio.costBasisMethod || 'FIFO';
+  let matches;
+  try {
+    matches = matchLots(holdingsForSymbol, quantity, costBasisMethod, selectedLots);
+  } catch (matchError) {
+    throw new PortfolioValidationError(matchError.message);
+  }
+
+  // The purchase fees go with the shares sold, so each consumed lot takes its share of them
+  const consumedLots = matches.map(({ lot, shares }) => {
+    const feeShare = lot.shares > 0 ? shares / lot.shares : 0;
+    return {
+      lotId: lot._id,
+      shares,
+      costPerShare: lot.costPerShare,
+      tradingCurrency: lot.tradingCurrency,
+      costInEUR: lot.costInEUR,
+      fees: (lot.fees || 0) * feeShare,
+      feesCurrency: lot.feesCurrency || lot.tradingCurrency,
+      feesInEUR: (lot.feesInEUR || 0) * feeShare,
+      purchaseDate: lot.purchaseDate
+    };
+  });
+
+  const costBasisInEUR = consumedLots.reduce((sum, l) => sum + l.shares * l.costInEUR, 0);
+  const proceedsInEUR = quantity * priceInEUR - feesInEUR;
+
+  // Shrink the consumed lots and drop the ones that are fully sold
+  matches.forEach(({ lot, shares }) => {
+    const remaining = lot.shares > 0 ? (lot.shares - shares) / lot.shares : 0;
+    lot.fees = (lot.fees || 0) * remaining;
+    lot.feesInEUR = (lot.feesInEUR || 0) * remaining;
+    lot.shares -= shares;
+  });
+  portfolio.holdings = portfolio.holdings.filter(h => h.shares > SHARE_EPSILON);
+
+  if (portfolio.trackCash) {
+    adjustCashBalance(portfolio, saleCurrency, quantity * price);
+    adjustCashBalance(portfolio, feeCurrency, -fees);
+  }
+
+  portfolio.transactions.push({
+    type: 'SELL',
+    symbol: upperSymbol,
+    quantity,
+    price,
+    currency: saleCurrency,
+    fees,
+    feesCurrency: feeCurrency,
+    feesInEUR,
+    date: saleDate,
+    proceedsInEUR,
+    costBasisInEUR,
+    realizedProfitLossInEUR: proceedsInEUR - costBasisInEUR,
+    costBasisMethod,
+    lots: consumedLots,
+    fxRateEstimated: usesEstimatedRate(exchangeRates, saleCurrency, fees > 0 && feeCurrency),
+    notes: notes || ''
+  });
+
+  return portfolio.transactions[portfolio.transactions.length - 1];
+}
+
+/**
+ * Record a cash deposit or withdrawal and update the balance of its currency.
+ * The first one switches cash tracking on for the portfolio.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @param {object} input - { type: 'DEPOSIT'|'WITHDRAWAL', amount, currency, date, notes }
+ * @param {object} exchangeRates - Rates against USD on the transfer date, see getExchangeRatesForDate()
+ * @returns {object} - The recorded transaction
+ * @throws {PortfolioValidationError} - If the transfer is invalid or a withdrawal exceeds the balance
+ */
+export function recordCashTransaction(portfolio, { type, amount, currency, date, notes }, exchangeRates) {
+  if (!CASH_TRANSACTION_TYPES.includes(type)) {
+    throw new PortfolioValidationError(`Type must be one of ${CASH_TRANSACTION_TYPES.join(', ')}`);
+  }
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    throw new PortfolioValidationError('Amount must be a positive number.');
+  }
+  if (!currency) {
+    throw new PortfolioValidationError('Currency is required.');
+  }
+  const transferDate = date ? new Date(date) : new Date();
+  if (isNaN(transferDate.getTime())) {
+    throw new PortfolioValidationError('Invalid date.');
+  }
+
+  const code = currency.toUpperCase();
+  assertTradableCurrency(code, exchangeRates);
+
+  if (type === 'WITHDRAWAL' && getCashBalance(portfolio, code) + SHARE_EPSILON < amount) {
+    throw new PortfolioValidationError(`Not enough ${code} cash to withdraw. Balance is ${getCashBalance(portfolio, code)} ${code}.`);
+  }
+
+  portfolio.trackCash = true;
+  adjustCashBalance(portfolio, code, type === 'DEPOSIT' ? amount : -amount);
+
+  portfolio.transactions.push({
+    type,
+    amount,
+    amountInEUR: convertToEUR(amount, code, exchangeRates),
+    currency: code,
+    date: transferDate,
+    fxRateEstimated: usesEstimatedRate(exchangeRates, code),
+    notes: notes || ''
+  });
+
+  return portfolio.transactions[portfolio.transactions.length - 1];
+}
+
+/**
+ * Every fee paid on a trade, in EUR: purchase fees of open and sold lots, and sale fees
+ * @param {object} portfolio - Portfolio document or combined view
+ * @returns {Array<{date: Date, symbol: string, type: 'BUY'|'SELL', amountInEUR: number}>}
+ */
+export function collectFeesPaid(portfolio) {
+  const fees = [];
+  const addFee = (date, symbol, type, amountInEUR) => {
+    if (date && amountInEUR > 0) fees.push({ date, symbol, type, amountInEUR });
+  };
+
+  portfolio.holdings.forEach(lot => addFee(lot.purchaseDate, lot.symbol, 'BUY', lot.feesInEUR));
+  portfolio.transactions
+    .filter(t => t.type === 'SELL')
+    .forEach(sale => {
+      sale.lots.forEach(lot => addFee(lot.purchaseDate, sale.symbol, 'BUY', lot.feesInEUR));
+      let feesInEUR = sale.feesInEUR;
+      // Older sales only kept the net proceeds; their fees were in the sale currency, so use its rate on the day
+      if (feesInEUR === undefined || feesInEUR === null) {
+        const netProceeds = sale.quantity * sale.price - (sale.fees || 0);
+        feesInEUR = netProceeds > 0 ? (sale.fees || 0) * (sale.proceedsInEUR / netProceeds) : 0;
+      }
+      addFee(sale.date, sale.symbol, 'SELL', feesInEUR);
+    });
+
+  return fees;
+}
+
+/**
+ * Shares of a symbol the portfolio held at the start of a day (e.g. an ex-dividend date).
+ * Counts open lots bought before the date plus shares of earlier lots sold on or after it.
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {string} symbol - Stock symbol
+ * @param {Date|string} date - Day to check
+ * @returns {number}
+ */
+export function getSharesHeldOn(portfolio, symbol, date) {
+  const cutoff = new Date(date);
+  const upperSymbol = symbol.toUpperCase();
+  const boughtBefore = (purchaseDate) => new Date(purchaseDate) < cutoff;
+
+  const openShares = portfolio.holdings
+    .filter(lot => lot.symbol === upperSymbol && boughtBefore(lot.purchaseDate))
+    .reduce((sum, lot) => sum + lot.shares, 0);
+
+  const soldLaterShares = portfolio.transactions
+    .filter(t => t.type === 'SELL' && t.symbol === upperSymbol && new Date(t.date) >= cutoff)
+    .flatMap(t => t.lots)
+    .filter(lot => boughtBefore(lot.purchaseDate))
+    .reduce((sum, lot) => sum + lot.shares, 0);
+
+  return openShares + soldLaterShares;
+}
+
+/**
+ * Record a dividend received. When cash is tracked, the amount net of withholding tax is credited.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @param {object} input - { symbol, amount, withholdingTax, currency, date, exDividendDate, quantity, dividendPerShare, notes }
+ *   `amount` is the gross dividend; `date` is the pay date
+ * @param {object} exchangeRates - Rates against USD on the pay date, see getExchangeRatesForDate()
+ * @returns {object} - The recorded transaction
+ * @throws {PortfolioValidationError} - If the dividend is invalid
+ */
+export function recordDividend(portfolio, { symbol, amount, withholdingTax = 0, currency, date, exDividendDate, quantity, dividendPerShare, notes }, exchangeRates) {
+  if (!symbol) {
+    throw new PortfolioValidationError('Symbol is required.');
+  }
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    throw new PortfolioValidationError('Dividend amount must be a positive number.');
+  }
+  if (typeof withholdingTax !== 'number' || withholdingTax < 0 || withholdingTax > amount) {
+    throw new PortfolioValidationError('Withholding tax must be between 0 and the dividend amount.');
+  }
+  if (!currency) {
+    throw new PortfolioValidationError('Currency is required.');
+  }
+  const payDate = date ? new Date(date) : new Date();
+  if (isNaN(payDate.getTime())) {
+    throw new PortfolioValidationError('Invalid pay date.');
+  }
+  const exDate = exDividendDate ? new Date(exDividendDate) : undefined;
+  if (exDate && isNaN(exDate.getTime())) {
+    throw new PortfolioValidationError('Invalid ex-dividend date.');
+  }
+
+  const code = currency.toUpperCase();
+  assertTradableCurrency(code, exchangeRates);
+
+  if (portfolio.trackCash) {
+    adjustCashBalance(portfolio, code, amount - withholdingTax);
+  }
+
+  portfolio.transactions.push({
+    type: DIVIDEND_TRANSACTION_TYPE,
+    symbol: symbol.toUpperCase(),
+    amount,
+    amountInEUR: convertToEUR(amount, code, exchangeRates),
+    withholdingTax,
+    withholdingTaxInEUR: convertToEUR(withholdingTax, code, exchangeRates),
+    quantity: typeof quantity === 'number' ? quantity : undefined,
+    dividendPerShare: typeof dividendPerShare === 'number' ? dividendPerShare : undefined,
+    exDividendDate: exDate,
+    currency: code,
+    date: payDate,
+    fxRateEstimated: usesEstimatedRate(exchangeRates, code),
+    notes: notes || ''
+  });
+
+  return portfolio.transactions[portfolio.transactions.length - 1];
+}
+
+/**
+ * Recompute EUR amounts with the exchange rate of each trade's date: lot costs at the purchase date,
+ * sale proceeds at the sale date, deposits, withdrawals and dividends at their transfer or pay date. Migrates portfolios recorded with the rate of the day they were entered.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @returns {Promise<{lots: number, transactions: number, skipped: number}>} - Counts of updated and skipped records
+ */
+export async function recomputeCostsAtTradeDate(portfolio) {
+  const stats = { lots: 0, transactions: 0, skipped: 0 };
+  const lotCosts = new Map();
+  const sales = portfolio.transactions.filter(t => t.type === 'SELL');
+  const cashTransfers = portfolio.transactions.filter(t => CASH_TRANSACTION_TYPES.includes(t.type) || t.type === DIVIDEND_TRANSACTION_TYPE);
+
+  const ratesByDay = await getExchangeRatesForDates([
+    ...portfolio.holdings.map(lot => lot.purchaseDate),
+    ...sales.flatMap(sale => [sale.date, ...sale.lots.map(l => l.purchaseDate)]),
+    ...cashTransfers.map(t => t.date),
+  ].filter(Boolean));
+  const ratesOn = (date) => ratesByDay.get(toRateDayKey(date));
+
+  for (const lot of portfolio.holdings) {
+    const rates = ratesOn(lot.purchaseDate);
+    const costInEUR = lotCostInEUR(lot, rates);
+    if (costInEUR === null || !(costInEUR > 0)) {
+      console.warn(`[PortfolioService] Could not recompute cost of ${lot.symbol} lot ${lot._id}; keeping ${lot.costInEUR}.`);
+      stats.skipped++;
+      continue;
+    }
+    lot.costInEUR = costInEUR;
+    if (lot.fees > 0) {
+      lot.feesInEUR = convertToEUR(lot.fees, lot.feesCurrency || lot.tradingCurrency, rates);
+    }
+    lot.fxRateEstimated = usesEstimatedRate(rates, lot.tradingCurrency, lot.fees > 0 && lot.feesCurrency);
+    lotCosts.set(String(lot._id), costInEUR);
+    stats.lots++;
+  }
+
+  for (const sale of sales) {
+    const rates = ratesOn(sale.date);
+    const priceInEUR = convertToEUR(sale.price, sale.currency, rates);
+    const feesInEUR = convertToEUR(sale.fees || 0, sale.feesCurrency || sale.currency, rates);
+    if (priceInEUR === null || feesInEUR === null) {
+      console.warn(`[PortfolioService] Could not recompute ${sale.symbol} sale ${sale._id}; keeping stored amounts.`);
+      stats.skipped++;
+      continue;
+    }
+
+    for (const consumed of sale.lots) {
+      if (lotCosts.has(String(consumed.lotId))) {
+        consumed.costInEUR = lotCosts.get(String(consumed.lotId));
+      } else if (consumed.costPerShare && consumed.tradingCurrency) {
+        const costInEUR = lotCostInEUR(consumed, ratesOn(consumed.purchaseDate));
+        if (costInEUR !== null) {
+          consumed.costInEUR = costInEUR;
+          if (consumed.fees > 0) {
+            consumed.feesInEUR = convertToEUR(consumed.fees, consumed.feesCurrency || consumed.tradingCurrency, ratesOn(consumed.purchaseDate));
+          }
+        }
+      }
+      // Snapshots of fully sold lots from before the original price was recorded keep their stored cost
+    }
+
+    sale.feesInEUR = feesInEUR;
+    sale.fxRateEstimated = usesEstimatedRate(rates, sale.currency, sale.fees > 0 && sale.feesCurrency);
+    sale.proceedsInEUR = sale.quantity * priceInEUR - feesInEUR;
+    sale.costBasisInEUR = sale.lots.reduce((sum, l) => sum + l.shares * l.costInEUR, 0);
+    sale.realizedProfitLossInEUR = sale.proceedsInEUR - sale.costBasisInEUR;
+    stats.transactions++;
+  }
+
+  for (const transfer of cashTransfers) {
+    const amountInEUR = convertToEUR(transfer.amount, transfer.currency, ratesOn(transfer.date));
+    if (amountInEUR === null) {
+      stats.skipped++;
+      continue;
+    }
+    transfer.amountInEUR = amountInEUR;
+    transfer.fxRateEstimated = usesEstimatedRate(ratesOn(transfer.date), transfer.currency);
+    if (transfer.type === DIVIDEND_TRANSACTION_TYPE) {
+      transfer.withholdingTaxInEUR = convertToEUR(transfer.withholdingTax || 0, transfer.currency, ratesOn(transfer.date));
+    }
+    stats.transactions++;
+  }
+
+  return stats;
+}
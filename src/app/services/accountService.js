@@ -0,0 +1,416 @@
+/**
+ * Account Service
+ * Profile, email and password changes, account deletion, and the single-use, time-limited
+ * emailed tokens behind email verification and password reset
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import connectDB from '@/app/utils/db';
+import User from '@/app/models/UserModel';
+import AccountToken from '@/app/models/AccountToken';
+import Portfolio from '@/app/models/Portfolio';
+import PortfolioSnapshot from '@/app/models/PortfolioSnapshot';
+import Watchlist from '@/app/models/Watchlist';
+import Session from '@/app/models/Session';
+import { sendMail } from '@/app/services/mailService';
+import { revokeAllUserSessions } from '@/app/services/sessionService';
+import { verifySecondFactor } from '@/app/services/twoFactorService';
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_USERNAME_LENGTH = 50;
+
+// Also keeps characters that would need escaping out of the emailed HTML
+const EMAIL_PATTERN = /^[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+$/;
+
+const MS_PER_MINUTE = 60 * 1000;
+const TOKEN_TTL_MINUTES = {
+  'verify-email': 24 * 60,
+  'change-email': 24 * 60,
+  'reset-password': 60
+};
+
+/**
+ * Form an email address is stored and looked up in, so the same address always finds the same account
+ * @param {*} email - Address as entered
+ * @returns {string} - Trimmed, lowercased address, or '' if it is not a string
+ */
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Raised for invalid account input or wrong credentials; routes turn it into a 400 response
+ */
+export class AccountValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountValidationError';
+  }
+}
+
+/**
+ * Raised for a wrong password or two-factor code; routes count it against the login throttle
+ */
+export class AccountCredentialError extends AccountValidationError {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountCredentialError';
+  }
+}
+
+/**
+ * Raised for an unknown, used or expired emailed token
+ */
+export class AccountTokenError extends AccountValidationError {
+  constructor(message) {
+    super(message);
+    this.name = 'AccountTokenError';
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Check a new password against the password rules
+ * @param {string} password
+ * @throws {AccountValidationError} - If the password is too short
+ */
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AccountValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Re-authenticate a user before a sensitive change
+ * @param {object} user - User document
+ * @param {string} password - Password typed by the user
+ * @returns {Promise<void>}
+ * @throws {AccountCredentialError} - If the password is wrong
+ */
+async function assertPassword(user, password) {
+  if (typeof password !== 'string' || !(await bcrypt.compare(password, user.password))) {
+    throw new AccountCredentialError('Incorrect password');
+  }
+}
+
+async function loadUser(userId) {
+  await connectDB();
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AccountValidationError('User not found');
+  }
+  return user;
+}
+
+/**
+ * Issue a token for a purpose, replacing any unused one the user already had for it
+ * @param {string} userId - User ID
+ * @param {string} purpose - 'verify-email', 'change-email' or 'reset-password'
+ * @returns {Promise<string>} - The raw token; only its hash is stored
+ */
+async function issueAccountToken(userId, purpose) {
+  await connectDB();
+  await AccountToken.deleteMany({ userId: String(userId), purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    userId: String(userId),
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * MS_PER_MINUTE)
+  });
+  return token;
+}
+
+/**
+ * Mark a token as used, so it cannot be used again
+ * @param {string} token - Raw token from the emailed link
+ * @param {string|Array<string>} purpose - Purpose(s) the token must have been issued for
+ * @returns {Promise<object>} - { userId, purpose } the token was issued for
+ * @throws {AccountTokenError} - If the token is unknown, already used or expired
+ */
+async function consumeAccountToken(token, purpose) {
+  if (typeof token !== 'string' || !token) {
+    throw new AccountTokenError('Token is required');
+  }
+
+  await connectDB();
+  const accountToken = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose: { $in: [].concat(purpose) },
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!accountToken) {
+    throw new AccountTokenError('This link is invalid or has expired');
+  }
+  return { userId: accountToken.userId, purpose: accountToken.purpose };
+}
+
+/**
+ * Email a user a link to verify their address
+ * @param {object} user - User document
+ * @returns {Promise<void>}
+ * @throws {Error} - If APP_URL is not configured, see getAppUrl()
+ */
+export async function sendVerificationEmail(user) {
+  const appUrl = getAppUrl();
+  const token = await issueAccountToken(user._id, 'verify-email');
+  const link = `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Welcome to Stock Investor!\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Welcome to Stock Investor!</p><p>Confirm your email address by opening <a href="${link}">this link</a> within 24 hours.</p><p>If you did not create an account, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Mark the address a verification token was sent to as verified.
+ * For an email change, this is also when the new address replaces the old one.
+ * @param {string} token - Raw token from the emailed link
+ * @returns {Promise<object>} - The user document
+ * @throws {AccountTokenError} - If the token cannot be used
+ */
+export async function verifyEmail(token) {
+  const { userId, purpose } = await consumeAccountToken(token, ['verify-email', 'change-email']);
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AccountTokenError('This link is invalid or has expired');
+  }
+
+  if (purpose === 'change-email') {
+    if (!user.pendingEmail) {
+      throw new AccountTokenError('This link is invalid or has expired');
+    }
+    if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+      throw new AccountTokenError('That email address is already in use');
+    }
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+  return user;
+}
+
+/**
+ * Email a password reset link if an account exists for the address.
+ * Resolves the same way either way, so callers cannot tell which emails are registered.
+ * @param {string} email - Address entered on the forgot password form
+ * @returns {Promise<void>}
+ * @throws {Error} - If APP_URL is not configured, see getAppUrl()
+ */
+export async function requestPasswordReset(email) {
+  const appUrl = getAppUrl();
+  const address = normalizeEmail(email);
+  if (!address) {
+    return;
+  }
+
+  await connectDB();
+  const user = await User.findOne({ email: address });
+  if (!user) {
+    return;
+  }
+
+  const token = await issueAccountToken(user._id, 'reset-password');
+  const link = `${appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password of your Stock Investor account.\n\nChoose a new password by opening this link within 1 hour:\n${link}\n\nIf it was not you, you can ignore this email; your password stays the same.`,
+    html: `<p>Someone asked to reset the password of your Stock Investor account.</p><p>Choose a new password by opening <a href="${link}">this link</a> within 1 hour.</p><p>If it was not you, you can ignore this email; your password stays the same.</p>`
+  });
+}
+
+/**
+ * Set a new password with a reset token and sign the user out everywhere.
+ * Receiving the reset email also proves the address, so it is marked verified.
+ * @param {string} token - Raw token from the emailed link
+ * @param {string} password - New password
+ * @returns {Promise<object>} - The user document
+ * @throws {AccountValidationError} - If the password is invalid or the token cannot be used
+ */
+export async function resetPassword(token, password) {
+  validatePassword(password);
+  const { userId } = await consumeAccountToken(token, 'reset-password');
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AccountTokenError('This link is invalid or has expired');
+  }
+  user.password = password;
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await revokeAllUserSessions(user._id);
+  return user;
+}
+
+/**
+ * Profile shown on the account settings page
+ * @param {object} user - User document
+ * @returns {object}
+ */
+export function toAccountProfile(user) {
+  return {
+    email: user.email,
+    username: user.username || '',
+    emailVerified: Boolean(user.emailVerified),
+    pendingEmail: user.pendingEmail || null,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * Set the display name; an empty name removes it
+ * @param {string} userId - User ID
+ * @param {object} changes - { username }
+ * @returns {Promise<object>} - Updated profile, see toAccountProfile()
+ * @throws {AccountValidationError} - If the name is too long
+ */
+export async function updateAccountProfile(userId, { username }) {
+  const user = await loadUser(userId);
+
+  if (username !== undefined) {
+    const name = typeof username === 'string' ? username.trim() : '';
+    if (name.length > MAX_USERNAME_LENGTH) {
+      throw new AccountValidationError(`Display name must be at most ${MAX_USERNAME_LENGTH} characters`);
+    }
+    user.username = name || undefined;
+  }
+
+  await user.save();
+  return toAccountProfile(user);
+}
+
+/**
+ * Start an email change: the new address only replaces the current one once confirmed
+ * through the link sent to it. The current address is told about the request.
+ * @param {string} userId - User ID
+ * @param {object} request - { email, password }
+ * @returns {Promise<object>} - Updated profile, see toAccountProfile()
+ * @throws {AccountValidationError} - If the password is wrong or the address is invalid or taken
+ */
+export async function requestEmailChange(userId, { email, password }) {
+  const appUrl = getAppUrl();
+  const user = await loadUser(userId);
+  await assertPassword(user, password);
+
+  const newEmail = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(newEmail)) {
+    throw new AccountValidationError('Enter a valid email address');
+  }
+  if (newEmail === user.email) {
+    throw new AccountValidationError('That is already your email address');
+  }
+  if (await User.exists({ email: newEmail })) {
+    throw new AccountValidationError('That email address is already in use');
+  }
+
+  user.pendingEmail = newEmail;
+  await user.save();
+
+  const token = await issueAccountToken(user._id, 'change-email');
+  const link = `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: `Confirm ${newEmail} as the email address of your Stock Investor account by opening this link within 24 hours:\n${link}\n\nIf you did not ask for this, you can ignore this email.`,
+    html: `<p>Confirm ${newEmail} as the email address of your Stock Investor account by opening <a href="${link}">this link</a> within 24 hours.</p><p>If you did not ask for this, you can ignore this email.</p>`
+  });
+  await sendMail({
+    to: user.email,
+    subject: 'Your email address is being changed',
+    text: `Someone asked to change the email address of your Stock Investor account to ${newEmail}. It changes once the new address is confirmed.\n\nIf this was not you, reset your password right away.`,
+    html: `<p>Someone asked to change the email address of your Stock Investor account to ${newEmail}. It changes once the new address is confirmed.</p><p>If this was not you, reset your password right away.</p>`
+  });
+
+  return toAccountProfile(user);
+}
+
+/**
+ * Change the password and sign out every other session
+ * @param {string} userId - User ID
+ * @param {object} change - { currentPassword, newPassword }
+ * @param {object} [options] - { currentSessionId: session that stays signed in }
+ * @returns {Promise<void>}
+ * @throws {AccountValidationError} - If the current password is wrong or the new one is invalid
+ */
+export async function changePassword(userId, { currentPassword, newPassword }, { currentSessionId } = {}) {
+  validatePassword(newPassword);
+  const user = await loadUser(userId);
+  await assertPassword(user, currentPassword);
+
+  user.password = newPassword;
+  await user.save();
+  await revokeAllUserSessions(user._id, { exceptSessionId: currentSessionId });
+}
+
+/**
+ * Delete the account and everything stored for it: portfolios, snapshots, watchlists, sessions and tokens
+ * @param {string} userId - User ID
+ * @param {object} credentials - { password, code }, code being required when 2FA is enabled
+ * @returns {Promise<void>}
+ * @throws {AccountValidationError} - If the password or code is wrong
+ */
+export async function deleteAccount(userId, { password, code }) {
+  const user = await loadUser(userId);
+  await assertPassword(user, password);
+  if (user.twoFactor?.enabled && !(await verifySecondFactor(user, code))) {
+    throw new AccountCredentialError('Invalid two-factor code');
+  }
+
+  const owner = String(user._id);
+  await Promise.all([
+    Portfolio.deleteMany({ userId: owner }),
+    PortfolioSnapshot.deleteMany({ userId: owner }),
+    Watchlist.deleteMany({ userId: owner }),
+    AccountToken.deleteMany({ userId: owner })
+  ]);
+  await Session.deleteMany({ userId: owner });
+  await User.deleteOne({ _id: user._id });
+  console.log(`[Account] Deleted account ${owner}`);
+}
+
+/**
+ * Origin used in emailed links. It comes from APP_URL and never from the request, whose Host
+ * header the client controls. Outside production it defaults to http://localhost:<PORT>.
+ * @returns {string}
+ * @throws {Error} - If APP_URL is missing in production or is not an http(s) URL
+ */
+function getAppUrl() {
+  const configured = process.env.APP_URL;
+  if (!configured) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('APP_URL must be set to send emailed links');
+    }
+    return `http://localhost:${process.env.PORT || 3000}`;
+  }
+
+  let url;
+  try {
+    url = new URL(configured);
+  } catch {
+    throw new Error(`APP_URL is not a valid URL: ${configured}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`APP_URL must be an http(s) URL: ${configured}`);
+  }
+  return `${url.origin}${url.pathname}`.replace(/\/$/, '');
+}
@@ -7,6 +7,7 @@ import { fetchSnapshotWithFallback } from './stockDataService';
 import { fetchNewsWithFallback } from './newsService';
 import { fetchAllFinancialMetrics } from './fundamentalsService';
 import { fetchHistoricalDataWithFallback } from './historicalDataService';
+import { calculateRiskMetrics } from './riskService';
 import { getFearGreedIndex, interpretFearGreed } from '@/app/utils/fearGreedService';
 
 /**
@@ -337,8 +338,8 @@ function calculatePortfolioMetrics(holdings) {
 
     holdings.forEach(holding => {
       const shares = holding.totalShares || holding.shares || 0;
-      const currentPrice = holding.currentPrice || holding.currentPriceInEUR || 0;
-      const avgCostPerShare = holding.avgCostPerShareInEUR || holding.costPerShare || holding.costInEUR || 0;
+      const currentPrice = holding.currentPrice || 0;
+      const avgCostPerShare = holding.avgCostPerShare || holding.costPerShare || holding.costInEUR || 0;
 
       const currentValue = currentPrice * shares;
       const costBasis = avgCostPerShare * shares;
@@ -410,9 +411,14 @@ function calculatePortfolioMetrics(holdings) {
  * Aggregate comprehensive portfolio data for AI analysis
  * @param {object} portfolio - Portfolio object with holdings
  * @param {object} currentPrices - Map of symbol -> current price
+ * @param {object} [options]
+ * @param {object} [options.risk] - Precomputed calculateRiskMetrics() result; computed from the holdings when omitted
+ * @param {string} [options.currency='EUR'] - Currency to compute risk in
+ * @param {object} [options.benchmark] - From parseBenchmark(), for beta
+ * @param {object} [options.allocationDrift] - calculateAllocationDrift() result against the user's target weights
  * @returns {Promise<object>} - Comprehensive portfolio data
  */
-export async function aggregatePortfolioData(portfolio, currentPrices = {}) {
+export async function aggregatePortfolioData(portfolio, currentPrices = {}, { risk, currency = 'EUR', benchmark, allocationDrift } = {}) {
   console.log(`[AIDataAggregator] Aggregating portfolio data`);
   console.log(`[AIDataAggregator] Input holdings count: ${portfolio.holdings.length}`);
 
@@ -421,16 +427,16 @@ export async function aggregatePortfolioData(portfolio, currentPrices = {}) {
     const enhancedHoldings = portfolio.holdings.map(holding => {
       const shares = holding.totalShares || 0;
       // The cost basis from the database is reliable.
-      const costBasis = holding.totalInvestmentInEUR || (holding.avgCostPerShareInEUR * shares) || 0;
+      const costBasis = holding.totalInvestment || (holding.avgCostPerShare * shares) || 0;
 
       // Get the latest price from the map passed into this function.
       const livePrice = currentPrices[holding.symbol];
 
       // NOTE: The `livePrice` is in the stock's native currency (e.g., USD).
-      // A proper implementation requires currency conversion to EUR. For now, to avoid NaN,
+      // A proper implementation requires currency conversion to the reporting currency. For now, to avoid NaN,
       // we calculate 'currentValue' using the native price. This is inaccurate for non-EUR stocks
       // but prevents the AI from getting undefined/NaN values.
-      const currentPrice = livePrice || holding.avgCostPerShareInEUR || 0;
+      const currentPrice = livePrice || holding.avgCostPerShare || 0;
       const currentValue = currentPrice * shares;
 
       const gainLoss = currentValue - costBasis;
@@ -447,6 +453,8 @@ export async function aggregatePortfolioData(portfolio, currentPrices = {}) {
         gainLossPercent,
         weight: 0, // Will be calculated later
         sector: holding.sector || 'Unknown',
+        country: holding.country || 'Unknown',
+        assetClass: holding.assetClass || 'Unknown',
         tradingCurrency: holding.tradingCurrency || 'EUR',
         // Use the flattened purchaseDate property from getUserPortfolio
         purchaseDate: holding.purchaseDate || new Date(),
@@ -489,6 +497,12 @@ export async function aggregatePortfolioData(portfolio, currentPrices = {}) {
       totalGainLossPercent
     });
 
+    // Sector allocation from the classified holdings (see getUserPortfolio)
+    const sectorAllocation = {};
+    enhancedHoldings.forEach(h => {
+      sectorAllocation[h.sector] = (sectorAllocation[h.sector] || 0) + h.weight;
+    });
+
     // Portfolio concentration
     const sortedHoldings = [...enhancedHoldings].sort((a, b) => b.weight - a.weight);
     const top5Concentration = sortedHoldings.slice(0, 5).reduce((sum, h) => sum + h.weight, 0);
@@ -499,7 +513,7 @@ export async function aggregatePortfolioData(portfolio, currentPrices = {}) {
       totalGainLoss,
       totalGainLossPercent,
       holdings: enhancedHoldings,
-      sectorAllocation: { 'Unknown': 100 }, // Simplified for now
+      sectorAllocation,
       concentration: {
         top5: top5Concentration,
         topHolding: sortedHoldings[0]?.weight || 0,
@@ -510,6 +524,19 @@ export async function aggregatePortfolioData(portfolio, currentPrices = {}) {
       },
     };
 
+    // Risk comes from historical closes rather than being left to the model to guess
+    let riskMetrics = risk || null;
+    if (!riskMetrics) {
+      try {
+        const positions = enhancedHoldings.map(h => ({ symbol: h.symbol, currency: h.tradingCurrency, value: h.currentValue }));
+        riskMetrics = await calculateRiskMetrics(positions, { currency, benchmark });
+      } catch (error) {
+        console.error('[AIDataAggregator] Error calculating risk metrics:', error);
+      }
+    }
+    metrics.risk = riskMetrics;
+    metrics.targetAllocation = allocationDrift || null;
+
     // Get market sentiment
     const fearGreed = await getFearGreedIndex();
 
@@ -529,6 +556,11 @@ export async function aggregatePortfolioData(portfolio, currentPrices = {}) {
         totalGainLossPercent: metrics.totalGainLossPercent,
         diversificationScore: metrics.diversification.score,
         top5Concentration: metrics.concentration.top5,
+        volatility: riskMetrics?.portfolio?.volatility ?? null,
+        sharpeRatio: riskMetrics?.portfolio?.sharpe ?? null,
+        maxDrawdown: riskMetrics?.portfolio?.maxDrawdown ?? null,
+        valueAtRisk: riskMetrics?.portfolio?.var ?? null,
+        beta: riskMetrics?.portfolio?.beta ?? null,
       },
       aggregatedAt: new Date().toISOString(),
     };
@@ -427,9 +427,10 @@ Provide comprehensive portfolio analysis focusing on:
 2. Sector Allocation
 3. Performance Metrics
 4. Correlation Analysis
-5. Rebalancing Recommendations
+5. Rebalancing Recommendations (against the user's target allocation and its drift, when provided)
 6. Risk/Return Optimization
 
+Use the computed risk metrics and allocation drift in the data as given rather than estimating them.
 Be specific, data-driven, and provide actionable recommendations. Consider modern portfolio theory and current market conditions.`;
 
   const userPrompt = `Analyze this investment portfolio and provide comprehensive insights:
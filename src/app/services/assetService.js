@@ -1,6 +1,23 @@
 
+import { Redis } from "@upstash/redis";
 import connectToDatabase from "@/app/utils/db";
 import Stock from "@/app/models/Stock";
+import { fetchPolygonTickerDetails } from "@/app/utils/polygon";
+import { fetchAlphaVantageStockData } from "@/app/utils/alphaVantage";
+import {
+  UNKNOWN_CLASSIFICATION,
+  sectorFromSicCode,
+  assetClassFromPolygonType,
+  countryFromSymbol,
+  isCryptoSymbol
+} from "@/app/utils/assetClassification";
+
+const redis = Redis.fromEnv();
+
+// Reference data rarely changes; failed lookups are retried sooner
+const CLASSIFICATION_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MISSING_CLASSIFICATION_TTL_SECONDS = 24 * 60 * 60;
+const FUND_ASSET_CLASSES = ['ETF', 'Fund'];
 
 /**
  * Fetches asset details from the database
@@ -114,3 +131,127 @@ export async function getAssetDetails(symbol, snapshotData = {}) {
     return createMinimalAsset(symbol, snapshotData);
   }
 }
+
+/**
+ * Look up a symbol's classification from providers: Polygon ticker details, then Alpha Vantage's company overview
+ * @param {string} symbol - Portfolio symbol
+ * @returns {Promise<{sector: string, industry: string, country: string, assetClass: string, found: boolean}>}
+ */
+async function lookupAssetClassification(symbol) {
+  const classification = {
+    sector: UNKNOWN_CLASSIFICATION,
+    industry: UNKNOWN_CLASSIFICATION,
+    country: countryFromSymbol(symbol),
+    assetClass: UNKNOWN_CLASSIFICATION,
+    found: false,
+  };
+
+  if (isCryptoSymbol(symbol)) {
+    return { ...classification, sector: 'Crypto', industry: 'Crypto', country: 'Global', assetClass: 'Crypto', found: true };
+  }
+
+  const details = await fetchPolygonTickerDetails(symbol);
+  if (details) {
+    classification.found = true;
+    classification.assetClass = assetClassFromPolygonType(details.type, details.market) || UNKNOWN_CLASSIFICATION;
+    classification.industry = details.sic_description || UNKNOWN_CLASSIFICATION;
+    classification.sector = sectorFromSicCode(details.sic_code)
+      || (FUND_ASSET_CLASSES.includes(classification.assetClass) ? 'Funds' : UNKNOWN_CLASSIFICATION);
+    if (details.locale === 'us') {
+      classification.country = 'US';
+    }
+  }
+
+  // Polygon has no sector for many listings; Alpha Vantage's overview does
+  if (classification.sector === UNKNOWN_CLASSIFICATION) {
+    const overview = await fetchAlphaVantageStockData(symbol);
+    if (overview?.sector) {
+      classification.found = true;
+      classification.sector = overview.sector;
+      classification.industry = overview.industry || classification.industry;
+      if (classification.assetClass === UNKNOWN_CLASSIFICATION) {
+        classification.assetClass = 'Equity';
+      }
+    }
+  }
+
+  return classification;
+}
+
+/**
+ * Sector, industry, country and asset class of each symbol, for allocation breakdowns and grouping holdings.
+ * Read from the Stock collection when it has them, else from the Redis cache, else looked up from providers
+ * (and written back to both). Symbols nothing is known about are classified as 'Unknown'.
+ * @param {Array<string>} symbols - Portfolio symbols
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - Ignore cached classifications and look them up again
+ * @returns {Promise<Object<string, {sector: string, industry: string, country: string, assetClass: string}>>}
+ */
+export async function getAssetClassifications(symbols, { refresh = false } = {}) {
+  const classifications = {};
+  let pending = [...new Set(symbols.map(s => s.toUpperCase()))];
+  if (pending.length === 0) {
+    return classifications;
+  }
+
+  let storedAssets = [];
+  try {
+    await connectToDatabase();
+    storedAssets = await Stock.find({ symbol: { $in: pending } }).lean();
+  } catch (error) {
+    console.error('[AssetService] Error loading asset classifications:', error.message);
+  }
+
+  if (!refresh) {
+    const freshAfter = Date.now() - CLASSIFICATION_TTL_SECONDS * 1000;
+    storedAssets
+      .filter(asset => asset.sector && asset.classifiedAt && new Date(asset.classifiedAt).getTime() > freshAfter)
+      .forEach(asset => {
+        classifications[asset.symbol] = {
+          sector: asset.sector,
+          industry: asset.industry || UNKNOWN_CLASSIFICATION,
+          country: asset.country || countryFromSymbol(asset.symbol),
+          assetClass: asset.assetClass || UNKNOWN_CLASSIFICATION,
+        };
+      });
+    pending = pending.filter(symbol => !classifications[symbol]);
+
+    for (const symbol of pending) {
+      try {
+        const cached = await redis.get(`assetclass:${symbol}`);
+        if (cached) {
+          classifications[symbol] = cached;
+        }
+      } catch (error) {
+        console.warn(`[AssetService] Redis error reading classification of ${symbol}:`, error.message);
+      }
+    }
+    pending = pending.filter(symbol => !classifications[symbol]);
+  }
+
+  // One at a time to stay within provider rate limits
+  for (const symbol of pending) {
+    const { found, ...classification } = await lookupAssetClassification(symbol);
+    const storedAsset = storedAssets.find(asset => asset.symbol === symbol);
+    // The listing country from the asset list beats the one guessed from the symbol
+    if (storedAsset?.country) {
+      classification.country = storedAsset.country;
+    }
+    classifications[symbol] = classification;
+    console.log(`[AssetService] Classified ${symbol}:`, classification);
+
+    try {
+      await redis.set(`assetclass:${symbol}`, classification, {
+        ex: found ? CLASSIFICATION_TTL_SECONDS : MISSING_CLASSIFICATION_TTL_SECONDS
+      });
+      if (found && storedAsset) {
+        await Stock.updateMany({ symbol }, { $set: { ...classification, classifiedAt: new Date() } });
+      }
+    } catch (error) {
+      console.warn(`[AssetService] Error caching classification of ${symbol}:`, error.message);
+    }
+  }
+
+  // Keep the caller's spelling of each symbol
+  return Object.fromEntries(symbols.map(symbol => [symbol, classifications[symbol.toUpperCase()]]));
+}
@@ -0,0 +1,176 @@
+/**
+ * Benchmark Service
+ * Compares the daily time-weighted returns of a portfolio's holdings with benchmark tickers or weighted blends,
+ * in the reporting currency, and derives alpha, beta and tracking error from the daily returns.
+ */
+
+import { fetchDailyCloses } from './historicalDataService';
+import { getExchangeRatesForDates, toRateDay, toRateDayKey } from './exchangeRateService';
+import { groupFlowsByDay, valueHoldingsOnDaysFromCloses, closeOnOrBefore, getPeriodStart } from './performanceService';
+import { convertCurrency } from '@/app/utils/portfolioUtils';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Weekdays from the day before the start (the base the returns are measured from) through the end
+ * @param {Date} start - First day of the period
+ * @param {Date} end - Last day of the period
+ * @returns {Array<Date>}
+ */
+function tradingDays(start, end) {
+  const days = [new Date(start.getTime() - MS_PER_DAY)];
+  for (let day = start; day <= end; day = new Date(day.getTime() + MS_PER_DAY)) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) {
+      days.push(day);
+    }
+  }
+  return days;
+}
+
+/**
+ * Chain daily returns into the cumulative return after each day; days without a return count as flat
+ * @param {Array<number|null>} returns
+ * @returns {Array<number>}
+ */
+function cumulate(returns) {
+  let growth = 1;
+  return returns.map(r => {
+    if (r !== null) growth *= 1 + r;
+    return growth - 1;
+  });
+}
+
+/**
+ * Regression statistics of the portfolio's daily returns against a benchmark's, on days both have a return.
+ * Alpha and tracking error are annualized; the risk-free rate is taken as zero.
+ * @param {Array<number|null>} portfolioReturns
+ * @param {Array<number|null>} benchmarkReturns
+ * @returns {{alpha: number|null, beta: number|null, trackingError: number|null, correlation: number|null, observations: number}}
+ */
+export function calculateRelativeStats(portfolioReturns, benchmarkReturns) {
+  const pairs = portfolioReturns
+    .map((p, i) => [p, benchmarkReturns[i]])
+    .filter(([p, b]) => p !== null && b !== null);
+  if (pairs.length < 2) {
+    return { alpha: null, beta: null, trackingError: null, correlation: null, observations: pairs.length };
+  }
+
+  const p = pairs.map(([value]) => value);
+  const b = pairs.map(([, value]) => value);
+  const meanP = mean(p);
+  const meanB = mean(b);
+  const covariance = pairs.reduce((sum, [x, y]) => sum + (x - meanP) * (y - meanB), 0) / (pairs.length - 1);
+  const varianceP = p.reduce((sum, x) => sum + (x - meanP) ** 2, 0) / (pairs.length - 1);
+  const varianceB = b.reduce((sum, y) => sum + (y - meanB) ** 2, 0) / (pairs.length - 1);
+
+  const differences = pairs.map(([x, y]) => x - y);
+  const meanDifference = mean(differences);
+  const trackingVariance = differences.reduce((sum, d) => sum + (d - meanDifference) ** 2, 0) / (pairs.length - 1);
+
+  const beta = varianceB > 0 ? covariance / varianceB : null;
+  return {
+    alpha: beta === null ? null : (meanP - beta * meanB) * TRADING_DAYS_PER_YEAR,
+    beta,
+    trackingError: Math.sqrt(trackingVariance * TRADING_DAYS_PER_YEAR),
+    correlation: varianceP > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceP * varianceB) : null,
+    observations: pairs.length,
+  };
+}
+
+/**
+ * Daily returns of a benchmark in the reporting currency, rebalanced to its weights every day
+ * @param {object} benchmark - From parseBenchmark()
+ * @param {Array<Date>} days - Trading days, the first being the base
+ * @param {string} currency - Reporting currency
+ * @param {object} context
+ * @param {Object<string, Array<{t: number, c: number}>>} context.closesBySymbol
+ * @param {Map<string, object>} context.ratesByDay - Rates against USD per day
+ * @returns {Array<number|null>} - One return per day after the base; null where a component has no price
+ */
+function benchmarkDailyReturns(benchmark, days, currency, { closesBySymbol, ratesByDay }) {
+  const pricesByComponent = benchmark.components.map(({ symbol, currency: quoteCurrency }) => days.map(day => {
+    const close = closeOnOrBefore(closesBySymbol[symbol] || [], day.getTime() + MS_PER_DAY);
+    return close === null ? null : convertCurrency(close, quoteCurrency, currency, ratesByDay.get(toRateDayKey(day)));
+  }));
+
+  return days.slice(1).map((day, i) => benchmark.components.reduce((sum, component, c) => {
+    const previous = pricesByComponent[c][i];
+    const current = pricesByComponent[c][i + 1];
+    if (sum === null || !previous || current === null || current === undefined) return null;
+    return sum + component.weight * (current / previous - 1);
+  }, 0));
+}
+
+/**
+ * Compare the holdings' performance over a period with one or more benchmarks.
+ * The portfolio's daily return removes each day's buys, sales and dividends from its closing value, as in calculatePerformance().
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {object} options
+ * @param {string} options.currency - Reporting currency
+ * @param {function} options.fromEUR - EUR -> reporting currency converter, see createPortfolioCurrencyConverter()
+ * @param {Array<object>} options.benchmarks - From parseBenchmark()
+ * @param {string} options.period - One of PERFORMANCE_PERIODS
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<object>} - { currency, period, startDate, endDate, portfolioReturn, series: [{ date, portfolio, benchmarks: [] }], benchmarks: [{ spec, components, return, excessReturn, alpha, beta, trackingError, correlation, observations }] }
+ */
+export async function compareWithBenchmarks(portfolio, { currency, fromEUR, benchmarks, period, now = new Date() }) {
+  const flowsByDay = groupFlowsByDay(portfolio, fromEUR);
+  if (flowsByDay.size === 0) {
+    return { currency, period, startDate: null, endDate: null, portfolioReturn: null, series: [], benchmarks: [] };
+  }
+
+  const inception = new Date([...flowsByDay.keys()].sort()[0]);
+  const today = toRateDay(now);
+  const start = getPeriodStart(period, inception, now);
+  const days = tradingDays(start, today);
+
+  const symbols = [...new Set(benchmarks.flatMap(b => b.components.map(c => c.symbol)))];
+  const [values, closes, ratesByDay] = await Promise.all([
+    valueHoldingsOnDaysFromCloses(portfolio, days, currency),
+    Promise.all(symbols.map(symbol => fetchDailyCloses(symbol, new Date(days[0].getTime() - 7 * MS_PER_DAY), today))),
+    getExchangeRatesForDates(days),
+  ]);
+  const closesBySymbol = Object.fromEntries(symbols.map((symbol, i) => [symbol, closes[i]]));
+
+  const portfolioReturns = days.slice(1).map((day, i) => {
+    const previousValue = values.get(toRateDayKey(days[i])) || 0;
+    if (previousValue <= 0) return null;
+    const dayKey = toRateDayKey(day);
+    return ((values.get(dayKey) || 0) - (flowsByDay.get(dayKey) || 0)) / previousValue - 1;
+  });
+  const portfolioGrowth = cumulate(portfolioReturns);
+
+  const benchmarkResults = benchmarks.map(benchmark => {
+    const returns = benchmarkDailyReturns(benchmark, days, currency, { closesBySymbol, ratesByDay });
+    const growth = cumulate(returns);
+    const totalReturn = returns.some(r => r !== null) ? growth.at(-1) : null;
+    return {
+      benchmark,
+      growth,
+      stats: {
+        spec: benchmark.spec,
+        components: benchmark.components,
+        return: totalReturn,
+        excessReturn: totalReturn === null ? null : portfolioGrowth.at(-1) - totalReturn,
+        ...calculateRelativeStats(portfolioReturns, returns),
+      },
+    };
+  });
+
+  return {
+    currency,
+    period,
+    startDate: toRateDayKey(start),
+    endDate: toRateDayKey(today),
+    portfolioReturn: portfolioGrowth.at(-1) ?? null,
+    series: days.map((day, i) => ({
+      date: toRateDayKey(day),
+      portfolio: i === 0 ? 0 : portfolioGrowth[i - 1],
+      benchmarks: benchmarkResults.map(({ growth }) => (i === 0 ? 0 : growth[i - 1])),
+    })),
+    benchmarks: benchmarkResults.map(({ stats }) => stats),
+  };
+}
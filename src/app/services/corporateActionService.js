@@ -0,0 +1,276 @@
+/**
+ * Corporate Action Service
+ * Applies stock splits, reverse splits, ticker renames and mergers to portfolio lots, keeping an audit trail
+ */
+
+import { fetchPolygonSplits, fetchPolygonTickerChanges } from '@/app/utils/polygon';
+import { PortfolioValidationError } from './PortfolioService';
+import { SHARE_EPSILON } from '@/app/utils/costBasis';
+
+export const CORPORATE_ACTION_TYPES = ['SPLIT', 'REVERSE_SPLIT', 'RENAME', 'MERGER'];
+
+// Actions that change the number of shares
+const RATIO_ACTION_TYPES = ['SPLIT', 'REVERSE_SPLIT', 'MERGER'];
+// Actions that move lots to another ticker
+const SYMBOL_ACTION_TYPES = ['RENAME', 'MERGER'];
+
+const toDayString = (date) => new Date(date).toISOString().slice(0, 10);
+
+const snapshot = (lot, symbol) => ({
+  symbol,
+  shares: lot.shares,
+  costPerShare: lot.costPerShare,
+  costInEUR: lot.costInEUR,
+});
+
+// A sale's quantity is recorded in `shares`
+const saleSnapshot = (sale) => ({
+  symbol: sale.symbol,
+  shares: sale.quantity,
+  price: sale.price,
+});
+
+/**
+ * Validate corporate action input and normalize it
+ * @param {object} input - { type, symbol, newSymbol, ratioFrom, ratioTo, effectiveDate, source, notes }
+ * @returns {object} - Normalized action
+ * @throws {PortfolioValidationError} - If the action is invalid
+ */
+function normalizeAction({ type, symbol, newSymbol, ratioFrom = 1, ratioTo = 1, effectiveDate, source = 'MANUAL', notes }) {
+  if (!CORPORATE_ACTION_TYPES.includes(type)) {
+    throw new PortfolioValidationError(`Type must be one of ${CORPORATE_ACTION_TYPES.join(', ')}`);
+  }
+  if (!symbol) {
+    throw new PortfolioValidationError('Symbol is required.');
+  }
+  const date = new Date(effectiveDate);
+  if (!effectiveDate || isNaN(date.getTime())) {
+    throw new PortfolioValidationError('A valid effective date is required.');
+  }
+
+  if (RATIO_ACTION_TYPES.includes(type)) {
+    if (typeof ratioFrom !== 'number' || typeof ratioTo !== 'number' || !(ratioFrom > 0) || !(ratioTo > 0)) {
+      throw new PortfolioValidationError('Ratio must be two positive numbers.');
+    }
+    if (type === 'SPLIT' && ratioTo <= ratioFrom) {
+      throw new PortfolioValidationError('A split must increase the number of shares; use REVERSE_SPLIT otherwise.');
+    }
+    if (type === 'REVERSE_SPLIT' && ratioTo >= ratioFrom) {
+      throw new PortfolioValidationError('A reverse split must decrease the number of shares.');
+    }
+  }
+
+  const upperSymbol = symbol.toUpperCase();
+  const upperNewSymbol = newSymbol ? newSymbol.toUpperCase() : undefined;
+  if (SYMBOL_ACTION_TYPES.includes(type) && (!upperNewSymbol || upperNewSymbol === upperSymbol)) {
+    throw new PortfolioValidationError('A rename or merger needs a new symbol different from the old one.');
+  }
+
+  return {
+    type,
+    symbol: upperSymbol,
+    newSymbol: SYMBOL_ACTION_TYPES.includes(type) ? upperNewSymbol : undefined,
+    ratioFrom: RATIO_ACTION_TYPES.includes(type) ? ratioFrom : 1,
+    ratioTo: RATIO_ACTION_TYPES.includes(type) ? ratioTo : 1,
+    effectiveDate: date,
+    source,
+    notes: notes || '',
+  };
+}
+
+/**
+ * Apply a corporate action to a portfolio's lots and record it with the before/after of every adjusted lot.
+ * Splits and mergers scale the lots bought before the effective date (shares up, cost per share down, total cost unchanged)
+ * and, for sales made on or after it, the snapshots of those lots together with the quantity and price sold,
+ * so they are in post-action units with the same proceeds.
+ * Renames and mergers move the open lots to the new ticker; past sales and dividends keep the ticker they were recorded under.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @param {object} input - { type, symbol, newSymbol, ratioFrom, ratioTo, effectiveDate, source, notes }
+ * @returns {object} - The recorded corporate action
+ * @throws {PortfolioValidationError} - If the action is invalid, already applied or affects no lots
+ */
+export function applyCorporateAction(portfolio, input) {
+  const action = normalizeAction(input);
+  const effectiveDay = toDayString(action.effectiveDate);
+
+  const alreadyApplied = portfolio.corporateActions.some(a => !a.revertedAt
+    && a.type === action.type
+    && a.symbol === action.symbol
+    && toDayString(a.effectiveDate) === effectiveDay);
+  if (alreadyApplied) {
+    throw new PortfolioValidationError(`This ${action.type.toLowerCase().replace('_', ' ')} of ${action.symbol} has already been applied.`);
+  }
+
+  const ratio = action.ratioTo / action.ratioFrom;
+  const scales = ratio !== 1;
+  const targetSymbol = action.newSymbol || action.symbol;
+  const boughtBefore = (purchaseDate) => new Date(purchaseDate) < action.effectiveDate;
+  const adjustments = [];
+
+  portfolio.holdings
+    .filter(lot => lot.symbol === action.symbol && (!scales || boughtBefore(lot.purchaseDate)))
+    .forEach(lot => {
+      const before = snapshot(lot, lot.symbol);
+      if (scales) {
+        lot.shares *= ratio;
+        lot.costPerShare /= ratio;
+        lot.costInEUR /= ratio;
+      }
+      lot.symbol = targetSymbol;
+      adjustments.push({ target: 'LOT', lotId: lot._id, before, after: snapshot(lot, lot.symbol) });
+    });
+
+  if (scales) {
+    portfolio.transactions
+      .filter(t => t.type === 'SELL' && t.symbol === action.symbol && new Date(t.date) >= action.effectiveDate)
+      .forEach(sale => {
+        const scaledLots = sale.lots.filter(lot => boughtBefore(lot.purchaseDate));
+        if (scaledLots.length === 0) {
+          return;
+        }
+
+        const saleBefore = saleSnapshot(sale);
+        const scaledShares = scaledLots.reduce((sum, lot) => sum + lot.shares, 0);
+        const quantity = sale.quantity + scaledShares * (ratio - 1);
+        sale.price *= sale.quantity / quantity;
+        sale.quantity = quantity;
+        adjustments.push({ target: 'SALE', transactionId: sale._id, before: saleBefore, after: saleSnapshot(sale) });
+
+        scaledLots.forEach(lot => {
+          const before = snapshot(lot, sale.symbol);
+          lot.shares *= ratio;
+          lot.costInEUR /= ratio;
+          if (lot.costPerShare) {
+            lot.costPerShare /= ratio;
+          }
+          adjustments.push({ target: 'SALE_LOT', lotId: lot.lotId, transactionId: sale._id, before, after: snapshot(lot, sale.symbol) });
+        });
+      });
+  }
+
+  if (adjustments.length === 0) {
+    throw new PortfolioValidationError(`No ${action.symbol} lots are affected by this action.`);
+  }
+
+  portfolio.corporateActions.push({ ...action, appliedAt: new Date(), adjustments });
+  return portfolio.corporateActions[portfolio.corporateActions.length - 1];
+}
+
+/**
+ * Undo a corporate action by restoring the recorded before values.
+ * Refused when an adjusted lot has since been sold from or edited, since restoring it would lose that change.
+ * Mutates the portfolio document; the caller is responsible for saving it.
+ * @param {object} portfolio - Portfolio document
+ * @param {string} actionId - Corporate action ID
+ * @returns {object} - The reverted corporate action
+ * @throws {PortfolioValidationError} - If the action is unknown, already reverted or can no longer be undone
+ */
+export function revertCorporateAction(portfolio, actionId) {
+  const action = portfolio.corporateActions.id(actionId);
+  if (!action) {
+    throw new PortfolioValidationError('Corporate action not found.');
+  }
+  if (action.revertedAt) {
+    throw new PortfolioValidationError('This corporate action has already been reverted.');
+  }
+
+  const findTarget = (adjustment) => {
+    if (adjustment.target === 'LOT') {
+      return portfolio.holdings.id(adjustment.lotId);
+    }
+    const sale = portfolio.transactions.id(adjustment.transactionId);
+    if (adjustment.target === 'SALE') {
+      return sale;
+    }
+    return sale?.lots.find(lot => String(lot.lotId) === String(adjustment.lotId));
+  };
+
+  const targets = action.adjustments.map(adjustment => {
+    const target = findTarget(adjustment);
+    // Fully sold lots are gone from holdings; their sale snapshots carry the adjustment instead
+    if (adjustment.target === 'LOT' && !target) {
+      return null;
+    }
+    const shares = adjustment.target === 'SALE' ? target?.quantity : target?.shares;
+    if (!target || Math.abs(shares - adjustment.after.shares) > SHARE_EPSILON
+      || (adjustment.target === 'LOT' && target.symbol !== adjustment.after.symbol)) {
+      throw new PortfolioValidationError('Lots affected by this action have changed since it was applied; it can no longer be reverted.');
+    }
+    return target;
+  });
+
+  if (targets.some(lot => lot === null)) {
+    throw new PortfolioValidationError('Lots affected by this action have since been sold; it can no longer be reverted.');
+  }
+
+  action.adjustments.forEach((adjustment, index) => {
+    if (adjustment.target === 'SALE') {
+      targets[index].quantity = adjustment.before.shares;
+      targets[index].price = adjustment.before.price;
+      return;
+    }
+    const lot = targets[index];
+    lot.shares = adjustment.before.shares;
+    lot.costInEUR = adjustment.before.costInEUR;
+    if (adjustment.before.costPerShare !== undefined && adjustment.before.costPerShare !== null) {
+      lot.costPerShare = adjustment.before.costPerShare;
+    }
+    if (adjustment.target === 'LOT') {
+      lot.symbol = adjustment.before.symbol;
+    }
+  });
+
+  action.revertedAt = new Date();
+  return action;
+}
+
+/**
+ * Suggest splits and ticker renames from Polygon reference data for symbols the portfolio holds,
+ * leaving out actions that are already recorded.
+ * @param {object} portfolio - Portfolio document or combined view
+ * @returns {Promise<Array<object>>} - Suggestions, oldest first, shaped as applyCorporateAction() input
+ */
+export async function suggestCorporateActions(portfolio) {
+  const today = toDayString(new Date());
+  const firstPurchaseDates = {};
+  portfolio.holdings.forEach(lot => {
+    const date = toDayString(lot.purchaseDate);
+    if (!firstPurchaseDates[lot.symbol] || date < firstPurchaseDates[lot.symbol]) {
+      firstPurchaseDates[lot.symbol] = date;
+    }
+  });
+
+  const recorded = new Set((portfolio.corporateActions || [])
+    .filter(a => !a.revertedAt)
+    .map(a => `${a.symbol}|${toDayString(a.effectiveDate)}|${a.type === 'RENAME' ? 'RENAME' : 'RATIO'}`));
+
+  const perSymbol = await Promise.all(Object.entries(firstPurchaseDates).map(async ([symbol, firstPurchase]) => {
+    const [splits, tickerChanges] = await Promise.all([
+      fetchPolygonSplits(symbol, firstPurchase, today),
+      fetchPolygonTickerChanges(symbol),
+    ]);
+
+    const splitSuggestions = (splits || [])
+      .filter(split => split.executionDate > firstPurchase)
+      .map(split => ({
+        type: split.splitTo > split.splitFrom ? 'SPLIT' : 'REVERSE_SPLIT',
+        symbol,
+        ratioFrom: split.splitFrom,
+        ratioTo: split.splitTo,
+        effectiveDate: split.executionDate,
+        source: 'POLYGON',
+      }));
+
+    // The company's ticker after the symbol we hold, if it changed since we bought it
+    const latestChange = (tickerChanges || []).at(-1);
+    const renameSuggestions = latestChange && latestChange.ticker !== symbol && latestChange.date > firstPurchase
+      ? [{ type: 'RENAME', symbol, newSymbol: latestChange.ticker, effectiveDate: latestChange.date, source: 'POLYGON' }]
+      : [];
+
+    return [...splitSuggestions, ...renameSuggestions]
+      .filter(s => !recorded.has(`${s.symbol}|${s.effectiveDate}|${s.type === 'RENAME' ? 'RENAME' : 'RATIO'}`));
+  }));
+
+  return perSymbol.flat().sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+}
@@ -0,0 +1,81 @@
+/**
+ * Dividend Service
+ * Suggests dividends a portfolio should have received, from Polygon ex-dividend dates and the shares held on them
+ */
+
+import { fetchPolygonDividends } from '@/app/utils/polygon';
+import { getSharesHeldOn, DIVIDEND_TRANSACTION_TYPE } from './PortfolioService';
+import { SHARE_EPSILON } from '@/app/utils/costBasis';
+
+const toDayString = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Earliest purchase date per symbol, over open lots and lots already sold
+ * @param {object} portfolio - Portfolio document or combined view
+ * @returns {Object<string, Date>}
+ */
+function getFirstPurchaseDates(portfolio) {
+  const firstDates = {};
+  const track = (symbol, purchaseDate) => {
+    if (!symbol || !purchaseDate) return;
+    const date = new Date(purchaseDate);
+    if (!firstDates[symbol] || date < firstDates[symbol]) {
+      firstDates[symbol] = date;
+    }
+  };
+
+  portfolio.holdings.forEach(lot => track(lot.symbol, lot.purchaseDate));
+  portfolio.transactions
+    .filter(t => t.type === 'SELL')
+    .forEach(sale => sale.lots.forEach(lot => track(sale.symbol, lot.purchaseDate)));
+
+  return firstDates;
+}
+
+/**
+ * Suggest dividend transactions that are not recorded yet.
+ * Each Polygon dividend paid since the symbol was first bought becomes a suggestion of
+ * dividend per share times the shares held on the ex-dividend date, without withholding tax.
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {object} [options]
+ * @param {Date} [options.asOf=new Date()] - Only dividends paid up to this day
+ * @returns {Promise<Array<object>>} - Suggestions, oldest first, shaped as recordDividend() input
+ */
+export async function suggestDividends(portfolio, { asOf = new Date() } = {}) {
+  const today = toDayString(asOf);
+  const firstPurchaseDates = getFirstPurchaseDates(portfolio);
+
+  const recorded = new Set(
+    portfolio.transactions
+      .filter(t => t.type === DIVIDEND_TRANSACTION_TYPE)
+      .map(t => `${t.symbol}|${toDayString(t.exDividendDate || t.date)}`)
+  );
+
+  const perSymbol = await Promise.all(Object.entries(firstPurchaseDates).map(async ([symbol, firstPurchase]) => {
+    const dividends = await fetchPolygonDividends(symbol, toDayString(firstPurchase), today);
+    if (!dividends) {
+      console.warn(`[DividendService] No dividend history available for ${symbol}`);
+      return [];
+    }
+
+    return dividends
+      .filter(dividend => dividend.payDate <= today)
+      .filter(dividend => !recorded.has(`${symbol}|${dividend.exDividendDate}`) && !recorded.has(`${symbol}|${dividend.payDate}`))
+      .map(dividend => {
+        const shares = getSharesHeldOn(portfolio, symbol, dividend.exDividendDate);
+        return {
+          symbol,
+          quantity: shares,
+          dividendPerShare: dividend.cashAmount,
+          amount: shares * dividend.cashAmount,
+          withholdingTax: 0,
+          currency: dividend.currency,
+          exDividendDate: dividend.exDividendDate,
+          date: dividend.payDate,
+        };
+      })
+      .filter(suggestion => suggestion.quantity > SHARE_EPSILON);
+  }));
+
+  return perSymbol.flat().sort((a, b) => a.exDividendDate.localeCompare(b.exDividendDate));
+}
@@ -0,0 +1,317 @@
+/**
+ * Exchange Rate Service
+ * Daily USD-based exchange rates persisted in MongoDB, used to convert trades at the rate of their date
+ */
+
+import connectDB from '@/app/utils/db';
+import ExchangeRate from '@/app/models/ExchangeRate';
+import { getExchangeRates, convertCurrency } from '@/app/utils/portfolioUtils';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// How far back to look for a stored rate when a date has none (weekends, holidays)
+const MAX_LOOKBACK_DAYS = 7;
+const HISTORICAL_RATES_URL = 'https://api.frankfurter.app';
+
+// Past rates never change, so lookups are memoized per day for the life of the process.
+// A day whose missing currencies were filled in with current rates keeps those until its rates are stored again.
+const historicalRatesCache = new Map();
+
+// Rates objects filled in with current rates -> codes of the currencies that were filled in
+const estimatedCurrencies = new WeakMap();
+
+/**
+ * Truncate a date to midnight UTC
+ * @param {Date|string} date - Any date
+ * @returns {Date}
+ */
+export function toRateDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+const dayKey = (day) => day.toISOString().slice(0, 10);
+
+/**
+ * Key used by getExchangeRatesForDates() for the day of a date
+ * @param {Date|string} date - Any date
+ * @returns {string} - YYYY-MM-DD (UTC)
+ */
+export function toRateDayKey(date) {
+  return dayKey(toRateDay(date));
+}
+
+function ratesToObject(rates) {
+  const plain = rates instanceof Map ? Object.fromEntries(rates) : { ...rates };
+  return { ...plain, USD: 1 };
+}
+
+/**
+ * Store (or replace) the rates for one day
+ * @param {Date|string} date - Day the rates apply to
+ * @param {object} rates - Currency code -> units per 1 USD
+ * @param {string} [source] - Where the rates came from
+ * @returns {Promise<void>}
+ */
+export async function saveDailyRates(date, rates, source = 'unknown') {
+  await connectDB();
+  const day = toRateDay(date);
+  await ExchangeRate.updateOne(
+    { base: 'USD', date: day },
+    { $set: { rates: ratesToObject(rates), source } },
+    { upsert: true }
+  );
+  historicalRatesCache.delete(dayKey(day));
+}
+
+/**
+ * Fetch daily rates for a range of past days from the Frankfurter (ECB) API.
+ * Only business days are returned.
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Array<{date: Date, rates: object}>>}
+ */
+async function fetchHistoricalRates(from, to) {
+  const range = `${dayKey(from)}..${dayKey(to)}`;
+  try {
+    const response = await fetch(`${HISTORICAL_RATES_URL}/${range}?from=USD`);
+    if (!response.ok) {
+      console.error(`[ExchangeRateService] Historical rates error for ${range}: ${response.status}`);
+      return [];
+    }
+    const data = await response.json();
+    return Object.entries(data?.rates || {}).map(([date, rates]) => ({ date: toRateDay(date), rates }));
+  } catch (error) {
+    console.error(`[ExchangeRateService] Historical rates fetch error for ${range}:`, error.message);
+    return [];
+  }
+}
+
+async function findStoredRates(from, to) {
+  await connectDB();
+  return ExchangeRate.find({
+    base: 'USD',
+    date: { $gte: new Date(from.getTime() - MAX_LOOKBACK_DAYS * MS_PER_DAY), $lte: to }
+  }).sort({ date: 1 }).lean();
+}
+
+// Most recent stored day on or before `day`, within the lookback window
+function pickStoredRates(stored, day) {
+  const earliest = day.getTime() - MAX_LOOKBACK_DAYS * MS_PER_DAY;
+  for (let i = stored.length - 1; i >= 0; i--) {
+    const time = new Date(stored[i].date).getTime();
+    if (time <= day.getTime()) {
+      return time >= earliest ? ratesToObject(stored[i].rates) : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Currencies whose rate in a rates object from getExchangeRatesForDates() is today's rate standing in
+ * for a missing historical one, e.g. currencies the ECB does not publish
+ * @param {object} rates - Rates against USD
+ * @returns {string[]} - ISO currency codes; empty when every rate is from the day itself
+ */
+export function getEstimatedCurrencies(rates) {
+  return (rates && estimatedCurrencies.get(rates)) || [];
+}
+
+// Copy of a day's stored rates with the currencies it lacks taken from the current rates, and flagged
+function withCurrentRateFallback(rates, currentRates) {
+  const missing = Object.keys(currentRates).filter(code => !rates[code]);
+  if (missing.length === 0) {
+    return rates;
+  }
+  const filled = { ...rates };
+  missing.forEach(code => { filled[code] = currentRates[code]; });
+  estimatedCurrencies.set(filled, missing);
+  return filled;
+}
+
+/**
+ * Get exchange rates against USD as they were on each of the given dates.
+ * A day uses the most recent stored rates within a week (weekends, holidays); missing days are
+ * fetched from the historical rates API in one request and stored. Today and future dates use current rates.
+ * Currencies a past day has no rate for (the historical API only covers ECB currencies) use the current
+ * rate instead and are reported by getEstimatedCurrencies().
+ * @param {Array<Date|string>} dates - Trade dates
+ * @returns {Promise<Map<string, object>>} - YYYY-MM-DD -> rates, same shape as getExchangeRates()
+ */
+export async function getExchangeRatesForDates(dates) {
+  const today = toRateDay(new Date());
+  const result = new Map();
+  const pastDays = [];
+  let currentRates = null;
+
+  const loadCurrentRates = async () => {
+    if (!currentRates) {
+      currentRates = await getExchangeRates();
+      // Keep a daily record so today's rate is available once it becomes history
+      saveDailyRates(today, currentRates, 'exchangerate-api').catch(error => {
+        console.error('[ExchangeRateService] Failed to store today\'s rates:', error.message);
+      });
+    }
+    return currentRates;
+  };
+
+  for (const date of dates) {
+    const day = toRateDay(date);
+    if (isNaN(day.getTime())) continue;
+    const key = dayKey(day);
+    if (result.has(key) || pastDays.some(d => dayKey(d) === key)) continue;
+
+    if (day >= today) {
+      result.set(key, await loadCurrentRates());
+    } else if (historicalRatesCache.has(key)) {
+      result.set(key, historicalRatesCache.get(key));
+    } else {
+      pastDays.push(day);
+    }
+  }
+
+  if (pastDays.length === 0) {
+    return result;
+  }
+
+  pastDays.sort((a, b) => a - b);
+  let stored = await findStoredRates(pastDays[0], pastDays[pastDays.length - 1]);
+
+  const missing = pastDays.filter(day => !pickStoredRates(stored, day));
+  if (missing.length > 0) {
+    // Start a week early so a missing Monday can fall back to the previous Friday
+    const from = new Date(missing[0].getTime() - MAX_LOOKBACK_DAYS * MS_PER_DAY);
+    const fetched = await fetchHistoricalRates(from, missing[missing.length - 1]);
+    if (fetched.length > 0) {
+      await importDailyRates(fetched, 'frankfurter');
+      stored = await findStoredRates(pastDays[0], pastDays[pastDays.length - 1]);
+    }
+  }
+
+  for (const day of pastDays) {
+    const key = dayKey(day);
+    const rates = pickStoredRates(stored, day);
+    if (rates) {
+      const filled = withCurrentRateFallback(rates, await loadCurrentRates());
+      historicalRatesCache.set(key, filled);
+      result.set(key, filled);
+    } else {
+      console.warn(`[ExchangeRateService] No historical rates for ${key}, using current rates.`);
+      result.set(key, withCurrentRateFallback({ USD: 1 }, await loadCurrentRates()));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get exchange rates against USD as they were on the given date, see getExchangeRatesForDates()
+ * @param {Date|string} [date] - Date of the trade; today when omitted
+ * @returns {Promise<object>} - Currency code -> units per 1 USD, same shape as getExchangeRates()
+ */
+export async function getExchangeRatesForDate(date) {
+  const day = toRateDay(date || new Date());
+  if (isNaN(day.getTime())) {
+    return getExchangeRates();
+  }
+  const ratesByDay = await getExchangeRatesForDates([day]);
+  return ratesByDay.get(dayKey(day));
+}
+
+/**
+ * Build a function converting stored EUR amounts into another currency at the rate of each amount's own date
+ * @param {string} currency - ISO currency code to convert to
+ * @param {Array<Date|string>} dates - Every date the converter will be called with, so rates are loaded in one go
+ * @returns {Promise<function(number, (Date|string)): number>} - (amountInEUR, date) => amount in `currency`
+ */
+export async function createFromEURConverter(currency, dates) {
+  if (currency === 'EUR') {
+    return (amountInEUR) => amountInEUR;
+  }
+
+  const ratesByDay = await getExchangeRatesForDates(dates);
+  return (amountInEUR, date) => {
+    const converted = convertCurrency(amountInEUR, 'EUR', currency, ratesByDay.get(toRateDayKey(date)));
+    if (converted === null) {
+      console.warn(`[ExchangeRateService] No EUR/${currency} rate for ${date}; amount left unconverted.`);
+      return amountInEUR;
+    }
+    return converted;
+  };
+}
+
+/**
+ * Parse a rates file for back-filling.
+ * JSON: [{ "date": "2024-01-31", "rates": { "EUR": 0.92, ... } }, ...]
+ * CSV: a `date` column followed by one column per currency code, values in units per 1 USD.
+ * @param {string} content - File contents
+ * @param {'json'|'csv'} format - File format
+ * @returns {Array<{date: Date, rates: object}>}
+ * @throws {Error} - If the file is malformed
+ */
+export function parseRatesFile(content, format) {
+  let records;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed)) {
+      throw new Error('JSON rates file must be an array of { date, rates } objects');
+    }
+    records = parsed.map(entry => ({ date: entry?.date, rates: entry?.rates }));
+  } else if (format === 'csv') {
+    const [headerLine, ...lines] = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    const header = (headerLine || '').split(',').map(h => h.trim());
+    if (header[0]?.toLowerCase() !== 'date' || header.length < 2) {
+      throw new Error('CSV rates file must start with a date column followed by currency columns');
+    }
+    records = lines.map(line => {
+      const cells = line.split(',').map(c => c.trim());
+      const rates = {};
+      header.slice(1).forEach((code, i) => {
+        if (cells[i + 1] !== undefined && cells[i + 1] !== '') {
+          rates[code.toUpperCase()] = Number(cells[i + 1]);
+        }
+      });
+      return { date: cells[0], rates };
+    });
+  } else {
+    throw new Error(`Unsupported rates file format: ${format}`);
+  }
+
+  return records.map((record, index) => {
+    const date = new Date(record.date);
+    if (!record.date || isNaN(date.getTime())) {
+      throw new Error(`Invalid date in rates entry ${index + 1}`);
+    }
+    if (!record.rates || typeof record.rates !== 'object') {
+      throw new Error(`Missing rates in rates entry ${index + 1}`);
+    }
+    const invalid = Object.entries(record.rates).find(([, rate]) => typeof rate !== 'number' || !(rate > 0));
+    if (invalid) {
+      throw new Error(`Invalid ${invalid[0]} rate in rates entry ${index + 1}`);
+    }
+    return { date: toRateDay(date), rates: record.rates };
+  });
+}
+
+/**
+ * Upsert daily rates, e.g. from parseRatesFile()
+ * @param {Array<{date: Date, rates: object}>} records - Daily rates against USD
+ * @param {string} [source] - Where the rates came from
+ * @returns {Promise<number>} - Number of days stored
+ */
+export async function importDailyRates(records, source = 'file') {
+  await connectDB();
+  if (records.length === 0) return 0;
+
+  await ExchangeRate.bulkWrite(records.map(({ date, rates }) => ({
+    updateOne: {
+      filter: { base: 'USD', date: toRateDay(date) },
+      update: { $set: { rates: ratesToObject(rates), source } },
+      upsert: true
+    }
+  })));
+  records.forEach(({ date }) => historicalRatesCache.delete(dayKey(toRateDay(date))));
+
+  return records.length;
+}
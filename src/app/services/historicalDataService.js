@@ -2,6 +2,7 @@
 import { fetchPolygonHistoricalData } from "@/app/utils/polygon";
 import { getYahooFinanceHistoricalData } from "@/app/utils/yahooFinance";
 import { getAlphaVantageHistoricalDaily } from "@/app/utils/alphaVantage";
+import { toYahooSymbol } from "@/app/utils/portfolioUtils";
 
 const ALPACA_API_KEY = process.env.ALPACA_KEY;
 const ALPACA_SECRET_KEY = process.env.ALPACA_SECRET_KEY;
@@ -165,3 +166,42 @@ export async function fetchHistoricalDataWithFallback(symbol, isCrypto = false)
 
   return result;
 }
+
+/**
+ * Fetches split-adjusted daily closing prices for a date range
+ * Tries: Polygon -> Yahoo Finance
+ * @param {string} symbol - The portfolio symbol (exchange suffixes are mapped for Yahoo)
+ * @param {Date|string} from - First day of the range
+ * @param {Date|string} [to=new Date()] - Last day of the range
+ * @returns {Promise<Array<{t: number, c: number}>>} - Closes, oldest first; empty if no provider has data
+ */
+export async function fetchDailyCloses(symbol, from, to = new Date()) {
+  const fromStr = new Date(from).toISOString().split('T')[0];
+  const toStr = new Date(to).toISOString().split('T')[0];
+  const inRange = (bar) => bar.t >= new Date(fromStr).getTime() && bar.t <= new Date(toStr).getTime() + 24 * 60 * 60 * 1000;
+
+  try {
+    const polygonHistorical = await fetchPolygonHistoricalData(symbol, fromStr, toStr, 'day', 1);
+    if (polygonHistorical && polygonHistorical.length > 0) {
+      return polygonHistorical.map(bar => ({ t: bar.t, c: bar.c }));
+    }
+  } catch (error) {
+    console.error(`[HistoricalDataService] Polygon daily closes error for ${symbol}:`, error.message);
+  }
+
+  try {
+    const days = Math.ceil((Date.now() - new Date(fromStr).getTime()) / (24 * 60 * 60 * 1000)) + 1;
+    const yahooHistorical = await getYahooFinanceHistoricalData(toYahooSymbol(symbol), days);
+    if (yahooHistorical && yahooHistorical.length > 0) {
+      return yahooHistorical
+        .filter(bar => typeof bar.c === 'number' && inRange(bar))
+        .map(bar => ({ t: bar.t, c: bar.c }))
+        .sort((a, b) => a.t - b.t);
+    }
+  } catch (error) {
+    console.error(`[HistoricalDataService] Yahoo Finance daily closes error for ${symbol}:`, error.message);
+  }
+
+  console.warn(`[HistoricalDataService] No daily closes found for ${symbol} from ${fromStr} to ${toStr}`);
+  return [];
+}
@@ -0,0 +1,232 @@
+/**
+ * Login Throttle Service
+ * Counts failed logins per account and per IP, slowing repeated guesses with a growing delay
+ * and locking them out for a while after too many failures. Password and code checks of signed-in
+ * users (disabling 2FA, changing the password...) are counted per user the same way.
+ * State lives in Redis; when Redis is not configured or unreachable an in-process store is used,
+ * which only protects the instance it runs on.
+ */
+
+import { Redis } from '@upstash/redis';
+
+const redis = process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN
+  ? Redis.fromEnv()
+  : null;
+
+const KEY_PREFIX = 'loginThrottle';
+
+// backoffAfter: failures before each further attempt has to wait 1s, 2s, 4s... (up to maxBackoffSeconds)
+// lockAfter: failures in the window that lock the account or IP out for lockSeconds
+export const THROTTLE_LIMITS = {
+  account: { windowSeconds: 15 * 60, backoffAfter: 3, maxBackoffSeconds: 60, lockAfter: 10, lockSeconds: 15 * 60 },
+  ip: { windowSeconds: 15 * 60, backoffAfter: 10, maxBackoffSeconds: 30, lockAfter: 50, lockSeconds: 15 * 60 }
+};
+
+// In-process fallback: key -> { value, expiresAt }
+const memoryEntries = new Map();
+// Bounds the fallback store when requests come from many IPs or name many accounts
+const MAX_MEMORY_ENTRIES = 10000;
+
+// Make room for a new key: drop expired entries, then the oldest ones (Maps keep insertion order)
+function makeMemoryRoom() {
+  if (memoryEntries.size < MAX_MEMORY_ENTRIES) return;
+  const now = Date.now();
+  for (const [key, entry] of memoryEntries) {
+    if (entry.expiresAt <= now) memoryEntries.delete(key);
+  }
+  for (const key of memoryEntries.keys()) {
+    if (memoryEntries.size < MAX_MEMORY_ENTRIES) break;
+    memoryEntries.delete(key);
+  }
+}
+
+const memoryStore = {
+  async incr(key, ttlSeconds) {
+    const entry = memoryEntries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      memoryEntries.delete(key);
+      makeMemoryRoom();
+      memoryEntries.set(key, { value: 1, expiresAt: Date.now() + ttlSeconds * 1000 });
+      return 1;
+    }
+    entry.value += 1;
+    return entry.value;
+  },
+  async set(key, value, ttlSeconds) {
+    memoryEntries.delete(key);
+    makeMemoryRoom();
+    memoryEntries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  },
+  async ttl(key) {
+    const entry = memoryEntries.get(key);
+    if (!entry) return 0;
+    const remaining = Math.ceil((entry.expiresAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      memoryEntries.delete(key);
+      return 0;
+    }
+    return remaining;
+  },
+  async del(...keys) {
+    keys.forEach(key => memoryEntries.delete(key));
+  }
+};
+
+const redisStore = {
+  async incr(key, ttlSeconds) {
+    const value = await redis.incr(key);
+    if (value === 1) {
+      await redis.expire(key, ttlSeconds);
+    }
+    return value;
+  },
+  async set(key, value, ttlSeconds) {
+    await redis.set(key, value, { ex: ttlSeconds });
+  },
+  async ttl(key) {
+    // -2 when the key does not exist, -1 when it has no expiry
+    return Math.max(await redis.ttl(key), 0);
+  },
+  async del(...keys) {
+    await redis.del(...keys);
+  }
+};
+
+/**
+ * Run a store operation against Redis, falling back to the in-process store if Redis fails
+ * @param {string} operation - Store method name
+ * @param {...any} args - Method arguments
+ */
+async function runStore(operation, ...args) {
+  if (redis) {
+    try {
+      return await redisStore[operation](...args);
+    } catch (error) {
+      console.error(`[LoginThrottle] Redis ${operation} failed, using in-memory store:`, error.message);
+    }
+  }
+  return memoryStore[operation](...args);
+}
+
+const keysFor = (scope, id) => ({
+  failures: `${KEY_PREFIX}:${scope}:${id}:failures`,
+  wait: `${KEY_PREFIX}:${scope}:${id}:wait`,
+  lock: `${KEY_PREFIX}:${scope}:${id}:lock`
+});
+
+/**
+ * Raised by runThrottledCheck() while the user or IP is backing off or locked out
+ */
+export class LoginThrottledError extends Error {
+  constructor(retryAfterSeconds) {
+    super(`Too many attempts. Try again in ${retryAfterSeconds} seconds.`);
+    this.name = 'LoginThrottledError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Accounts are keyed by the address typed in, whether or not it exists, so throttling does not reveal which do.
+// Signed-in users are keyed by their id.
+const throttleSubjects = ({ ip, email, userId }) => {
+  const subjects = [{ scope: 'ip', id: ip || 'unknown' }];
+  if (typeof email === 'string' && email.trim()) {
+    subjects.push({ scope: 'account', id: email.trim().toLowerCase() });
+  }
+  if (userId) {
+    subjects.push({ scope: 'account', id: `user:${userId}` });
+  }
+  return subjects;
+};
+
+/**
+ * Client IP of a request, as reported by the proxy in front of the app.
+ * The client can send its own X-Forwarded-For, so only the last entry, which the proxy appends, is used.
+ * @param {Request} req - The incoming request
+ * @returns {string}
+ */
+export function getClientIp(req) {
+  const forwardedFor = req.headers.get('x-forwarded-for');
+  if (forwardedFor) {
+    const proxied = forwardedFor.split(',').at(-1).trim();
+    if (proxied) return proxied;
+  }
+  return req.headers.get('x-real-ip') || 'unknown';
+}
+
+/**
+ * Check whether a login attempt may go ahead
+ * @param {object} attempt - { ip, email } for a login, { ip, userId } for a signed-in user
+ * @returns {Promise<object>} - { allowed, retryAfterSeconds }
+ */
+export async function checkLoginThrottle(attempt) {
+  let retryAfterSeconds = 0;
+  for (const { scope, id } of throttleSubjects(attempt)) {
+    const keys = keysFor(scope, id);
+    const [lockTtl, waitTtl] = await Promise.all([runStore('ttl', keys.lock), runStore('ttl', keys.wait)]);
+    retryAfterSeconds = Math.max(retryAfterSeconds, lockTtl, waitTtl);
+  }
+  return { allowed: retryAfterSeconds === 0, retryAfterSeconds };
+}
+
+/**
+ * Count a failed login, starting the backoff delay or the lockout when a limit is reached
+ * @param {object} attempt - { ip, email } or { ip, userId }
+ * @returns {Promise<void>}
+ */
+export async function recordLoginFailure(attempt) {
+  for (const { scope, id } of throttleSubjects(attempt)) {
+    const limits = THROTTLE_LIMITS[scope];
+    const keys = keysFor(scope, id);
+    const failures = await runStore('incr', keys.failures, limits.windowSeconds);
+
+    if (failures >= limits.lockAfter) {
+      console.warn(`[LoginThrottle] Locking ${scope} ${id} for ${limits.lockSeconds}s after ${failures} failed logins`);
+      await runStore('set', keys.lock, 1, limits.lockSeconds);
+      await runStore('del', keys.failures, keys.wait);
+    } else if (failures >= limits.backoffAfter) {
+      const delaySeconds = Math.min(2 ** (failures - limits.backoffAfter), limits.maxBackoffSeconds);
+      await runStore('set', keys.wait, 1, delaySeconds);
+    }
+  }
+}
+
+/**
+ * Forget an account's failed logins after a successful one.
+ * The IP count is kept, so one valid account cannot be used to reset it.
+ * @param {object} attempt - { ip, email } or { ip, userId }
+ * @returns {Promise<void>}
+ */
+export async function recordLoginSuccess(attempt) {
+  const accounts = throttleSubjects(attempt).filter(({ scope }) => scope === 'account');
+  for (const { id } of accounts) {
+    const keys = keysFor('account', id);
+    await runStore('del', keys.failures, keys.wait);
+  }
+}
+
+/**
+ * Run a signed-in user's password or code check under the login throttle
+ * @param {object} attempt - { ip, userId }
+ * @param {function(): Promise<*>} check - Performs the check, throwing on wrong credentials
+ * @param {function(Error): boolean} isCredentialError - Whether an error thrown by `check` counts as a failed attempt
+ * @returns {Promise<*>} - What `check` returned
+ * @throws {LoginThrottledError} - If the user or IP has to wait before trying again
+ */
+export async function runThrottledCheck(attempt, check, isCredentialError) {
+  const throttle = await checkLoginThrottle(attempt);
+  if (!throttle.allowed) {
+    throw new LoginThrottledError(throttle.retryAfterSeconds);
+  }
+
+  let result;
+  try {
+    result = await check();
+  } catch (error) {
+    if (isCredentialError(error)) {
+      await recordLoginFailure(attempt);
+    }
+    throw error;
+  }
+  await recordLoginSuccess(attempt);
+  return result;
+}
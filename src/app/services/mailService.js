@@ -0,0 +1,67 @@
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport chosen with MAIL_TRANSPORT.
+ * Built in: "console" (logs the message, the default) and "file" (writes it to MAIL_OUTBOX_DIR),
+ * both meant for development and tests. Production deployments register their own transport.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_FROM = 'Stock Investor <no-reply@localhost>';
+const DEFAULT_OUTBOX_DIR = '.mail-outbox';
+
+/**
+ * Transport interface: an object with `send(message)` returning a promise.
+ * message: { from, to, subject, text, html }
+ */
+const transports = new Map();
+
+transports.set('console', {
+  async send(message) {
+    console.log(`[Mail] To: ${message.to}\n[Mail] Subject: ${message.subject}\n${message.text}`);
+  }
+});
+
+transports.set('file', {
+  async send(message) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+    await fs.mkdir(outboxDir, { recursive: true });
+    const recipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.json`;
+    await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+  }
+});
+
+/**
+ * Make a transport available to MAIL_TRANSPORT
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {object} transport - { send(message): Promise }
+ */
+export function registerMailTransport(name, transport) {
+  if (typeof transport?.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send(message)`);
+  }
+  transports.set(name, transport);
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+}
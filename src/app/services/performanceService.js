@@ -0,0 +1,311 @@
+/**
+ * Performance Service
+ * Time-weighted (TWR) and money-weighted (XIRR) returns of a portfolio's holdings over a period.
+ * Buys are money put into the holdings; sale proceeds and dividends (net of withholding tax) are money taken out.
+ * Cash balances are left out, so the returns measure the investments rather than idle cash.
+ */
+
+import { fetchDailyCloses } from './historicalDataService';
+import { getExchangeRatesForDates, toRateDay, toRateDayKey } from './exchangeRateService';
+import { getSharesHeldOn, collectFeesPaid, DIVIDEND_TRANSACTION_TYPE } from './PortfolioService';
+import { convertCurrency } from '@/app/utils/portfolioUtils';
+import { SHARE_EPSILON } from '@/app/utils/costBasis';
+
+export const PERFORMANCE_PERIODS = ['YTD', '1Y', '3Y', 'ALL'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+/**
+ * First day of a period, never before the portfolio's first purchase
+ * @param {string} period - One of PERFORMANCE_PERIODS
+ * @param {Date} inception - Day of the first purchase
+ * @param {Date} [now=new Date()]
+ * @returns {Date}
+ */
+export function getPeriodStart(period, inception, now = new Date()) {
+  const today = toRateDay(now);
+  let start;
+  switch (period) {
+    case 'YTD':
+      start = new Date(Date.UTC(today.getUTCFullYear(), 0, 1));
+      break;
+    case '1Y':
+      start = new Date(today);
+      start.setUTCFullYear(start.getUTCFullYear() - 1);
+      break;
+    case '3Y':
+      start = new Date(today);
+      start.setUTCFullYear(start.getUTCFullYear() - 3);
+      break;
+    default:
+      start = inception;
+  }
+  return start < inception ? inception : start;
+}
+
+/**
+ * Annualized internal rate of return of irregular cash flows (XIRR).
+ * Negative amounts are money invested, positive amounts money received.
+ * @param {Array<{date: Date, amount: number}>} cashFlows
+ * @returns {number|null} - Rate as a fraction (0.07 = 7%), or null if it does not converge
+ */
+export function xirr(cashFlows) {
+  const flows = cashFlows.filter(f => f.amount !== 0);
+  if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) {
+    return null;
+  }
+  const t0 = Math.min(...flows.map(f => new Date(f.date).getTime()));
+  const years = flows.map(f => (new Date(f.date).getTime() - t0) / MS_PER_DAY / DAYS_PER_YEAR);
+  const npv = (rate) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const dNpv = (rate) => flows.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  // Newton's method from 10%, falling back to bisection when it wanders off
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const derivative = dNpv(rate);
+    if (Math.abs(value) < 1e-7) return rate;
+    if (!derivative) break;
+    const next = rate - value / derivative;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) {
+    return null;
+  }
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < 1e-7) return mid;
+    if (npv(low) * value < 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * External cash flows into (positive) and out of (negative) the holdings, in EUR, per day
+ * @param {object} portfolio - Portfolio document or combined view
+ * @returns {Array<{date: Date, amountInEUR: number}>} - Individual flows; several may fall on the same day
+ */
+export function collectHoldingFlows(portfolio) {
+  const flows = [];
+
+  // Each lot was bought once; fully or partly sold lots are also found in the sale snapshots
+  portfolio.holdings.forEach(lot => {
+    flows.push({ date: lot.purchaseDate, amountInEUR: lot.shares * lot.costInEUR });
+  });
+  portfolio.transactions.forEach(t => {
+    if (t.type === 'SELL') {
+      t.lots.forEach(lot => flows.push({ date: lot.purchaseDate, amountInEUR: lot.shares * lot.costInEUR }));
+      flows.push({ date: t.date, amountInEUR: -t.proceedsInEUR });
+    } else if (t.type === DIVIDEND_TRANSACTION_TYPE) {
+      flows.push({ date: t.date, amountInEUR: -(t.amountInEUR - (t.withholdingTaxInEUR || 0)) });
+    }
+  });
+
+  return flows.filter(f => f.date);
+}
+
+/**
+ * Net external flow into the holdings per day, in the reporting currency, each flow converted at its own date
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {function} fromEUR - EUR -> reporting currency converter
+ * @returns {Map<string, number>} - Day key -> net flow
+ */
+export function groupFlowsByDay(portfolio, fromEUR) {
+  const flowsByDay = new Map();
+  collectHoldingFlows(portfolio).forEach(({ date, amountInEUR }) => {
+    const dayKey = toRateDayKey(date);
+    flowsByDay.set(dayKey, (flowsByDay.get(dayKey) || 0) + fromEUR(amountInEUR, date));
+  });
+  return flowsByDay;
+}
+
+/**
+ * Currency each symbol the portfolio has held is quoted in, taken from its lots and sales
+ * @param {object} portfolio - Portfolio document or combined view
+ * @returns {Object<string, string>} - Symbol -> ISO currency code
+ */
+export function getQuoteCurrencies(portfolio) {
+  const currencyBySymbol = {};
+  portfolio.holdings.forEach(lot => { currencyBySymbol[lot.symbol] ||= lot.tradingCurrency; });
+  portfolio.transactions.forEach(t => {
+    if (t.type === 'SELL') currencyBySymbol[t.symbol] ||= t.currency;
+  });
+  return currencyBySymbol;
+}
+
+/**
+ * Fetch the closes and exchange rates needed, then value the holdings on each day (see valueHoldingsOnDays())
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {Array<Date>} days - Days to value (UTC midnight)
+ * @param {string} currency - Reporting currency
+ * @returns {Promise<Map<string, number>>} - Value per day key
+ */
+export async function valueHoldingsOnDaysFromCloses(portfolio, days, currency) {
+  const currencyBySymbol = getQuoteCurrencies(portfolio);
+  const symbols = Object.keys(currencyBySymbol);
+  const earliest = new Date(Math.min(...days.map(d => d.getTime())) - 7 * MS_PER_DAY);
+  const latest = new Date(Math.max(...days.map(d => d.getTime())));
+
+  const [closes, ratesByDay] = await Promise.all([
+    Promise.all(symbols.map(symbol => fetchDailyCloses(symbol, earliest, latest))),
+    getExchangeRatesForDates(days),
+  ]);
+  const closesBySymbol = Object.fromEntries(symbols.map((symbol, i) => [symbol, closes[i]]));
+
+  return valueHoldingsOnDays(portfolio, days, currency, { closesBySymbol, currencyBySymbol, ratesByDay });
+}
+
+/**
+ * Value the holdings at the close of each given day, in the reporting currency
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {Array<Date>} days - Days to value (UTC midnight)
+ * @param {string} currency - Reporting currency
+ * @param {object} context
+ * @param {Object<string, Array<{t: number, c: number}>>} context.closesBySymbol - Daily closes per symbol
+ * @param {Object<string, string>} context.currencyBySymbol - Quote currency per symbol
+ * @param {Map<string, object>} context.ratesByDay - Rates against USD per day
+ * @returns {Map<string, number>} - Value per day key
+ */
+export function valueHoldingsOnDays(portfolio, days, currency, { closesBySymbol, currencyBySymbol, ratesByDay }) {
+  const values = new Map();
+  const symbols = Object.keys(currencyBySymbol);
+
+  days.forEach(day => {
+    const dayKey = toRateDayKey(day);
+    const endOfDay = new Date(day.getTime() + MS_PER_DAY);
+    const rates = ratesByDay.get(dayKey);
+
+    const value = symbols.reduce((sum, symbol) => {
+      const shares = getSharesHeldOn(portfolio, symbol, endOfDay);
+      if (shares <= SHARE_EPSILON) return sum;
+      const close = closeOnOrBefore(closesBySymbol[symbol] || [], endOfDay.getTime());
+      if (close === null) {
+        console.warn(`[PerformanceService] No price for ${symbol} on ${dayKey}; valuing it at 0.`);
+        return sum;
+      }
+      const converted = convertCurrency(shares * close, currencyBySymbol[symbol], currency, rates);
+      return sum + (converted ?? 0);
+    }, 0);
+
+    values.set(dayKey, value);
+  });
+
+  return values;
+}
+
+/**
+ * Last close strictly before a timestamp (e.g. the end of a day)
+ * @param {Array<{t: number, c: number}>} closes - Oldest first
+ * @param {number} timestamp
+ * @returns {number|null}
+ */
+export function closeOnOrBefore(closes, timestamp) {
+  let low = 0;
+  let high = closes.length - 1;
+  let found = null;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (closes[mid].t < timestamp) {
+      found = closes[mid].c;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Time-weighted and money-weighted returns of the holdings over each requested period.
+ * Flows are assumed to happen at the close of their day; the period ends with the current value.
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {object} options
+ * @param {string} options.currency - Reporting currency
+ * @param {function} options.fromEUR - EUR -> reporting currency converter, see createFromEURConverter()
+ * @param {number} options.currentValue - Current value of the holdings in the reporting currency
+ * @param {Array<string>} [options.periods=PERFORMANCE_PERIODS]
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<object>} - { currency, inceptionDate, periods: { [period]: { startDate, endDate, startValue, endValue, netFlows, fees, twr, twrAnnualized, mwr } } }; fees are those paid on trades in the period
+ */
+export async function calculatePerformance(portfolio, { currency, fromEUR, currentValue, periods = PERFORMANCE_PERIODS, now = new Date() }) {
+  const flowsByDay = groupFlowsByDay(portfolio, fromEUR);
+  if (flowsByDay.size === 0) {
+    return { currency, inceptionDate: null, periods: {} };
+  }
+
+  const flowDays = [...flowsByDay.keys()].sort();
+  const inception = new Date(flowDays[0]);
+  const today = toRateDay(now);
+  const todayKey = toRateDayKey(today);
+
+  const periodStarts = Object.fromEntries(periods.map(period => [period, getPeriodStart(period, inception, now)]));
+
+  // Value the holdings at the close of the day before each period starts and at the close of every flow day
+  const valuationDays = new Map();
+  Object.values(periodStarts).forEach(start => {
+    const dayBefore = new Date(start.getTime() - MS_PER_DAY);
+    valuationDays.set(toRateDayKey(dayBefore), dayBefore);
+  });
+  flowDays.filter(dayKey => dayKey !== todayKey).forEach(dayKey => valuationDays.set(dayKey, new Date(dayKey)));
+
+  const values = await valueHoldingsOnDaysFromCloses(portfolio, [...valuationDays.values()], currency);
+  values.set(todayKey, currentValue);
+
+  const feesPaid = collectFeesPaid(portfolio).map(fee => ({ dayKey: toRateDayKey(fee.date), amount: fromEUR(fee.amountInEUR, fee.date) }));
+
+  const results = {};
+  periods.forEach(period => {
+    const start = periodStarts[period];
+    const startKey = toRateDayKey(start);
+    const startValue = values.get(toRateDayKey(new Date(start.getTime() - MS_PER_DAY))) || 0;
+    const periodFlowDays = flowDays.filter(dayKey => dayKey >= startKey && dayKey <= todayKey);
+
+    // TWR: chain the growth between consecutive flow days, removing each day's flow from its closing value
+    let growth = 1;
+    let previousValue = startValue;
+    [...periodFlowDays.filter(dayKey => dayKey !== todayKey), todayKey].forEach(dayKey => {
+      const flow = flowsByDay.get(dayKey) || 0;
+      const value = values.get(dayKey) ?? 0;
+      if (previousValue > 0) {
+        growth *= (value - flow) / previousValue;
+      }
+      previousValue = value;
+    });
+    const twr = growth - 1;
+
+    // MWR: the starting value counts as invested on the first day, the current value as received today
+    const cashFlows = [
+      { date: start, amount: -startValue },
+      ...periodFlowDays.map(dayKey => ({ date: new Date(dayKey), amount: -flowsByDay.get(dayKey) })),
+      { date: today, amount: currentValue },
+    ];
+
+    const days = (today - start) / MS_PER_DAY;
+    results[period] = {
+      startDate: startKey,
+      endDate: todayKey,
+      startValue,
+      endValue: currentValue,
+      netFlows: periodFlowDays.reduce((sum, dayKey) => sum + flowsByDay.get(dayKey), 0),
+      fees: feesPaid
+        .filter(fee => fee.dayKey >= startKey && fee.dayKey <= todayKey)
+        .reduce((sum, fee) => sum + fee.amount, 0),
+      twr,
+      twrAnnualized: days >= DAYS_PER_YEAR ? Math.pow(1 + twr, DAYS_PER_YEAR / days) - 1 : null,
+      mwr: xirr(cashFlows),
+    };
+  });
+
+  return { currency, inceptionDate: toRateDayKey(inception), periods: results };
+}
@@ -0,0 +1,173 @@
+/**
+ * Portfolio Export Service
+ * Flattens portfolio lots and transactions into rows for CSV/JSON export and builds tax-lot reports
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Whether a disposal counts as long-term: held for more than one year
+ * @param {Date} acquired - Purchase date of the lot
+ * @param {Date} disposed - Sale date
+ * @returns {boolean}
+ */
+export function isLongTerm(acquired, disposed) {
+  const oneYearLater = new Date(acquired);
+  oneYearLater.setUTCFullYear(oneYearLater.getUTCFullYear() + 1);
+  return new Date(disposed) > oneYearLater;
+}
+
+/**
+ * Open lots as export rows
+ * @param {object} portfolio - Portfolio document or combined view
+ * @returns {Array<object>}
+ */
+export function buildLotRows(portfolio) {
+  return portfolio.holdings.map(lot => ({
+    record: 'LOT',
+    id: String(lot._id),
+    symbol: lot.symbol,
+    date: toDateString(lot.purchaseDate),
+    quantity: lot.shares,
+    price: lot.costPerShare,
+    currency: lot.tradingCurrency,
+    fees: lot.fees || 0,
+    feesCurrency: lot.feesCurrency || lot.tradingCurrency,
+    amount: null,
+    withholdingTax: null,
+    costInEUR: lot.costInEUR * lot.shares,
+    proceedsInEUR: null,
+    realizedProfitLossInEUR: null,
+    notes: lot.notes || '',
+  }));
+}
+
+/**
+ * Recorded transactions (sales, deposits, withdrawals and dividends) as export rows
+ * @param {object} portfolio - Portfolio document or combined view
+ * @returns {Array<object>}
+ */
+export function buildTransactionRows(portfolio) {
+  return portfolio.transactions.map(t => ({
+    record: t.type,
+    id: String(t._id),
+    symbol: t.symbol || '',
+    date: toDateString(t.date),
+    quantity: t.quantity ?? null,
+    price: t.price ?? null,
+    currency: t.currency,
+    fees: t.fees || 0,
+    feesCurrency: t.type === 'SELL' ? t.feesCurrency || t.currency : null,
+    amount: t.amount ?? null,
+    withholdingTax: t.type === 'DIVIDEND' ? t.withholdingTax || 0 : null,
+    costInEUR: t.costBasisInEUR ?? null,
+    proceedsInEUR: t.proceedsInEUR ?? null,
+    realizedProfitLossInEUR: t.realizedProfitLossInEUR ?? null,
+    notes: t.notes || '',
+  }));
+}
+
+/**
+ * Build a tax-lot report: one row per lot consumed by each sale disposed of in the given year.
+ * Sale proceeds (net of fees) are split across the consumed lots by share count.
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {number} [year] - Calendar year of disposal; all years when omitted
+ * @returns {{rows: Array<object>, totals: object}}
+ */
+export function buildTaxLotReport(portfolio, year) {
+  const rows = [];
+
+  portfolio.transactions
+    .filter(t => t.type === 'SELL')
+    .filter(t => !year || new Date(t.date).getUTCFullYear() === year)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(sale => {
+      sale.lots.forEach(lot => {
+        const share = sale.quantity > 0 ? lot.shares / sale.quantity : 0;
+        const proceedsInEUR = sale.proceedsInEUR * share;
+        const costBasisInEUR = lot.shares * lot.costInEUR;
+        const longTerm = isLongTerm(lot.purchaseDate, sale.date);
+
+        rows.push({
+          symbol: sale.symbol,
+          quantity: lot.shares,
+          acquiredDate: toDateString(lot.purchaseDate),
+          disposedDate: toDateString(sale.date),
+          holdingPeriodDays: Math.floor((new Date(sale.date) - new Date(lot.purchaseDate)) / MS_PER_DAY),
+          proceedsInEUR,
+          costBasisInEUR,
+          gainInEUR: proceedsInEUR - costBasisInEUR,
+          term: longTerm ? 'LONG' : 'SHORT',
+        });
+      });
+    });
+
+  const sumBy = (term) => rows
+    .filter(r => !term || r.term === term)
+    .reduce((sum, r) => sum + r.gainInEUR, 0);
+
+  return {
+    rows,
+    totals: {
+      proceedsInEUR: rows.reduce((sum, r) => sum + r.proceedsInEUR, 0),
+      costBasisInEUR: rows.reduce((sum, r) => sum + r.costBasisInEUR, 0),
+      gainInEUR: sumBy(),
+      shortTermGainInEUR: sumBy('SHORT'),
+      longTermGainInEUR: sumBy('LONG'),
+    },
+  };
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'number' ? String(Math.round(value * 1e6) / 1e6) : String(value);
+  // Keep spreadsheet apps from evaluating user-entered text (e.g. notes) as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV
+ * @param {Array<object>} rows - Rows to serialize
+ * @param {Array<{key: string, header: string}>} columns - Column order and headers
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const header = columns.map(c => escapeCsvValue(c.header)).join(',');
+  const lines = rows.map(row => columns.map(c => escapeCsvValue(row[c.key])).join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+}
+
+export const HISTORY_CSV_COLUMNS = [
+  { key: 'record', header: 'Record' },
+  { key: 'id', header: 'ID' },
+  { key: 'symbol', header: 'Symbol' },
+  { key: 'date', header: 'Date' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'price', header: 'Price' },
+  { key: 'currency', header: 'Currency' },
+  { key: 'fees', header: 'Fees' },
+  { key: 'feesCurrency', header: 'Fees Currency' },
+  { key: 'amount', header: 'Cash Amount' },
+  { key: 'withholdingTax', header: 'Withholding Tax' },
+  { key: 'costInEUR', header: 'Cost (EUR)' },
+  { key: 'proceedsInEUR', header: 'Proceeds (EUR)' },
+  { key: 'realizedProfitLossInEUR', header: 'Realized P/L (EUR)' },
+  { key: 'notes', header: 'Notes' },
+];
+
+export const TAX_LOT_CSV_COLUMNS = [
+  { key: 'symbol', header: 'Symbol' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'acquiredDate', header: 'Date Acquired' },
+  { key: 'disposedDate', header: 'Date Disposed' },
+  { key: 'holdingPeriodDays', header: 'Days Held' },
+  { key: 'proceedsInEUR', header: 'Proceeds (EUR)' },
+  { key: 'costBasisInEUR', header: 'Cost Basis (EUR)' },
+  { key: 'gainInEUR', header: 'Gain/Loss (EUR)' },
+  { key: 'term', header: 'Term' },
+];
@@ -0,0 +1,394 @@
+/**
+ * Portfolio Import Service
+ * Parses broker CSV exports into buy/sell rows and applies them to a portfolio
+ */
+
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import { recordPurchase, recordSale, PortfolioValidationError } from './PortfolioService';
+import { toRateDayKey } from './exchangeRateService';
+import { isIsoCurrencyCode } from '@/app/utils/currency';
+
+// Tolerance when comparing prices and share counts for duplicate detection
+const DUPLICATE_TOLERANCE = 1e-6;
+
+/**
+ * Column mappings for supported broker exports.
+ * Each preset maps our fields to the CSV header names; `generic` is supplied by the user.
+ */
+export const BROKER_PRESETS = {
+  generic: {
+    label: 'Generic (map columns)',
+    columns: {
+      type: 'Type',
+      symbol: 'Symbol',
+      date: 'Date',
+      quantity: 'Quantity',
+      price: 'Price',
+      currency: 'Currency',
+      fees: 'Fees',
+      notes: 'Notes',
+    },
+  },
+  trading212: {
+    label: 'Trading 212',
+    columns: {
+      type: 'Action',
+      symbol: 'Ticker',
+      date: 'Time',
+      quantity: 'No. of shares',
+      price: 'Price / share',
+      currency: 'Currency (Price / share)',
+      notes: 'ID',
+    },
+    decimalSeparator: '.',
+  },
+  interactiveBrokers: {
+    label: 'Interactive Brokers (Trades)',
+    columns: {
+      symbol: 'Symbol',
+      date: 'Date/Time',
+      quantity: 'Quantity',
+      price: 'T. Price',
+      currency: 'Currency',
+      fees: 'Comm/Fee',
+    },
+    // IBKR reports sells as negative quantities and commissions as negative amounts
+    signedQuantity: true,
+    decimalSeparator: '.',
+  },
+};
+
+/**
+ * Parse raw CSV text into row objects keyed by header
+ * @param {string} text - CSV file contents
+ * @returns {Promise<Array<object>>} - Parsed rows
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([content])
+      .pipe(csv({ separator, mapHeaders: ({ header }) => header.trim() }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+// 'auto' reads the decimal separator from each value and rejects the ones that could be either
+export const DECIMAL_SEPARATORS = ['auto', '.', ','];
+
+/**
+ * Pick the decimal separator of a value for the 'auto' mode: the last of "," and "." when both appear,
+ * the other character when one repeats ("1,234,567"), else the single one present.
+ * A lone separator followed by exactly three digits ("1,234", "12.500") could be a thousands separator too.
+ * @param {string} digits - Value without sign or whitespace
+ * @returns {string} - '.' or ','
+ * @throws {Error} - If the value is ambiguous
+ */
+function detectDecimalSeparator(digits) {
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  if (lastComma === -1 && lastDot === -1) return '.';
+  if (lastComma !== -1 && lastDot !== -1) return lastComma > lastDot ? ',' : '.';
+
+  const separator = lastComma !== -1 ? ',' : '.';
+  const parts = digits.split(separator);
+  if (parts.length > 2) return separator === ',' ? '.' : ',';
+
+  const [integerPart, fractionPart] = parts;
+  if (fractionPart.length === 3 && /^[1-9]\d{0,2}$/.test(integerPart)) {
+    throw new Error('could be a decimal or a thousands separator; choose the decimal separator');
+  }
+  return separator;
+}
+
+/**
+ * Parse a number as written in broker exports ("1,234.50", "1.234,50", "1234,50", "-3")
+ * @param {string} value - Raw cell value
+ * @param {string} [decimalSeparator='auto'] - One of DECIMAL_SEPARATORS; the other character may only group thousands
+ * @returns {number|null} - Parsed number or null if empty
+ * @throws {Error} - If the value is not a number in that format or is ambiguous
+ */
+function parseNumber(value, decimalSeparator = 'auto') {
+  if (value === undefined || value === null) return null;
+  const cleaned = String(value).trim().replace(/\s/g, '');
+  if (!cleaned) return null;
+
+  const match = cleaned.match(/^([+-]?)([\d.,]+)$/);
+  if (!match) {
+    throw new Error('is not a number');
+  }
+  const [, sign, digits] = match;
+
+  const decimal = decimalSeparator === 'auto' ? detectDecimalSeparator(digits) : decimalSeparator;
+  const thousands = decimal === ',' ? '.' : ',';
+  const parts = digits.split(decimal);
+  const [integerPart, fractionPart = ''] = parts;
+  const validInteger = integerPart.includes(thousands)
+    ? new RegExp(`^\\d{1,3}(\\${thousands}\\d{3})+$`).test(integerPart)
+    : /^\d*$/.test(integerPart);
+
+  if (parts.length > 2 || !validInteger || !/^\d*$/.test(fractionPart) || !(integerPart + fractionPart)) {
+    throw new Error(`is not a number with "${decimal}" as decimal separator`);
+  }
+
+  return Number(`${sign}${integerPart.split(thousands).join('')}.${fractionPart || '0'}`);
+}
+
+// Midnight UTC of a calendar day, or null when the day does not exist (Date.UTC would roll 31/02 over into March)
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  const valid = date.getUTCFullYear() === Number(year)
+    && date.getUTCMonth() === Number(month) - 1
+    && date.getUTCDate() === Number(day);
+  return valid ? date : null;
+}
+
+/**
+ * Parse a date cell, supporting ISO dates and day/month-first formats
+ * @param {string} value - Raw cell value
+ * @param {string} dateFormat - 'YYYY-MM-DD', 'DD/MM/YYYY' or 'MM/DD/YYYY'
+ * @returns {Date|null} - Parsed date or null if invalid
+ */
+function parseDate(value, dateFormat = 'YYYY-MM-DD') {
+  if (!value) return null;
+  const trimmed = String(value).trim().replace(/,\s*/, ' ');
+
+  const slashMatch = trimmed.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+  if (slashMatch && dateFormat !== 'YYYY-MM-DD') {
+    const [, first, second, year] = slashMatch;
+    const [day, month] = dateFormat === 'MM/DD/YYYY' ? [second, first] : [first, second];
+    return utcDate(year, month, day);
+  }
+
+  const isoMatch = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    const [, year, month, day] = isoMatch;
+    return utcDate(year, month, day);
+  }
+
+  return null;
+}
+
+/**
+ * Work out whether a row is a buy or a sell, or something we don't import (deposits, dividends...)
+ * @returns {string|null} - 'BUY', 'SELL' or null to skip the row
+ */
+function parseType(rawType, quantity, signedQuantity) {
+  if (rawType) {
+    const normalized = String(rawType).trim().toLowerCase();
+    if (/\bbuy\b|\bbought\b|purchase/.test(normalized)) return 'BUY';
+    if (/\bsell\b|\bsold\b|\bsale\b/.test(normalized)) return 'SELL';
+    return null;
+  }
+  if (signedQuantity || quantity !== null) {
+    return quantity < 0 ? 'SELL' : 'BUY';
+  }
+  return 'BUY';
+}
+
+/**
+ * Normalize parsed CSV rows into import rows with per-row validation errors
+ * @param {Array<object>} rows - Rows from parseCsv
+ * @param {object} options
+ * @param {string} [options.preset='generic'] - Key of BROKER_PRESETS
+ * @param {object} [options.columns] - Column overrides, used by the generic preset
+ * @param {string} [options.dateFormat] - Date format for non-ISO dates
+ * @param {string} [options.decimalSeparator] - One of DECIMAL_SEPARATORS; defaults to the preset's, else 'auto'
+ * @returns {Array<object>} - Import rows
+ */
+export function normalizeRows(rows, { preset = 'generic', columns = {}, dateFormat, decimalSeparator } = {}) {
+  const presetConfig = BROKER_PRESETS[preset];
+  if (!presetConfig) {
+    throw new PortfolioValidationError(`Unknown import preset: ${preset}`);
+  }
+  const separator = decimalSeparator || presetConfig.decimalSeparator || 'auto';
+  if (!DECIMAL_SEPARATORS.includes(separator)) {
+    throw new PortfolioValidationError(`Unknown decimal separator: ${separator}`);
+  }
+  const mapping = { ...presetConfig.columns, ...columns };
+  const cell = (row, field) => (mapping[field] ? row[mapping[field]] : undefined);
+
+  return rows
+    .map((row, index) => {
+      if (Object.values(row).every(value => !String(value).trim())) {
+        return null; // Blank line
+      }
+
+      const errors = [];
+      // Unreadable numbers come back as undefined, with the reason in errors
+      const number = (field, label) => {
+        try {
+          return parseNumber(cell(row, field), separator);
+        } catch (error) {
+          errors.push(`${label} "${cell(row, field)}" ${error.message}`);
+          return undefined;
+        }
+      };
+
+      const rawQuantity = number('quantity', 'Quantity');
+      const type = parseType(cell(row, 'type'), rawQuantity, presetConfig.signedQuantity);
+
+      if (type === null) {
+        return null; // Not a trade (deposit, dividend, interest...)
+      }
+
+      const symbol = (cell(row, 'symbol') || '').trim().toUpperCase();
+      const date = parseDate(cell(row, 'date'), dateFormat);
+      const quantity = rawQuantity == null ? null : Math.abs(rawQuantity);
+      const price = number('price', 'Price');
+      const currency = (cell(row, 'currency') || '').trim().toUpperCase();
+      const fees = Math.abs(number('fees', 'Fees') || 0);
+
+      if (!symbol) errors.push('Missing symbol');
+      if (!date) errors.push('Invalid or missing date');
+      if (rawQuantity !== undefined && (!quantity || quantity <= 0)) errors.push('Quantity must be a positive number');
+      if (price !== undefined && (!price || price <= 0)) errors.push('Price must be a positive number');
+      if (!isIsoCurrencyCode(currency)) errors.push('Missing or invalid currency code');
+
+      return {
+        rowNumber: index + 2, // 1-based, after the header line
+        type,
+        symbol,
+        date: date ? date.toISOString() : null,
+        quantity,
+        price: price ?? null,
+        currency,
+        fees,
+        notes: (cell(row, 'notes') || '').trim(),
+        errors,
+        duplicate: false,
+      };
+    })
+    .filter(Boolean);
+}
+
+const sameDay = (a, b) => new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+const closeTo = (a, b) => Math.abs(a - b) <= DUPLICATE_TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+
+/**
+ * Flag rows that are already in the portfolio (or repeated within the file).
+ * Buys match lots by symbol, day, shares, price and currency; sells match recorded sales.
+ * Lots shrink as they are sold, so the shares recorded against a lot by past sales are added back before comparing.
+ * Fully sold lots are gone from the holdings and are matched through the lot snapshots of the sales that consumed them.
+ * @param {Array<object>} importRows - Rows from normalizeRows
+ * @param {object} portfolio - Portfolio document
+ * @returns {Array<object>} - The same rows with `duplicate` set
+ */
+export function markDuplicates(importRows, portfolio) {
+  const seen = [];
+  // Every lot as it was bought, by lot id
+  const boughtLots = new Map(portfolio.holdings.map(lot => [String(lot._id), {
+    type: 'BUY',
+    symbol: lot.symbol,
+    date: lot.purchaseDate,
+    quantity: lot.shares,
+    price: lot.costPerShare,
+    currency: lot.tradingCurrency,
+  }]));
+  portfolio.transactions
+    .filter(t => t.type === 'SELL')
+    .forEach(t => t.lots.forEach(l => {
+      const key = String(l.lotId);
+      if (!boughtLots.has(key)) {
+        boughtLots.set(key, {
+          type: 'BUY',
+          symbol: t.symbol,
+          date: l.purchaseDate,
+          quantity: 0,
+          price: l.costPerShare,
+          currency: l.tradingCurrency,
+        });
+      }
+      boughtLots.get(key).quantity += l.shares;
+    }));
+
+  return importRows.map(row => {
+    if (row.errors.length > 0) return row;
+
+    const matchesRow = other => other.type === row.type
+      && other.symbol === row.symbol
+      && sameDay(other.date, row.date)
+      && closeTo(other.quantity, row.quantity)
+      && closeTo(other.price, row.price)
+      && other.currency === row.currency;
+
+    const inPortfolio = row.type === 'BUY'
+      ? [...boughtLots.values()].some(matchesRow)
+      : portfolio.transactions.some(t => t.type === 'SELL' && matchesRow({
+        type: 'SELL',
+        symbol: t.symbol,
+        date: t.date,
+        quantity: t.quantity,
+        price: t.price,
+        currency: t.currency,
+      }));
+
+    const duplicate = inPortfolio || seen.some(matchesRow);
+    seen.push(row);
+    return { ...row, duplicate };
+  });
+}
+
+/**
+ * Apply import rows to a portfolio in date order, so sells can consume lots bought earlier in the file.
+ * Uses the same EUR conversion and lot matching as the manual buy/sell routes.
+ * Mutates the portfolio document; the caller decides whether to save it (commit) or discard it (preview).
+ * @param {object} portfolio - Portfolio document
+ * @param {Array<object>} importRows - Rows from markDuplicates
+ * @param {Map<string, object>} ratesByDay - Rates against USD per trade day, from getExchangeRatesForDates()
+ * @param {object} [options]
+ * @param {boolean} [options.skipDuplicates=true] - Leave rows flagged as duplicates out
+ * @returns {Array<object>} - Rows with `status` ('ok', 'duplicate' or 'error') and any apply errors
+ */
+export function applyImportRows(portfolio, importRows, ratesByDay, { skipDuplicates = true } = {}) {
+  const ordered = [...importRows].sort((a, b) => {
+    if (!a.date || !b.date) return 0;
+    return new Date(a.date) - new Date(b.date) || a.rowNumber - b.rowNumber;
+  });
+
+  const results = ordered.map(row => {
+    if (row.errors.length > 0) {
+      return { ...row, status: 'error' };
+    }
+    if (row.duplicate && skipDuplicates) {
+      return { ...row, status: 'duplicate' };
+    }
+
+    try {
+      const exchangeRates = ratesByDay.get(toRateDayKey(row.date));
+      if (row.type === 'BUY') {
+        recordPurchase(portfolio, {
+          symbol: row.symbol,
+          shares: row.quantity,
+          costPerShare: row.price,
+          purchaseDate: row.date,
+          currency: row.currency,
+          fees: row.fees,
+          notes: row.notes,
+        }, exchangeRates);
+      } else {
+        recordSale(portfolio, {
+          symbol: row.symbol,
+          quantity: row.quantity,
+          price: row.price,
+          currency: row.currency,
+          fees: row.fees,
+          date: row.date,
+          notes: row.notes,
+        }, exchangeRates);
+      }
+      return { ...row, status: 'ok' };
+    } catch (error) {
+      if (!(error instanceof PortfolioValidationError)) throw error;
+      return { ...row, status: 'error', errors: [...row.errors, error.message] };
+    }
+  });
+
+  return results.sort((a, b) => a.rowNumber - b.rowNumber);
+}
@@ -0,0 +1,274 @@
+/**
+ * Portfolio Snapshot Service
+ * Stores the daily value of each portfolio's holdings and serves it as an equity curve
+ */
+
+import connectDB from '@/app/utils/db';
+import PortfolioSnapshot from '@/app/models/PortfolioSnapshot';
+import { fetchStockPrices, getExchangeRates, convertCurrency, convertToEUR } from '@/app/utils/portfolioUtils';
+import { SHARE_EPSILON } from '@/app/utils/costBasis';
+import { fetchHistoricalDataWithFallback } from './historicalDataService';
+import { getExchangeRatesForDates, toRateDay, toRateDayKey } from './exchangeRateService';
+import { getSharesHeldOn } from './PortfolioService';
+import { getQuoteCurrencies, closeOnOrBefore } from './performanceService';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Lot pieces ever held: open lots, plus the parts of lots consumed by sales (with the sale date)
+ * @param {object} portfolio - Portfolio document or combined view
+ * @returns {Array<{symbol: string, shares: number, costInEUR: number, purchaseDate: Date, soldAt: Date|null}>}
+ */
+function collectLotPieces(portfolio) {
+  return [
+    ...portfolio.holdings.map(lot => ({
+      symbol: lot.symbol,
+      shares: lot.shares,
+      costInEUR: lot.costInEUR,
+      purchaseDate: new Date(lot.purchaseDate),
+      soldAt: null,
+    })),
+    ...portfolio.transactions
+      .filter(t => t.type === 'SELL')
+      .flatMap(sale => sale.lots.map(lot => ({
+        symbol: sale.symbol,
+        shares: lot.shares,
+        costInEUR: lot.costInEUR,
+        purchaseDate: new Date(lot.purchaseDate),
+        soldAt: new Date(sale.date),
+      }))),
+  ];
+}
+
+/**
+ * Cost basis of the holdings at the close of a day
+ * @param {Array<object>} pieces - From collectLotPieces()
+ * @param {Date} day - Day (UTC midnight)
+ * @param {function} [fromEUR] - EUR -> reporting currency converter; EUR when omitted
+ * @returns {number}
+ */
+function costBasisOn(pieces, day, fromEUR = (amountInEUR) => amountInEUR) {
+  const endOfDay = new Date(day.getTime() + MS_PER_DAY);
+  return pieces
+    .filter(piece => piece.purchaseDate < endOfDay && (!piece.soldAt || piece.soldAt >= endOfDay))
+    .reduce((sum, piece) => sum + fromEUR(piece.shares * piece.costInEUR, piece.purchaseDate), 0);
+}
+
+/**
+ * Latest price stored in a portfolio's snapshots for each of the symbols
+ * @param {ObjectId} portfolioId - Portfolio ID
+ * @param {Array<string>} symbols - Symbols to look up
+ * @returns {Promise<object>} - Symbol -> { price, currency }; symbols never stored with a price are left out
+ */
+async function findLastStoredPrices(portfolioId, symbols) {
+  const latest = await PortfolioSnapshot.aggregate([
+    { $match: { portfolioId, 'holdings.symbol': { $in: symbols } } },
+    { $sort: { date: -1 } },
+    { $unwind: '$holdings' },
+    { $match: { 'holdings.symbol': { $in: symbols }, 'holdings.price': { $gt: 0 } } },
+    { $group: { _id: '$holdings.symbol', price: { $first: '$holdings.price' }, currency: { $first: '$holdings.currency' } } },
+  ]);
+  return Object.fromEntries(latest.map(({ _id, price, currency }) => [_id, { price, currency }]));
+}
+
+/**
+ * Store today's snapshot of a portfolio from live prices, replacing an earlier one from the same day.
+ * A holding without a live quote is valued at its last stored price; when it has none either,
+ * no snapshot is stored rather than one that leaves the holding out.
+ * @param {object} portfolio - Portfolio document
+ * @param {object} [options]
+ * @param {object} [options.prices] - Prices from fetchStockPrices(), fetched when omitted
+ * @param {object} [options.exchangeRates] - Current rates against USD, fetched when omitted
+ * @returns {Promise<object|null>} - The stored snapshot, or null when a holding could not be valued
+ */
+export async function takeSnapshot(portfolio, { prices, exchangeRates } = {}) {
+  await connectDB();
+
+  const symbols = [...new Set(portfolio.holdings.map(lot => lot.symbol))];
+  const [livePrices, rates] = await Promise.all([
+    prices || (symbols.length > 0 ? fetchStockPrices(symbols) : {}),
+    exchangeRates || getExchangeRates(),
+  ]);
+
+  const hasLivePrice = symbol => livePrices[symbol]?.price > 0;
+  const unpriced = symbols.filter(symbol => !hasLivePrice(symbol));
+  const storedPrices = unpriced.length > 0 ? await findLastStoredPrices(portfolio._id, unpriced) : {};
+
+  const holdings = symbols.map(symbol => {
+    const shares = portfolio.holdings.filter(lot => lot.symbol === symbol).reduce((sum, lot) => sum + lot.shares, 0);
+    const { price, currency = 'USD' } = (hasLivePrice(symbol) ? livePrices[symbol] : storedPrices[symbol]) || {};
+    return { symbol, shares, price, currency, valueInEUR: price > 0 ? convertToEUR(shares * price, currency, rates) : null };
+  });
+
+  const unvalued = holdings.filter(h => h.valueInEUR === null).map(h => h.symbol);
+  if (unvalued.length > 0) {
+    console.warn(`[Snapshots] No price for ${unvalued.join(', ')}; skipping today's snapshot of portfolio ${portfolio._id}.`);
+    return null;
+  }
+
+  const cashInEUR = (portfolio.cashBalances || [])
+    .reduce((sum, { currency, amount }) => sum + (convertToEUR(amount, currency, rates) ?? 0), 0);
+
+  const day = toRateDay(new Date());
+  return PortfolioSnapshot.findOneAndUpdate(
+    { portfolioId: portfolio._id, date: day },
+    {
+      userId: portfolio.userId,
+      portfolioId: portfolio._id,
+      date: day,
+      valueInEUR: holdings.reduce((sum, h) => sum + h.valueInEUR, 0),
+      costBasisInEUR: portfolio.holdings.reduce((sum, lot) => sum + lot.shares * lot.costInEUR, 0),
+      cashInEUR: portfolio.trackCash ? cashInEUR : undefined,
+      holdings,
+      source: 'LIVE',
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Fill in past snapshots of a portfolio from daily closes, for every weekday since its first purchase
+ * within the window. Days that already have a snapshot are left alone, and so are days
+ * a held symbol has no close for.
+ * @param {object} portfolio - Portfolio document
+ * @param {object} [options]
+ * @param {number} [options.days=365] - How far back to go; the close history covers about a year
+ * @returns {Promise<{created: number, days: number}>}
+ */
+export async function backfillSnapshots(portfolio, { days = 365 } = {}) {
+  await connectDB();
+
+  const pieces = collectLotPieces(portfolio);
+  if (pieces.length === 0) {
+    return { created: 0, days: 0 };
+  }
+
+  const today = toRateDay(new Date());
+  const firstPurchase = toRateDay(new Date(Math.min(...pieces.map(piece => piece.purchaseDate.getTime()))));
+  const windowStart = new Date(today.getTime() - days * MS_PER_DAY);
+  const start = firstPurchase > windowStart ? firstPurchase : windowStart;
+
+  const backfillDays = [];
+  for (let day = start; day < today; day = new Date(day.getTime() + MS_PER_DAY)) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) {
+      backfillDays.push(day);
+    }
+  }
+  if (backfillDays.length === 0) {
+    return { created: 0, days: 0 };
+  }
+
+  const existing = await PortfolioSnapshot.find({ portfolioId: portfolio._id, date: { $gte: start, $lt: today } }, { date: 1 });
+  const existingKeys = new Set(existing.map(snapshot => toRateDayKey(snapshot.date)));
+  const missingDays = backfillDays.filter(day => !existingKeys.has(toRateDayKey(day)));
+  if (missingDays.length === 0) {
+    return { created: 0, days: 0 };
+  }
+
+  const currencyBySymbol = getQuoteCurrencies(portfolio);
+  const symbols = Object.keys(currencyBySymbol);
+  const [histories, ratesByDay] = await Promise.all([
+    Promise.all(symbols.map(symbol => fetchHistoricalDataWithFallback(symbol))),
+    getExchangeRatesForDates(missingDays),
+  ]);
+  const closesBySymbol = Object.fromEntries(symbols.map((symbol, i) => [
+    symbol,
+    [...(histories[i]?.data || [])].filter(bar => typeof bar.c === 'number').sort((a, b) => a.t - b.t),
+  ]));
+
+  const operations = missingDays.map(day => {
+    const endOfDay = day.getTime() + MS_PER_DAY;
+    const rates = ratesByDay.get(toRateDayKey(day));
+    const holdings = symbols
+      .map(symbol => {
+        const shares = getSharesHeldOn(portfolio, symbol, new Date(endOfDay));
+        if (shares <= SHARE_EPSILON) return null;
+        const price = closeOnOrBefore(closesBySymbol[symbol], endOfDay);
+        const currency = currencyBySymbol[symbol];
+        return { symbol, shares, price, currency, valueInEUR: price > 0 ? convertToEUR(shares * price, currency, rates) : null };
+      })
+      .filter(Boolean);
+    if (holdings.some(h => h.valueInEUR === null)) {
+      return null;
+    }
+
+    return {
+      updateOne: {
+        filter: { portfolioId: portfolio._id, date: day },
+        update: {
+          $setOnInsert: {
+            userId: portfolio.userId,
+            portfolioId: portfolio._id,
+            date: day,
+            valueInEUR: holdings.reduce((sum, h) => sum + h.valueInEUR, 0),
+            costBasisInEUR: costBasisOn(pieces, day),
+            holdings,
+            source: 'BACKFILL',
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  const valued = operations.filter(Boolean);
+  if (valued.length < operations.length) {
+    console.warn(`[Snapshots] Skipped ${operations.length - valued.length} day(s) of portfolio ${portfolio._id} without a close for every holding.`);
+  }
+  if (valued.length === 0) {
+    return { created: 0, days: missingDays.length };
+  }
+
+  const result = await PortfolioSnapshot.bulkWrite(valued, { ordered: false });
+  return { created: result.upsertedCount, days: missingDays.length };
+}
+
+/**
+ * Equity curve of a portfolio (or the combined view) with its cost basis, in the reporting currency.
+ * Values are converted at each day's exchange rate; the cost basis is rebuilt from the lots, each at its purchase date's rate.
+ * @param {object} portfolio - Portfolio document or combined view
+ * @param {object} options
+ * @param {string} options.currency - Reporting currency
+ * @param {function} options.fromEUR - EUR -> reporting currency converter, see createPortfolioCurrencyConverter()
+ * @param {Date} [options.from] - First day; all snapshots when omitted
+ * @returns {Promise<Array<{date: string, value: number, costBasis: number, cash: number|null}>>} - Oldest first
+ */
+export async function getSnapshotSeries(portfolio, { currency, fromEUR, from }) {
+  await connectDB();
+
+  const portfolioIds = portfolio.portfolioIds || [portfolio._id];
+  const query = { portfolioId: { $in: portfolioIds } };
+  if (from) {
+    query.date = { $gte: toRateDay(from) };
+  }
+  const snapshots = await PortfolioSnapshot.find(query, { holdings: 0 }).sort({ date: 1 }).lean();
+
+  // The combined view adds up the snapshots of every portfolio on each day
+  const byDay = new Map();
+  snapshots.forEach(snapshot => {
+    const key = toRateDayKey(snapshot.date);
+    const entry = byDay.get(key) || { valueInEUR: 0, cashInEUR: null };
+    entry.valueInEUR += snapshot.valueInEUR;
+    if (typeof snapshot.cashInEUR === 'number') {
+      entry.cashInEUR = (entry.cashInEUR || 0) + snapshot.cashInEUR;
+    }
+    byDay.set(key, entry);
+  });
+
+  const dayKeys = [...byDay.keys()];
+  const ratesByDay = currency === 'EUR' ? new Map() : await getExchangeRatesForDates(dayKeys);
+  const toCurrency = (amountInEUR, key) => (currency === 'EUR'
+    ? amountInEUR
+    : convertCurrency(amountInEUR, 'EUR', currency, ratesByDay.get(key)) ?? amountInEUR);
+  const pieces = collectLotPieces(portfolio);
+
+  return dayKeys.map(key => {
+    const { valueInEUR, cashInEUR } = byDay.get(key);
+    return {
+      date: key,
+      value: toCurrency(valueInEUR, key),
+      costBasis: costBasisOn(pieces, new Date(key), fromEUR),
+      cash: cashInEUR === null ? null : toCurrency(cashInEUR, key),
+    };
+  });
+}
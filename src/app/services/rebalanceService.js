@@ -0,0 +1,269 @@
+/**
+ * Rebalance Service
+ * Target weights per symbol, sector or asset class, the drift of the current holdings from them,
+ * and the buy/sell orders that bring the holdings back to target.
+ */
+
+import { PortfolioValidationError } from './PortfolioService';
+
+export const ALLOCATION_GROUPINGS = ['SYMBOL', 'SECTOR', 'ASSET_CLASS'];
+// Dimensions the current allocation can be broken down by
+export const BREAKDOWN_DIMENSIONS = ['SYMBOL', 'SECTOR', 'INDUSTRY', 'COUNTRY', 'ASSET_CLASS'];
+
+// Weights may be off by rounding when entered as percentages with decimals
+const WEIGHT_TOLERANCE = 0.01;
+const MAX_TOP_UP_ORDERS = 10000;
+
+const groupKey = (position, groupBy) => {
+  if (groupBy === 'SECTOR') return position.sector || 'Unknown';
+  if (groupBy === 'INDUSTRY') return position.industry || 'Unknown';
+  if (groupBy === 'COUNTRY') return position.country || 'Unknown';
+  if (groupBy === 'ASSET_CLASS') return position.assetClass || 'Unknown';
+  return position.symbol;
+};
+
+/**
+ * Validate a target allocation and normalize it. An empty list of targets clears the allocation.
+ * @param {object} input - { groupBy, targets: [{ key, weight }] } with weights in percent
+ * @returns {{groupBy: string, targets: Array<{key: string, weight: number}>}}
+ * @throws {PortfolioValidationError} - If the grouping is unknown, a target is invalid or the weights do not add up to 100
+ */
+export function normalizeTargetAllocation({ groupBy = 'SYMBOL', targets = [] } = {}) {
+  if (!ALLOCATION_GROUPINGS.includes(groupBy)) {
+    throw new PortfolioValidationError(`groupBy must be one of ${ALLOCATION_GROUPINGS.join(', ')}`);
+  }
+  if (!Array.isArray(targets)) {
+    throw new PortfolioValidationError('Targets must be a list of { key, weight }.');
+  }
+
+  const normalized = targets.map(({ key, weight }) => {
+    const trimmed = typeof key === 'string' ? key.trim() : '';
+    if (!trimmed) {
+      throw new PortfolioValidationError('Every target needs a symbol, sector or asset class.');
+    }
+    if (typeof weight !== 'number' || !(weight >= 0) || weight > 100) {
+      throw new PortfolioValidationError(`Weight of ${trimmed} must be between 0 and 100.`);
+    }
+    return { key: groupBy === 'SYMBOL' ? trimmed.toUpperCase() : trimmed, weight };
+  });
+
+  const keys = normalized.map(t => t.key.toLowerCase());
+  if (new Set(keys).size !== keys.length) {
+    throw new PortfolioValidationError('Each symbol, sector or asset class can only have one target.');
+  }
+  const totalWeight = normalized.reduce((sum, t) => sum + t.weight, 0);
+  if (normalized.length > 0 && Math.abs(totalWeight - 100) > WEIGHT_TOLERANCE) {
+    throw new PortfolioValidationError(`Target weights must add up to 100% (they add up to ${totalWeight.toFixed(2)}%).`);
+  }
+
+  return { groupBy, targets: normalized };
+}
+
+/**
+ * Current weight of each symbol or group next to its target
+ * @param {Array<{symbol: string, value: number, sector?: string, assetClass?: string}>} positions - Values in the reporting currency
+ * @param {{groupBy: string, targets: Array<{key: string, weight: number}>}} allocation
+ * @returns {{groupBy: string, totalValue: number, rows: Array<{key: string, currentValue: number, currentWeight: number, targetWeight: number|null, targetValue: number|null, drift: number|null, driftValue: number|null}>}} - Weights in percent; drift is current minus target
+ */
+export function calculateAllocationDrift(positions, { groupBy = 'SYMBOL', targets = [] } = {}) {
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0);
+  const hasTargets = targets.length > 0;
+
+  const currentByKey = new Map();
+  positions.forEach(position => {
+    const key = groupKey(position, groupBy);
+    currentByKey.set(key, (currentByKey.get(key) || 0) + position.value);
+  });
+  targets.forEach(({ key }) => {
+    if (!currentByKey.has(key)) currentByKey.set(key, 0);
+  });
+
+  const rows = [...currentByKey.entries()].map(([key, currentValue]) => {
+    const currentWeight = totalValue > 0 ? (currentValue / totalValue) * 100 : 0;
+    const target = targets.find(t => t.key === key);
+    const targetWeight = hasTargets ? (target?.weight ?? 0) : null;
+    const targetValue = targetWeight === null ? null : (targetWeight / 100) * totalValue;
+    return {
+      key,
+      currentValue,
+      currentWeight,
+      targetWeight,
+      targetValue,
+      drift: targetWeight === null ? null : currentWeight - targetWeight,
+      driftValue: targetValue === null ? null : currentValue - targetValue,
+    };
+  });
+
+  rows.sort((a, b) => Math.abs(b.drift ?? b.currentWeight) - Math.abs(a.drift ?? a.currentWeight));
+  return { groupBy, totalValue, rows };
+}
+
+/**
+ * Weight of the holdings by symbol, sector, industry, country and asset class
+ * @param {Array<{symbol: string, value: number, sector?: string, industry?: string, country?: string, assetClass?: string}>} positions - Values in the reporting currency
+ * @returns {{totalValue: number, breakdown: Object<string, Array<{key: string, value: number, weight: number, symbols: Array<string>}>>}} - Weights in percent, largest first, keyed by dimension
+ */
+export function calculateAllocationBreakdown(positions) {
+  const held = positions.filter(p => p.value > 0);
+  const totalValue = held.reduce((sum, p) => sum + p.value, 0);
+
+  const breakdown = Object.fromEntries(BREAKDOWN_DIMENSIONS.map(dimension => {
+    const groups = new Map();
+    held.forEach(position => {
+      const key = groupKey(position, dimension);
+      const group = groups.get(key) || { key, value: 0, weight: 0, symbols: [] };
+      group.value += position.value;
+      group.symbols.push(position.symbol);
+      groups.set(key, group);
+    });
+    const rows = [...groups.values()]
+      .map(group => ({ ...group, weight: totalValue > 0 ? (group.value / totalValue) * 100 : 0 }))
+      .sort((a, b) => b.value - a.value);
+    return [dimension, rows];
+  }));
+
+  return { totalValue, breakdown };
+}
+
+/**
+ * Target value of each position once the available cash is invested.
+ * Group targets are shared among the group's holdings in proportion to their current value (equally when none has value yet).
+ * @returns {{targetValues: Map<string, number>, unplaced: Array<string>}} - Groups with a target but nothing to buy in them are unplaced
+ */
+function targetValuesBySymbol(positions, { groupBy, targets }, investable) {
+  const targetValues = new Map(positions.map(p => [p.symbol, 0]));
+  const unplaced = [];
+
+  targets.forEach(({ key, weight }) => {
+    const members = positions.filter(p => groupKey(p, groupBy) === key);
+    if (members.length === 0) {
+      if (weight > 0) unplaced.push(key);
+      return;
+    }
+    const groupValue = members.reduce((sum, p) => sum + p.value, 0);
+    const groupTarget = (weight / 100) * investable;
+    members.forEach(p => {
+      const share = groupValue > 0 ? p.value / groupValue : 1 / members.length;
+      targetValues.set(p.symbol, targetValues.get(p.symbol) + groupTarget * share);
+    });
+  });
+
+  return { targetValues, unplaced };
+}
+
+/**
+ * Plan the orders that bring the holdings back to their target allocation.
+ * Sales are planned first; their proceeds and the available cash then fund the purchases, scaled down proportionally
+ * when they do not stretch far enough. With whole shares, leftover cash tops up the most underweight holdings one share at a time.
+ * @param {Array<{symbol: string, shares: number, price: number, value: number, sector?: string, assetClass?: string}>} positions - Prices and values in the reporting currency; include target symbols not held yet with 0 shares
+ * @param {{groupBy: string, targets: Array<{key: string, weight: number}>}} allocation
+ * @param {object} [options]
+ * @param {number} [options.cash=0] - Cash available to invest, in the reporting currency
+ * @param {number} [options.minTradeSize=0] - Orders smaller than this amount are left out
+ * @param {boolean} [options.wholeShares=true] - Round orders down to whole shares
+ * @param {boolean} [options.allowSells=true] - When false, only the cash is invested
+ * @returns {object} - { totalValue, cash, cashAfter, orders: [{ symbol, side, shares, price, amount }], positions: [{ symbol, currentValue, targetValue, valueAfter, weightAfter }], unplaced, skipped }
+ * @throws {PortfolioValidationError} - If there is no allocation or an option is invalid
+ */
+export function planRebalance(positions, allocation, { cash = 0, minTradeSize = 0, wholeShares = true, allowSells = true } = {}) {
+  if (!allocation?.targets?.length) {
+    throw new PortfolioValidationError('Set a target allocation before planning a rebalance.');
+  }
+  if (typeof cash !== 'number' || !(cash >= 0)) {
+    throw new PortfolioValidationError('Cash must be zero or a positive amount.');
+  }
+  if (typeof minTradeSize !== 'number' || !(minTradeSize >= 0)) {
+    throw new PortfolioValidationError('Minimum trade size must be zero or a positive amount.');
+  }
+
+  const holdingsValue = positions.reduce((sum, p) => sum + p.value, 0);
+  const { targetValues, unplaced } = targetValuesBySymbol(positions, allocation, holdingsValue + cash);
+  const roundShares = (shares) => (wholeShares ? Math.floor(shares + 1e-9) : shares);
+  const skipped = [];
+  const priced = positions.filter(p => {
+    if (p.price > 0) return true;
+    if (Math.abs(targetValues.get(p.symbol) - p.value) > 0) {
+      skipped.push({ symbol: p.symbol, reason: 'No current price' });
+    }
+    return false;
+  });
+
+  // Sales: everything above target, never more than is held
+  const sells = allowSells
+    ? priced
+      .filter(p => p.value > targetValues.get(p.symbol))
+      .map(p => {
+        const shares = Math.min(p.shares, roundShares((p.value - targetValues.get(p.symbol)) / p.price));
+        return { symbol: p.symbol, side: 'SELL', shares, price: p.price, amount: shares * p.price };
+      })
+      .filter(order => order.shares > 0 && order.amount >= minTradeSize)
+    : [];
+  const budget = cash + sells.reduce((sum, order) => sum + order.amount, 0);
+
+  // Purchases: everything below target, scaled to the budget
+  const shortfalls = priced
+    .map(p => ({ position: p, shortfall: targetValues.get(p.symbol) - p.value }))
+    .filter(({ shortfall }) => shortfall > 0);
+  const totalShortfall = shortfalls.reduce((sum, { shortfall }) => sum + shortfall, 0);
+  const scale = totalShortfall > budget ? budget / totalShortfall : 1;
+
+  const buysBySymbol = new Map();
+  shortfalls.forEach(({ position, shortfall }) => {
+    const shares = roundShares((shortfall * scale) / position.price);
+    if (shares > 0 && shares * position.price >= minTradeSize) {
+      buysBySymbol.set(position.symbol, shares);
+    }
+  });
+
+  let spent = [...buysBySymbol.entries()]
+    .reduce((sum, [symbol, shares]) => sum + shares * priced.find(p => p.symbol === symbol).price, 0);
+
+  if (wholeShares) {
+    // Spend what rounding left over on the holding furthest below target that one more share still fits
+    for (let i = 0; i < MAX_TOP_UP_ORDERS; i++) {
+      const candidates = shortfalls
+        .map(({ position, shortfall }) => {
+          const bought = (buysBySymbol.get(position.symbol) || 0) * position.price;
+          return { position, remaining: shortfall - bought, bought };
+        })
+        .filter(({ position, remaining, bought }) => remaining >= position.price / 2
+          && position.price <= budget - spent + 1e-9
+          && bought + position.price >= minTradeSize)
+        .sort((a, b) => b.remaining / b.position.price - a.remaining / a.position.price);
+      if (candidates.length === 0) break;
+      const { position } = candidates[0];
+      buysBySymbol.set(position.symbol, (buysBySymbol.get(position.symbol) || 0) + 1);
+      spent += position.price;
+    }
+  }
+
+  const buys = [...buysBySymbol.entries()].map(([symbol, shares]) => {
+    const { price } = priced.find(p => p.symbol === symbol);
+    return { symbol, side: 'BUY', shares, price, amount: shares * price };
+  });
+  const orders = [...sells, ...buys].sort((a, b) => b.amount - a.amount);
+
+  const totalAfter = holdingsValue + cash;
+  const cashAfter = budget - spent;
+  return {
+    totalValue: holdingsValue,
+    cash,
+    cashAfter,
+    orders,
+    positions: positions.map(p => {
+      const change = orders
+        .filter(order => order.symbol === p.symbol)
+        .reduce((sum, order) => sum + (order.side === 'BUY' ? order.amount : -order.amount), 0);
+      const valueAfter = p.value + change;
+      return {
+        symbol: p.symbol,
+        currentValue: p.value,
+        targetValue: targetValues.get(p.symbol),
+        valueAfter,
+        weightAfter: totalAfter > 0 ? (valueAfter / totalAfter) * 100 : 0,
+      };
+    }),
+    unplaced,
+    skipped,
+  };
+}
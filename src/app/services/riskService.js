@@ -0,0 +1,189 @@
+/**
+ * Risk Service
+ * Deterministic risk metrics of the current holdings from historical daily closes: volatility, Sharpe and Sortino ratios,
+ * maximum drawdown, historical VaR/CVaR, beta against a benchmark and the correlation between holdings.
+ * The portfolio is measured as if today's weights had been held over the whole lookback window.
+ */
+
+import { fetchDailyCloses } from './historicalDataService';
+import { getExchangeRatesForDates, toRateDay, toRateDayKey } from './exchangeRateService';
+import { closeOnOrBefore } from './performanceService';
+import { calculateRelativeStats } from './benchmarkService';
+import { convertCurrency } from '@/app/utils/portfolioUtils';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+
+export const DEFAULT_RISK_LOOKBACK_DAYS = 365;
+export const MAX_RISK_LOOKBACK_DAYS = 3 * 365;
+export const RISK_CONFIDENCE_LEVEL = 0.95;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const sampleStdDev = (values) => {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Risk metrics of one daily return series
+ * @param {Array<number>} returns - Daily returns, oldest first, without gaps
+ * @param {number} riskFreeRate - Annual risk-free rate as a fraction
+ * @returns {{volatility: number|null, sharpe: number|null, sortino: number|null, maxDrawdown: number|null, var: number|null, cvar: number|null}}
+ */
+export function calculateReturnRisk(returns, riskFreeRate = 0) {
+  if (returns.length < 2) {
+    return { volatility: null, sharpe: null, sortino: null, maxDrawdown: null, var: null, cvar: null };
+  }
+
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS_PER_YEAR;
+  const annualizedReturn = mean(returns) * TRADING_DAYS_PER_YEAR;
+  const volatility = sampleStdDev(returns) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const downsideDeviation = Math.sqrt(mean(returns.map(r => Math.min(r - dailyRiskFree, 0) ** 2)) * TRADING_DAYS_PER_YEAR);
+
+  // Deepest fall from a running peak of the cumulative growth
+  let growth = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  returns.forEach(r => {
+    growth *= 1 + r;
+    peak = Math.max(peak, growth);
+    maxDrawdown = Math.max(maxDrawdown, 1 - growth / peak);
+  });
+
+  // Historical VaR/CVaR: the loss not exceeded on the confidence level's share of days, and the average loss beyond it
+  const sorted = [...returns].sort((a, b) => a - b);
+  const tailCount = Math.max(1, Math.floor(sorted.length * (1 - RISK_CONFIDENCE_LEVEL)));
+  const tail = sorted.slice(0, tailCount);
+
+  return {
+    volatility,
+    sharpe: volatility > 0 ? (annualizedReturn - riskFreeRate) / volatility : null,
+    sortino: downsideDeviation > 0 ? (annualizedReturn - riskFreeRate) / downsideDeviation : null,
+    maxDrawdown,
+    var: Math.max(0, -tail[tail.length - 1]),
+    cvar: Math.max(0, -mean(tail)),
+  };
+}
+
+/**
+ * Daily returns of each instrument in the reporting currency, on the days any of them traded
+ * @param {Array<{symbol: string, currency: string}>} instruments - Symbols with their quote currency
+ * @param {string} currency - Reporting currency
+ * @param {Date} from - First day of the window
+ * @param {Date} to - Last day of the window
+ * @returns {Promise<Array<Array<number|null>>>} - Returns per instrument, one per trading day after the first
+ */
+async function fetchDailyReturns(instruments, currency, from, to) {
+  const closes = await Promise.all(instruments.map(({ symbol }) => fetchDailyCloses(symbol, from, to)));
+
+  const dayKeys = [...new Set(closes.flat().map(bar => toRateDayKey(new Date(bar.t))))]
+    .filter(dayKey => dayKey >= toRateDayKey(from))
+    .sort();
+  const ratesByDay = currency === 'USD' && instruments.every(i => i.currency === 'USD')
+    ? new Map()
+    : await getExchangeRatesForDates(dayKeys);
+
+  const prices = instruments.map(({ currency: quoteCurrency }, i) => dayKeys.map(dayKey => {
+    const close = closeOnOrBefore(closes[i], new Date(dayKey).getTime() + MS_PER_DAY);
+    if (close === null) return null;
+    return quoteCurrency === currency ? close : convertCurrency(close, quoteCurrency, currency, ratesByDay.get(dayKey));
+  }));
+
+  return prices.map(series => series.slice(1).map((price, d) => {
+    const previous = series[d];
+    return previous && price !== null && price !== undefined ? price / previous - 1 : null;
+  }));
+}
+
+/**
+ * Risk metrics of the current holdings and of each holding over a lookback window
+ * @param {Array<{symbol: string, currency: string, value: number}>} positions - Current holdings with their quote currency and value in the reporting currency
+ * @param {object} options
+ * @param {string} options.currency - Reporting currency
+ * @param {object} [options.benchmark] - From parseBenchmark(); beta is left out without one
+ * @param {number} [options.days=DEFAULT_RISK_LOOKBACK_DAYS] - Lookback window in calendar days
+ * @param {number} [options.riskFreeRate=0] - Annual risk-free rate as a fraction
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<object>} - { currency, benchmark, confidenceLevel, riskFreeRate, startDate, endDate, observations, portfolio, holdings, correlation: { symbols, matrix } }
+ */
+export async function calculateRiskMetrics(positions, { currency, benchmark, days = DEFAULT_RISK_LOOKBACK_DAYS, riskFreeRate = 0, now = new Date() }) {
+  const held = positions.filter(p => p.value > 0);
+  const totalValue = held.reduce((sum, p) => sum + p.value, 0);
+  const today = toRateDay(now);
+  const from = new Date(today.getTime() - days * MS_PER_DAY);
+
+  const result = {
+    currency,
+    benchmark: benchmark?.spec || null,
+    confidenceLevel: RISK_CONFIDENCE_LEVEL,
+    riskFreeRate,
+    startDate: toRateDayKey(from),
+    endDate: toRateDayKey(today),
+    observations: 0,
+    portfolio: null,
+    holdings: [],
+    correlation: { symbols: [], matrix: [] },
+  };
+  if (held.length === 0) {
+    return result;
+  }
+
+  const benchmarkComponents = benchmark?.components || [];
+  const instruments = [
+    ...held.map(({ symbol, currency: quoteCurrency }) => ({ symbol, currency: quoteCurrency })),
+    ...benchmarkComponents.map(({ symbol, currency: quoteCurrency }) => ({ symbol, currency: quoteCurrency })),
+  ];
+  const returns = await fetchDailyReturns(instruments, currency, from, today);
+  const holdingReturns = returns.slice(0, held.length);
+  const componentReturns = returns.slice(held.length);
+  const dayCount = returns[0].length;
+
+  // Today's weights, renormalized over the holdings that have a price on each day
+  const weights = held.map(p => p.value / totalValue);
+  const portfolioReturns = Array.from({ length: dayCount }, (_, d) => {
+    let weighted = 0;
+    let weightWithData = 0;
+    holdingReturns.forEach((series, i) => {
+      if (series[d] !== null) {
+        weighted += weights[i] * series[d];
+        weightWithData += weights[i];
+      }
+    });
+    return weightWithData > 0 ? weighted / weightWithData : null;
+  });
+
+  const benchmarkReturns = benchmarkComponents.length > 0
+    ? Array.from({ length: dayCount }, (_, d) => benchmarkComponents.reduce((sum, component, c) => (
+      sum === null || componentReturns[c][d] === null ? null : sum + component.weight * componentReturns[c][d]
+    ), 0))
+    : null;
+  const betaAgainstBenchmark = (series) => (benchmarkReturns ? calculateRelativeStats(series, benchmarkReturns).beta : null);
+
+  const observed = portfolioReturns.filter(r => r !== null);
+  const portfolioRisk = calculateReturnRisk(observed, riskFreeRate);
+
+  return {
+    ...result,
+    observations: observed.length,
+    portfolio: {
+      value: totalValue,
+      ...portfolioRisk,
+      varAmount: portfolioRisk.var === null ? null : portfolioRisk.var * totalValue,
+      cvarAmount: portfolioRisk.cvar === null ? null : portfolioRisk.cvar * totalValue,
+      beta: betaAgainstBenchmark(portfolioReturns),
+    },
+    holdings: held.map((position, i) => ({
+      symbol: position.symbol,
+      weight: weights[i],
+      observations: holdingReturns[i].filter(r => r !== null).length,
+      ...calculateReturnRisk(holdingReturns[i].filter(r => r !== null), riskFreeRate),
+      beta: betaAgainstBenchmark(holdingReturns[i]),
+    })),
+    correlation: {
+      symbols: held.map(p => p.symbol),
+      matrix: holdingReturns.map((a, i) => holdingReturns.map((b, j) => (i === j ? 1 : calculateRelativeStats(a, b).correlation))),
+    },
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Session Service
+ * Short-lived JWT access tokens backed by server-side sessions with rotating refresh tokens
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import connectDB from '@/app/utils/db';
+import Session from '@/app/models/Session';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+export const REFRESH_COOKIE_NAME = 'refreshToken';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Two tabs refreshing at once present the same token; the slower one is turned away without ending the session
+const REUSE_GRACE_MS = 10 * 1000;
+// How many rotated-out token hashes are kept per session for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+/**
+ * Raised when a refresh token is missing, unknown, expired or revoked; routes turn it into a 401 response
+ */
+export class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Sign an access token for a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID, checked on every request so logout takes effect immediately
+ * @returns {string} - JWT valid for ACCESS_TOKEN_TTL_SECONDS
+ */
+export function signAccessToken(userId, sessionId) {
+  return jwt.sign({ id: String(userId), sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+}
+
+/**
+ * Start a session after a successful login or registration
+ * @param {string} userId - User ID
+ * @param {object} [options] - { userAgent }
+ * @returns {Promise<object>} - { accessToken, refreshToken, expiresAt, sessionId }
+ */
+export async function createSession(userId, { userAgent } = {}) {
+  await connectDB();
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: String(userId),
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * MS_PER_DAY)
+  });
+
+  return {
+    accessToken: signAccessToken(userId, session._id),
+    refreshToken,
+    expiresAt: session.expiresAt,
+    sessionId: String(session._id)
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a token that was already rotated out revokes the whole session,
+ * as it means the token was copied.
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @returns {Promise<object>} - { accessToken, refreshToken, expiresAt, sessionId }
+ * @throws {SessionError} - If the token cannot be used
+ */
+export async function rotateRefreshToken(refreshToken) {
+  if (!refreshToken) {
+    throw new SessionError('No refresh token provided');
+  }
+
+  await connectDB();
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: hashToken(nextToken), rotatedAt: now },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash, revokedAt: null });
+    if (reused) {
+      const isConcurrentRefresh = reused.previousTokenHashes[reused.previousTokenHashes.length - 1] === tokenHash
+        && now - reused.rotatedAt < REUSE_GRACE_MS;
+      if (!isConcurrentRefresh) {
+        console.warn(`[Session] Refresh token reuse detected, revoking session ${reused._id}`);
+        await revokeSession(reused._id);
+      }
+    }
+    throw new SessionError('Invalid or expired refresh token');
+  }
+
+  return {
+    accessToken: signAccessToken(session.userId, session._id),
+    refreshToken: nextToken,
+    expiresAt: session.expiresAt,
+    sessionId: String(session._id)
+  };
+}
+
+/**
+ * Check that a session exists and has been neither revoked nor expired
+ * @param {string} sessionId - Session ID from an access token
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return false;
+  }
+  await connectDB();
+  const session = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return Boolean(session);
+}
+
+/**
+ * Revoke a session; its access tokens stop working immediately and its refresh token can no longer be used
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return;
+  }
+  await connectDB();
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @returns {Promise<void>}
+ */
+export async function revokeSessionByRefreshToken(refreshToken) {
+  if (!refreshToken) {
+    return;
+  }
+  await connectDB();
+  await Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+/**
+ * Revoke every session of a user, e.g. after a password change
+ * @param {string} userId - User ID
+ * @param {object} [options] - { exceptSessionId: session to keep signed in }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export async function revokeAllUserSessions(userId, { exceptSessionId } = {}) {
+  await connectDB();
+  const filter = { userId: String(userId), revokedAt: null };
+  if (exceptSessionId && mongoose.isValidObjectId(exceptSessionId)) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
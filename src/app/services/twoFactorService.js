@@ -0,0 +1,245 @@
+/**
+ * Two-Factor Service
+ * Optional TOTP second factor: enrollment, login verification, recovery codes and disabling
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import QRCode from 'qrcode';
+import connectDB from '@/app/utils/db';
+import User from '@/app/models/UserModel';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '@/app/utils/totp';
+
+export const TOTP_ISSUER = 'Stock Investor';
+export const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Raised for a wrong code or password, or an action that does not fit the current 2FA state;
+ * routes turn it into a 400 response
+ */
+export class TwoFactorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TwoFactorError';
+  }
+}
+
+/**
+ * Raised for a wrong code or password; routes count it against the login throttle
+ */
+export class TwoFactorCredentialError extends TwoFactorError {
+  constructor(message) {
+    super(message);
+    this.name = 'TwoFactorCredentialError';
+  }
+}
+
+// Secrets are encrypted at rest with AES-256-GCM under TOTP_ENCRYPTION_KEY (JWT_SECRET if unset)
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+// "a1b2c-3d4e5": 40 random bits each, shown to the user once
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+async function loadUser(userId) {
+  await connectDB();
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new TwoFactorError('User not found');
+  }
+  return user;
+}
+
+/**
+ * Work out which code was typed. Using it up happens in the database: `filter` only matches while the
+ * code is still unused and `update` uses it, so two requests racing with the same code cannot both pass.
+ * @param {object} user - User document with 2FA enabled
+ * @param {string} code - TOTP or recovery code
+ * @param {object} [options] - { allowRecoveryCode: default true }
+ * @returns {object|null} - { filter, update }, or null for a wrong code
+ */
+function matchCode(user, code, { allowRecoveryCode = true } = {}) {
+  if (typeof code !== 'string' || !code.trim()) {
+    return null;
+  }
+  const enabledUser = { _id: user._id, 'twoFactor.enabled': true };
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+  if (step !== null) {
+    return {
+      filter: {
+        ...enabledUser,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      update: { $set: { 'twoFactor.lastUsedStep': step } }
+    };
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (allowRecoveryCode && (user.twoFactor.recoveryCodeHashes || []).includes(hash)) {
+    return {
+      filter: { ...enabledUser, 'twoFactor.recoveryCodeHashes': hash },
+      update: { $pull: { 'twoFactor.recoveryCodeHashes': hash } }
+    };
+  }
+  return null;
+}
+
+/**
+ * Summary of a user's 2FA state
+ * @param {object} user - User document
+ * @returns {object} - { enabled, recoveryCodesRemaining, enabledAt }
+ */
+export function getTwoFactorStatus(user) {
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    recoveryCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodeHashes || []).length : 0,
+    enabledAt: user.twoFactor?.enabledAt || null
+  };
+}
+
+/**
+ * Start enrollment: create a secret for the authenticator app, not yet required at login
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - { secret, otpauthUri, qrCodeDataUrl }
+ * @throws {TwoFactorError} - If 2FA is already enabled
+ */
+export async function startTwoFactorEnrollment(userId) {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  user.set('twoFactor.pendingSecret', encryptSecret(secret));
+  await user.save();
+
+  const otpauthUri = buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER });
+  return {
+    secret,
+    otpauthUri,
+    qrCodeDataUrl: await QRCode.toDataURL(otpauthUri)
+  };
+}
+
+/**
+ * Finish enrollment with a code from the app, which proves it was set up correctly
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array<string>>} - Recovery codes, shown to the user once
+ * @throws {TwoFactorError} - If enrollment was not started or the code is wrong
+ */
+export async function confirmTwoFactorEnrollment(userId, code) {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new TwoFactorError('Start two-factor setup first');
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw new TwoFactorCredentialError('Invalid code. Check the time on your device and try again.');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: user.twoFactor.pendingSecret,
+    recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    enabledAt: new Date()
+  };
+  await user.save();
+  return recoveryCodes;
+}
+
+/**
+ * Second login step: accept a TOTP code or, failing that, a recovery code
+ * @param {object} user - User document with 2FA enabled
+ * @param {string} code - Code typed on the login page
+ * @returns {Promise<boolean>} - Whether the code was accepted
+ */
+export async function verifySecondFactor(user, code) {
+  const match = matchCode(user, code);
+  if (!match) {
+    return false;
+  }
+  // No match means another request used the code first
+  const updated = await User.findOneAndUpdate(match.filter, match.update);
+  return Boolean(updated);
+}
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code, to confirm the request
+ * @returns {Promise<Array<string>>} - New recovery codes, shown to the user once
+ * @throws {TwoFactorError} - If 2FA is not enabled or the code is wrong
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+  const user = await loadUser(userId);
+  if (!user.twoFactor?.enabled) {
+    throw new TwoFactorError('Two-factor authentication is not enabled');
+  }
+
+  const match = matchCode(user, code, { allowRecoveryCode: false });
+  const recoveryCodes = generateRecoveryCodes();
+  const updated = match && await User.findOneAndUpdate(match.filter, {
+    $set: { ...match.update.$set, 'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode) }
+  });
+  if (!updated) {
+    throw new TwoFactorCredentialError('Invalid code');
+  }
+  return recoveryCodes;
+}
+
+/**
+ * Turn 2FA off after re-authenticating with the password and a current or recovery code
+ * @param {string} userId - User ID
+ * @param {object} credentials - { password, code }
+ * @returns {Promise<void>}
+ * @throws {TwoFactorError} - If 2FA is not enabled or either credential is wrong
+ */
+export async function disableTwoFactor(userId, { password, code }) {
+  const user = await loadUser(userId);
+  if (!user.twoFactor?.enabled) {
+    throw new TwoFactorError('Two-factor authentication is not enabled');
+  }
+  if (typeof password !== 'string' || !(await bcrypt.compare(password, user.password))) {
+    throw new TwoFactorCredentialError('Incorrect password');
+  }
+
+  // Resetting twoFactor uses the code up along with everything else
+  const match = matchCode(user, code);
+  const updated = match && await User.findOneAndUpdate(match.filter, { $set: { twoFactor: { enabled: false } } });
+  if (!updated) {
+    throw new TwoFactorCredentialError('Invalid code');
+  }
+}
@@ -0,0 +1,137 @@
+import connectDB from '@/app/utils/db';
+import User from '@/app/models/UserModel';
+import { SUPPORTED_CURRENCIES, DEFAULT_BASE_CURRENCY } from '@/app/utils/currency';
+import { parseBenchmark, DEFAULT_BENCHMARKS, MAX_BENCHMARKS } from '@/app/utils/benchmarks';
+import { DEFAULT_LOCALE, DEFAULT_TIMEZONE } from '@/app/utils/formatting';
+
+/**
+ * Raised for invalid preference values; routes turn it into a 400 response
+ */
+export class UserPreferencesValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UserPreferencesValidationError';
+  }
+}
+
+const toPreferences = (user) => ({
+  baseCurrency: user?.baseCurrency || DEFAULT_BASE_CURRENCY,
+  benchmarks: user?.benchmarks?.length ? user.benchmarks : DEFAULT_BENCHMARKS,
+  locale: user?.locale || DEFAULT_LOCALE,
+  timezone: user?.timezone || DEFAULT_TIMEZONE,
+});
+
+const PREFERENCE_FIELDS = 'baseCurrency benchmarks locale timezone';
+
+/**
+ * Canonical form of a BCP 47 locale the runtime can format numbers and dates for
+ * @param {string} locale - e.g. "en-gb"
+ * @returns {string} - e.g. "en-GB"
+ * @throws {UserPreferencesValidationError} - If the locale is malformed or unsupported
+ */
+function normalizeLocale(locale) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale);
+    if (canonical && Intl.NumberFormat.supportedLocalesOf(canonical).length > 0) {
+      return canonical;
+    }
+  } catch {
+    // RangeError for malformed tags, reported below
+  }
+  throw new UserPreferencesValidationError(`Unsupported locale "${locale}". Use a language tag such as en-US or pt-PT.`);
+}
+
+/**
+ * Canonical name of an IANA time zone
+ * @param {string} timezone - e.g. "europe/lisbon"
+ * @returns {string} - e.g. "Europe/Lisbon"
+ * @throws {UserPreferencesValidationError} - If the time zone is unknown
+ */
+function normalizeTimezone(timezone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch {
+    throw new UserPreferencesValidationError(`Unknown time zone "${timezone}". Use an IANA name such as Europe/Lisbon.`);
+  }
+}
+
+/**
+ * Get the user's preferences, with defaults for unset values
+ * @param {string} userId - User ID
+ * @returns {Promise<{baseCurrency: string, benchmarks: Array<string>, locale: string, timezone: string}|null>} - Preferences, or null if the user does not exist
+ */
+export async function getUserPreferences(userId) {
+  await connectDB();
+  const user = await User.findById(userId).select(PREFERENCE_FIELDS).lean();
+  return user ? toPreferences(user) : null;
+}
+
+/**
+ * Update the user's preferences
+ * @param {string} userId - User ID
+ * @param {object} changes - { baseCurrency, benchmarks, locale, timezone }
+ * @returns {Promise<{baseCurrency: string, benchmarks: Array<string>, locale: string, timezone: string}|null>} - Updated preferences, or null if the user does not exist
+ * @throws {UserPreferencesValidationError} - If a value is not supported
+ */
+export async function updateUserPreferences(userId, { baseCurrency, benchmarks, locale, timezone }) {
+  const update = {};
+
+  if (baseCurrency !== undefined) {
+    const code = typeof baseCurrency === 'string' ? baseCurrency.toUpperCase() : '';
+    if (!SUPPORTED_CURRENCIES.includes(code)) {
+      throw new UserPreferencesValidationError(`Base currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+    update.baseCurrency = code;
+  }
+
+  if (benchmarks !== undefined) {
+    update.benchmarks = parseBenchmarkList(benchmarks).map(benchmark => benchmark.spec);
+  }
+
+  if (locale !== undefined) {
+    update.locale = normalizeLocale(locale);
+  }
+
+  if (timezone !== undefined) {
+    update.timezone = normalizeTimezone(timezone);
+  }
+
+  await connectDB();
+  const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true }).select(PREFERENCE_FIELDS).lean();
+  return user ? toPreferences(user) : null;
+}
+
+/**
+ * Parse a list of benchmark specs, e.g. from preferences or ?benchmark=
+ * @param {Array<string>} specs
+ * @returns {Array<object>} - Parsed benchmarks, see parseBenchmark()
+ * @throws {UserPreferencesValidationError} - If the list is empty, too long, or a spec cannot be parsed
+ */
+export function parseBenchmarkList(specs) {
+  if (!Array.isArray(specs) || specs.length === 0 || specs.length > MAX_BENCHMARKS) {
+    throw new UserPreferencesValidationError(`Choose between 1 and ${MAX_BENCHMARKS} benchmarks.`);
+  }
+  const benchmarks = specs.map(spec => {
+    const benchmark = parseBenchmark(spec);
+    if (!benchmark) {
+      throw new UserPreferencesValidationError(`Invalid benchmark "${spec}". Use a ticker (SPY), a ticker with its currency (VWCE.DE@EUR) or a weighted blend (VT:60,AGG:40).`);
+    }
+    return benchmark;
+  });
+  return benchmarks.filter((benchmark, i) => benchmarks.findIndex(b => b.spec === benchmark.spec) === i);
+}
+
+/**
+ * Currency to report portfolio values in: a supported per-request override, else the user's base currency
+ * @param {string} userId - User ID
+ * @param {string} [requestedCurrency] - e.g. from ?currency=
+ * @returns {Promise<string>} - ISO currency code
+ */
+export async function resolveReportingCurrency(userId, requestedCurrency) {
+  const requested = requestedCurrency?.toUpperCase();
+  if (requested && SUPPORTED_CURRENCIES.includes(requested)) {
+    return requested;
+  }
+  const preferences = await getUserPreferences(userId);
+  return preferences?.baseCurrency || DEFAULT_BASE_CURRENCY;
+}
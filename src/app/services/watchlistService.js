@@ -0,0 +1,146 @@
+/**
+ * Watchlist Service
+ * Named lists of tickers a user follows without holding them.
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '@/app/utils/db';
+import Watchlist from '@/app/models/Watchlist';
+
+export const MAX_WATCHLISTS = 20;
+export const MAX_WATCHLIST_SYMBOLS = 100;
+
+// Tickers as used across the app: "AAPL", "SAN.MC", "BRK-B", "BTC/USD", "^GSPC"
+const SYMBOL_PATTERN = /^[A-Z0-9^][A-Z0-9.\-/=^]{0,19}$/;
+
+/**
+ * Raised for invalid watchlist input; routes turn it into a 400 response
+ */
+export class WatchlistValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchlistValidationError';
+  }
+}
+
+/**
+ * Validate and normalize a ticker for a watchlist
+ * @param {string} symbol
+ * @returns {string} - Upper-case symbol
+ * @throws {WatchlistValidationError} - If the symbol is not a plausible ticker
+ */
+export function normalizeWatchlistSymbol(symbol) {
+  const normalized = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+  if (!SYMBOL_PATTERN.test(normalized)) {
+    throw new WatchlistValidationError(`Invalid symbol: ${symbol}`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate a watchlist name
+ * @param {string} name
+ * @returns {string} - Trimmed name
+ * @throws {WatchlistValidationError} - If the name is empty or too long
+ */
+export function normalizeWatchlistName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new WatchlistValidationError('Watchlist name is required');
+  }
+  if (name.trim().length > 100) {
+    throw new WatchlistValidationError('Watchlist name must be at most 100 characters');
+  }
+  return name.trim();
+}
+
+/**
+ * List the user's watchlists, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Watchlist documents
+ */
+export async function listUserWatchlists(userId) {
+  await connectDB();
+  return Watchlist.find({ userId }).sort({ createdAt: 1 });
+}
+
+/**
+ * Find one of the user's watchlists
+ * @param {string} userId - User ID
+ * @param {string} watchlistId - Watchlist ID
+ * @returns {Promise<object|null>} - Watchlist document
+ */
+export async function findUserWatchlist(userId, watchlistId) {
+  if (!mongoose.isValidObjectId(watchlistId)) {
+    return null;
+  }
+  await connectDB();
+  return Watchlist.findOne({ _id: watchlistId, userId });
+}
+
+/**
+ * Create a watchlist, optionally with its first symbols
+ * @param {string} userId - User ID
+ * @param {object} input - { name, symbols }
+ * @returns {Promise<object>} - The new watchlist document
+ * @throws {WatchlistValidationError} - If the input is invalid or the user has too many watchlists
+ */
+export async function createWatchlist(userId, { name, symbols = [] }) {
+  const watchlistName = normalizeWatchlistName(name);
+  if (!Array.isArray(symbols)) {
+    throw new WatchlistValidationError('Symbols must be a list of tickers');
+  }
+  const uniqueSymbols = [...new Set(symbols.map(normalizeWatchlistSymbol))];
+  if (uniqueSymbols.length > MAX_WATCHLIST_SYMBOLS) {
+    throw new WatchlistValidationError(`A watchlist can hold at most ${MAX_WATCHLIST_SYMBOLS} symbols`);
+  }
+
+  await connectDB();
+  const count = await Watchlist.countDocuments({ userId });
+  if (count >= MAX_WATCHLISTS) {
+    throw new WatchlistValidationError(`You can have at most ${MAX_WATCHLISTS} watchlists`);
+  }
+
+  return Watchlist.create({
+    userId,
+    name: watchlistName,
+    symbols: uniqueSymbols.map(symbol => ({ symbol }))
+  });
+}
+
+/**
+ * Add a symbol to a watchlist; adding one that is already there only updates its notes.
+ * Mutates the watchlist document; the caller is responsible for saving it.
+ * @param {object} watchlist - Watchlist document
+ * @param {string} symbol - Ticker
+ * @param {string} [notes]
+ * @returns {object} - The watchlist entry
+ * @throws {WatchlistValidationError} - If the symbol is invalid or the watchlist is full
+ */
+export function addWatchlistSymbol(watchlist, symbol, notes) {
+  const normalized = normalizeWatchlistSymbol(symbol);
+  const existing = watchlist.symbols.find(entry => entry.symbol === normalized);
+  if (existing) {
+    if (notes !== undefined) existing.notes = String(notes);
+    return existing;
+  }
+  if (watchlist.symbols.length >= MAX_WATCHLIST_SYMBOLS) {
+    throw new WatchlistValidationError(`A watchlist can hold at most ${MAX_WATCHLIST_SYMBOLS} symbols`);
+  }
+
+  watchlist.symbols.push({ symbol: normalized, notes: notes ? String(notes) : '' });
+  return watchlist.symbols[watchlist.symbols.length - 1];
+}
+
+/**
+ * Remove a symbol from a watchlist.
+ * Mutates the watchlist document; the caller is responsible for saving it.
+ * @param {object} watchlist - Watchlist document
+ * @param {string} symbol - Ticker
+ * @returns {boolean} - Whether the symbol was on the list
+ */
+export function removeWatchlistSymbol(watchlist, symbol) {
+  const normalized = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+  const before = watchlist.symbols.length;
+  watchlist.symbols = watchlist.symbols.filter(entry => entry.symbol !== normalized);
+  return watchlist.symbols.length < before;
+}
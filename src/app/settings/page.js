@@ -0,0 +1,36 @@
+"use client";
+import { useEffect } from "react";
+import { useRouter } from "next/navigation";
+
+import ProfileSettings from "@/app/components/Settings/ProfileSettings";
+import PasswordSettings from "@/app/components/Settings/PasswordSettings";
+import PreferenceSettings from "@/app/components/Settings/PreferenceSettings";
+import TwoFactorSettings from "@/app/components/Settings/TwoFactorSettings";
+import DeleteAccountSection from "@/app/components/Settings/DeleteAccountSection";
+import { useAuth } from "@/app/contexts/AuthContext";
+
+export default function SettingsPage() {
+  const router = useRouter();
+  const { user, loading } = useAuth();
+
+  useEffect(() => {
+    if (!user && !loading) {
+      router.push("/login");
+    }
+  }, [user, loading, router]);
+
+  if (loading || !user) {
+    return <div className="container mx-auto p-4 md:p-8 text-gray-400">Loading settings...</div>;
+  }
+
+  return (
+    <div className="container mx-auto p-4 md:p-8 max-w-3xl space-y-6">
+      <h1 className="text-3xl md:text-4xl font-bold text-white">Account Settings</h1>
+      <ProfileSettings />
+      <PreferenceSettings />
+      <PasswordSettings />
+      <TwoFactorSettings />
+      <DeleteAccountSection />
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// Browser-side helpers for calling the app's own API routes as the signed-in user
+
+/**
+ * Raised by apiRequest() for a failed response; `status` is the HTTP status code
+ */
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Headers for an authenticated JSON request. AuthContext keeps the access token in localStorage fresh.
+ * @returns {object}
+ */
+export function authHeaders() {
+  const token = localStorage.getItem('token');
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  return headers;
+}
+
+/**
+ * Call an API route that answers { success, data, message }
+ * @param {string} url - Route URL
+ * @param {object} [options] - fetch options, plus `errorMessage` used when the response has no message
+ * @returns {Promise<object>} - The parsed response body
+ * @throws {ApiError} - If the response is not ok or success is false
+ */
+export async function apiRequest(url, { errorMessage = 'Request failed', ...options } = {}) {
+  const response = await fetch(url, { ...options, headers: { ...authHeaders(), ...options.headers } });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new ApiError(result.message || errorMessage, response.status);
+  }
+  return result;
+}
@@ -0,0 +1,110 @@
+// Sector, country and asset-class classification from provider reference data
+
+export const UNKNOWN_CLASSIFICATION = 'Unknown';
+
+// Portfolio symbol exchange suffix -> ISO 3166 country of the listing (see yahooExchangeMap in portfolioUtils)
+const SUFFIX_COUNTRIES = {
+  US: 'US', ES: 'ES', MC: 'ES', IT: 'IT', MI: 'IT', PL: 'PL', WA: 'PL', UK: 'GB', L: 'GB',
+  FR: 'FR', PA: 'FR', DE: 'DE', NL: 'NL', AS: 'NL', CH: 'CH', SW: 'CH', JP: 'JP', T: 'JP',
+  HK: 'HK', CA: 'CA', TO: 'CA', AU: 'AU', AX: 'AU',
+};
+
+// SIC code ranges (first two digits) -> sector
+const SIC_SECTORS = [
+  [1, 9, 'Materials'],
+  [10, 14, 'Energy & Mining'],
+  [15, 17, 'Industrials'],
+  [20, 21, 'Consumer Staples'],
+  [22, 27, 'Consumer Discretionary'],
+  [28, 28, 'Health Care'],
+  [29, 29, 'Energy'],
+  [30, 34, 'Materials'],
+  [35, 35, 'Information Technology'],
+  [36, 36, 'Information Technology'],
+  [37, 37, 'Consumer Discretionary'],
+  [38, 38, 'Health Care'],
+  [39, 39, 'Consumer Discretionary'],
+  [40, 47, 'Industrials'],
+  [48, 48, 'Communication Services'],
+  [49, 49, 'Utilities'],
+  [50, 51, 'Industrials'],
+  [52, 59, 'Consumer Discretionary'],
+  [60, 64, 'Financials'],
+  [65, 65, 'Real Estate'],
+  [67, 67, 'Financials'],
+  [70, 79, 'Consumer Discretionary'],
+  [80, 80, 'Health Care'],
+  [81, 89, 'Industrials'],
+];
+
+// Finer SIC codes that the two-digit ranges above get wrong
+const SIC_SECTOR_OVERRIDES = {
+  2833: 'Health Care', 2834: 'Health Care', 2835: 'Health Care', 2836: 'Health Care',
+  2800: 'Materials', 2810: 'Materials', 2820: 'Materials', 2821: 'Materials', 2860: 'Materials', 2870: 'Materials',
+  3570: 'Information Technology', 3571: 'Information Technology', 3572: 'Information Technology', 3576: 'Information Technology', 3577: 'Information Technology',
+  3711: 'Consumer Discretionary', 3714: 'Consumer Discretionary',
+  3720: 'Industrials', 3721: 'Industrials', 3724: 'Industrials', 3728: 'Industrials', 3760: 'Industrials',
+  5961: 'Consumer Discretionary', 5912: 'Consumer Staples', 5411: 'Consumer Staples', 5331: 'Consumer Staples',
+  6798: 'Real Estate',
+  7370: 'Information Technology', 7371: 'Information Technology', 7372: 'Information Technology', 7373: 'Information Technology', 7374: 'Information Technology',
+  7812: 'Communication Services', 7841: 'Communication Services',
+};
+
+// Polygon ticker types -> asset class
+const POLYGON_TYPE_ASSET_CLASSES = {
+  CS: 'Equity', ADRC: 'Equity', ADRP: 'Equity', ADRR: 'Equity', GDR: 'Equity', OS: 'Equity', NYRS: 'Equity',
+  PFD: 'Preferred',
+  ETF: 'ETF', ETN: 'ETF', ETV: 'ETF', ETS: 'ETF', FUND: 'Fund', SP: 'Fund',
+  BOND: 'Fixed Income', AGEN: 'Fixed Income', EQLK: 'Fixed Income',
+  RIGHT: 'Equity', UNIT: 'Equity', WARRANT: 'Equity',
+};
+
+/**
+ * Sector of a company from its SIC code
+ * @param {string|number} sicCode
+ * @returns {string|null}
+ */
+export function sectorFromSicCode(sicCode) {
+  const code = parseInt(sicCode, 10);
+  if (!code) return null;
+  if (SIC_SECTOR_OVERRIDES[code]) return SIC_SECTOR_OVERRIDES[code];
+  const major = Math.floor(code / 100);
+  // Software and data services (73xx) are technology, the rest of 70-79 consumer services
+  if (major === 73) return 'Information Technology';
+  const match = SIC_SECTORS.find(([from, to]) => major >= from && major <= to);
+  return match ? match[2] : null;
+}
+
+/**
+ * Asset class from Polygon's ticker type and market
+ * @param {string} type - e.g. "CS", "ETF"
+ * @param {string} [market] - e.g. "stocks", "crypto", "fx"
+ * @returns {string|null}
+ */
+export function assetClassFromPolygonType(type, market) {
+  if (market === 'crypto') return 'Crypto';
+  if (market === 'fx') return 'Currency';
+  return POLYGON_TYPE_ASSET_CLASSES[type] || null;
+}
+
+/**
+ * Country of the listing from a portfolio symbol's exchange suffix (e.g. "SAN.ES" -> "ES"); US without a suffix
+ * @param {string} symbol
+ * @returns {string}
+ */
+export function countryFromSymbol(symbol) {
+  const parts = symbol.toUpperCase().split('.');
+  if (parts.length > 1) {
+    return SUFFIX_COUNTRIES[parts[parts.length - 1]] || UNKNOWN_CLASSIFICATION;
+  }
+  return 'US';
+}
+
+/**
+ * Whether a portfolio symbol is a crypto pair, e.g. "BTC-USD" or "ETH/EUR"
+ * @param {string} symbol
+ * @returns {boolean}
+ */
+export function isCryptoSymbol(symbol) {
+  return symbol.includes('/') || symbol.includes('-');
+}
@@ -0,0 +1,78 @@
+import { ISO_4217_CURRENCY_CODES } from './currency';
+
+// Benchmarks offered in the picker; any ticker or weighted blend can be added next to them
+export const BENCHMARK_PRESETS = [
+  { spec: 'SPY', label: 'S&P 500 (SPY)' },
+  { spec: 'QQQ', label: 'Nasdaq 100 (QQQ)' },
+];
+
+// Compared against when the user has not chosen any
+export const DEFAULT_BENCHMARKS = ['SPY'];
+
+export const MAX_BENCHMARKS = 5;
+
+const COMPONENT_PATTERN = /^([A-Z0-9.\-^=]+)(?:@([A-Z]{3}))?(?::(\d+(?:\.\d+)?))?$/;
+
+/**
+ * Parse a benchmark written as a ticker or a weighted blend of tickers.
+ * "SPY" is a single ticker; "VT:60,AGG:40" a blend rebalanced daily (weights are normalized to 100%).
+ * A ticker quoted in another currency than USD takes a suffix, e.g. "VWCE.DE@EUR".
+ * @param {string} spec
+ * @returns {{spec: string, components: Array<{symbol: string, currency: string, weight: number}>}|null} - Null if it cannot be parsed
+ */
+export function parseBenchmark(spec) {
+  if (typeof spec !== 'string' || !spec.trim()) {
+    return null;
+  }
+
+  const parts = spec.toUpperCase().replace(/\s+/g, '').split(',');
+  const components = [];
+  for (const part of parts) {
+    const match = part.match(COMPONENT_PATTERN);
+    if (!match) return null;
+    const [, symbol, currency = 'USD', weight] = match;
+    if (!ISO_4217_CURRENCY_CODES.includes(currency)) return null;
+    // A lone ticker needs no weight; in a blend every ticker does
+    if (parts.length > 1 && weight === undefined) return null;
+    components.push({ symbol, currency, weight: weight === undefined ? 1 : parseFloat(weight) });
+  }
+
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  if (!(totalWeight > 0) || new Set(components.map(c => c.symbol)).size !== components.length) {
+    return null;
+  }
+  components.forEach(c => { c.weight /= totalWeight; });
+
+  return { spec: formatBenchmark(components), components };
+}
+
+/**
+ * Canonical spec of a parsed benchmark, e.g. "SPY" or "VT:60,AGG:40"
+ * @param {Array<{symbol: string, currency: string, weight: number}>} components - Weights summing to 1
+ * @returns {string}
+ */
+export function formatBenchmark(components) {
+  return components
+    .map(({ symbol, currency, weight }) => {
+      const withCurrency = currency === 'USD' ? symbol : `${symbol}@${currency}`;
+      return components.length > 1 ? `${withCurrency}:${Math.round(weight * 10000) / 100}` : withCurrency;
+    })
+    .join(',');
+}
+
+/**
+ * Human readable name of a benchmark spec, e.g. "S&P 500 (SPY)" or "60% VT / 40% AGG"
+ * @param {string} spec
+ * @returns {string}
+ */
+export function describeBenchmark(spec) {
+  const preset = BENCHMARK_PRESETS.find(p => p.spec === spec);
+  if (preset) {
+    return preset.label;
+  }
+  const benchmark = parseBenchmark(spec);
+  if (!benchmark || benchmark.components.length === 1) {
+    return spec;
+  }
+  return benchmark.components.map(c => `${Math.round(c.weight * 100)}% ${c.symbol}`).join(' / ');
+}
@@ -0,0 +1,123 @@
+// Share amounts below this are treated as zero to absorb floating point drift.
+export const SHARE_EPSILON = 1e-9;
+
+export const COST_BASIS_METHODS = ['FIFO', 'LIFO', 'AVERAGE', 'HIGHEST_COST', 'SPECIFIC'];
+
+export const COST_BASIS_METHOD_LABELS = {
+    FIFO: 'First In, First Out',
+    LIFO: 'Last In, First Out',
+    AVERAGE: 'Weighted Average Cost',
+    HIGHEST_COST: 'Highest Cost First',
+    SPECIFIC: 'Specific Lot Selection'
+};
+
+/**
+ * Orders lots the way a sale under the given method would consume them.
+ * AVERAGE and SPECIFIC have no natural order and fall back to oldest first.
+ * @param {Array} lots - Lots for a single symbol.
+ * @param {string} method - One of COST_BASIS_METHODS.
+ * @returns {Array} A sorted copy of the lots.
+ */
+export function sortLotsForMethod(lots, method = 'FIFO') {
+    const byDate = (a, b) => new Date(a.purchaseDate) - new Date(b.purchaseDate);
+    const sorted = [...lots];
+
+    switch (method) {
+        case 'LIFO':
+            return sorted.sort((a, b) => byDate(b, a));
+        case 'HIGHEST_COST':
+            return sorted.sort((a, b) => (b.costInEUR - a.costInEUR) || byDate(a, b));
+        default:
+            return sorted.sort(byDate);
+    }
+}
+
+/**
+ * Matches a sale against purchase lots using the given cost-basis method.
+ * AVERAGE reduces every lot pro rata so the remaining average cost is unchanged;
+ * SPECIFIC takes exactly the shares listed in selectedLots.
+ * @param {Array} lots - Lots for a single symbol.
+ * @param {number} quantity - Number of shares being sold.
+ * @param {string} method - One of COST_BASIS_METHODS.
+ * @param {Array<{lotId: string, shares: number}>} selectedLots - Lot selection for SPECIFIC.
+ * @returns {Array<{lot: Object, shares: number}>} The lots consumed and how many shares each one gives up.
+ * @throws {Error} If the method is unknown or the lot selection does not cover the sale.
+ */
+export function matchLots(lots, quantity, method = 'FIFO', selectedLots = []) {
+    if (!COST_BASIS_METHODS.includes(method)) {
+        throw new Error(`Unknown cost basis method: ${method}`);
+    }
+
+    if (method === 'SPECIFIC') {
+        return matchSpecificLots(lots, quantity, selectedLots);
+    }
+
+    if (method === 'AVERAGE') {
+        const totalShares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+        if (totalShares <= 0) return [];
+        const ratio = Math.min(quantity / totalShares, 1);
+        return lots
+            .filter(lot => lot.shares > 0)
+            .map(lot => ({ lot, shares: lot.shares * ratio }));
+    }
+
+    const matches = [];
+    let remaining = quantity;
+
+    for (const lot of sortLotsForMethod(lots, method)) {
+        if (remaining <= SHARE_EPSILON) break;
+        const shares = Math.min(lot.shares, remaining);
+        if (shares <= 0) continue;
+        matches.push({ lot, shares });
+        remaining -= shares;
+    }
+
+    return matches;
+}
+
+function matchSpecificLots(lots, quantity, selectedLots) {
+    if (!Array.isArray(selectedLots) || selectedLots.length === 0) {
+        throw new Error('Specific lot selection requires at least one lot.');
+    }
+    if (new Set(selectedLots.map(s => String(s.lotId))).size !== selectedLots.length) {
+        throw new Error('Each lot can only be selected once.');
+    }
+
+    const matches = selectedLots.map(({ lotId, shares }) => {
+        const lot = lots.find(l => l._id?.toString() === String(lotId));
+        if (!lot) {
+            throw new Error(`Lot ${lotId} not found for this symbol.`);
+        }
+        if (typeof shares !== 'number' || shares <= 0 || shares > lot.shares + SHARE_EPSILON) {
+            throw new Error(`Invalid share amount for lot ${lotId}.`);
+        }
+        return { lot, shares: Math.min(shares, lot.shares) };
+    });
+
+    const selectedTotal = matches.reduce((sum, m) => sum + m.shares, 0);
+    if (Math.abs(selectedTotal - quantity) > SHARE_EPSILON) {
+        throw new Error(`Selected lots cover ${selectedTotal} shares but ${quantity} are being sold.`);
+    }
+
+    return matches;
+}
+
+/**
+ * Sums realized P/L over the sell transactions of a portfolio.
+ * With a converter, proceeds are converted at the sale date and each consumed lot's cost at its
+ * purchase date, so the result reflects the reporting currency's own exchange-rate history.
+ * @param {Array} transactions - Portfolio transactions.
+ * @param {function(number, Date): number} [fromEUR] - Converts a stored EUR amount on a date to the reporting currency.
+ * @returns {number} Realized profit or loss in EUR, or in the converter's currency.
+ */
+export function calculateRealizedProfitLoss(transactions = [], fromEUR) {
+    return transactions
+        .filter(t => t.type === 'SELL')
+        .reduce((sum, t) => {
+            if (!fromEUR) {
+                return sum + (t.realizedProfitLossInEUR || 0);
+            }
+            const costBasis = (t.lots || []).reduce((cost, lot) => cost + fromEUR(lot.shares * lot.costInEUR, lot.purchaseDate), 0);
+            return sum + fromEUR(t.proceedsInEUR || 0, t.date) - costBasis;
+        }, 0);
+}
@@ -1,9 +1,37 @@
+import { getFormatPreferences } from './formatting';
+
+// Active ISO 4217 currency codes; holdings can trade in any of them that has an exchange rate
+export const ISO_4217_CURRENCY_CODES = [
+  'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN',
+  'BAM', 'BBD', 'BDT', 'BGN', 'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN', 'BZD',
+  'CAD', 'CDF', 'CHF', 'CLP', 'CNY', 'COP', 'CRC', 'CUP', 'CVE', 'CZK',
+  'DJF', 'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB', 'EUR', 'FJD', 'FKP',
+  'GBP', 'GEL', 'GHS', 'GIP', 'GMD', 'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF',
+  'IDR', 'ILS', 'INR', 'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY',
+  'KES', 'KGS', 'KHR', 'KMF', 'KPW', 'KRW', 'KWD', 'KYD', 'KZT',
+  'LAK', 'LBP', 'LKR', 'LRD', 'LSL', 'LYD',
+  'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR', 'MVR', 'MWK', 'MXN', 'MYR', 'MZN',
+  'NAD', 'NGN', 'NIO', 'NOK', 'NPR', 'NZD', 'OMR',
+  'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR', 'RON', 'RSD', 'RUB', 'RWF',
+  'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLE', 'SLL', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL',
+  'THB', 'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS',
+  'UAH', 'UGX', 'USD', 'UYU', 'UZS', 'VES', 'VND', 'VUV', 'WST',
+  'XAF', 'XCD', 'XCG', 'XOF', 'XPF', 'YER', 'ZAR', 'ZMW', 'ZWG', 'ZWL',
+];
+
+// Currencies portfolios can be reported in; also listed first when picking a trading currency
+export const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'PLN', 'CHF', 'JPY', 'HKD', 'CAD', 'AUD'];
+
+// Currency portfolio values are stored in (costInEUR, proceedsInEUR, ...) and reported in by default
+export const DEFAULT_BASE_CURRENCY = 'EUR';
+
+// Both formatters follow the user's locale, see setFormatPreferences()
 export function formatCurrency(value, currency = 'USD') {
   if (typeof value !== 'number' || isNaN(value)) {
     return 'N/A';
   }
 
-  return new Intl.NumberFormat('en-US', {
+  return new Intl.NumberFormat(getFormatPreferences().locale, {
     style: 'currency',
     currency: currency,
     minimumFractionDigits: 2,
@@ -11,9 +39,23 @@ export function formatCurrency(value, currency = 'USD') {
   }).format(value);
 }
 
-export function formatPercentage(value) {
+/**
+ * @param {number} value - Percentage, e.g. 12.5 for 12.5%
+ * @param {object} [options] - { fractionDigits: default 2, signed: prefix gains with "+" }
+ * @returns {string}
+ */
+export function formatPercentage(value, { fractionDigits = 2, signed = false } = {}) {
   if (typeof value !== 'number' || isNaN(value)) {
     return 'N/A';
   }
-  return `${value.toFixed(2)}%`;
+  return new Intl.NumberFormat(getFormatPreferences().locale, {
+    style: 'percent',
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits,
+    signDisplay: signed ? 'exceptZero' : 'auto',
+  }).format(value / 100);
+}
+
+export function isIsoCurrencyCode(code) {
+  return typeof code === 'string' && ISO_4217_CURRENCY_CODES.includes(code.toUpperCase());
 }
@@ -0,0 +1,64 @@
+export const DEFAULT_LOCALE = 'en-US';
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// Set in the browser from the signed-in user's preferences (see AuthContext); the server keeps the defaults
+let preferences = { locale: DEFAULT_LOCALE, timezone: DEFAULT_TIMEZONE };
+
+/**
+ * Use a locale and time zone for every number and date formatted from now on
+ * @param {object} options - { locale, timezone }; missing values fall back to the defaults
+ */
+export function setFormatPreferences({ locale, timezone } = {}) {
+  preferences = {
+    locale: locale || DEFAULT_LOCALE,
+    timezone: timezone || DEFAULT_TIMEZONE,
+  };
+}
+
+/**
+ * @returns {{locale: string, timezone: string}}
+ */
+export function getFormatPreferences() {
+  return preferences;
+}
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a plain number in the user's locale, e.g. a share count or volume
+ * @param {number} value
+ * @param {object} [options] - Intl.NumberFormat options
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+  if (value === null || value === undefined || !isFinite(value)) {
+    return 'N/A';
+  }
+  return new Intl.NumberFormat(preferences.locale, { maximumFractionDigits: 6, ...options }).format(Number(value));
+}
+
+/**
+ * Format a point in time (news, filings) as a date in the user's locale and time zone
+ * @param {Date|string|number} value
+ * @returns {string}
+ */
+export function formatDate(value) {
+  const date = toDate(value);
+  if (!date) return '';
+  return new Intl.DateTimeFormat(preferences.locale, { dateStyle: 'medium', timeZone: preferences.timezone }).format(date);
+}
+
+/**
+ * Format a calendar day (trade, dividend and corporate action dates), which is stored as midnight UTC.
+ * It is read in UTC rather than the user's time zone so that the day never shifts.
+ * @param {Date|string|number} value
+ * @returns {string}
+ */
+export function formatCalendarDate(value) {
+  const date = toDate(value);
+  if (!date) return '';
+  return new Intl.DateTimeFormat(preferences.locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(date);
+}
@@ -28,6 +28,8 @@ export async function fetchPolygonTickerDetails(symbol) {
         type: data.results.type,
         currency_name: data.results.currency_name,
         cik: data.results.cik,
+        sic_code: data.results.sic_code,
+        sic_description: data.results.sic_description,
         source: 'Polygon.io',
         isDelayed: false, 
       };
@@ -507,6 +509,104 @@ export async function fetchPolygonDividendYield(symbol, currentPrice) {
   }
 }
 
+/**
+ * Fetches the cash dividends of a symbol with an ex-dividend date in a date range from Polygon.io.
+ * @param {string} symbol - The stock symbol.
+ * @param {string} from - First ex-dividend date (YYYY-MM-DD).
+ * @param {string} to - Last ex-dividend date (YYYY-MM-DD).
+ * @returns {Promise<Array<object>|null>} - Dividends, oldest first, or null if an error occurs.
+ */
+export async function fetchPolygonDividends(symbol, from, to) {
+  if (!POLYGON_API_KEY) {
+    console.error('Polygon API key is missing for dividends.');
+    return null;
+  }
+  const url = `${POLYGON_BASE_URL}/v3/reference/dividends?ticker=${encodeURIComponent(symbol.toUpperCase())}&ex_dividend_date.gte=${from}&ex_dividend_date.lte=${to}&order=asc&sort=ex_dividend_date&limit=1000&apiKey=${POLYGON_API_KEY}`;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.error(`Failed to fetch dividends from Polygon for ${symbol}. Status: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return (data.results || [])
+      .filter(dividend => dividend.cash_amount > 0 && dividend.ex_dividend_date)
+      .map(dividend => ({
+        exDividendDate: dividend.ex_dividend_date,
+        payDate: dividend.pay_date || dividend.ex_dividend_date,
+        cashAmount: dividend.cash_amount,
+        currency: (dividend.currency || 'USD').toUpperCase(),
+        frequency: dividend.frequency,
+        dividendType: dividend.dividend_type,
+      }));
+  } catch (error) {
+    console.error(`Error fetching dividends from Polygon for ${symbol}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetches the stock splits of a symbol executed in a date range from Polygon.io.
+ * Reverse splits have splitTo < splitFrom.
+ * @param {string} symbol - The stock symbol.
+ * @param {string} from - First execution date (YYYY-MM-DD).
+ * @param {string} to - Last execution date (YYYY-MM-DD).
+ * @returns {Promise<Array<object>|null>} - Splits, oldest first, or null if an error occurs.
+ */
+export async function fetchPolygonSplits(symbol, from, to) {
+  if (!POLYGON_API_KEY) {
+    console.error('Polygon API key is missing for splits.');
+    return null;
+  }
+  const url = `${POLYGON_BASE_URL}/v3/reference/splits?ticker=${encodeURIComponent(symbol.toUpperCase())}&execution_date.gte=${from}&execution_date.lte=${to}&order=asc&sort=execution_date&limit=1000&apiKey=${POLYGON_API_KEY}`;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.error(`Failed to fetch splits from Polygon for ${symbol}. Status: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return (data.results || [])
+      .filter(split => split.split_from > 0 && split.split_to > 0)
+      .map(split => ({
+        executionDate: split.execution_date,
+        splitFrom: split.split_from,
+        splitTo: split.split_to,
+      }));
+  } catch (error) {
+    console.error(`Error fetching splits from Polygon for ${symbol}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetches the ticker changes of a symbol from Polygon.io.
+ * @param {string} symbol - The stock symbol (a ticker the company has used).
+ * @returns {Promise<Array<{date: string, ticker: string}>|null>} - Tickers the company has used with the date each took effect, oldest first, or null if an error occurs.
+ */
+export async function fetchPolygonTickerChanges(symbol) {
+  if (!POLYGON_API_KEY) {
+    console.error('Polygon API key is missing for ticker events.');
+    return null;
+  }
+  const url = `${POLYGON_BASE_URL}/vX/reference/tickers/${encodeURIComponent(symbol.toUpperCase())}/events?types=ticker_change&apiKey=${POLYGON_API_KEY}`;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.error(`Failed to fetch ticker events from Polygon for ${symbol}. Status: ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return (data.results?.events || [])
+      .filter(event => event.type === 'ticker_change' && event.ticker_change?.ticker)
+      .map(event => ({ date: event.date, ticker: event.ticker_change.ticker.toUpperCase() }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } catch (error) {
+    console.error(`Error fetching ticker events from Polygon for ${symbol}:`, error);
+    return null;
+  }
+}
+
 /**
  * Fetches fundamental financial data for a given symbol from Polygon.io.
  * @param {string} symbol - The stock symbol.
@@ -18,9 +18,41 @@ const yahooExchangeMap = {
     '.UK': '.L',   // London
     '.FR': '.PA',  // Paris
     '.DE': '.DE',  // Germany
-    '.NL': '.AS'   // Amsterdam
+    '.NL': '.AS',  // Amsterdam
+    '.CH': '.SW',  // SIX Swiss Exchange
+    '.SW': '.SW',  // SIX Swiss Exchange
+    '.JP': '.T',   // Tokyo (TSE)
+    '.T': '.T',    // Tokyo (TSE)
+    '.HK': '.HK',  // Hong Kong (HKEX)
+    '.CA': '.TO',  // Toronto (TSX)
+    '.TO': '.TO',  // Toronto (TSX)
+    '.AU': '.AX',  // Australia (ASX)
+    '.AX': '.AX'   // Australia (ASX)
 };
 
+// Used when the exchange rate API is unavailable
+const FALLBACK_EXCHANGE_RATES = {
+    'USD': 1, 'EUR': 0.93, 'PLN': 4.0, 'GBP': 0.8,
+    'CHF': 0.9, 'JPY': 150, 'HKD': 7.8, 'CAD': 1.36, 'AUD': 1.52
+};
+
+/**
+ * Maps a portfolio symbol with an exchange suffix (e.g. "SAN.ES") to the Yahoo Finance ticker ("SAN.MC").
+ * @param {string} symbol - Portfolio symbol.
+ * @returns {string} The Yahoo Finance ticker; unchanged when the suffix is not mapped.
+ */
+export function toYahooSymbol(symbol) {
+    const parts = symbol.split('.');
+    if (parts.length > 1) {
+        const suffix = '.' + parts.pop();
+        const mapped = yahooExchangeMap[suffix.toUpperCase()];
+        if (mapped !== undefined) {
+            return parts.join('.') + mapped;
+        }
+    }
+    return symbol;
+}
+
 /**
  * Fetches current stock prices from Alpaca and Yahoo Finance with caching using Upstash Redis.
  * @param {string[]} symbols - Array of stock symbols.
@@ -108,15 +140,9 @@ export async function fetchStockPrices(symbols) {
     if (yahooCandidateSymbols.length > 0 && YH_FINANCE_KEY) {
         console.log(`[Yahoo] Candidate symbols: ${yahooCandidateSymbols.join(', ')}`);
         for (const symbol of yahooCandidateSymbols) {
-            let yahooQuerySymbol = symbol;
-            const parts = symbol.split('.');
-            if (parts.length > 1) {
-                const suffix = '.' + parts.pop();
-                const prefix = parts.join('.');
-                if (yahooExchangeMap[suffix.toUpperCase()]) {
-                    yahooQuerySymbol = prefix + yahooExchangeMap[suffix.toUpperCase()];
-                    console.log(`[Yahoo] Mapped ${symbol} to ${yahooQuerySymbol} for Yahoo Finance.`);
-                }
+            const yahooQuerySymbol = toYahooSymbol(symbol);
+            if (yahooQuerySymbol !== symbol) {
+                console.log(`[Yahoo] Mapped ${symbol} to ${yahooQuerySymbol} for Yahoo Finance.`);
             }
             
             console.log(`[Yahoo] Trying Yahoo Finance with symbol: ${yahooQuerySymbol}`);
@@ -173,17 +199,50 @@ export async function getExchangeRates() {
 		const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
 		if (!response.ok) {
 			console.error(`Error fetching exchange rates: ${response.status} ${response.statusText}`);
-			return { 'EUR': 0.93, 'USD': 1, 'PLN': 4.0, 'GBP': 0.8 }; // Fallback
+			return { ...FALLBACK_EXCHANGE_RATES }; // Fallback
 		}
 		const data = await response.json();
 		if (data && data.rates) {
 			return data.rates;
 		} else {
 			console.error('Error fetching exchange rates: Invalid data format');
-			return { 'EUR': 0.93, 'USD': 1, 'PLN': 4.0, 'GBP': 0.8 }; // Fallback
+			return { ...FALLBACK_EXCHANGE_RATES }; // Fallback
 		}
 	} catch (error) {
 		console.error('Error fetching exchange rates:', error);
-		return { 'EUR': 0.93, 'USD': 1, 'PLN': 4.0, 'GBP': 0.8 }; // Fallback
+		return { ...FALLBACK_EXCHANGE_RATES }; // Fallback
 	}
 }
+
+/**
+ * Converts an amount between currencies using USD-based exchange rates.
+ * @param {number} amount - Amount in the original currency.
+ * @param {string} from - ISO currency code of the amount.
+ * @param {string} to - ISO currency code to convert to.
+ * @param {Object} exchangeRates - Rates against USD as returned by getExchangeRates().
+ * @returns {number|null} The converted amount, or null if either currency cannot be converted.
+ */
+export function convertCurrency(amount, from, to, exchangeRates) {
+	const fromCode = from?.toUpperCase();
+	const toCode = to?.toUpperCase();
+	if (fromCode === toCode) {
+		return amount;
+	}
+	if (!exchangeRates || !exchangeRates[fromCode] || !exchangeRates[toCode]) {
+		return null;
+	}
+	// Rates are relative to USD: convert original currency to USD, then USD to the target currency.
+	const amountInUSD = amount / exchangeRates[fromCode];
+	return amountInUSD * exchangeRates[toCode];
+}
+
+/**
+ * Converts an amount in the given currency to EUR using USD-based exchange rates.
+ * @param {number} amount - Amount in the original currency.
+ * @param {string} currency - ISO currency code of the amount.
+ * @param {Object} exchangeRates - Rates against USD as returned by getExchangeRates().
+ * @returns {number|null} The amount in EUR, or null if the currency cannot be converted.
+ */
+export function convertToEUR(amount, currency, exchangeRates) {
+	return convertCurrency(amount, currency, 'EUR', exchangeRates);
+}
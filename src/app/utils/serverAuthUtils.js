@@ -1,12 +1,14 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { isSessionActive, REFRESH_COOKIE_NAME } from '@/app/services/sessionService';
 
 /**
- * Extracts and verifies the JWT from the request headers to get the user ID.
+ * Extracts and verifies the access token from the request headers, including that its session was not revoked.
  * @param {Request} req - The Next.js request object.
- * @returns {string} The user ID from the token.
- * @throws {Error} If the token is missing, malformed, or invalid.
+ * @returns {Promise<object>} The decoded token: { id, sid, exp }.
+ * @throws {Error} 'Invalid token' if the token is missing, malformed, expired, or its session was revoked.
  */
-export function getUserIdFromToken(req) {
+export async function verifyAccessToken(req) {
 	try {
 		const authHeader = req.headers.get('authorization');
 		if (!authHeader?.startsWith('Bearer ')) {
@@ -18,7 +20,14 @@ export function getUserIdFromToken(req) {
 			throw new Error('No token provided');
 		}
 		const decoded = jwt.verify(token, process.env.JWT_SECRET);
-		return decoded.id;
+		// Tokens issued before sessions existed never expire, so they are no longer accepted
+		if (!decoded.sid || !decoded.exp) {
+			throw new Error('Token has no session');
+		}
+		if (!(await isSessionActive(decoded.sid))) {
+			throw new Error('Session revoked or expired');
+		}
+		return decoded;
 	} catch (error) {
 		// Log the specific error for debugging on the server
 		console.error("Token verification failed:", error.message);
@@ -26,3 +35,67 @@ export function getUserIdFromToken(req) {
 		throw new Error('Invalid token');
 	}
 }
+
+/**
+ * Extracts and verifies the JWT from the request headers to get the user ID.
+ * @param {Request} req - The Next.js request object.
+ * @returns {Promise<string>} The user ID from the token.
+ * @throws {Error} If the token is missing, malformed, invalid, or its session was revoked.
+ */
+export async function getUserIdFromToken(req) {
+	const decoded = await verifyAccessToken(req);
+	return decoded.id;
+}
+
+/**
+ * Stores the refresh token in an httpOnly cookie only sent to the auth routes.
+ * @param {NextResponse} response - The response to set the cookie on.
+ * @param {string} refreshToken - The refresh token.
+ * @param {Date} expiresAt - When the session expires.
+ * @returns {NextResponse} The same response.
+ */
+export function setRefreshTokenCookie(response, refreshToken, expiresAt) {
+	response.cookies.set(REFRESH_COOKIE_NAME, refreshToken, {
+		httpOnly: true,
+		secure: process.env.NODE_ENV === 'production',
+		sameSite: 'strict',
+		path: '/api/auth',
+		expires: expiresAt
+	});
+	return response;
+}
+
+/**
+ * Removes the refresh token cookie.
+ * @param {NextResponse} response - The response to clear the cookie on.
+ * @returns {NextResponse} The same response.
+ */
+export function clearRefreshTokenCookie(response) {
+	response.cookies.set(REFRESH_COOKIE_NAME, '', {
+		httpOnly: true,
+		secure: process.env.NODE_ENV === 'production',
+		sameSite: 'strict',
+		path: '/api/auth',
+		maxAge: 0
+	});
+	return response;
+}
+
+/**
+ * Checks the `x-admin-key` header against ADMIN_API_KEY for maintenance endpoints.
+ * @param {Request} req - The Next.js request object.
+ * @throws {Error} 'Unauthorized' if the key is missing, wrong, or ADMIN_API_KEY is not set.
+ */
+export function verifyAdminKey(req) {
+	const expected = process.env.ADMIN_API_KEY;
+	const provided = req.headers.get('x-admin-key');
+	if (!expected || !provided) {
+		throw new Error('Unauthorized');
+	}
+
+	const expectedBuffer = Buffer.from(expected);
+	const providedBuffer = Buffer.from(provided);
+	if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+		throw new Error('Unauthorized');
+	}
+}
@@ -0,0 +1,10 @@
+import { Suspense } from 'react';
+import VerifyEmailStatus from '@/app/components/Auth/VerifyEmailStatus';
+
+export default function VerifyEmailPage() {
+  return (
+    <Suspense fallback={null}>
+      <VerifyEmailStatus />
+    </Suspense>
+  );
+}
@@ -0,0 +1,351 @@
+"use client";
+import { useEffect, useState, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { PencilSquareIcon, TrashIcon, XMarkIcon, PlusIcon, ArrowPathIcon } from "@heroicons/react/24/outline";
+
+import MiniPriceChart from "@/app/components/Stock/MiniPriceChart";
+import { formatCurrency, formatPercentage } from "@/app/utils/currency";
+import { useAuth } from "@/app/contexts/AuthContext";
+import { apiRequest, ApiError } from "@/app/utils/apiClient";
+
+export default function WatchlistPage() {
+  const [watchlists, setWatchlists] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [watchlist, setWatchlist] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isQuotesLoading, setIsQuotesLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [newListName, setNewListName] = useState("");
+  const [newSymbol, setNewSymbol] = useState("");
+  const [renameValue, setRenameValue] = useState(null); // null = not renaming
+  const router = useRouter();
+  const { user, loading } = useAuth();
+
+  const request = useCallback(async (url, options = {}) => {
+    try {
+      const result = await apiRequest(url, { errorMessage: "Watchlist request failed", ...options });
+      return result.data;
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 401) {
+        router.push("/login");
+        throw new Error("Session expired");
+      }
+      throw err;
+    }
+  }, [router]);
+
+  const fetchWatchlists = useCallback(async () => {
+    setError(null);
+    try {
+      const data = await request("/api/watchlists");
+      setWatchlists(data);
+      setSelectedId(current => (data.some(w => w._id === current) ? current : data[0]?._id ?? null));
+    } catch (err) {
+      console.error("[WatchlistPage] Error fetching watchlists:", err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [request]);
+
+  const fetchWatchlist = useCallback(async () => {
+    if (!selectedId) {
+      setWatchlist(null);
+      return;
+    }
+    setIsQuotesLoading(true);
+    try {
+      setWatchlist(await request(`/api/watchlists/${selectedId}`));
+    } catch (err) {
+      console.error("[WatchlistPage] Error fetching watchlist quotes:", err);
+      setError(err.message);
+    } finally {
+      setIsQuotesLoading(false);
+    }
+  }, [request, selectedId]);
+
+  useEffect(() => {
+    if (!user && !loading) {
+      router.push("/login");
+      return;
+    }
+    if (user) fetchWatchlists();
+  }, [fetchWatchlists, router, user, loading]);
+
+  useEffect(() => {
+    fetchWatchlist();
+  }, [fetchWatchlist]);
+
+  // Symbol changes come back without quotes; keep the quotes already loaded and fetch only for new symbols
+  const applySymbolChange = (updated) => {
+    const loadedQuotes = Object.fromEntries((watchlist?.symbols || []).map(entry => [entry.symbol, entry.quote]));
+    const hasNewSymbol = updated.symbols.some(entry => !(entry.symbol in loadedQuotes));
+    setWatchlists(watchlists.map(w => (w._id === updated._id ? updated : w)));
+    if (hasNewSymbol) {
+      fetchWatchlist();
+    } else {
+      setWatchlist({ ...updated, symbols: updated.symbols.map(entry => ({ ...entry, quote: loadedQuotes[entry.symbol] })) });
+    }
+  };
+
+  const handleCreateList = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const created = await request("/api/watchlists", {
+        method: "POST",
+        body: JSON.stringify({ name: newListName.trim() || "My Watchlist" }),
+      });
+      setWatchlists([...watchlists, created]);
+      setSelectedId(created._id);
+      setNewListName("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const updated = await request(`/api/watchlists/${selectedId}`, {
+        method: "PATCH",
+        body: JSON.stringify({ name: renameValue }),
+      });
+      setWatchlists(watchlists.map(w => (w._id === updated._id ? updated : w)));
+      setWatchlist(current => ({ ...current, name: updated.name }));
+      setRenameValue(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteList = async () => {
+    if (!window.confirm(`Delete the watchlist "${watchlist?.name}"?`)) return;
+    setError(null);
+    try {
+      await request(`/api/watchlists/${selectedId}`, { method: "DELETE" });
+      const remaining = watchlists.filter(w => w._id !== selectedId);
+      setWatchlists(remaining);
+      setSelectedId(remaining[0]?._id ?? null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddSymbol = async (e) => {
+    e.preventDefault();
+    if (!newSymbol.trim()) return;
+    setError(null);
+    try {
+      const updated = await request(`/api/watchlists/${selectedId}/symbols`, {
+        method: "POST",
+        body: JSON.stringify({ symbol: newSymbol }),
+      });
+      setNewSymbol("");
+      applySymbolChange(updated);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemoveSymbol = async (symbol) => {
+    setError(null);
+    try {
+      const updated = await request(
+        `/api/watchlists/${selectedId}/symbols?symbol=${encodeURIComponent(symbol)}`,
+        { method: "DELETE" }
+      );
+      applySymbolChange(updated);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading || isLoading) {
+    return (
+      <div className="container mx-auto p-4 md:p-8 text-gray-400">Loading watchlists...</div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4 md:p-8">
+      <h1 className="text-3xl md:text-4xl font-bold text-white mb-6">Watchlists</h1>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-900/40 border border-red-700 text-red-300 rounded-md text-sm">{error}</div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mb-6">
+        {watchlists.map(w => (
+          <button
+            key={w._id}
+            type="button"
+            onClick={() => { setSelectedId(w._id); setRenameValue(null); }}
+            className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+              w._id === selectedId ? "bg-blue-600 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+            }`}
+          >
+            {w.name} <span className="text-xs opacity-75">({w.symbols.length})</span>
+          </button>
+        ))}
+        <form onSubmit={handleCreateList} className="flex gap-2">
+          <input
+            type="text"
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            placeholder="New watchlist"
+            maxLength={100}
+            className="px-3 py-2 text-sm text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+          <button
+            type="submit"
+            className="flex items-center px-3 py-2 text-sm font-medium text-white bg-green-600 hover:bg-green-700 rounded-md"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" /> Create
+          </button>
+        </form>
+      </div>
+
+      {!watchlist ? (
+        <div className="bg-gray-800 rounded-lg shadow-xl p-6 text-gray-400">
+          You have no watchlists yet. Create one above, or use the star on any stock to add it to a list.
+        </div>
+      ) : (
+        <div className="bg-gray-800 rounded-lg shadow-xl p-4 md:p-6">
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+            {renameValue !== null ? (
+              <form onSubmit={handleRename} className="flex gap-2">
+                <input
+                  type="text"
+                  value={renameValue}
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  maxLength={100}
+                  autoFocus
+                  className="px-3 py-2 text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                />
+                <button type="submit" className="px-3 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md">
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setRenameValue(null)}
+                  className="px-3 py-2 text-sm font-medium text-gray-300 bg-gray-700 hover:bg-gray-600 rounded-md"
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <div className="flex items-center gap-2">
+                <h2 className="text-2xl font-semibold text-white">{watchlist.name}</h2>
+                <button
+                  type="button"
+                  onClick={() => setRenameValue(watchlist.name)}
+                  className="p-1.5 text-gray-400 hover:text-blue-400"
+                  aria-label="Rename watchlist"
+                >
+                  <PencilSquareIcon className="h-5 w-5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDeleteList}
+                  className="p-1.5 text-gray-400 hover:text-red-400"
+                  aria-label="Delete watchlist"
+                >
+                  <TrashIcon className="h-5 w-5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={fetchWatchlist}
+                  disabled={isQuotesLoading}
+                  className="p-1.5 text-gray-400 hover:text-blue-400 disabled:opacity-50"
+                  aria-label="Refresh quotes"
+                >
+                  <ArrowPathIcon className={`h-5 w-5 ${isQuotesLoading ? "animate-spin" : ""}`} />
+                </button>
+              </div>
+            )}
+            <form onSubmit={handleAddSymbol} className="flex gap-2">
+              <input
+                type="text"
+                value={newSymbol}
+                onChange={(e) => setNewSymbol(e.target.value.toUpperCase())}
+                placeholder="Add symbol, e.g. AAPL"
+                className="px-3 py-2 text-sm text-white bg-gray-700 border border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+              />
+              <button
+                type="submit"
+                className="flex items-center px-3 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" /> Add
+              </button>
+            </form>
+          </div>
+
+          {watchlist.symbols.length === 0 ? (
+            <p className="text-gray-400">This watchlist is empty.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-400 border-b border-gray-700">
+                    <th className="py-2 pr-4">Symbol</th>
+                    <th className="py-2 pr-4 text-right">Price</th>
+                    <th className="py-2 pr-4 text-right">Change</th>
+                    <th className="py-2 pr-4 w-40">Trend</th>
+                    <th className="py-2 pr-4">Notes</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {watchlist.symbols.map(({ symbol, notes, quote }) => {
+                    const hasPrice = typeof quote?.price === "number" && !isNaN(quote.price);
+                    const hasChange = typeof quote?.changePercent === "number" && !isNaN(quote.changePercent);
+                    const isPositive = hasChange && quote.changePercent >= 0;
+                    return (
+                      <tr key={symbol} className="border-b border-gray-700 last:border-0">
+                        <td className="py-3 pr-4">
+                          <Link href={`/stocks/${encodeURIComponent(symbol)}`} className="font-semibold text-blue-400 hover:underline">
+                            {symbol}
+                          </Link>
+                          {quote?.name && quote.name !== symbol && (
+                            <p className="text-xs text-gray-400 truncate max-w-xs">{quote.name}</p>
+                          )}
+                        </td>
+                        <td className="py-3 pr-4 text-right text-white font-medium">
+                          {hasPrice ? formatCurrency(quote.price, quote.currency || "USD") : isQuotesLoading ? "…" : "N/A"}
+                        </td>
+                        <td className={`py-3 pr-4 text-right font-medium ${isPositive ? "text-green-400" : "text-red-400"}`}>
+                          {hasChange ? `${isPositive ? "↑" : "↓"} ${formatPercentage(Math.abs(quote.changePercent))}` : ""}
+                        </td>
+                        <td className="py-3 pr-4">
+                          {quote?.miniChartData?.length > 0 && (
+                            <div className="h-12 w-40">
+                              <MiniPriceChart chartData={quote.miniChartData} symbol={symbol} />
+                            </div>
+                          )}
+                        </td>
+                        <td className="py-3 pr-4 text-gray-400">{notes}</td>
+                        <td className="py-3 text-right">
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveSymbol(symbol)}
+                            className="p-1.5 text-gray-400 hover:text-red-400"
+                            aria-label={`Remove ${symbol} from watchlist`}
+                          >
+                            <XMarkIcon className="h-5 w-5" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}